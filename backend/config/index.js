@@ -0,0 +1,396 @@
+/**
+ * Configuration
+ *
+ * Every setting the backend reads from the environment is declared once in
+ * CONFIG_SCHEMA with its type, default and whether it is secret. Values are
+ * parsed when this module is first imported and exposed as a frozen,
+ * nested `config` object; modules read `config.<group>.<setting>` instead
+ * of process.env.
+ *
+ * A value comes from, in order of precedence: the environment variable,
+ * the profile for NODE_ENV (PROFILES), the schema default. validateConfig()
+ * is called at startup and fails with every missing or malformed setting
+ * at once. Scripts that only need part of the configuration skip it.
+ *
+ * mock/diditServer.js is a standalone development tool and reads its own
+ * MOCK_DIDIT_* variables.
+ */
+
+import 'dotenv/config';
+
+export const ENVIRONMENTS = ['development', 'test', 'production'];
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+
+const REDACTED = '[redacted]';
+
+/**
+ * ============================================================
+ * SCHEMA
+ * ============================================================
+ */
+
+const string = (env, options = {}) => ({ env, type: 'string', ...options });
+const url = (env, options = {}) => ({ env, type: 'url', ...options });
+const integer = (env, options = {}) => ({ env, type: 'integer', min: 0, ...options });
+const boolean = (env, options = {}) => ({ env, type: 'boolean', ...options });
+const list = (env, options = {}) => ({ env, type: 'list', default: [], ...options });
+const oneOf = (env, values, options = {}) => ({ env, type: 'enum', values, ...options });
+
+const usesDidit = (config) => config.kyc.provider === 'DIDIT';
+
+/**
+ * Settings by group. `required` may be a function of the parsed config;
+ * `secret` values are redacted by redactedConfig(), `credentials` only
+ * have the password part of a URL redacted.
+ */
+export const CONFIG_SCHEMA = {
+  env: oneOf('NODE_ENV', ENVIRONMENTS, { default: 'development' }),
+
+  server: {
+    port: integer('PORT', { default: 3000, min: 1 }),
+    appUrl: url('APP_URL', { default: 'http://localhost:3000', required: true }),
+    frontendUrl: url('FRONTEND_URL', { default: 'http://localhost:3001', required: true }),
+  },
+
+  cors: {
+    origins: list('CORS_ORIGINS', {
+      default: ['http://localhost:3001', 'http://localhost:5500', 'http://127.0.0.1:5500', 'http://127.0.0.1:3001'],
+    }),
+    allowAllOrigins: boolean('CORS_ALLOW_ALL_ORIGINS', { default: false }),
+  },
+
+  database: {
+    url: string('DATABASE_URL', { default: 'file:./dev.db', required: true, credentials: true }),
+  },
+
+  redis: {
+    url: string('REDIS_URL', { default: 'redis://localhost:6379', credentials: true }),
+    reconnectMaxDelayMs: integer('REDIS_RECONNECT_MAX_DELAY_MS', { default: 30_000, min: 100 }),
+  },
+
+  logging: {
+    level: oneOf('LOG_LEVEL', LOG_LEVELS, { default: 'info' }),
+    maxSizeMb: integer('LOG_MAX_SIZE_MB', { default: 20, min: 1 }),
+    maxFiles: integer('LOG_MAX_FILES', { default: 20, min: 1 }),
+  },
+
+  kyc: {
+    provider: oneOf('KYC_PROVIDER', ['DIDIT', 'FAKE'], { default: 'DIDIT' }),
+    maxVerificationRetries: integer('MAX_VERIFICATION_RETRIES', { default: 2 }),
+    sessionTtlSeconds: integer('SESSION_TTL', { default: 3600, min: 60 }),
+    phoneCodeValiditySeconds: integer('PHONE_CODE_VALIDITY', { default: 300, min: 30 }),
+  },
+
+  didit: {
+    apiKey: string('DIDIT_API_KEY', { secret: true, required: usesDidit }),
+    baseUrl: url('DIDIT_BASE_URL', { default: 'https://verification.didit.me/v2' }),
+    workflowId: string('DIDIT_WORKFLOW_ID', { required: usesDidit }),
+    webhookSecret: string('DIDIT_WEBHOOK_SECRET', { secret: true, required: usesDidit }),
+    previousWebhookSecrets: list('DIDIT_WEBHOOK_PREVIOUS_SECRETS', { secret: true }),
+    webhookToleranceSeconds: integer('WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS', { default: 300, min: 1 }),
+    timeoutMs: integer('DIDIT_TIMEOUT_MS', { default: 10_000, min: 100 }),
+    idVerificationTimeoutMs: integer('DIDIT_ID_VERIFICATION_TIMEOUT_MS', { default: 30_000, min: 100 }),
+    maxRetries: integer('DIDIT_MAX_RETRIES', { default: 2 }),
+    retryBaseDelayMs: integer('DIDIT_RETRY_BASE_DELAY_MS', { default: 200 }),
+    retryMaxDelayMs: integer('DIDIT_RETRY_MAX_DELAY_MS', { default: 5000 }),
+    breakerFailureThreshold: integer('DIDIT_BREAKER_FAILURE_THRESHOLD', { default: 5, min: 1 }),
+    breakerCooldownMs: integer('DIDIT_BREAKER_COOLDOWN_MS', { default: 30_000, min: 1000 }),
+  },
+
+  auth: {
+    jwtJwksUrl: url('JWT_JWKS_URL'),
+    jwtSecret: string('JWT_SECRET', { secret: true }),
+    jwtIssuer: string('JWT_ISSUER'),
+    jwtAudience: string('JWT_AUDIENCE'),
+    apiKeys: string('API_KEYS', { secret: true }),
+  },
+
+  // Per-route windows fall back to RATE_LIMIT_WINDOW_MS
+  rateLimit: {
+    windowMs: integer('RATE_LIMIT_WINDOW_MS', { default: 60_000, min: 1000 }),
+    sessionMax: integer('RATE_LIMIT_MAX_REQUESTS', { default: 5, min: 1 }),
+    sessionWindowMs: integer('RATE_LIMIT_SESSION_WINDOW_MS', { min: 1000 }),
+    phoneMax: integer('RATE_LIMIT_PHONE_MAX_REQUESTS', { default: 3, min: 1 }),
+    phoneWindowMs: integer('RATE_LIMIT_PHONE_WINDOW_MS', { min: 1000 }),
+    phoneCheckMax: integer('RATE_LIMIT_PHONE_CHECK_MAX_REQUESTS', { default: 5, min: 1 }),
+    phoneCheckWindowMs: integer('RATE_LIMIT_PHONE_CHECK_WINDOW_MS', { min: 1000 }),
+    idVerificationMax: integer('RATE_LIMIT_ID_MAX_REQUESTS', { default: 3, min: 1 }),
+    idVerificationWindowMs: integer('RATE_LIMIT_ID_WINDOW_MS', { min: 1000 }),
+  },
+
+  webhookInbox: {
+    maxAttempts: integer('WEBHOOK_MAX_ATTEMPTS', { default: 5, min: 1 }),
+    backoffBaseMs: integer('WEBHOOK_BACKOFF_BASE_MS', { default: 5000 }),
+    pollIntervalMs: integer('WEBHOOK_POLL_INTERVAL_MS', { default: 5000, min: 100 }),
+  },
+
+  outboundWebhooks: {
+    maxAttempts: integer('OUTBOUND_WEBHOOK_MAX_ATTEMPTS', { default: 8, min: 1 }),
+    backoffBaseMs: integer('OUTBOUND_WEBHOOK_BACKOFF_BASE_MS', { default: 10_000 }),
+    pollIntervalMs: integer('OUTBOUND_WEBHOOK_POLL_INTERVAL_MS', { default: 5000, min: 100 }),
+    timeoutMs: integer('OUTBOUND_WEBHOOK_TIMEOUT_MS', { default: 10_000, min: 100 }),
+    concurrency: integer('OUTBOUND_WEBHOOK_CONCURRENCY', { default: 5, min: 1 }),
+  },
+
+  kycExpiry: {
+    reverifyIntervalDays: integer('KYC_REVERIFY_INTERVAL_DAYS', { default: 365, min: 1 }),
+    tradingGraceDays: integer('KYC_TRADING_GRACE_DAYS', { default: 14 }),
+    reminderDays: integer('KYC_EXPIRY_REMINDER_DAYS', { default: 30 }),
+    jobIntervalMs: integer('KYC_EXPIRY_JOB_INTERVAL_MS', { default: 3_600_000, min: 1000 }),
+  },
+
+  scheduler: {
+    lockBackend: oneOf('JOB_LOCK_BACKEND', ['database', 'redis'], { default: 'database' }),
+    lockTtlMs: integer('JOB_LOCK_TTL_MS', { default: 60_000, min: 1000 }),
+  },
+
+  reconciler: {
+    intervalMs: integer('SESSION_RECONCILER_INTERVAL_MS', { default: 900_000, min: 1000 }),
+    dryRun: boolean('SESSION_RECONCILER_DRY_RUN', { default: false }),
+    afterMinutes: integer('RECONCILE_AFTER_MINUTES', { default: 60, min: 1 }),
+    maxAgeDays: integer('RECONCILE_MAX_AGE_DAYS', { default: 7, min: 1 }),
+    batchSize: integer('RECONCILE_BATCH_SIZE', { default: 50, min: 1 }),
+  },
+
+  idempotency: {
+    ttlHours: integer('IDEMPOTENCY_KEY_TTL_HOURS', { default: 24, min: 1 }),
+  },
+
+  retention: {
+    decisionPayloadDays: integer('RETENTION_DECISION_PAYLOAD_DAYS', { default: 90 }),
+    webhookEventDays: integer('RETENTION_WEBHOOK_EVENT_DAYS', { default: 90 }),
+    unfinishedSessionDays: integer('RETENTION_UNFINISHED_SESSION_DAYS', { default: 30 }),
+    staleUserDays: integer('RETENTION_STALE_USER_DAYS', { default: 180 }),
+    logDays: integer('RETENTION_LOG_DAYS', { default: 30 }),
+    batchSize: integer('RETENTION_BATCH_SIZE', { default: 500, min: 1 }),
+    jobIntervalMs: integer('RETENTION_JOB_INTERVAL_MS', { default: 86_400_000, min: 1000 }),
+    dryRun: boolean('RETENTION_DRY_RUN', { default: false }),
+  },
+
+  email: {
+    transport: oneOf('EMAIL_TRANSPORT', ['file', 'smtp', 'none'], { default: 'file' }),
+    from: string('EMAIL_FROM', { default: 'no-reply@localhost' }),
+    fileDir: string('EMAIL_FILE_DIR', { default: './mail' }),
+    appName: string('APP_NAME', { default: 'Identity Verification' }),
+  },
+
+  smtp: {
+    host: string('SMTP_HOST', { required: (config) => config.email.transport === 'smtp' }),
+    port: integer('SMTP_PORT', { default: 587, min: 1 }),
+    secure: boolean('SMTP_SECURE', { default: false }),
+    user: string('SMTP_USER'),
+    password: string('SMTP_PASSWORD', { secret: true }),
+  },
+
+  health: {
+    checkTimeoutMs: integer('HEALTH_CHECK_TIMEOUT_MS', { default: 2000, min: 100 }),
+    dbSlowMs: integer('HEALTH_DB_SLOW_MS', { default: 500, min: 1 }),
+  },
+
+  metrics: {
+    enabled: boolean('METRICS_ENABLED', { default: true }),
+    token: string('METRICS_TOKEN', { secret: true }),
+  },
+
+  tracing: {
+    exporter: oneOf('TRACE_EXPORTER', ['none', 'console', 'file'], { default: 'none' }),
+    file: string('TRACE_EXPORT_FILE', { default: 'logs/traces.jsonl' }),
+  },
+
+  pii: {
+    keyringFile: string('PII_KEYRING_FILE'),
+    keyring: string('PII_KEYRING', { secret: true }),
+  },
+
+  audit: {
+    hmacKey: string('AUDIT_HMAC_KEY', { secret: true, required: (config) => config.env === 'production' }),
+  },
+};
+
+/**
+ * Defaults per NODE_ENV, overriding schema defaults (dotted paths).
+ * Production has no localhost defaults, so APP_URL and FRONTEND_URL must be set.
+ */
+export const PROFILES = Object.freeze({
+  // Also the profile when NODE_ENV is unset, so it must stay safe to deploy
+  development: {},
+  test: {
+    'logging.level': 'warn',
+    'kyc.provider': 'FAKE',
+    'email.transport': 'none',
+  },
+  production: {
+    'server.appUrl': null,
+    'server.frontendUrl': null,
+    'cors.origins': [],
+  },
+});
+
+/**
+ * ============================================================
+ * LOADING AND VALIDATION
+ * ============================================================
+ */
+
+const state = loadConfig(process.env);
+
+export const config = state.config;
+
+/**
+ * Throws if any setting is missing or malformed, listing all of them
+ */
+export function validateConfig() {
+  if (state.errors.length > 0) {
+    const error = new Error(`Invalid configuration:\n  - ${state.errors.join('\n  - ')}`);
+    error.code = 'INVALID_CONFIG';
+    error.errors = state.errors;
+    throw error;
+  }
+}
+
+/**
+ * The effective configuration with secrets redacted, and where each
+ * setting came from ('env', 'profile' or 'default')
+ */
+export function redactedConfig() {
+  return {
+    environment: config.env,
+    valid: state.errors.length === 0,
+    errors: state.errors,
+    settings: mapSchema(CONFIG_SCHEMA, (field, path) => ({
+      env: field.env,
+      value: redactValue(field, getPath(config, path)),
+      source: state.sources[path],
+    })),
+  };
+}
+
+/**
+ * Parses an environment into a config object
+ *
+ * @param {object} env - Variables, usually process.env
+ * @returns {{ config: object, errors: string[], sources: object }}
+ */
+export function loadConfig(env) {
+  const errors = [];
+  const sources = {};
+
+  // Reported by the main pass below
+  const environment = parseField(CONFIG_SCHEMA.env, env.NODE_ENV || 'development', []) ?? 'development';
+  const profile = PROFILES[environment] || {};
+
+  const parsed = mapSchema(CONFIG_SCHEMA, (field, path) => {
+    const raw = env[field.env];
+    if (raw !== undefined && raw !== '') {
+      sources[path] = 'env';
+      return parseField(field, raw, errors);
+    }
+    if (path in profile) {
+      sources[path] = 'profile';
+      return profile[path];
+    }
+    sources[path] = 'default';
+    return field.default ?? null;
+  });
+
+  mapSchema(CONFIG_SCHEMA, (field, path) => {
+    const required = typeof field.required === 'function' ? field.required(parsed) : field.required;
+    const value = getPath(parsed, path);
+    if (required && (value === null || value === undefined)) {
+      errors.push(`${field.env} is required`);
+    }
+  });
+
+  if (environment === 'production' && !parsed.auth.jwtJwksUrl && !parsed.auth.jwtSecret && !parsed.auth.apiKeys) {
+    errors.push('JWT_JWKS_URL, JWT_SECRET or API_KEYS is required in production');
+  }
+
+  // The fake provider approves every document
+  if (environment === 'production' && parsed.kyc.provider === 'FAKE') {
+    errors.push('KYC_PROVIDER=FAKE is not allowed in production');
+  }
+
+  return { config: deepFreeze(parsed), errors, sources };
+}
+
+function parseField(field, raw, errors) {
+  const value = String(raw).trim();
+
+  switch (field.type) {
+    case 'integer': {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < field.min) {
+        errors.push(`${field.env} must be an integer >= ${field.min} (got "${value}")`);
+        return field.default ?? null;
+      }
+      return number;
+    }
+    case 'boolean':
+      if (!['true', 'false'].includes(value.toLowerCase())) {
+        errors.push(`${field.env} must be true or false (got "${value}")`);
+        return field.default ?? null;
+      }
+      return value.toLowerCase() === 'true';
+    case 'enum': {
+      const match = field.values.find((candidate) => candidate.toLowerCase() === value.toLowerCase());
+      if (!match) {
+        errors.push(`${field.env} must be one of ${field.values.join(', ')} (got "${value}")`);
+        return field.default ?? null;
+      }
+      return match;
+    }
+    case 'url':
+      try {
+        new URL(value);
+      } catch {
+        errors.push(`${field.env} must be an absolute URL (got "${value}")`);
+        return field.default ?? null;
+      }
+      return value.replace(/\/+$/, '');
+    case 'list':
+      return value.split(',').map((item) => item.trim()).filter(Boolean);
+    default:
+      return value;
+  }
+}
+
+function redactValue(field, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (field.secret) {
+    return Array.isArray(value) ? value.map(() => REDACTED) : REDACTED;
+  }
+  if (field.credentials) {
+    return value.replace(/\/\/([^:/@]*):[^@]*@/, `//$1:${REDACTED}@`);
+  }
+  return value;
+}
+
+/**
+ * Maps every field of the schema, keeping its shape
+ */
+function mapSchema(schema, fn, prefix = '') {
+  const result = {};
+  for (const [key, node] of Object.entries(schema)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    result[key] = typeof node.env === 'string' ? fn(node, path) : mapSchema(node, fn, path);
+  }
+  return result;
+}
+
+function getPath(object, path) {
+  return path.split('.').reduce((node, key) => node?.[key], object);
+}
+
+function deepFreeze(object) {
+  for (const value of Object.values(object)) {
+    if (value && typeof value === 'object') {
+      deepFreeze(value);
+    }
+  }
+  return Object.freeze(object);
+}
+
+export default config;
@@ -0,0 +1,572 @@
+/**
+ * Admin User Controller - Compliance management of users' KYC state
+ *
+ * Lets compliance staff search users, inspect their verification details
+ * and apply manual decisions. Manual approvals and declines use the same
+ * status mapping as provider webhooks (see services/kycStatusService.js).
+ * Every change is recorded in the KYC audit trail with the admin and reason.
+ */
+
+import { body, param, query, validationResult } from 'express-validator';
+import { prisma } from '../utils/prisma.js';
+import { logger } from '../utils/logger.js';
+import { KYC_STATUS, KYC_STATUSES, kycStatusUpdate } from '../services/kycStatusService.js';
+import { listUserSessions } from '../services/verificationSessionService.js';
+import { kycExpiresAt } from '../services/kycExpiryService.js';
+import {
+  AUDIT_ACTORS,
+  updateUserWithAudit,
+  listAuditEvents,
+  verifyAuditChain,
+  serializeAuditEvent,
+} from '../services/kycAuditService.js';
+import { listUserNotifications } from '../notifications/index.js';
+import { getAuditHead } from '../services/auditAnchor.js';
+import { SESSION_STATUS } from '../providers/index.js';
+
+const reasonValidator = () => body('reason')
+  .isString()
+  .trim()
+  .isLength({ min: 3, max: 500 })
+  .withMessage('reason is required (3-500 characters)');
+
+/**
+ * GET /api/v1/admin/users
+ * Lists and searches users, newest first
+ *
+ * @query {string} q - Optional: matches the user ID exactly or part of the email
+ * @query {string} phoneNumber - Optional: exact phone number (E.164), matched through its blind index
+ * @query {string} kycStatus - Optional: any KYC status (NOT_STARTED, IN_PROGRESS, VERIFIED, ...)
+ * @query {boolean} idVerified - Optional
+ * @query {boolean} phoneVerified - Optional
+ * @query {boolean} tradingEnabled - Optional
+ * @query {string} createdFrom - Optional: ISO 8601 lower bound for createdAt
+ * @query {string} createdTo - Optional: ISO 8601 upper bound for createdAt
+ * @query {string} completedFrom - Optional: ISO 8601 lower bound for kycCompletedAt
+ * @query {string} completedTo - Optional: ISO 8601 upper bound for kycCompletedAt
+ * @query {number} limit - Optional: page size (1-200, default 50)
+ * @query {number} offset - Optional: number of users to skip
+ */
+export const listUsers = [
+  query('q').optional().isString().trim(),
+  query('phoneNumber').optional().isString().trim().notEmpty(),
+  query('kycStatus').optional().isIn(KYC_STATUSES).withMessage(`kycStatus must be one of ${KYC_STATUSES.join(', ')}`),
+  query(['idVerified', 'phoneVerified', 'tradingEnabled']).optional().isBoolean().toBoolean(),
+  query(['createdFrom', 'createdTo', 'completedFrom', 'completedTo']).optional().isISO8601().toDate(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const limit = req.query.limit ?? 50;
+    const offset = req.query.offset ?? 0;
+    const where = buildUserFilter(req.query);
+
+    try {
+      const [users, total] = await Promise.all([
+        prisma.user.findMany({
+          where,
+          orderBy: { createdAt: 'desc' },
+          take: limit,
+          skip: offset,
+        }),
+        prisma.user.count({ where }),
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          users: users.map((user) => serializeUser(user)),
+          pagination: { limit, offset, total },
+        },
+      });
+    } catch (error) {
+      logger.error('Error listing users', { error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to list users'
+      });
+    }
+  },
+];
+
+/**
+ * GET /api/v1/admin/users/:userId
+ * Retrieves a user with full kycDetails and recent verification sessions
+ */
+export const getUser = [
+  param('userId').isString().notEmpty(),
+
+  async (req, res) => {
+    const { userId } = req.params;
+
+    try {
+      const user = await prisma.user.findUnique({ where: { id: userId } });
+
+      if (!user) {
+        return userNotFound(res);
+      }
+
+      const { sessions } = await listUserSessions(userId, { limit: 10 });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          ...serializeUser(user, { includeDetails: true }),
+          recentSessions: sessions,
+        },
+      });
+    } catch (error) {
+      logger.error('Error fetching user', { error: error.message, userId });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch user'
+      });
+    }
+  },
+];
+
+/**
+ * POST /api/v1/admin/users/:userId/approve
+ * Manually approves a user's KYC and enables trading
+ *
+ * @body {string} reason - Required justification for the decision
+ */
+export const approveUser = [
+  param('userId').isString().notEmpty(),
+  reasonValidator(),
+
+  async (req, res) => applyManualDecision(req, res, {
+    data: { ...kycStatusUpdate(SESSION_STATUS.APPROVED), tradingEnabled: true },
+    action: 'admin.approved',
+    message: 'User approved.',
+  }),
+];
+
+/**
+ * POST /api/v1/admin/users/:userId/decline
+ * Manually declines a user's KYC and disables trading
+ *
+ * @body {string} reason - Required justification for the decision
+ */
+export const declineUser = [
+  param('userId').isString().notEmpty(),
+  reasonValidator(),
+
+  async (req, res) => applyManualDecision(req, res, {
+    data: { ...kycStatusUpdate(SESSION_STATUS.DECLINED), tradingEnabled: false },
+    action: 'admin.declined',
+    message: 'User declined.',
+  }),
+];
+
+/**
+ * POST /api/v1/admin/users/:userId/revoke
+ * Revokes a verified user's KYC and disables trading. REVOKED is final.
+ *
+ * @body {string} reason - Required justification for the decision
+ */
+export const revokeUser = [
+  param('userId').isString().notEmpty(),
+  reasonValidator(),
+
+  async (req, res) => applyManualDecision(req, res, {
+    data: { kycStatus: KYC_STATUS.REVOKED, tradingEnabled: false },
+    action: 'admin.revoked',
+    message: 'User verification revoked.',
+  }),
+];
+
+/**
+ * POST /api/v1/admin/users/:userId/reset-retries
+ * Resets verificationRetries so the user can start new sessions
+ *
+ * @body {string} reason - Optional note for the audit trail
+ */
+export const resetRetries = [
+  param('userId').isString().notEmpty(),
+  body('reason').optional().isString().trim().isLength({ max: 500 }),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { userId } = req.params;
+
+    try {
+      const user = await prisma.user.findUnique({ where: { id: userId } });
+
+      if (!user) {
+        return userNotFound(res);
+      }
+
+      const updated = await updateUserWithAudit(userId, { verificationRetries: 0 }, {
+        actor: adminActor(req),
+        action: 'admin.retries_reset',
+        reason: req.body.reason,
+      });
+
+      logger.info('Verification retries reset by admin', {
+        userId,
+        previousRetries: user.verificationRetries,
+        actor: req.auth.subject,
+        reason: req.body.reason,
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: serializeUser(updated),
+        message: 'Verification retries reset.',
+      });
+    } catch (error) {
+      logger.error('Error resetting verification retries', { error: error.message, userId });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to reset verification retries'
+      });
+    }
+  },
+];
+
+/**
+ * PATCH /api/v1/admin/users/:userId/trading
+ * Enables or disables trading for a user
+ *
+ * @body {boolean} enabled - New tradingEnabled value
+ * @body {string} reason - Required justification for the change
+ */
+export const setTradingEnabled = [
+  param('userId').isString().notEmpty(),
+  body('enabled').isBoolean({ strict: true }).withMessage('enabled must be a boolean'),
+  reasonValidator(),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { userId } = req.params;
+    const { enabled, reason } = req.body;
+
+    try {
+      const user = await prisma.user.findUnique({ where: { id: userId } });
+
+      if (!user) {
+        return userNotFound(res);
+      }
+
+      // Trading is only ever granted to verified users
+      if (enabled && user.kycStatus !== KYC_STATUS.VERIFIED) {
+        return res.status(409).json({
+          success: false,
+          error: 'Trading can only be enabled for verified users',
+          kycStatus: user.kycStatus,
+        });
+      }
+
+      const updated = await updateUserWithAudit(userId, { tradingEnabled: enabled }, {
+        actor: adminActor(req),
+        action: enabled ? 'admin.trading_enabled' : 'admin.trading_disabled',
+        reason,
+      });
+
+      logger.info('Trading access changed by admin', {
+        userId,
+        tradingEnabled: enabled,
+        previous: user.tradingEnabled,
+        actor: req.auth.subject,
+        reason,
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: serializeUser(updated),
+        message: `Trading ${enabled ? 'enabled' : 'disabled'}.`,
+      });
+    } catch (error) {
+      logger.error('Error changing trading access', { error: error.message, userId });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to change trading access'
+      });
+    }
+  },
+];
+
+/**
+ * GET /api/v1/admin/users/:userId/audit
+ * Lists a user's KYC audit events (oldest first) and verifies the hash chain
+ *
+ * @query {number} limit - Optional: page size (1-500, default 100)
+ * @query {number} offset - Optional: number of events to skip
+ */
+export const getUserAudit = [
+  param('userId').isString().notEmpty(),
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { userId } = req.params;
+    const limit = req.query.limit ?? 100;
+    const offset = req.query.offset ?? 0;
+
+    try {
+      const head = await getAuditHead(userId, { redis: req.app.locals.redis });
+      const [{ events, total }, integrity] = await Promise.all([
+        listAuditEvents(userId, { limit, offset }),
+        verifyAuditChain(userId, { head }),
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          events: events.map(serializeAuditEvent),
+          pagination: { limit, offset, total },
+          integrity,
+        },
+      });
+    } catch (error) {
+      logger.error('Error fetching audit trail', { error: error.message, userId });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch audit trail'
+      });
+    }
+  },
+];
+
+/**
+ * GET /api/v1/admin/users/:userId/notifications
+ * Lists the emails sent (or skipped) for a user, newest first
+ *
+ * @query {number} limit - Optional: page size (1-200, default 50)
+ * @query {number} offset - Optional: number of notifications to skip
+ */
+export const getUserNotifications = [
+  param('userId').isString().notEmpty(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { userId } = req.params;
+    const limit = req.query.limit ?? 50;
+    const offset = req.query.offset ?? 0;
+
+    try {
+      const { notifications, total } = await listUserNotifications(userId, { limit, offset });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          notifications,
+          pagination: { limit, offset, total },
+        },
+      });
+    } catch (error) {
+      logger.error('Error fetching notifications', { error: error.message, userId });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch notifications'
+      });
+    }
+  },
+];
+
+/**
+ * ============================================================
+ * HELPER FUNCTIONS
+ * ============================================================
+ */
+
+/**
+ * Applies a manual compliance decision through the KYC state machine
+ */
+async function applyManualDecision(req, res, { data, action, message }) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const { userId } = req.params;
+  const { reason } = req.body;
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    const updated = await updateUserWithAudit(userId, data, {
+      actor: adminActor(req),
+      action,
+      reason,
+    });
+
+    logger.info('Manual KYC decision applied', {
+      userId,
+      action,
+      previousKycStatus: user.kycStatus,
+      kycStatus: updated.kycStatus,
+      actor: req.auth.subject,
+      reason,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: serializeUser(updated),
+      message,
+    });
+  } catch (error) {
+    if (error.code === 'ILLEGAL_KYC_TRANSITION') {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        kycStatus: error.from,
+      });
+    }
+
+    logger.error('Error applying manual KYC decision', { error: error.message, userId, action });
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update user'
+    });
+  }
+}
+
+/**
+ * Builds a Prisma where clause from validated list filters
+ */
+function buildUserFilter({
+  q,
+  phoneNumber,
+  kycStatus,
+  idVerified,
+  phoneVerified,
+  tradingEnabled,
+  createdFrom,
+  createdTo,
+  completedFrom,
+  completedTo,
+}) {
+  const where = {};
+
+  if (q) {
+    where.OR = [{ id: q }, { email: { contains: q } }];
+  }
+  if (phoneNumber) {
+    where.phoneNumber = phoneNumber;
+  }
+  if (kycStatus) {
+    where.kycStatus = kycStatus;
+  }
+  if (idVerified !== undefined) {
+    where.idVerified = idVerified;
+  }
+  if (phoneVerified !== undefined) {
+    where.phoneVerified = phoneVerified;
+  }
+  if (tradingEnabled !== undefined) {
+    where.tradingEnabled = tradingEnabled;
+  }
+  if (createdFrom || createdTo) {
+    where.createdAt = { gte: createdFrom, lte: createdTo };
+  }
+  if (completedFrom || completedTo) {
+    where.kycCompletedAt = { gte: completedFrom, lte: completedTo };
+  }
+
+  return where;
+}
+
+function adminActor(req) {
+  return { type: AUDIT_ACTORS.ADMIN, id: req.auth.subject };
+}
+
+function userNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'User not found'
+  });
+}
+
+/**
+ * Converts a user record into its admin API representation
+ */
+function serializeUser(user, { includeDetails = false } = {}) {
+  const data = {
+    id: user.id,
+    email: user.email,
+    kycStatus: user.kycStatus,
+    kycProvider: user.kycProvider,
+    kycCompletedAt: user.kycCompletedAt,
+    tradingEnabled: user.tradingEnabled,
+    verificationRetries: user.verificationRetries,
+    lastVerificationAttempt: user.lastVerificationAttempt,
+    idVerified: user.idVerified,
+    phoneVerified: user.phoneVerified,
+    phoneNumber: user.phoneNumber,
+    documentExpiresAt: user.documentExpiresAt,
+    kycExpiresAt: user.kycStatus === KYC_STATUS.VERIFIED ? kycExpiresAt(user) : null,
+    kycExpiredAt: user.kycExpiredAt,
+    expiryReminderSentAt: user.expiryReminderSentAt,
+    legalHold: user.legalHold,
+    legalHoldReason: user.legalHoldReason,
+    erasedAt: user.erasedAt,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt,
+  };
+
+  if (includeDetails) {
+    data.kycDetails = user.kycDetails ? JSON.parse(user.kycDetails) : null;
+  }
+
+  return data;
+}
+
+export default {
+  listUsers,
+  getUser,
+  approveUser,
+  declineUser,
+  revokeUser,
+  resetRetries,
+  setTradingEnabled,
+  getUserAudit,
+  getUserNotifications,
+};
@@ -0,0 +1,32 @@
+/**
+ * Config Controller - Admin view of the effective configuration
+ *
+ * Shows every setting from config/index.js with its value and source.
+ * Secrets are redacted and only report whether they are set.
+ */
+
+import { logger } from '../utils/logger.js';
+import { redactedConfig } from '../config/index.js';
+
+/**
+ * GET /api/v1/admin/config
+ * Returns the effective settings, secrets redacted
+ */
+export const getConfig = async (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      data: redactedConfig(),
+    });
+  } catch (error) {
+    logger.error('Error reading configuration', { error: error.message });
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to read configuration'
+    });
+  }
+};
+
+export default {
+  getConfig,
+};
@@ -1,28 +1,44 @@
 // Updated controllers/diditAuthController.js (with Prisma integration)
-import axios from 'axios';
-import rateLimit from 'express-rate-limit';
 import { body, validationResult } from 'express-validator';
-import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config/index.js';
 import { logger } from '../utils/logger.js'; // Winston or Pino logger
-import { PrismaClient } from '@prisma/client';
-import * as crypto from 'node:crypto';
+import { createRateLimiter } from '../middleware/rateLimit.js';
+import { prisma } from '../utils/prisma.js';
+import { recordSessionCreated, findSession, recordSessionWebhook } from '../services/verificationSessionService.js';
+import { enqueueWebhookEvent } from '../services/webhookInbox.js';
+import { SESSION_NAMESPACES } from '../services/sessionStore.js';
+import { sessionsCreatedTotal, recordDiditApiError } from '../services/metrics.js';
+import { AUDIT_ACTORS, requestActor, updateUserWithAudit } from '../services/kycAuditService.js';
+import { KYC_STATUS, canStartVerification, kycStatusUpdate } from '../services/kycStatusService.js';
+import { parseDocumentExpiry } from '../services/kycExpiryService.js';
+import { notifyKycStatusChange } from '../notifications/index.js';
+import { getKycProvider, SESSION_STATUS } from '../providers/index.js';
+import { CIRCUIT_STATES, getDiditClientStats } from '../providers/diditClient.js';
 
 // Prisma client
-const prisma = new PrismaClient();
 
 // Environment variables
-const DIDIT_API_KEY = process.env.DIDIT_API_KEY;
-const DIDIT_WORKFLOW_ID = process.env.DIDIT_WORKFLOW_ID;
-const DIDIT_BASE_URL = 'https://verification.didit.me/v2';
-const CALLBACK_URL = `${process.env.APP_URL}/api/v1/didit/webhook`;
-
-// Rate limiter: 5 verification requests per minute per user
-const diditLimiter = rateLimit({
-  windowMs: 60_000,
-  max: 5,
+const CALLBACK_URL = `${config.server.appUrl}/api/v1/didit/webhook`;
+
+// Legacy webhook statuses mapped to normalized session statuses.
+// Unknown statuses leave kycStatus unchanged.
+const LEGACY_STATUS_MAP = {
+  completed: SESSION_STATUS.APPROVED,
+  approved: SESSION_STATUS.APPROVED,
+  in_review: SESSION_STATUS.IN_REVIEW,
+  failed: SESSION_STATUS.DECLINED,
+  declined: SESSION_STATUS.DECLINED,
+  abandoned: SESSION_STATUS.ABANDONED,
+  expired: SESSION_STATUS.EXPIRED,
+};
+
+// Rate limiter: verification requests per window (RATE_LIMIT_MAX_REQUESTS)
+const diditLimiter = createRateLimiter({
+  name: 'didit-initiate',
+  windowMs: config.rateLimit.sessionWindowMs ?? config.rateLimit.windowMs,
+  max: config.rateLimit.sessionMax,
+  keyBy: 'user',
   message: { error: 'Too many verification attempts. Try again later.' },
-  standardHeaders: true,
-  legacyHeaders: false,
 });
 
 /**
@@ -45,7 +61,7 @@ export const initiateDiditVerification = [
     }
 
     const { userId } = req.body;
-    const correlationId = uuidv4();
+    const correlationId = req.requestId;
 
     try {
       logger.info('Initiating Didit verification', { userId, correlationId });
@@ -59,8 +75,16 @@ export const initiateDiditVerification = [
         logger.info('Created new user for verification', { userId });
       }
 
-      // Check retry limit (max 2 retries = 3 total attempts)
-      const MAX_RETRIES = 2;
+      // Erased users keep only their retention record
+      if (user.erasedAt) {
+        return res.status(409).json({
+          error: 'Verification cannot be started',
+          message: 'This user\'s data has been erased.',
+        });
+      }
+
+      // Check retry limit
+      const MAX_RETRIES = config.kyc.maxVerificationRetries;
       if (user.verificationRetries >= MAX_RETRIES) {
         logger.warn('User exceeded verification retry limit', { 
           userId, 
@@ -75,7 +99,7 @@ export const initiateDiditVerification = [
       }
 
       // Check if already verified
-      if (user.kycStatus === 'VERIFIED') {
+      if (user.kycStatus === KYC_STATUS.VERIFIED) {
         logger.info('User already verified', { userId });
         return res.status(200).json({
           success: false,
@@ -88,43 +112,52 @@ export const initiateDiditVerification = [
         });
       }
 
-      const payload = {
-        workflow_id: DIDIT_WORKFLOW_ID,
-        vendor_data: userId, // Maps to your internal user ID
-        callback: CALLBACK_URL,
+      // Users in review or revoked cannot start a new session
+      if (!canStartVerification(user.kycStatus)) {
+        return res.status(409).json({
+          error: 'Verification cannot be started',
+          message: `A new verification session cannot be started while KYC status is ${user.kycStatus}.`,
+          kycStatus: user.kycStatus,
+        });
+      }
+
+      const provider = getKycProvider();
+      const session = await provider.createSession({
+        userId, // Sent as vendor_data, maps to your internal user ID
+        callbackUrl: CALLBACK_URL,
         // Optional: Add redirect URLs for success/failure
-        redirect_url_success: `${process.env.FRONTEND_URL}/verification/success`,
-        redirect_url_failure: `${process.env.FRONTEND_URL}/verification/failed`,
-        // Verification requirements - ID, Phone, and Liveness
-        verification_types: {
-          id_verification: true,      // Enable ID verification
-          phone_verification: true,   // Enable phone verification
-          liveness_check: true,        // Enable liveness detection
-        },
-      };
-
-      const response = await axios.post(
-        `${DIDIT_BASE_URL}/session/`,
-        payload,
-        {
-          headers: {
-            'accept': 'application/json',
-            'content-type': 'application/json',
-            'x-api-key': DIDIT_API_KEY,
+        successUrl: `${config.server.frontendUrl}/verification/success`,
+        failureUrl: `${config.server.frontendUrl}/verification/failed`,
+        providerOptions: {
+          // Verification requirements - ID, Phone, and Liveness
+          verification_types: {
+            id_verification: true,      // Enable ID verification
+            phone_verification: true,   // Enable phone verification
+            liveness_check: true,        // Enable liveness detection
           },
-          timeout: 10_000,
-        }
-      );
+        },
+      });
 
-      const { session_id, url } = response.data;
+      const {
+        sessionId: session_id,
+        sessionNumber: session_number,
+        verificationUrl: url,
+        providerStatus: status,
+      } = session;
+
+      sessionsCreatedTotal.inc({ provider: provider.name });
 
       // Increment retry counter and update last attempt timestamp
-      await prisma.user.update({
-        where: { id: userId },
-        data: {
-          verificationRetries: user.verificationRetries + 1,
-          lastVerificationAttempt: new Date(),
-        },
+      await updateUserWithAudit(userId, {
+        kycStatus: KYC_STATUS.IN_PROGRESS,
+        kycProvider: provider.name,
+        verificationRetries: user.verificationRetries + 1,
+        lastVerificationAttempt: new Date(),
+      }, {
+        actor: requestActor(req.auth),
+        action: 'session.created',
+        sessionId: session_id,
+        correlationId,
       });
 
       logger.info('User verification retry incremented', { 
@@ -133,23 +166,35 @@ export const initiateDiditVerification = [
         retriesRemaining: MAX_RETRIES - (user.verificationRetries + 1)
       });
 
-      // Store session mapping in Redis (or DB) for webhook correlation
+      // Persist session in DB so correlation survives Redis outages
       try {
-        // Redis v4+ uses setEx (camelCase) or set with EX option
-        await req.app.locals.redis.set(
-          `didit:session:${session_id}`,
-          JSON.stringify({ userId, correlationId, initiatedAt: new Date() }),
-          { EX: 3600 } // 1 hour TTL
-        );
-        logger.info('Session stored in Redis', { session_id });
-      } catch (redisError) {
-        // Redis is optional, log warning but continue
-        logger.warn('Failed to store session in Redis, webhook correlation may fail', { 
-          error: redisError.message,
-          session_id 
+        await recordSessionCreated({
+          sessionId: session_id,
+          sessionNumber: session_number,
+          userId,
+          provider: provider.name,
+          workflowId: session.workflowId,
+          status,
+          correlationId,
+          verificationUrl: url,
+        });
+      } catch (dbError) {
+        logger.error('Failed to persist verification session', {
+          error: dbError.message,
+          session_id,
+          userId,
         });
       }
 
+      // Store session mapping for webhook correlation
+      const storedIn = await req.app.locals.sessionStore.set(
+        SESSION_NAMESPACES.SESSION,
+        session_id,
+        { userId, correlationId, initiatedAt: new Date() },
+        { ttlSeconds: config.kyc.sessionTtlSeconds, userId }
+      );
+      logger.info('Session context stored', { session_id, store: storedIn });
+
       logger.info('Didit session created', { session_id, userId, correlationId });
 
       return res.status(201).json({
@@ -171,6 +216,18 @@ export const initiateDiditVerification = [
         correlationId,
       });
 
+      recordDiditApiError(error);
+
+      // Didit has been failing; don't wait on it
+      if (error.code === 'CIRCUIT_OPEN') {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(503).json({
+          error: 'Didit service unavailable',
+          message: 'Verification service is temporarily unavailable. Please try again later.',
+          retryAfter: error.retryAfter,
+        });
+      }
+
       // Handle specific HTTP error codes from Didit
       if (error.response?.status === 401) {
         return res.status(500).json({ 
@@ -207,89 +264,112 @@ export const initiateDiditVerification = [
 /**
  * POST /api/v1/didit/webhook
  * Didit calls this when verification completes
- * Must be public endpoint (no auth middleware)
+ * Must be public endpoint (no auth middleware); the signature is checked
+ * by the verifyDiditWebhook middleware
+ * Verified payloads are stored in the webhook inbox and applied by the
+ * webhook worker (see processLegacyWebhook)
  */
 export const diditWebhookHandler = async (req, res) => {
   const payload = req.body;
-  const signature = req.headers['x-didit-signature'];
+  const { session_id, status } = payload;
+
+  try {
+    const { event, duplicate } = await enqueueWebhookEvent({
+      source: 'didit-legacy',
+      payload,
+      rawBody: req.rawBody.toString('utf8'),
+    });
 
-  // Verify webhook signature (HMAC)
-  if (!verifyDiditSignature(payload, signature)) {
-    logger.warn('Invalid Didit webhook signature', { payload });
-    return res.status(401).json({ error: 'Invalid signature' });
+    logger.info('Didit webhook received', { eventId: event?.id, session_id, status, duplicate });
+
+    return res.status(200).json({ received: true, eventId: event?.id, duplicate });
+  } catch (error) {
+    logger.error('Failed to store Didit webhook', {
+      error: error.message,
+      session_id,
+    });
+    // Non-2xx so that Didit redelivers the webhook
+    return res.status(500).json({ received: false, error: 'Failed to store webhook' });
   }
+};
 
+/**
+ * Applies a stored legacy webhook. Throws on failure so that the
+ * webhook worker retries the event.
+ */
+export async function processLegacyWebhook(payload, { sessionStore }) {
   const { session_id, status, vendor_data } = payload;
   const userId = vendor_data; // We sent userId as vendor_data
 
-  try {
-    // Retrieve session context from Redis (if available)
-    let correlationId = null;
-    try {
-      const sessionData = await req.app.locals.redis.get(`didit:session:${session_id}`);
-      if (sessionData) {
-        const parsed = JSON.parse(sessionData);
-        correlationId = parsed.correlationId;
-      } else {
-        logger.warn('Didit webhook: session not found in Redis (may have expired)', { session_id });
-      }
-    } catch (redisError) {
-      // Redis not available, continue without session correlation
-      logger.warn('Redis not available for webhook, proceeding without session correlation', { 
-        error: redisError.message 
-      });
-    }
+  // Retrieve session context, falling back to the persisted session
+  const sessionContext = await sessionStore.get(SESSION_NAMESPACES.SESSION, session_id);
+  let correlationId = sessionContext?.correlationId || null;
 
-    logger.info('Didit verification completed', {
-      session_id,
-      userId,
-      status,
-      correlationId,
-    });
+  const storedSession = await findSession(session_id);
+  if (storedSession) {
+    correlationId = correlationId || storedSession.correlationId;
+  } else if (!correlationId) {
+    logger.warn('Didit webhook: session not found in session store or database', { session_id });
+  }
 
-    // Update user verification status in DB
-    await updateUserVerificationStatus(userId, status, payload);
+  logger.info('Didit verification completed', {
+    session_id,
+    userId,
+    status,
+    correlationId,
+  });
 
-    // Clean up Redis session (if Redis is available)
-    try {
-      await req.app.locals.redis.del(`didit:session:${session_id}`);
-    } catch (redisError) {
-      logger.warn('Failed to delete Redis session', { error: redisError.message });
-    }
+  const kycProvider = storedSession?.provider || 'DIDIT';
+  const audit = {
+    actor: { type: AUDIT_ACTORS.WEBHOOK, id: kycProvider },
+    sessionId: session_id,
+    correlationId,
+  };
 
-    // Trigger internal events (e.g., send email, unlock trading)
-    if (status === 'completed') {
-      await triggerPostVerificationActions(userId);
-    }
+  // Update user verification status in DB
+  const sessionStatus = LEGACY_STATUS_MAP[String(status).toLowerCase()] || null;
+  const applied = await updateUserVerificationStatus(userId, sessionStatus, payload, kycProvider, audit);
 
-    // Always respond 200 to Didit
-    return res.status(200).json({ received: true });
-  } catch (error) {
-    logger.error('Didit webhook processing failed', {
-      error: error.message,
+  try {
+    // Legacy webhooks are only sent once verification has finished
+    await recordSessionWebhook(session_id, {
+      userId,
+      status,
+      decided: true,
+      decision: payload.verification_data,
+    });
+  } catch (dbError) {
+    logger.error('Failed to record webhook on verification session', {
+      error: dbError.message,
       session_id,
       userId,
     });
-    return res.status(200).json({ received: true }); // Still acknowledge
   }
-};
 
-// Helper: Verify Didit webhook HMAC signature
-function verifyDiditSignature(payload, signature) {
-  const hmac = crypto.createHmac('sha256', process.env.DIDIT_WEBHOOK_SECRET);
-  const digest = hmac.update(JSON.stringify(payload)).digest('hex');
-  return crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(digest));
+  // Clean up session context
+  await sessionStore.delete(SESSION_NAMESPACES.SESSION, session_id);
+
+  // Trigger internal events (e.g., send email, unlock trading)
+  if (applied && sessionStatus === SESSION_STATUS.APPROVED) {
+    await triggerPostVerificationActions(userId, audit);
+  }
 }
 
-// Helper: Update user in DB
-async function updateUserVerificationStatus(userId, status, details) {
-  const verificationStatus = status === 'completed' ? 'VERIFIED' : 'FAILED';
-  
+// Helper: Update user in DB. Returns false if the KYC state machine rejected the update.
+async function updateUserVerificationStatus(userId, sessionStatus, details, kycProvider, audit) {
+  const statusUpdate = kycStatusUpdate(sessionStatus);
+  const verificationStatus = statusUpdate.kycStatus;
+
+  if (!verificationStatus) {
+    logger.warn('Unknown Didit webhook status, kycStatus left unchanged', { userId, status: details.status });
+  }
+
   // Extract verification details from Didit webhook payload
   const verificationData = details.verification_data || {};
   const idVerified = verificationData.id_verification?.status === 'verified' || false;
   const phoneVerified = verificationData.phone_verification?.status === 'verified' || false;
   const phoneNumber = verificationData.phone_verification?.phone_number || null;
+  const documentExpiresAt = parseDocumentExpiry(verificationData.id_verification?.expiration_date);
   
   logger.info(`Updating user ${userId} verification status`, { 
     verificationStatus,
@@ -298,39 +378,50 @@ async function updateUserVerificationStatus(userId, status, details) {
     phoneNumber: phoneNumber ? '***' + phoneNumber.slice(-4) : null
   });
 
-  await prisma.user.update({
-    where: { id: userId },
-    data: {
-      kycStatus: verificationStatus,
-      kycProvider: 'DIDIT',
-      kycCompletedAt: status === 'completed' ? new Date() : null,
+  let previous;
+  let updated;
+  try {
+    previous = await prisma.user.findUnique({ where: { id: userId }, select: { kycStatus: true } });
+    updated = await updateUserWithAudit(userId, {
+      ...statusUpdate,
+      kycProvider,
       kycDetails: JSON.stringify(details), // Store as JSON string for SQLite
       idVerified,
       phoneVerified,
       phoneNumber,
-    },
-  });
+      ...(documentExpiresAt && { documentExpiresAt }),
+    }, { ...audit, action: 'webhook.status_updated' });
+  } catch (error) {
+    // Out-of-order webhooks are acknowledged but not applied
+    if (error.code === 'ILLEGAL_KYC_TRANSITION') {
+      logger.warn(`Didit webhook for user ${userId} ignored`, { reason: error.message });
+      return false;
+    }
+    throw error;
+  }
 
   logger.info(`User ${userId} KYC updated successfully`, {
     idVerified,
     phoneVerified,
     status: verificationStatus
   });
+
+  await notifyKycStatusChange(updated, previous?.kycStatus, {
+    retriesRemaining: Math.max(0, config.kyc.maxVerificationRetries - updated.verificationRetries),
+    sessionId: audit.sessionId,
+  });
+
+  return true;
 }
 
 // Helper: Post-verification actions
-async function triggerPostVerificationActions(userId) {
+async function triggerPostVerificationActions(userId, audit) {
   logger.info(`Triggering post-verification actions for user ${userId}`);
 
   // Enable trading account in DB
-  await prisma.user.update({
-    where: { id: userId },
-    data: { tradingEnabled: true },
-  });
+  await updateUserWithAudit(userId, { tradingEnabled: true }, { ...audit, action: 'trading.enabled' });
 
-  // TODO: Implement actual actions like sending email
-  // Example: await sendVerificationSuccessEmail(userId);
-  // await notifyComplianceTeam(userId);
+  // The approval email is sent from updateUserVerificationStatus
 
   logger.info(`Trading enabled for user ${userId}`);
 }
@@ -354,10 +445,11 @@ export const checkVerificationStatus = async (req, res) => {
         idVerified: user.idVerified,
         phoneVerified: user.phoneVerified,
         verificationRetries: user.verificationRetries,
-        retriesRemaining: Math.max(0, 2 - user.verificationRetries),
+        retriesRemaining: Math.max(0, config.kyc.maxVerificationRetries - user.verificationRetries),
         lastAttempt: user.lastVerificationAttempt,
         tradingEnabled: user.tradingEnabled,
         completedAt: user.kycCompletedAt,
+        canStartVerification: canStartVerification(user.kycStatus),
       },
     });
   } catch (error) {
@@ -368,5 +460,9 @@ export const checkVerificationStatus = async (req, res) => {
 
 // Optional: Health check endpoint
 export const diditHealth = async (_, res) => {
-  return res.json({ status: 'Didit integration active' });
+  const { circuit } = getDiditClientStats();
+  return res.json({
+    status: circuit.state === CIRCUIT_STATES.OPEN ? 'Didit integration unavailable' : 'Didit integration active',
+    circuit: circuit.state,
+  });
 };
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * Health Controller - Liveness and readiness probes
+ *
+ * /livez only says the process is up; /readyz checks the database, Redis,
+ * migrations, the Didit configuration and the Didit circuit
+ * (services/healthService.js). Readiness answers 503 when a dependency is
+ * unhealthy, and 200 when everything is ok or merely degraded.
+ *
+ * /readyz is public and only gives the overall status; the per-dependency
+ * report (errors, migration state, circuit state) is admin-only.
+ */
+
+import { logger } from '../utils/logger.js';
+import { HEALTH_STATUSES, checkLiveness, checkReadiness } from '../services/healthService.js';
+
+/**
+ * GET /livez
+ * Returns 200 while the process is serving requests
+ */
+export const livez = async (req, res) => {
+  return res.status(200).json(checkLiveness());
+};
+
+/**
+ * GET /readyz
+ * Returns the overall readiness status
+ */
+export const readyz = async (req, res) => {
+  return respondWithReadiness(req, res, { details: false });
+};
+
+/**
+ * GET /api/v1/admin/health
+ * Returns the status, latency and details of each dependency
+ */
+export const getHealthDetails = async (req, res) => {
+  return respondWithReadiness(req, res, { details: true });
+};
+
+async function respondWithReadiness(req, res, { details }) {
+  try {
+    const readiness = await checkReadiness({
+      redis: req.app.locals.redis,
+      sessionStore: req.app.locals.sessionStore,
+    });
+
+    if (readiness.status === HEALTH_STATUSES.UNHEALTHY) {
+      logger.warn('Readiness check unhealthy', {
+        failing: Object.keys(readiness.checks).filter((name) => readiness.checks[name].status === HEALTH_STATUSES.UNHEALTHY),
+      });
+    }
+
+    const { status, timestamp } = readiness;
+    return res.status(status === HEALTH_STATUSES.UNHEALTHY ? 503 : 200).json(details ? readiness : { status, timestamp });
+  } catch (error) {
+    logger.error('Error running readiness checks', { error: error.message });
+    return res.status(503).json({
+      status: HEALTH_STATUSES.UNHEALTHY,
+      error: 'Failed to run readiness checks'
+    });
+  }
+}
+
+export default {
+  livez,
+  readyz,
+  getHealthDetails,
+};
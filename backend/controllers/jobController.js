@@ -0,0 +1,99 @@
+/**
+ * Job Controller - Admin access to scheduled background jobs
+ *
+ * Shows the state of each job registered with the scheduler and lets
+ * operators trigger a run outside the schedule.
+ */
+
+import { body, param, validationResult } from 'express-validator';
+import { logger } from '../utils/logger.js';
+import { getJobStatuses, runJob } from '../services/scheduler.js';
+
+/**
+ * GET /api/v1/admin/jobs
+ * Lists registered jobs with their last run and lock holder
+ */
+export const listJobs = async (req, res) => {
+  try {
+    const jobs = await getJobStatuses();
+
+    return res.status(200).json({
+      success: true,
+      data: { jobs },
+    });
+  } catch (error) {
+    logger.error('Error listing jobs', { error: error.message });
+    return res.status(500).json({ 
+      success: false,
+      error: 'Failed to list jobs' 
+    });
+  }
+};
+
+/**
+ * POST /api/v1/admin/jobs/:name/run
+ * Runs a job immediately (still subject to the job lock)
+ *
+ * @body {boolean} dryRun - Optional: report what the job would do without changing anything
+ */
+export const triggerJob = [
+  param('name').isString().notEmpty(),
+  body('dryRun').optional().isBoolean({ strict: true }).withMessage('dryRun must be a boolean'),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name } = req.params;
+    const dryRun = req.body?.dryRun === true;
+
+    try {
+      logger.info('Job run requested', { job: name, dryRun, actor: req.auth.subject });
+
+      const run = await runJob(name, { trigger: 'manual', dryRun });
+
+      if (run.status === 'skipped') {
+        return res.status(409).json({
+          success: false,
+          error: 'Job run skipped',
+          reason: run.reason,
+        });
+      }
+
+      return res.status(200).json({
+        success: run.status === 'succeeded',
+        data: run,
+      });
+    } catch (error) {
+      if (error.code === 'JOB_NOT_FOUND') {
+        return res.status(404).json({ 
+          success: false,
+          error: error.message 
+        });
+      }
+
+      if (error.code === 'DRY_RUN_UNSUPPORTED') {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('Error running job', { error: error.message, job: name });
+      return res.status(500).json({ 
+        success: false,
+        error: 'Failed to run job' 
+      });
+    }
+  },
+];
+
+export default {
+  listJobs,
+  triggerJob,
+};
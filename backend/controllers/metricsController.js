@@ -0,0 +1,49 @@
+/**
+ * Metrics Controller - Prometheus scrape endpoint
+ *
+ * Serves every metric in services/metrics.js in the Prometheus text
+ * format. When METRICS_TOKEN is set, scrapers must send it as a bearer
+ * token.
+ */
+
+import * as crypto from 'node:crypto';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { METRICS_CONTENT_TYPE, renderMetrics } from '../services/metrics.js';
+
+/**
+ * GET /metrics
+ * Returns the process's metrics in the Prometheus text format
+ */
+export const getMetrics = async (req, res) => {
+  if (config.metrics.token && !hasToken(req.get('authorization'), config.metrics.token)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or missing metrics token'
+    });
+  }
+
+  try {
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    return res.status(200).send(renderMetrics());
+  } catch (error) {
+    logger.error('Error rendering metrics', { error: error.message });
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to render metrics'
+    });
+  }
+};
+
+// Constant-time comparison of the bearer token
+function hasToken(header, token) {
+  const [, value = ''] = /^Bearer\s+(.+)$/i.exec(header || '') || [];
+  const provided = crypto.createHash('sha256').update(value).digest();
+  const expected = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(provided, expected);
+}
+
+export default {
+  getMetrics,
+};
@@ -0,0 +1,261 @@
+/**
+ * Privacy Controller - GDPR data subject requests
+ *
+ * Users (or admins on their behalf) can download everything held on them;
+ * compliance staff erase it on request. Erasure is refused while a legal
+ * hold is set. See services/dataSubjectService.js for what each covers.
+ */
+
+import { body, param, validationResult } from 'express-validator';
+import { prisma } from '../utils/prisma.js';
+import { logger } from '../utils/logger.js';
+import { AUDIT_ACTORS, requestActor, updateUserWithAudit } from '../services/kycAuditService.js';
+import {
+  exportUserData,
+  eraseUserData,
+  listDataSubjectRequests,
+} from '../services/dataSubjectService.js';
+
+const reasonValidator = () => body('reason')
+  .isString()
+  .trim()
+  .isLength({ min: 3, max: 500 })
+  .withMessage('reason is required (3-500 characters)');
+
+/**
+ * GET /api/v1/verification/users/:userId/export
+ * Downloads all personal data held on a user as a JSON archive
+ */
+export const exportData = [
+  param('userId').isString().notEmpty(),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { userId } = req.params;
+
+    try {
+      const archive = await exportUserData(userId, {
+        sessionStore: req.app.locals.sessionStore,
+        actor: requestActor(req.auth),
+      });
+
+      if (!archive) {
+        return userNotFound(res);
+      }
+
+      res.set('Content-Disposition', `attachment; filename="kyc-export-${userId}.json"`);
+      res.set('Cache-Control', 'no-store');
+      return res.status(200).json(archive);
+    } catch (error) {
+      logger.error('Error exporting user data', { error: error.message, userId });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to export user data'
+      });
+    }
+  },
+];
+
+/**
+ * POST /api/v1/admin/users/:userId/erase
+ * Erases a user's personal data, keeping the KYC outcome as the retention record
+ *
+ * @body {string} reason - Required justification, e.g. the request reference
+ */
+export const eraseUser = [
+  param('userId').isString().notEmpty(),
+  reasonValidator(),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { userId } = req.params;
+    const { reason } = req.body;
+
+    try {
+      const summary = await eraseUserData(userId, {
+        redis: req.app.locals.redis,
+        sessionStore: req.app.locals.sessionStore,
+        actor: adminActor(req),
+        reason,
+      });
+
+      if (!summary) {
+        return userNotFound(res);
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: summary,
+        message: 'User data erased.',
+      });
+    } catch (error) {
+      if (error.code === 'LEGAL_HOLD') {
+        return res.status(409).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      logger.error('Error erasing user data', { error: error.message, userId });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to erase user data'
+      });
+    }
+  },
+];
+
+/**
+ * PUT /api/v1/admin/users/:userId/legal-hold
+ * Places a user under legal hold, which blocks erasure
+ *
+ * @body {string} reason - Required: the matter or order requiring the hold
+ */
+export const setLegalHold = [
+  param('userId').isString().notEmpty(),
+  reasonValidator(),
+
+  async (req, res) => changeLegalHold(req, res, true),
+];
+
+/**
+ * DELETE /api/v1/admin/users/:userId/legal-hold
+ * Lifts a user's legal hold
+ *
+ * @body {string} reason - Required justification for lifting the hold
+ */
+export const clearLegalHold = [
+  param('userId').isString().notEmpty(),
+  reasonValidator(),
+
+  async (req, res) => changeLegalHold(req, res, false),
+];
+
+/**
+ * GET /api/v1/admin/users/:userId/data-requests
+ * Lists the exports and erasures carried out for a user
+ */
+export const getDataSubjectRequests = [
+  param('userId').isString().notEmpty(),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { userId } = req.params;
+
+    try {
+      const requests = await listDataSubjectRequests(userId);
+
+      return res.status(200).json({
+        success: true,
+        data: { userId, requests },
+      });
+    } catch (error) {
+      logger.error('Error fetching data subject requests', { error: error.message, userId });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch data subject requests'
+      });
+    }
+  },
+];
+
+/**
+ * ============================================================
+ * HELPER FUNCTIONS
+ * ============================================================
+ */
+
+async function changeLegalHold(req, res, legalHold) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const { userId } = req.params;
+  const { reason } = req.body;
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    const updated = await updateUserWithAudit(userId, {
+      legalHold,
+      legalHoldReason: legalHold ? reason : null,
+    }, {
+      actor: adminActor(req),
+      action: legalHold ? 'admin.legal_hold_set' : 'admin.legal_hold_cleared',
+      reason,
+    });
+
+    logger.info('Legal hold changed by admin', {
+      userId,
+      legalHold,
+      previous: user.legalHold,
+      actor: req.auth.subject,
+      reason,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        id: updated.id,
+        legalHold: updated.legalHold,
+        legalHoldReason: updated.legalHoldReason,
+        erasedAt: updated.erasedAt,
+      },
+      message: `Legal hold ${legalHold ? 'set' : 'cleared'}.`,
+    });
+  } catch (error) {
+    logger.error('Error changing legal hold', { error: error.message, userId });
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to change legal hold'
+    });
+  }
+}
+
+function adminActor(req) {
+  return { type: AUDIT_ACTORS.ADMIN, id: req.auth.subject };
+}
+
+function userNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'User not found'
+  });
+}
+
+export default {
+  exportData,
+  eraseUser,
+  setLegalHold,
+  clearLegalHold,
+  getDataSubjectRequests,
+};
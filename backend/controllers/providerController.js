@@ -0,0 +1,32 @@
+/**
+ * Provider Controller - Admin view of the Didit API client
+ *
+ * Reports the circuit breaker state and per-endpoint request counts,
+ * statuses, retries and latencies since the process started.
+ */
+
+import { logger } from '../utils/logger.js';
+import { getDiditClientStats } from '../providers/diditClient.js';
+
+/**
+ * GET /api/v1/admin/providers/didit
+ * Returns the Didit client's circuit state and per-endpoint metrics
+ */
+export const getDiditStats = async (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      data: getDiditClientStats(),
+    });
+  } catch (error) {
+    logger.error('Error reading Didit client metrics', { error: error.message });
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to read Didit client metrics'
+    });
+  }
+};
+
+export default {
+  getDiditStats,
+};
@@ -1,35 +1,54 @@
 /**
- * Verification Controller - Complete Didit Verification Flow
+ * Verification Controller - Complete Verification Flow
  * 
- * This controller implements the full verification flow including:
+ * All vendor calls go through the configured KYC provider (see providers/),
+ * Didit by default. This controller implements the full verification flow including:
  * 1. Session-based verification (ID + Phone + Liveness)
  * 2. Standalone phone verification (send/check code)
  * 3. Standalone ID verification
  * 4. Session retrieval
  * 5. Webhook handling
+ * 6. Live status stream (Server-Sent Events)
  */
 
-import axios from 'axios';
-import { body, validationResult } from 'express-validator';
-import { v4 as uuidv4 } from 'uuid';
 import * as crypto from 'node:crypto';
-import { logger } from '../utils/logger.js';
-import { PrismaClient } from '@prisma/client';
-
-const prisma = new PrismaClient();
-
-// Didit API Configuration
-const DIDIT_API_KEY = process.env.DIDIT_API_KEY;
-const DIDIT_WORKFLOW_ID = process.env.DIDIT_WORKFLOW_ID;
-const DIDIT_BASE_URL = 'https://verification.didit.me/v2';
-const DIDIT_WEBHOOK_SECRET = process.env.DIDIT_WEBHOOK_SECRET;
-const CALLBACK_URL = `${process.env.APP_URL}/api/v1/didit/webhook`;
-const FRONTEND_URL = process.env.FRONTEND_URL;
+import { body, param, query, validationResult } from 'express-validator';
+import { config } from '../config/index.js';
+import { logger, logSecurityEvent } from '../utils/logger.js';
+import { prisma } from '../utils/prisma.js';
+import {
+  recordSessionCreated,
+  findSession,
+  recordSessionWebhook,
+  recordSessionReconciled,
+  listUserSessions,
+} from '../services/verificationSessionService.js';
+import { enqueueWebhookEvent, redactWebhookEvent } from '../services/webhookInbox.js';
+import { SESSION_NAMESPACES } from '../services/sessionStore.js';
+import { sessionsCreatedTotal, recordDiditApiError } from '../services/metrics.js';
+import { subscribeToStatus } from '../services/statusStream.js';
+import { KYC_STATUS, canStartVerification, kycStatusUpdate } from '../services/kycStatusService.js';
+import { kycExpiresAt, parseDocumentExpiry } from '../services/kycExpiryService.js';
+import { AUDIT_ACTORS, requestActor, updateUserWithAudit } from '../services/kycAuditService.js';
+import { sendNotification, notifyKycStatusChange, NOTIFICATION_TYPES } from '../notifications/index.js';
+import { getKycProvider, SESSION_STATUS, FINAL_SESSION_STATUSES } from '../providers/index.js';
+
+// Verification Configuration
+const CALLBACK_URL = `${config.server.appUrl}/api/v1/verification/webhook`;
+const FRONTEND_URL = config.server.frontendUrl;
 
 // Constants
-const MAX_VERIFICATION_RETRIES = 2;
-const SESSION_TTL = 3600; // 1 hour
-const PHONE_CODE_VALIDITY = 300; // 5 minutes
+const MAX_VERIFICATION_RETRIES = config.kyc.maxVerificationRetries;
+const SESSION_TTL = config.kyc.sessionTtlSeconds;
+const PHONE_CODE_VALIDITY = config.kyc.phoneCodeValiditySeconds;
+const STREAM_HEARTBEAT_MS = 25_000;
+const STREAM_RETRY_MS = 5000; // client reconnect delay
+
+const ERASED_USER_RESPONSE = Object.freeze({
+  success: false,
+  error: 'Verification cannot be started',
+  message: 'This user\'s data has been erased.',
+});
 
 /**
  * ============================================================
@@ -63,7 +82,7 @@ export const createVerificationSession = [
     }
 
     const { userId, contactDetails, expectedDetails, metadata } = req.body;
-    const correlationId = uuidv4();
+    const correlationId = req.requestId;
 
     try {
       logger.info('Creating verification session', { userId, correlationId });
@@ -79,8 +98,13 @@ export const createVerificationSession = [
         });
       }
 
+      // Erased users keep only their retention record
+      if (user.erasedAt) {
+        return res.status(409).json(ERASED_USER_RESPONSE);
+      }
+
       // Check if already verified
-      if (user.kycStatus === 'VERIFIED') {
+      if (user.kycStatus === KYC_STATUS.VERIFIED) {
         return res.status(200).json({
           success: false,
           message: 'User is already verified',
@@ -93,6 +117,16 @@ export const createVerificationSession = [
         });
       }
 
+      // Users in review or revoked cannot start a new session
+      if (!canStartVerification(user.kycStatus)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Verification cannot be started',
+          message: `A new verification session cannot be started while KYC status is ${user.kycStatus}.`,
+          kycStatus: user.kycStatus,
+        });
+      }
+
       // Check retry limit
       if (user.verificationRetries >= MAX_VERIFICATION_RETRIES) {
         return res.status(429).json({
@@ -104,76 +138,90 @@ export const createVerificationSession = [
         });
       }
 
-      // Create Didit session
-      const payload = {
-        workflow_id: DIDIT_WORKFLOW_ID,
-        vendor_data: userId,
-        callback: CALLBACK_URL,
-        redirect_url_success: `${FRONTEND_URL}/verification/success`,
-        redirect_url_failure: `${FRONTEND_URL}/verification/failed`,
-      };
-
-      // Add optional fields if provided
-      if (contactDetails) {
-        payload.contact_details = contactDetails;
-      }
-      if (expectedDetails) {
-        payload.expected_details = expectedDetails;
-      }
-      if (metadata) {
-        payload.metadata = metadata;
-      }
+      // Create provider session
+      const provider = getKycProvider();
+      const session = await provider.createSession({
+        userId,
+        callbackUrl: CALLBACK_URL,
+        successUrl: `${FRONTEND_URL}/verification/success`,
+        failureUrl: `${FRONTEND_URL}/verification/failed`,
+        contactDetails,
+        expectedDetails,
+        metadata,
+      });
 
-      const response = await axios.post(
-        `${DIDIT_BASE_URL}/session/`,
-        payload,
-        {
-          headers: {
-            'accept': 'application/json',
-            'content-type': 'application/json',
-            'x-api-key': DIDIT_API_KEY,
-          },
-          timeout: 10000,
-        }
-      );
+      const {
+        sessionId: session_id,
+        sessionNumber: session_number,
+        sessionToken: session_token,
+        verificationUrl: url,
+        providerStatus: status,
+      } = session;
 
-      const { session_id, session_number, session_token, url, status } = response.data;
+      sessionsCreatedTotal.inc({ provider: provider.name });
 
       // Increment retry counter
-      await prisma.user.update({
-        where: { id: userId },
-        data: {
-          verificationRetries: user.verificationRetries + 1,
-          lastVerificationAttempt: new Date(),
-        },
+      await updateUserWithAudit(userId, {
+        kycStatus: KYC_STATUS.IN_PROGRESS,
+        kycProvider: provider.name,
+        verificationRetries: user.verificationRetries + 1,
+        lastVerificationAttempt: new Date(),
+      }, {
+        actor: requestActor(req.auth),
+        action: 'session.created',
+        sessionId: session_id,
+        correlationId,
       });
 
-      // Store session in Redis
+      // Persist session for webhook correlation and attempt history
       try {
-        await req.app.locals.redis.set(
-          `didit:session:${session_id}`,
-          JSON.stringify({ 
-            userId, 
-            correlationId, 
-            initiatedAt: new Date(),
-            sessionNumber: session_number 
-          }),
-          { EX: SESSION_TTL }
-        );
-      } catch (redisError) {
-        logger.warn('Failed to store session in Redis', { 
-          error: redisError.message,
-          session_id 
+        await recordSessionCreated({
+          sessionId: session_id,
+          sessionNumber: session_number,
+          userId,
+          provider: provider.name,
+          workflowId: session.workflowId,
+          status,
+          correlationId,
+          verificationUrl: url,
+        });
+      } catch (dbError) {
+        logger.error('Failed to persist verification session', {
+          error: dbError.message,
+          session_id,
+          userId,
+          correlationId,
         });
       }
 
+      // Store session context for webhook correlation
+      await req.app.locals.sessionStore.set(
+        SESSION_NAMESPACES.SESSION,
+        session_id,
+        { 
+          userId, 
+          correlationId, 
+          initiatedAt: new Date(),
+          sessionNumber: session_number 
+        },
+        { ttlSeconds: SESSION_TTL, userId }
+      );
+
       logger.info('Verification session created', { 
         session_id, 
         session_number,
+        provider: provider.name,
         userId, 
         correlationId 
       });
 
+      // Not awaited: the email must not delay the redirect
+      sendNotification(userId, NOTIFICATION_TYPES.SESSION_CREATED, {
+        verificationUrl: url,
+        expiresInMinutes: SESSION_TTL / 60,
+        retriesRemaining: MAX_VERIFICATION_RETRIES - (user.verificationRetries + 1),
+      }, { sessionId: session_id });
+
       return res.status(201).json({
         success: true,
         data: {
@@ -182,6 +230,7 @@ export const createVerificationSession = [
           session_token,
           verification_url: url,
           status,
+          provider: provider.name,
           expires_in: SESSION_TTL,
           retriesUsed: user.verificationRetries + 1,
           retriesRemaining: MAX_VERIFICATION_RETRIES - (user.verificationRetries + 1),
@@ -206,7 +255,7 @@ export const createVerificationSession = [
  * GET /api/v1/verification/session/:sessionId
  * Retrieves the status and results of a verification session
  * 
- * @param {string} sessionId - Didit session ID
+ * @param {string} sessionId - Provider session ID
  */
 export const retrieveSession = async (req, res) => {
   const { sessionId } = req.params;
@@ -214,27 +263,22 @@ export const retrieveSession = async (req, res) => {
   try {
     logger.info('Retrieving verification session', { sessionId });
 
-    const response = await axios.get(
-      `${DIDIT_BASE_URL}/session/${sessionId}/`,
-      {
-        headers: {
-          'accept': 'application/json',
-          'x-api-key': DIDIT_API_KEY,
-        },
-        timeout: 10000,
-      }
-    );
-
-    const sessionData = response.data;
+    // Use the provider that created the session, if we know it
+    const storedSession = await findSession(sessionId);
+    const provider = getKycProvider(storedSession?.provider);
+    const session = await provider.getSession(sessionId);
 
     logger.info('Session retrieved successfully', { 
       sessionId, 
-      status: sessionData.status 
+      provider: provider.name,
+      status: session.status 
     });
 
     return res.status(200).json({
       success: true,
-      data: sessionData,
+      provider: provider.name,
+      status: session.status,
+      data: session.raw,
     });
 
   } catch (error) {
@@ -292,56 +336,45 @@ export const sendPhoneVerificationCode = [
     }
 
     const { userId } = req.body;
-    const correlationId = uuidv4();
+    const correlationId = req.requestId;
 
     try {
+      // Erased users keep only their retention record
+      if (userId && await isErasedUser(userId)) {
+        return res.status(409).json(ERASED_USER_RESPONSE);
+      }
+
       logger.info('Sending phone verification code', { 
         phoneNumber: maskPhoneNumber(incomingNumber), 
         userId,
         correlationId 
       });
 
-      const response = await axios.post(
-        `${DIDIT_BASE_URL}/phone/send/`,
-        { phone_number: incomingNumber },
-        {
-          headers: {
-            'accept': 'application/json',
-            'content-type': 'application/json',
-            'x-api-key': DIDIT_API_KEY,
-          },
-          timeout: 10000,
-        }
+      const result = await getKycProvider().sendPhoneCode(incomingNumber);
+      const { requestId: request_id, phoneNumber: phone_number } = result;
+
+      // Keyed by phone number so that /phone/check can bind the code to this user
+      await req.app.locals.sessionStore.set(
+        SESSION_NAMESPACES.PHONE,
+        phoneCodeKey(incomingNumber),
+        { 
+          userId, 
+          requestId: request_id,
+          phoneNumber: incomingNumber, 
+          correlationId,
+          sentAt: new Date() 
+        },
+        { ttlSeconds: PHONE_CODE_VALIDITY, userId }
       );
 
-      const { request_id, phone_number, message } = response.data;
-
-      // Store request_id in Redis for verification
-      try {
-        await req.app.locals.redis.set(
-          `didit:phone:${request_id}`,
-          JSON.stringify({ 
-            userId, 
-            phoneNumber: incomingNumber, 
-            correlationId,
-            sentAt: new Date() 
-          }),
-          { EX: PHONE_CODE_VALIDITY }
-        );
-      } catch (redisError) {
-        logger.warn('Failed to store phone verification in Redis', { 
-          error: redisError.message 
-        });
-      }
-
       logger.info('Phone verification code sent', { 
         request_id, 
         phone: maskPhoneNumber(phone_number || incomingNumber),
         userId 
       });
 
-      // Return DIDIT response directly to match expected cURL response shape
-      return res.status(200).json(response.data);
+      // Return the provider response directly to match expected cURL response shape
+      return res.status(200).json(result.raw);
 
     } catch (error) {
       logger.error('Failed to send phone verification code', {
@@ -362,10 +395,13 @@ export const sendPhoneVerificationCode = [
  * 
  * @body {string} phone_number - Phone number in E.164 format
  * @body {string} code - 6-digit verification code
+ * @body {string} userId - User UUID; must be the user the code was sent for.
+ *   Filled in from a user token; optional for kyc:admin / kyc:write API keys
  */
 export const checkPhoneVerificationCode = [
   body('code').isLength({ min: 4, max: 6 }).withMessage('Valid verification code is required'),
   body('phone_number').optional().isMobilePhone().withMessage('Valid phone number is required'),
+  body('userId').optional().isUUID(4).withMessage('Valid userId (UUID v4) is required'),
 
   async (req, res) => {
     const errors = validationResult(req);
@@ -377,10 +413,10 @@ export const checkPhoneVerificationCode = [
     }
 
     const incomingNumber = req.body.phone_number;
-    const { code } = req.body;
+    const { code, userId } = req.body;
 
     try {
-      logger.info('Checking phone verification code', { phoneNumber: maskPhoneNumber(incomingNumber), code });
+      logger.info('Checking phone verification code', { phoneNumber: maskPhoneNumber(incomingNumber), userId });
 
       if (!incomingNumber) {
         return res.status(400).json({ 
@@ -389,27 +425,32 @@ export const checkPhoneVerificationCode = [
         });
       }
 
-      // Prepare payload with phone number if available
-      const payload = {
-        code: code,
-        phone_number: incomingNumber
-      };
-
-      const response = await axios.post(
-        `${DIDIT_BASE_URL}/phone/check/`,
-        payload,
-        {
-          headers: {
-            'accept': 'application/json',
-            'content-type': 'application/json',
-            'x-api-key': DIDIT_API_KEY,
-          },
-          timeout: 10000,
+      // Same binding as /phone/send: a user can only check a code sent for them
+      if (userId) {
+        const pending = await req.app.locals.sessionStore.get(SESSION_NAMESPACES.PHONE, phoneCodeKey(incomingNumber));
+        if (pending?.userId !== userId) {
+          logSecurityEvent('auth.forbidden', {
+            reason: 'phone_code_not_sent_for_user',
+            subject: req.auth?.subject,
+            targetUserId: userId,
+            path: req.originalUrl,
+          });
+          return res.status(403).json({
+            success: false,
+            error: 'No verification code was sent to this phone number for this user',
+          });
         }
-      );
+      }
+
+      const result = await getKycProvider().checkPhoneCode({ phoneNumber: incomingNumber, code });
+
+      logger.info('Phone verification code checked', {
+        phoneNumber: maskPhoneNumber(incomingNumber),
+        approved: result.approved,
+      });
 
-      // Return DIDIT response directly to match expected cURL response shape
-      return res.status(200).json(response.data);
+      // Return the provider response directly to match expected cURL response shape
+      return res.status(200).json(result.raw);
 
     } catch (error) {
       logger.error('Failed to check phone verification code', {
@@ -453,46 +494,33 @@ export const verifyIdDocument = [
     }
 
     const { userId, frontImage, backImage, documentType } = req.body;
-    const correlationId = uuidv4();
+    const correlationId = req.requestId;
 
     try {
-      logger.info('Performing ID verification', { userId, documentType, correlationId });
-
-      const payload = {
-        front_image: frontImage,
-      };
-
-      if (backImage) {
-        payload.back_image = backImage;
+      // Checked before the images go to the provider
+      if (await isErasedUser(userId)) {
+        return res.status(409).json(ERASED_USER_RESPONSE);
       }
 
-      if (documentType) {
-        payload.document_type = documentType;
-      }
-
-      const response = await axios.post(
-        `${DIDIT_BASE_URL}/id-verification/`,
-        payload,
-        {
-          headers: {
-            'accept': 'application/json',
-            'content-type': 'application/json',
-            'x-api-key': DIDIT_API_KEY,
-          },
-          timeout: 30000, // ID verification can take longer
-        }
-      );
+      logger.info('Performing ID verification', { userId, documentType, correlationId });
 
-      const verificationResult = response.data;
+      const provider = getKycProvider();
+      const result = await provider.verifyDocument({ frontImage, backImage, documentType });
+      const { document } = result;
 
       // Update user ID verification status
-      if (verificationResult.status === 'verified' || verificationResult.status === 'Approved') {
-        await prisma.user.update({
-          where: { id: userId },
-          data: {
-            idVerified: true,
-            kycDetails: JSON.stringify(verificationResult),
-          },
+      if (result.approved) {
+        const documentExpiresAt = parseDocumentExpiry(document.expirationDate);
+
+        await updateUserWithAudit(userId, {
+          idVerified: true,
+          kycProvider: provider.name,
+          kycDetails: JSON.stringify(result.raw),
+          ...(documentExpiresAt && { documentExpiresAt }),
+        }, {
+          actor: requestActor(req.auth),
+          action: 'id.verified',
+          correlationId,
         });
 
         logger.info('ID verified successfully', { userId, correlationId });
@@ -501,16 +529,16 @@ export const verifyIdDocument = [
       return res.status(200).json({
         success: true,
         data: {
-          status: verificationResult.status,
-          document_type: verificationResult.document_type,
-          document_number: verificationResult.document_number,
-          first_name: verificationResult.first_name,
-          last_name: verificationResult.last_name,
-          date_of_birth: verificationResult.date_of_birth,
-          expiration_date: verificationResult.expiration_date,
-          nationality: verificationResult.nationality,
-          issuing_state: verificationResult.issuing_state,
-          warnings: verificationResult.warnings || [],
+          status: result.status,
+          document_type: document.type,
+          document_number: document.number,
+          first_name: document.firstName,
+          last_name: document.lastName,
+          date_of_birth: document.dateOfBirth,
+          expiration_date: document.expirationDate,
+          nationality: document.nationality,
+          issuing_state: document.issuingState,
+          warnings: result.warnings,
         },
       });
 
@@ -534,95 +562,196 @@ export const verifyIdDocument = [
 
 /**
  * POST /api/v1/verification/webhook
- * Handles Didit webhook callbacks for verification updates
+ * Receives Didit webhook callbacks for verification updates
+ * 
+ * The signature is checked by the verifyDiditWebhook middleware. Verified callbacks are stored in the webhook inbox before being
+ * acknowledged and are applied asynchronously by the webhook worker
+ * (see processVerificationWebhook).
  * 
  * Webhook types:
  * - status.updated: Status change notifications
  * - data.updated: Manual data updates by reviewers
  */
 export const handleWebhook = async (req, res) => {
-  const rawBody = JSON.stringify(req.body);
-  const signature = req.headers['x-didit-signature'];
-
-  // Verify webhook signature
-  if (!verifyWebhookSignature(rawBody, signature)) {
-    logger.warn('Invalid webhook signature', { 
-      headers: req.headers,
-      bodyPreview: rawBody.substring(0, 100) 
-    });
-    return res.status(401).json({ error: 'Invalid signature' });
-  }
+  const rawBody = req.rawBody.toString('utf8');
+  const { session_id, status, webhook_type } = req.body;
 
-  const payload = req.body;
-  const { 
-    session_id, 
-    status, 
-    vendor_data, 
-    webhook_type, 
-    decision,
-    workflow_id = process.env.DIDIT_WORKFLOW_ID,
-    metadata 
-  } = payload;
+  try {
+    // Late webhooks for an erased user are acknowledged but never stored
+    const storedSession = session_id ? await findSession(session_id) : null;
+    if (storedSession && await isErasedUser(storedSession.userId)) {
+      logger.info('Webhook for erased user dropped', { session_id, webhook_type });
+      return res.status(200).json({ received: true, dropped: true });
+    }
 
-  const userId = vendor_data;
+    const { event, duplicate } = await enqueueWebhookEvent({
+      source: 'verification',
+      payload: req.body,
+      rawBody,
+    });
 
-  try {
     logger.info('Webhook received', {
+      eventId: event?.id,
       session_id,
       status,
       webhook_type,
-      userId,
-      hasDecision: !!decision,
+      duplicate,
     });
 
-    // Retrieve session context from Redis
-    let sessionContext = null;
-    try {
-      const sessionData = await req.app.locals.redis.get(`didit:session:${session_id}`);
-      if (sessionData) {
-        sessionContext = JSON.parse(sessionData);
-      }
-    } catch (redisError) {
-      logger.warn('Redis not available for webhook', { error: redisError.message });
-    }
+    return res.status(200).json({ received: true, eventId: event?.id, duplicate });
 
-    // Process based on webhook type
-    if (webhook_type === 'status.updated') {
-      await handleStatusUpdate(userId, status, decision, payload);
-    } else if (webhook_type === 'data.updated') {
-      await handleDataUpdate(userId, decision, payload);
-    }
+  } catch (error) {
+    logger.error('Failed to store webhook', {
+      error: error.message,
+      session_id,
+      webhook_type,
+    });
+    // Non-2xx so that Didit redelivers the webhook
+    return res.status(500).json({ received: false, error: 'Failed to store webhook' });
+  }
+};
 
-    // Clean up Redis session if verification is complete
-    if (['Approved', 'Declined', 'Abandoned'].includes(status)) {
-      try {
-        await req.app.locals.redis.del(`didit:session:${session_id}`);
-      } catch (redisError) {
-        logger.warn('Failed to delete session from Redis', { error: redisError.message });
-      }
-    }
+/**
+ * Applies a stored verification webhook. Throws on failure so that the
+ * webhook worker retries the event.
+ * 
+ * @param {object} payload - Provider webhook body
+ * @param {object} context - Worker context ({ sessionStore })
+ */
+export async function processVerificationWebhook(payload, { sessionStore, eventId }) {
+  // Parse with the provider that created the session, which may no longer be the configured one
+  const storedSession = payload.session_id ? await findSession(payload.session_id) : null;
+  const provider = getKycProvider(storedSession?.provider);
+  const event = provider.parseWebhook(payload);
+
+  logger.info('Processing webhook', {
+    session_id: event.sessionId,
+    provider: provider.name,
+    status: event.providerStatus,
+    webhook_type: event.type,
+    userId: event.userId,
+    hasDecision: !!event.decision,
+  });
 
-    // Trigger post-verification actions for approved verifications
-    if (status === 'Approved' && decision) {
-      await triggerPostVerificationActions(userId, decision);
-    }
+  // Stored before the erasure finished: keep the event, not the payload
+  const ownerId = storedSession?.userId || event.userId;
+  if (ownerId && eventId && await isErasedUser(ownerId)) {
+    await redactWebhookEvent(eventId);
+  }
 
-    logger.info('Webhook processed successfully', { session_id, status, userId });
+  await applySessionEvent(event, { provider, sessionStore });
+}
 
-    // Always return 200 to acknowledge webhook
-    return res.status(200).json({ received: true });
+/**
+ * Applies a normalized session event to the persisted session and the user.
+ * Shared by webhook processing and the session reconciler
+ * (services/sessionReconciler.js), so both go through the same status
+ * mapping, state machine and post-verification actions.
+ *
+ * @param {object} event - Normalized event ({ sessionId, userId, type, status, providerStatus, workflowId, decision })
+ * @param {object} options
+ * @param {object} options.provider - Provider the session belongs to
+ * @param {object} options.sessionStore - Session store holding session context (services/sessionStore.js)
+ * @param {object} [options.actor] - Audit actor; defaults to the provider webhook
+ * @param {string} [options.source='webhook'] - 'webhook' or 'reconciler'
+ * @returns {Promise<boolean>} false if the KYC state machine rejected the update
+ *   or the user has been erased
+ */
+export async function applySessionEvent(event, {
+  provider,
+  sessionStore,
+  actor = { type: AUDIT_ACTORS.WEBHOOK, id: provider.name },
+  source = 'webhook',
+}) {
+  const { sessionId: session_id, type: webhook_type, status, providerStatus, decision } = event;
+
+  // Retrieve session context
+  let sessionContext = await sessionStore.get(SESSION_NAMESPACES.SESSION, session_id);
+  const storedSession = await findSession(session_id);
+
+  // Fall back to the persisted session when the session store has no context
+  if (!sessionContext && storedSession) {
+    sessionContext = {
+      userId: storedSession.userId,
+      correlationId: storedSession.correlationId,
+      sessionNumber: storedSession.sessionNumber,
+    };
+  }
 
-  } catch (error) {
-    logger.error('Webhook processing failed', {
-      error: error.message,
-      stack: error.stack,
+  if (!sessionContext) {
+    logger.warn('Webhook session not found in session store or database', { session_id, userId: event.userId });
+  }
+
+  // The stored owner wins; vendor_data only covers sessions never persisted
+  const ownerId = storedSession?.userId || sessionContext?.userId;
+  if (ownerId && event.userId && event.userId !== ownerId) {
+    logSecurityEvent('webhook.user_mismatch', {
+      session_id,
+      source,
+      userId: ownerId,
+      vendorUserId: event.userId,
+    });
+  }
+  const userId = ownerId || event.userId;
+
+  if (!userId) {
+    throw new Error(`Cannot resolve user for session ${session_id}`);
+  }
+
+  // Nothing is written back for an erased user: no decision, phone number or status
+  if (await isErasedUser(userId)) {
+    await sessionStore.delete(SESSION_NAMESPACES.SESSION, session_id);
+    logger.warn('Session event for erased user dropped', { session_id, userId, source });
+    return false;
+  }
+
+  // Record the update against the persisted session
+  const recordSession = source === 'reconciler' ? recordSessionReconciled : recordSessionWebhook;
+  try {
+    await recordSession(session_id, {
+      userId,
+      provider: provider.name,
+      status: providerStatus,
+      decided: FINAL_SESSION_STATUSES.includes(status),
+      decision: decision?.raw,
+      workflowId: event.workflowId,
+    });
+  } catch (dbError) {
+    logger.error('Failed to record update on verification session', {
+      error: dbError.message,
       session_id,
       userId,
     });
-    // Still return 200 to prevent retries for processing errors
-    return res.status(200).json({ received: true, error: error.message });
   }
-};
+
+  const audit = {
+    actor,
+    sessionId: session_id,
+    correlationId: sessionContext?.correlationId,
+  };
+
+  // Process based on webhook type
+  let applied = true;
+  if (webhook_type === 'status.updated') {
+    applied = await handleStatusUpdate(userId, event, provider, audit);
+  } else if (webhook_type === 'data.updated') {
+    await handleDataUpdate(userId, event, audit);
+  }
+
+  // Clean up session context if verification is complete
+  if (FINAL_SESSION_STATUSES.includes(status)) {
+    await sessionStore.delete(SESSION_NAMESPACES.SESSION, session_id);
+  }
+
+  // Trigger post-verification actions for approved verifications
+  if (applied && status === SESSION_STATUS.APPROVED && decision) {
+    await triggerPostVerificationActions(userId, audit);
+  }
+
+  logger.info('Session event applied', { session_id, status, userId, source, applied });
+
+  return applied;
+}
 
 /**
  * ============================================================
@@ -649,20 +778,7 @@ export const getUserVerificationStatus = async (req, res) => {
 
     return res.status(200).json({
       success: true,
-      data: {
-        userId: user.id,
-        email: user.email,
-        kycStatus: user.kycStatus,
-        kycProvider: user.kycProvider,
-        idVerified: user.idVerified,
-        phoneVerified: user.phoneVerified,
-        phoneNumber: user.phoneNumber ? maskPhoneNumber(user.phoneNumber) : null,
-        verificationRetries: user.verificationRetries,
-        retriesRemaining: Math.max(0, MAX_VERIFICATION_RETRIES - user.verificationRetries),
-        lastAttempt: user.lastVerificationAttempt,
-        completedAt: user.kycCompletedAt,
-        tradingEnabled: user.tradingEnabled,
-      },
+      data: serializeVerificationStatus(user),
     });
   } catch (error) {
     logger.error('Error fetching verification status', { 
@@ -677,75 +793,191 @@ export const getUserVerificationStatus = async (req, res) => {
 };
 
 /**
- * ============================================================
- * HELPER FUNCTIONS
- * ============================================================
- */
-
-/**
- * Verifies webhook HMAC signature
+ * GET /api/v1/verification/status/:userId/stream
+ * Streams the verification status over Server-Sent Events.
+ * Sends a `status` event with the current status on connect and again after
+ * every change to the user, in the same shape as GET /status/:userId.
  */
-function verifyWebhookSignature(rawBody, signature) {
-  if (!signature || !DIDIT_WEBHOOK_SECRET) {
-    return false;
-  }
+export const streamUserVerificationStatus = async (req, res) => {
+  const { userId } = req.params;
 
+  let user;
   try {
-    const hmac = crypto.createHmac('sha256', DIDIT_WEBHOOK_SECRET);
-    const digest = hmac.update(rawBody).digest('hex');
-    return crypto.timingSafeEqual(
-      Buffer.from(signature),
-      Buffer.from(digest)
-    );
+    user = await prisma.user.findUnique({ where: { id: userId } });
   } catch (error) {
-    logger.error('Signature verification failed', { error: error.message });
-    return false;
+    logger.error('Error opening status stream', { error: error.message, userId });
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch verification status'
+    });
   }
-}
+
+  if (!user) {
+    return res.status(404).json({ 
+      success: false,
+      error: 'User not found' 
+    });
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+  send('status', serializeVerificationStatus(user));
+
+  const unsubscribe = subscribeToStatus(userId, async () => {
+    try {
+      const current = await prisma.user.findUnique({ where: { id: userId } });
+      if (current) {
+        send('status', serializeVerificationStatus(current));
+      }
+    } catch (error) {
+      logger.warn('Failed to push status update', { error: error.message, userId });
+    }
+  });
+
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
+
+/**
+ * GET /api/v1/verification/users/:userId/sessions
+ * Lists a user's verification sessions, newest first
+ *
+ * @query {number} limit - Optional: page size (1-100, default 20)
+ * @query {number} offset - Optional: number of sessions to skip
+ */
+export const getUserVerificationSessions = [
+  param('userId').isUUID(4).withMessage('Valid userId (UUID v4) is required'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const { userId } = req.params;
+    const limit = req.query.limit ?? 20;
+    const offset = req.query.offset ?? 0;
+
+    try {
+      const user = await prisma.user.findUnique({ where: { id: userId } });
+
+      if (!user) {
+        return res.status(404).json({ 
+          success: false,
+          error: 'User not found' 
+        });
+      }
+
+      const { sessions, total } = await listUserSessions(userId, { limit, offset });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          userId,
+          sessions,
+          pagination: { limit, offset, total },
+        },
+      });
+    } catch (error) {
+      logger.error('Error fetching verification sessions', { 
+        error: error.message,
+        userId 
+      });
+      return res.status(500).json({ 
+        success: false,
+        error: 'Failed to fetch verification sessions' 
+      });
+    }
+  },
+];
+
+/**
+ * ============================================================
+ * HELPER FUNCTIONS
+ * ============================================================
+ */
 
 /**
  * Handles status.updated webhook events
+ *
+ * @param {object} audit - Actor, sessionId and correlationId for the audit trail
+ * @returns {Promise<boolean>} false if the KYC state machine rejected the update
  */
-async function handleStatusUpdate(userId, status, decision, payload) {
+async function handleStatusUpdate(userId, event, provider, audit) {
+  const { status, decision } = event;
+
   logger.info('Processing status update', { userId, status });
 
+  // Map normalized session status to our KYC status
   const updateData = {
-    kycProvider: 'DIDIT',
+    kycProvider: provider.name,
+    ...kycStatusUpdate(status),
   };
 
-  // Map Didit status to our KYC status
-  if (status === 'Approved') {
-    updateData.kycStatus = 'VERIFIED';
-    updateData.kycCompletedAt = new Date();
-  } else if (status === 'Declined') {
-    updateData.kycStatus = 'FAILED';
-  } else if (status === 'In Review') {
-    updateData.kycStatus = 'PENDING';
-  }
-
   // Extract verification details from decision object
   if (decision) {
-    // ID Verification
-    if (decision.id_verification) {
-      updateData.idVerified = decision.id_verification.status === 'Approved';
+    if (decision.idVerified !== undefined) {
+      updateData.idVerified = decision.idVerified;
     }
 
-    // Phone Verification
-    if (decision.phone_verification) {
-      updateData.phoneVerified = decision.phone_verification.status === 'Approved';
-      if (decision.phone_verification.phone_number) {
-        updateData.phoneNumber = decision.phone_verification.phone_number;
-      }
+    if (decision.phoneVerified !== undefined) {
+      updateData.phoneVerified = decision.phoneVerified;
+    }
+
+    if (decision.phoneNumber) {
+      updateData.phoneNumber = decision.phoneNumber;
+    }
+
+    // Drives periodic re-verification (see services/kycExpiryService.js)
+    const documentExpiresAt = parseDocumentExpiry(decision.document?.expirationDate);
+    if (documentExpiresAt) {
+      updateData.documentExpiresAt = documentExpiresAt;
     }
 
     // Store complete decision data
-    updateData.kycDetails = JSON.stringify(decision);
+    updateData.kycDetails = JSON.stringify(decision.raw);
   }
 
-  await prisma.user.update({
-    where: { id: userId },
-    data: updateData,
-  });
+  let previous;
+  let updated;
+  try {
+    previous = await prisma.user.findUnique({ where: { id: userId }, select: { kycStatus: true } });
+    updated = await updateUserWithAudit(userId, updateData, { ...audit, action: 'webhook.status_updated' });
+  } catch (error) {
+    // Late or out-of-order webhooks (e.g. In Review after approval) are
+    // acknowledged but not applied, so the worker does not retry them
+    if (error.code === 'ILLEGAL_KYC_TRANSITION') {
+      logger.warn('Webhook status update ignored', {
+        userId,
+        status,
+        session_id: audit.sessionId,
+        reason: error.message,
+      });
+      return false;
+    }
+    throw error;
+  }
 
   logger.info('User verification status updated', { 
     userId, 
@@ -753,52 +985,66 @@ async function handleStatusUpdate(userId, status, decision, payload) {
     idVerified: updateData.idVerified,
     phoneVerified: updateData.phoneVerified 
   });
+
+  await notifyKycStatusChange(updated, previous?.kycStatus, {
+    retriesRemaining: Math.max(0, MAX_VERIFICATION_RETRIES - updated.verificationRetries),
+    sessionId: audit.sessionId,
+  });
+
+  return true;
 }
 
 /**
  * Handles data.updated webhook events
  */
-async function handleDataUpdate(userId, decision, payload) {
+async function handleDataUpdate(userId, event, audit) {
+  const { decision } = event;
+
   logger.info('Processing data update', { userId });
 
   if (decision) {
-    await prisma.user.update({
-      where: { id: userId },
-      data: {
-        kycDetails: JSON.stringify(decision),
-      },
-    });
+    await updateUserWithAudit(userId, {
+      kycDetails: JSON.stringify(decision.raw),
+    }, { ...audit, action: 'webhook.data_updated' });
 
     logger.info('User verification data updated', { userId });
   }
 }
 
 /**
- * Triggers post-verification actions
+ * Triggers post-verification actions. Throws on failure so that the webhook
+ * worker retries the event; reapplying the approval is a no-op.
  */
-async function triggerPostVerificationActions(userId, decision) {
+async function triggerPostVerificationActions(userId, audit) {
   logger.info('Triggering post-verification actions', { userId });
 
-  try {
-    // Enable trading for verified users
-    await prisma.user.update({
-      where: { id: userId },
-      data: { tradingEnabled: true },
-    });
+  // Enable trading for verified users
+  await updateUserWithAudit(userId, { tradingEnabled: true }, {
+    ...audit,
+    action: 'trading.enabled',
+  });
 
-    // TODO: Implement additional actions
-    // - Send verification success email
-    // - Notify compliance team
-    // - Update external systems
-    // - Grant access to premium features
+  // Downstream services learn about the change through outbound
+  // webhooks (kyc.verified, trading.enabled)
 
-    logger.info('Post-verification actions completed', { userId });
-  } catch (error) {
-    logger.error('Failed to execute post-verification actions', {
-      error: error.message,
-      userId,
-    });
-  }
+  logger.info('Post-verification actions completed', { userId });
+}
+
+/**
+ * Session store key of a pending phone code. Hashed, so phone numbers do
+ * not appear in store keys.
+ */
+function phoneCodeKey(phoneNumber) {
+  const normalized = phoneNumber.replace(/[\s().-]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Whether the user's data has been erased (services/dataSubjectService.js)
+ */
+async function isErasedUser(userId) {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { erasedAt: true } });
+  return !!user?.erasedAt;
 }
 
 /**
@@ -808,6 +1054,18 @@ function handleDiditApiError(error, res) {
   const status = error.response?.status;
   const data = error.response?.data;
 
+  recordDiditApiError(error);
+
+  if (error.code === 'CIRCUIT_OPEN') {
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(503).json({
+      success: false,
+      error: 'Service unavailable',
+      message: 'Verification service is temporarily unavailable. Please try again later.',
+      retryAfter: error.retryAfter,
+    });
+  }
+
   if (status === 401) {
     return res.status(500).json({
       success: false,
@@ -859,6 +1117,28 @@ function handleDiditApiError(error, res) {
   });
 }
 
+/**
+ * Builds the user status response shared by the status endpoint and stream
+ */
+function serializeVerificationStatus(user) {
+  return {
+    userId: user.id,
+    email: user.email,
+    kycStatus: user.kycStatus,
+    kycProvider: user.kycProvider,
+    idVerified: user.idVerified,
+    phoneVerified: user.phoneVerified,
+    phoneNumber: user.phoneNumber ? maskPhoneNumber(user.phoneNumber) : null,
+    verificationRetries: user.verificationRetries,
+    retriesRemaining: Math.max(0, MAX_VERIFICATION_RETRIES - user.verificationRetries),
+    lastAttempt: user.lastVerificationAttempt,
+    completedAt: user.kycCompletedAt,
+    expiresAt: user.kycStatus === KYC_STATUS.VERIFIED ? kycExpiresAt(user) : null,
+    tradingEnabled: user.tradingEnabled,
+    canStartVerification: canStartVerification(user.kycStatus),
+  };
+}
+
 /**
  * Masks phone number for privacy
  */
@@ -876,5 +1156,9 @@ export default {
   checkPhoneVerificationCode,
   verifyIdDocument,
   handleWebhook,
+  processVerificationWebhook,
+  applySessionEvent,
   getUserVerificationStatus,
+  streamUserVerificationStatus,
+  getUserVerificationSessions,
 };
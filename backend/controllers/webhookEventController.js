@@ -0,0 +1,173 @@
+/**
+ * Webhook Event Controller - Admin access to the webhook inbox
+ *
+ * Lets operators inspect stored Didit webhooks and replay events that
+ * failed or were moved to the dead-letter state.
+ */
+
+import { param, query, validationResult } from 'express-validator';
+import { logger } from '../utils/logger.js';
+import {
+  WEBHOOK_EVENT_STATUSES,
+  listWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvent,
+} from '../services/webhookInbox.js';
+
+/**
+ * GET /api/v1/admin/webhooks
+ * Lists stored webhook events, newest first
+ *
+ * @query {string} status - Optional: PENDING, PROCESSING, PROCESSED, FAILED, DEAD_LETTER
+ * @query {string} sessionId - Optional: Didit session ID
+ * @query {number} limit - Optional: page size (1-200, default 50)
+ * @query {number} offset - Optional: number of events to skip
+ */
+export const listEvents = [
+  query('status').optional().isIn(WEBHOOK_EVENT_STATUSES).withMessage(`status must be one of ${WEBHOOK_EVENT_STATUSES.join(', ')}`),
+  query('sessionId').optional().isString().trim(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const { status, sessionId } = req.query;
+    const limit = req.query.limit ?? 50;
+    const offset = req.query.offset ?? 0;
+
+    try {
+      const { events, total } = await listWebhookEvents({ status, sessionId, limit, offset });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          events: events.map(serializeEvent),
+          pagination: { limit, offset, total },
+        },
+      });
+    } catch (error) {
+      logger.error('Error listing webhook events', { error: error.message });
+      return res.status(500).json({ 
+        success: false,
+        error: 'Failed to list webhook events' 
+      });
+    }
+  },
+];
+
+/**
+ * GET /api/v1/admin/webhooks/:eventId
+ * Retrieves a stored webhook event including its payload
+ */
+export const getEvent = [
+  param('eventId').isString().notEmpty(),
+
+  async (req, res) => {
+    const { eventId } = req.params;
+
+    try {
+      const event = await getWebhookEvent(eventId);
+
+      if (!event) {
+        return res.status(404).json({ 
+          success: false,
+          error: 'Webhook event not found' 
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: serializeEvent(event, { includePayload: true }),
+      });
+    } catch (error) {
+      logger.error('Error fetching webhook event', { error: error.message, eventId });
+      return res.status(500).json({ 
+        success: false,
+        error: 'Failed to fetch webhook event' 
+      });
+    }
+  },
+];
+
+/**
+ * POST /api/v1/admin/webhooks/:eventId/replay
+ * Re-queues a webhook event for processing
+ */
+export const replayEvent = [
+  param('eventId').isString().notEmpty(),
+
+  async (req, res) => {
+    const { eventId } = req.params;
+
+    try {
+      const event = await replayWebhookEvent(eventId);
+
+      if (!event) {
+        return res.status(404).json({ 
+          success: false,
+          error: 'Webhook event not found' 
+        });
+      }
+
+      logger.info('Webhook event replay requested', { eventId, ip: req.ip });
+
+      return res.status(202).json({
+        success: true,
+        data: serializeEvent(event),
+        message: 'Webhook event queued for replay.',
+      });
+    } catch (error) {
+      if (error.code === 'EVENT_IN_PROGRESS') {
+        return res.status(409).json({ 
+          success: false,
+          error: error.message 
+        });
+      }
+
+      logger.error('Error replaying webhook event', { error: error.message, eventId });
+      return res.status(500).json({ 
+        success: false,
+        error: 'Failed to replay webhook event' 
+      });
+    }
+  },
+];
+
+/**
+ * Converts a webhook event record into its API representation
+ */
+function serializeEvent(event, { includePayload = false } = {}) {
+  const data = {
+    id: event.id,
+    source: event.source,
+    session_id: event.sessionId,
+    webhook_type: event.webhookType,
+    status: event.status,
+    attempts: event.attempts,
+    maxAttempts: event.maxAttempts,
+    nextAttemptAt: event.nextAttemptAt,
+    lastError: event.lastError,
+    processedAt: event.processedAt,
+    createdAt: event.createdAt,
+    updatedAt: event.updatedAt,
+  };
+
+  if (includePayload) {
+    data.payload = JSON.parse(event.payload);
+  }
+
+  return data;
+}
+
+export default {
+  listEvents,
+  getEvent,
+  replayEvent,
+};
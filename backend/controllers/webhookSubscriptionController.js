@@ -0,0 +1,415 @@
+/**
+ * Webhook Subscription Controller - Admin management of outbound webhooks
+ *
+ * Registers downstream services that receive signed KYC events, and exposes
+ * the delivery log with manual redelivery.
+ */
+
+import { body, param, query, validationResult } from 'express-validator';
+import { prisma } from '../utils/prisma.js';
+import { logger } from '../utils/logger.js';
+import {
+  OUTBOUND_EVENT_TYPES,
+  DELIVERY_STATUSES,
+  generateSubscriptionSecret,
+  subscriptionEventTypes,
+  listDeliveries as listDeliveryRecords,
+  getDelivery as getDeliveryRecord,
+  redeliver,
+} from '../services/outboundWebhooks.js';
+
+const EVENT_TYPE_OPTIONS = [...OUTBOUND_EVENT_TYPES, '*'];
+
+const urlValidator = (field) => body(field)
+  .isURL({ require_protocol: true, protocols: ['http', 'https'], require_tld: false })
+  .withMessage('url must be an http(s) URL');
+
+const eventTypesValidator = (field) => [
+  body(field).isArray({ min: 1 }).withMessage('eventTypes must be a non-empty array'),
+  body(`${field}.*`).isIn(EVENT_TYPE_OPTIONS).withMessage(`eventTypes must be among ${EVENT_TYPE_OPTIONS.join(', ')}`),
+];
+
+/**
+ * ============================================================
+ * SUBSCRIPTIONS
+ * ============================================================
+ */
+
+/**
+ * GET /api/v1/admin/webhook-subscriptions
+ * Lists subscriptions (secrets are never returned)
+ */
+export const listSubscriptions = async (req, res) => {
+  try {
+    const subscriptions = await prisma.webhookSubscription.findMany({ orderBy: { createdAt: 'asc' } });
+
+    return res.status(200).json({
+      success: true,
+      data: { subscriptions: subscriptions.map((subscription) => serializeSubscription(subscription)) },
+    });
+  } catch (error) {
+    logger.error('Error listing webhook subscriptions', { error: error.message });
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to list webhook subscriptions'
+    });
+  }
+};
+
+/**
+ * POST /api/v1/admin/webhook-subscriptions
+ * Registers a subscriber. The secret is returned once.
+ *
+ * @body {string} name - Subscriber name (e.g. 'trading')
+ * @body {string} url - Delivery URL
+ * @body {string[]} eventTypes - Event types, or ['*'] for all
+ * @body {string} secret - Optional: signing secret (generated if omitted)
+ */
+export const createSubscription = [
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('name is required'),
+  urlValidator('url'),
+  ...eventTypesValidator('eventTypes'),
+  body('secret').optional().isString().isLength({ min: 16 }).withMessage('secret must be at least 16 characters'),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, url, eventTypes } = req.body;
+    const secret = req.body.secret || generateSubscriptionSecret();
+
+    try {
+      const subscription = await prisma.webhookSubscription.create({
+        data: { name, url, secret, eventTypes: eventTypes.join(',') },
+      });
+
+      logger.info('Webhook subscription created', { subscriptionId: subscription.id, name, eventTypes, actor: req.auth.subject });
+
+      return res.status(201).json({
+        success: true,
+        data: serializeSubscription(subscription, { includeSecret: true }),
+        message: 'Store the secret now; it will not be shown again.',
+      });
+    } catch (error) {
+      logger.error('Error creating webhook subscription', { error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to create webhook subscription'
+      });
+    }
+  },
+];
+
+/**
+ * PATCH /api/v1/admin/webhook-subscriptions/:subscriptionId
+ * Updates a subscription
+ *
+ * @body {string} url - Optional
+ * @body {string[]} eventTypes - Optional
+ * @body {boolean} active - Optional: pause or resume deliveries
+ * @body {boolean} rotateSecret - Optional: issue a new secret (returned once)
+ */
+export const updateSubscription = [
+  param('subscriptionId').isString().notEmpty(),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  urlValidator('url').optional(),
+  body('eventTypes').optional().isArray({ min: 1 }).withMessage('eventTypes must be a non-empty array'),
+  body('eventTypes.*').isIn(EVENT_TYPE_OPTIONS).withMessage(`eventTypes must be among ${EVENT_TYPE_OPTIONS.join(', ')}`),
+  body('active').optional().isBoolean({ strict: true }),
+  body('rotateSecret').optional().isBoolean({ strict: true }),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { subscriptionId } = req.params;
+    const { name, url, eventTypes, active, rotateSecret } = req.body;
+
+    const data = {};
+    if (name !== undefined) data.name = name;
+    if (url !== undefined) data.url = url;
+    if (eventTypes !== undefined) data.eventTypes = eventTypes.join(',');
+    if (active !== undefined) data.active = active;
+    if (rotateSecret) data.secret = generateSubscriptionSecret();
+
+    try {
+      const existing = await prisma.webhookSubscription.findUnique({ where: { id: subscriptionId } });
+      if (!existing) {
+        return subscriptionNotFound(res);
+      }
+
+      const subscription = await prisma.webhookSubscription.update({
+        where: { id: subscriptionId },
+        data,
+      });
+
+      logger.info('Webhook subscription updated', {
+        subscriptionId,
+        fields: Object.keys(data).filter((field) => field !== 'secret'),
+        secretRotated: Boolean(rotateSecret),
+        actor: req.auth.subject,
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: serializeSubscription(subscription, { includeSecret: Boolean(rotateSecret) }),
+      });
+    } catch (error) {
+      logger.error('Error updating webhook subscription', { error: error.message, subscriptionId });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update webhook subscription'
+      });
+    }
+  },
+];
+
+/**
+ * DELETE /api/v1/admin/webhook-subscriptions/:subscriptionId
+ * Removes a subscription and its delivery log
+ */
+export const deleteSubscription = [
+  param('subscriptionId').isString().notEmpty(),
+
+  async (req, res) => {
+    const { subscriptionId } = req.params;
+
+    try {
+      const existing = await prisma.webhookSubscription.findUnique({ where: { id: subscriptionId } });
+      if (!existing) {
+        return subscriptionNotFound(res);
+      }
+
+      await prisma.webhookSubscription.delete({ where: { id: subscriptionId } });
+
+      logger.info('Webhook subscription deleted', { subscriptionId, actor: req.auth.subject });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Webhook subscription deleted.',
+      });
+    } catch (error) {
+      logger.error('Error deleting webhook subscription', { error: error.message, subscriptionId });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to delete webhook subscription'
+      });
+    }
+  },
+];
+
+/**
+ * ============================================================
+ * DELIVERY LOG
+ * ============================================================
+ */
+
+/**
+ * GET /api/v1/admin/webhook-deliveries
+ * Lists deliveries, newest first
+ *
+ * @query {string} subscriptionId - Optional
+ * @query {string} status - Optional: PENDING, DELIVERING, DELIVERED, FAILED, DEAD_LETTER
+ * @query {string} eventType - Optional
+ * @query {number} limit - Optional: page size (1-200, default 50)
+ * @query {number} offset - Optional: number of deliveries to skip
+ */
+export const listDeliveries = [
+  query('subscriptionId').optional().isString().trim(),
+  query('status').optional().isIn(DELIVERY_STATUSES).withMessage(`status must be one of ${DELIVERY_STATUSES.join(', ')}`),
+  query('eventType').optional().isIn(OUTBOUND_EVENT_TYPES),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { subscriptionId, status, eventType } = req.query;
+    const limit = req.query.limit ?? 50;
+    const offset = req.query.offset ?? 0;
+
+    try {
+      const { deliveries, total } = await listDeliveryRecords({ subscriptionId, status, eventType, limit, offset });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          deliveries: deliveries.map((delivery) => serializeDelivery(delivery)),
+          pagination: { limit, offset, total },
+        },
+      });
+    } catch (error) {
+      logger.error('Error listing webhook deliveries', { error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to list webhook deliveries'
+      });
+    }
+  },
+];
+
+/**
+ * GET /api/v1/admin/webhook-deliveries/:deliveryId
+ * Retrieves a delivery including its payload
+ */
+export const getDelivery = [
+  param('deliveryId').isString().notEmpty(),
+
+  async (req, res) => {
+    const { deliveryId } = req.params;
+
+    try {
+      const delivery = await getDeliveryRecord(deliveryId);
+
+      if (!delivery) {
+        return deliveryNotFound(res);
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: serializeDelivery(delivery, { includePayload: true }),
+      });
+    } catch (error) {
+      logger.error('Error fetching webhook delivery', { error: error.message, deliveryId });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch webhook delivery'
+      });
+    }
+  },
+];
+
+/**
+ * POST /api/v1/admin/webhook-deliveries/:deliveryId/redeliver
+ * Re-queues a delivery with a fresh attempt budget
+ */
+export const redeliverDelivery = [
+  param('deliveryId').isString().notEmpty(),
+
+  async (req, res) => {
+    const { deliveryId } = req.params;
+
+    try {
+      const delivery = await redeliver(deliveryId);
+
+      if (!delivery) {
+        return deliveryNotFound(res);
+      }
+
+      logger.info('Webhook redelivery requested', { deliveryId, actor: req.auth.subject });
+
+      return res.status(202).json({
+        success: true,
+        data: serializeDelivery(delivery),
+        message: 'Delivery queued.',
+      });
+    } catch (error) {
+      if (error.code === 'DELIVERY_IN_PROGRESS') {
+        return res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('Error redelivering webhook', { error: error.message, deliveryId });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to redeliver webhook'
+      });
+    }
+  },
+];
+
+/**
+ * ============================================================
+ * HELPER FUNCTIONS
+ * ============================================================
+ */
+
+function subscriptionNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Webhook subscription not found'
+  });
+}
+
+function deliveryNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Webhook delivery not found'
+  });
+}
+
+/**
+ * Converts a subscription record into its API representation
+ */
+function serializeSubscription(subscription, { includeSecret = false } = {}) {
+  const data = {
+    id: subscription.id,
+    name: subscription.name,
+    url: subscription.url,
+    eventTypes: subscriptionEventTypes(subscription),
+    active: subscription.active,
+    createdAt: subscription.createdAt,
+    updatedAt: subscription.updatedAt,
+  };
+
+  if (includeSecret) {
+    data.secret = subscription.secret;
+  }
+
+  return data;
+}
+
+/**
+ * Converts a delivery record into its API representation
+ */
+function serializeDelivery(delivery, { includePayload = false } = {}) {
+  const data = {
+    id: delivery.id,
+    subscriptionId: delivery.subscriptionId,
+    eventId: delivery.eventId,
+    eventType: delivery.eventType,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    maxAttempts: delivery.maxAttempts,
+    nextAttemptAt: delivery.nextAttemptAt,
+    lastStatusCode: delivery.lastStatusCode,
+    lastError: delivery.lastError,
+    deliveredAt: delivery.deliveredAt,
+    createdAt: delivery.createdAt,
+    updatedAt: delivery.updatedAt,
+  };
+
+  if (includePayload) {
+    data.payload = JSON.parse(delivery.payload);
+  }
+
+  return data;
+}
+
+export default {
+  listSubscriptions,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  listDeliveries,
+  getDelivery,
+  redeliverDelivery,
+};
@@ -0,0 +1,253 @@
+/**
+ * Authentication & Authorization Middleware
+ *
+ * Two kinds of callers are supported:
+ * - End users: `Authorization: Bearer <JWT>`, verified against a JWKS
+ *   endpoint (JWT_JWKS_URL) or a shared HS256 secret (JWT_SECRET).
+ *   The `sub` claim is the user's ID.
+ * - Server-to-server callers: `x-api-key` header matching an entry of
+ *   API_KEYS ("name:key:scope1 scope2", comma-separated).
+ *
+ * Scopes come from the JWT `scope` / `scopes` claims or the API key entry.
+ * Users may only act on their own userId; the admin scope unlocks
+ * cross-user access and the admin API. API keys act on any user through
+ * the service scopes: kyc:read for status, session and export reads,
+ * kyc:write for starting verifications. A user token's scope claims never
+ * widen it past the user's own data; an API key with neither scope can
+ * only authenticate.
+ */
+
+import * as crypto from 'node:crypto';
+import { createRemoteJWKSet, jwtVerify } from 'jose';
+import { config } from '../config/index.js';
+import { logger, logSecurityEvent } from '../utils/logger.js';
+import { findSession } from '../services/verificationSessionService.js';
+
+export const SCOPES = Object.freeze({
+  ADMIN: 'kyc:admin',
+  READ: 'kyc:read',
+  WRITE: 'kyc:write',
+});
+
+let jwks = null;
+let apiKeys = null;
+
+/**
+ * Lazily builds the JWT verification key from the environment
+ */
+function getJwtKey() {
+  if (config.auth.jwtJwksUrl) {
+    jwks = jwks || createRemoteJWKSet(new URL(config.auth.jwtJwksUrl));
+    return { key: jwks, algorithms: undefined };
+  }
+  if (config.auth.jwtSecret) {
+    return { key: new TextEncoder().encode(config.auth.jwtSecret), algorithms: ['HS256'] };
+  }
+  return null;
+}
+
+/**
+ * Parses API_KEYS into { name, keyHash, scopes } entries
+ */
+function getApiKeys() {
+  if (!apiKeys) {
+    apiKeys = (config.auth.apiKeys || '')
+      .split(',')
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        const [name, key, ...rest] = entry.split(':');
+        const scopes = rest.join(':').split(/\s+/).filter(Boolean);
+        if (!Object.values(SCOPES).some((scope) => scopes.includes(scope))) {
+          logger.warn('API key has no kyc scope and can only authenticate', { name });
+        }
+        return {
+          name,
+          keyHash: hashKey(key || ''),
+          scopes,
+        };
+      });
+  }
+  return apiKeys;
+}
+
+function hashKey(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+/**
+ * Extracts scopes from JWT claims
+ */
+function scopesFromClaims(payload) {
+  if (Array.isArray(payload.scopes)) {
+    return payload.scopes;
+  }
+  if (typeof payload.scope === 'string') {
+    return payload.scope.split(/\s+/).filter(Boolean);
+  }
+  return [];
+}
+
+/**
+ * Whether the authenticated caller holds a scope
+ */
+export function hasScope(req, scope) {
+  return Boolean(req.auth?.scopes.includes(scope));
+}
+
+/**
+ * Authenticates the caller and sets req.auth:
+ * { type: 'user' | 'apiKey', subject, scopes }
+ */
+export async function authenticate(req, res, next) {
+  const authorization = req.headers.authorization;
+  const apiKey = req.headers['x-api-key'];
+
+  const reject = (reason) => {
+    logSecurityEvent('auth.rejected', { reason, path: req.originalUrl, ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+    });
+  };
+
+  if (apiKey) {
+    const provided = hashKey(apiKey);
+    const match = getApiKeys().find((entry) => crypto.timingSafeEqual(entry.keyHash, provided));
+    if (!match) {
+      return reject('invalid_api_key');
+    }
+    req.auth = { type: 'apiKey', subject: match.name, scopes: match.scopes };
+    return next();
+  }
+
+  if (authorization?.startsWith('Bearer ')) {
+    const jwtKey = getJwtKey();
+    if (!jwtKey) {
+      logger.error('Bearer token received but neither JWT_JWKS_URL nor JWT_SECRET is configured');
+      return reject('jwt_not_configured');
+    }
+
+    try {
+      const { payload } = await jwtVerify(authorization.slice('Bearer '.length), jwtKey.key, {
+        issuer: config.auth.jwtIssuer || undefined,
+        audience: config.auth.jwtAudience || undefined,
+        algorithms: jwtKey.algorithms,
+      });
+
+      if (!payload.sub) {
+        return reject('missing_subject');
+      }
+
+      req.auth = { type: 'user', subject: payload.sub, scopes: scopesFromClaims(payload) };
+      return next();
+    } catch (error) {
+      return reject(`invalid_token: ${error.code || error.message}`);
+    }
+  }
+
+  return reject('missing_credentials');
+}
+
+/**
+ * Requires the authenticated caller to hold a scope
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (hasScope(req, scope)) {
+      return next();
+    }
+
+    logSecurityEvent('auth.forbidden', {
+      reason: 'missing_scope',
+      scope,
+      subject: req.auth?.subject,
+      path: req.originalUrl,
+    });
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient permissions',
+    });
+  };
+}
+
+/**
+ * Whether the caller may act on any user: admins, and API keys holding
+ * the route's service scope
+ */
+function actsOnAnyUser(req, scope) {
+  return hasScope(req, SCOPES.ADMIN) || (req.auth?.type === 'apiKey' && hasScope(req, scope));
+}
+
+/**
+ * Restricts a route to the user it targets. The userId is read from the
+ * route params or the body; when a user token omits it, the caller's own
+ * ID is filled in. Admins and API keys holding `scope` may target any user.
+ *
+ * @param {string} scope - Service scope the route needs (SCOPES.READ or SCOPES.WRITE)
+ */
+export function authorizeUser(scope) {
+  return (req, res, next) => {
+    if (actsOnAnyUser(req, scope)) {
+      return next();
+    }
+
+    const targetUserId = req.params.userId || req.body?.userId;
+
+    if (req.auth?.type === 'user') {
+      if (!targetUserId) {
+        if (req.body) {
+          req.body.userId = req.auth.subject;
+        }
+        return next();
+      }
+
+      if (targetUserId === req.auth.subject) {
+        return next();
+      }
+    }
+
+    return forbidUser(req, res, targetUserId);
+  };
+}
+
+/**
+ * Restricts session routes to the session owner. Admins and API keys
+ * holding `scope` may read any session.
+ *
+ * @param {string} scope - Service scope the route needs
+ */
+export function authorizeSessionOwner(scope) {
+  return async (req, res, next) => {
+    if (actsOnAnyUser(req, scope)) {
+      return next();
+    }
+
+    try {
+      const session = await findSession(req.params.sessionId);
+
+      if (req.auth?.type === 'user' && session?.userId === req.auth.subject) {
+        return next();
+      }
+
+      return forbidUser(req, res, session?.userId);
+    } catch (error) {
+      return next(error);
+    }
+  };
+}
+
+function forbidUser(req, res, targetUserId) {
+  logSecurityEvent('auth.forbidden', {
+    reason: 'cross_user_access',
+    subject: req.auth?.subject,
+    targetUserId,
+    path: req.originalUrl,
+  });
+  return res.status(403).json({
+    success: false,
+    error: 'You may only access your own verification data',
+  });
+}
+
+export default authenticate;
@@ -0,0 +1,105 @@
+/**
+ * Idempotency Middleware
+ *
+ * Makes a route safe to retry with an Idempotency-Key header
+ * (services/idempotencyService.js). A repeated key gets the stored
+ * response, marked with `Idempotent-Replayed: true`. A key reused with a
+ * different body, or sent again while the first request is still running,
+ * gets 409. Requests without the header are handled as before.
+ *
+ * Responses below 500 (except 429) are stored; after a server error or a
+ * rate limit the key is released so the client can retry with it.
+ * Mount after authentication, since keys are scoped to the caller.
+ */
+
+import { logger } from '../utils/logger.js';
+import {
+  idempotencyKeyId,
+  hashRequest,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+} from '../services/idempotencyService.js';
+
+export const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Express middleware honoring the Idempotency-Key header
+ */
+export async function idempotency(req, res, next) {
+  const key = req.get(IDEMPOTENCY_KEY_HEADER);
+  if (key === undefined) {
+    return next();
+  }
+
+  if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `${IDEMPOTENCY_KEY_HEADER} must be 1 to ${MAX_KEY_LENGTH} characters`,
+    });
+  }
+
+  const redis = req.app.locals.redis;
+  const scope = `${req.method} ${req.baseUrl}${req.path}`;
+  const id = idempotencyKeyId({ key, scope, subject: `${req.auth.type}:${req.auth.subject}` });
+
+  let claim;
+  try {
+    claim = await claimIdempotencyKey({
+      id,
+      scope,
+      requestHash: hashRequest({ method: req.method, path: scope, body: req.body }),
+      userId: req.body?.userId || req.params.userId || null,
+      redis,
+    });
+  } catch (error) {
+    logger.error('Idempotency key lookup failed', { scope, error: error.message });
+    return res.status(500).json({ success: false, error: 'Failed to check idempotency key' });
+  }
+
+  if (claim.outcome === 'replay') {
+    logger.info('Replaying stored response for idempotency key', { scope, status: claim.response.status });
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(claim.response.status).json(claim.response.body);
+  }
+
+  if (claim.outcome === 'mismatch') {
+    return res.status(409).json({
+      success: false,
+      error: `${IDEMPOTENCY_KEY_HEADER} was already used with a different request`,
+    });
+  }
+
+  if (claim.outcome === 'in_progress') {
+    res.set('Retry-After', '1');
+    return res.status(409).json({
+      success: false,
+      error: `A request with this ${IDEMPOTENCY_KEY_HEADER} is still being processed`,
+    });
+  }
+
+  // Capture the body the handler sends, and store it once the response is out
+  let responseBody;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+
+  res.on('close', () => {
+    const stored = res.writableFinished && res.statusCode < 500 && res.statusCode !== 429;
+    const settle = stored
+      ? completeIdempotencyKey({ id, status: res.statusCode, body: responseBody, redis })
+      : releaseIdempotencyKey({ id });
+
+    settle.catch((error) => {
+      logger.error('Failed to store idempotency key', { scope, error: error.message });
+    });
+  });
+
+  return next();
+}
+
+export default idempotency;
@@ -0,0 +1,33 @@
+/**
+ * HTTP Metrics Middleware
+ *
+ * Counts requests and records their duration (services/metrics.js),
+ * labelled with the method, the route template that handled the request
+ * (e.g. /api/v1/verification/status/:userId, never the actual path) and
+ * the response status. Requests no route handled, such as 404s, are
+ * labelled `unmatched`. Mount before the routes.
+ */
+
+import { httpRequestsTotal, httpRequestDuration } from '../services/metrics.js';
+
+/**
+ * Express middleware recording http_requests_total and
+ * http_request_duration_seconds
+ */
+export function httpMetrics(req, res, next) {
+  const endTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      status: res.statusCode,
+    };
+    httpRequestsTotal.inc(labels);
+    endTimer(labels);
+  });
+
+  return next();
+}
+
+export default httpMetrics;
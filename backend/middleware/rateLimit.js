@@ -0,0 +1,184 @@
+/**
+ * Rate Limiting Middleware
+ *
+ * express-rate-limit with counters in Redis, so limits survive restarts and
+ * are shared by every instance. Each limiter counts per key rather than per
+ * IP: the userId or phone number the request is about, else the
+ * authenticated caller (user or API key), else the IP. Mount limiters after
+ * authenticate so the caller is known.
+ *
+ * Counters are fixed windows (ratelimit:<name>:<hashed key>). While Redis
+ * is unavailable, each instance counts in memory.
+ *
+ * Responses carry the IETF RateLimit / RateLimit-Policy headers (draft 8),
+ * naming the limiter and what it is keyed by, e.g.
+ *
+ *   RateLimit-Policy: "phone-send:phone"; q=3; w=60; pk=:...:
+ *   RateLimit: "phone-send:phone"; r=1; t=42
+ */
+
+import * as crypto from 'node:crypto';
+import rateLimit, { MemoryStore } from 'express-rate-limit';
+import { logger } from '../utils/logger.js';
+
+const REDIS_PREFIX = 'ratelimit:';
+
+// INCR and set the window's expiry on the first hit, atomically
+const INCREMENT_SCRIPT = `
+local hits = redis.call('INCR', KEYS[1])
+if hits == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return { hits, redis.call('PTTL', KEYS[1]) }
+`;
+
+/**
+ * What a limiter counts by; each reads the request and returns null when
+ * it does not apply, falling back to the caller and then the IP
+ */
+export const RATE_LIMIT_KEYS = Object.freeze({
+  user: (req) => req.body?.userId || req.params?.userId || null,
+  phone: (req) => normalizePhone(req.body?.phoneNumber || req.body?.phone_number),
+});
+
+let redisClient = null;
+let redisFallbackLogged = false;
+
+/**
+ * Sets the Redis client the counters are stored in
+ */
+export function setRateLimitRedis(client) {
+  redisClient = client;
+}
+
+/**
+ * express-rate-limit store keeping counters in Redis, or in memory while
+ * Redis is unavailable
+ */
+class RedisRateLimitStore {
+  constructor(name) {
+    this.prefix = `${REDIS_PREFIX}${name}:`;
+    this.localKeys = false;
+    this.fallback = new MemoryStore();
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+    this.fallback.init(options);
+  }
+
+  async increment(key) {
+    const client = await this.client();
+    if (!client) {
+      return this.fallback.increment(key);
+    }
+
+    try {
+      const [totalHits, ttlMs] = await client.eval(INCREMENT_SCRIPT, {
+        keys: [this.prefix + key],
+        arguments: [String(this.windowMs)],
+      });
+      return { totalHits, resetTime: new Date(Date.now() + Math.max(ttlMs, 0)) };
+    } catch (error) {
+      logger.warn('Rate limit counter unavailable in Redis, counting in memory', { error: error.message });
+      return this.fallback.increment(key);
+    }
+  }
+
+  async decrement(key) {
+    const client = await this.client();
+    if (!client) {
+      return this.fallback.decrement(key);
+    }
+    await client.decr(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    const client = await this.client();
+    if (!client) {
+      return this.fallback.resetKey(key);
+    }
+    await client.del(this.prefix + key);
+  }
+
+  async get(key) {
+    const client = await this.client();
+    if (!client) {
+      return this.fallback.get(key);
+    }
+
+    const [hits, ttlMs] = await Promise.all([client.get(this.prefix + key), client.pTTL(this.prefix + key)]);
+    if (hits === null) {
+      return undefined;
+    }
+    return { totalHits: Number(hits), resetTime: new Date(Date.now() + Math.max(ttlMs, 0)) };
+  }
+
+  shutdown() {
+    this.fallback.shutdown();
+  }
+
+  async client() {
+    if (redisClient?.isReady) {
+      redisFallbackLogged = false;
+      return redisClient;
+    }
+
+    if (!redisFallbackLogged) {
+      redisFallbackLogged = true;
+      logger.warn('Redis not available - rate limits are counted per instance until it is');
+    }
+    return null;
+  }
+}
+
+/**
+ * Creates a rate limiter
+ *
+ * @param {object} options
+ * @param {string} options.name - Limiter name, used in Redis keys and headers
+ * @param {number} options.windowMs
+ * @param {number} options.max - Requests per window and key
+ * @param {'user'|'phone'} [options.keyBy] - What to count by (see RATE_LIMIT_KEYS)
+ * @param {object} options.message - 429 response body
+ * @returns {import('express').RequestHandler}
+ */
+export function createRateLimiter({ name, windowMs, max, keyBy, message }) {
+  const resolveKey = (req) => {
+    const value = keyBy ? RATE_LIMIT_KEYS[keyBy](req) : null;
+    if (value) {
+      return { scope: keyBy, value };
+    }
+    if (req.auth) {
+      return { scope: req.auth.type === 'apiKey' ? 'api-key' : 'caller', value: `${req.auth.type}:${req.auth.subject}` };
+    }
+    return { scope: 'ip', value: req.ip };
+  };
+
+  return rateLimit({
+    windowMs,
+    limit: max,
+    standardHeaders: 'draft-8',
+    legacyHeaders: false,
+    store: new RedisRateLimitStore(name),
+    identifier: (req) => `${name}:${resolveKey(req).scope}`,
+    // Hashed, so phone numbers and user IDs do not appear in Redis keys
+    keyGenerator: (req) => {
+      const { scope, value } = resolveKey(req);
+      return `${scope}:${crypto.createHash('sha256').update(String(value)).digest('hex')}`;
+    },
+    handler: (req, res, next, options) => {
+      logger.warn('Rate limit exceeded', { limiter: name, scope: resolveKey(req).scope, path: req.originalUrl });
+      res.status(options.statusCode).json({
+        ...message,
+        retryAfter: Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000),
+      });
+    },
+  });
+}
+
+function normalizePhone(phoneNumber) {
+  return typeof phoneNumber === 'string' ? phoneNumber.replace(/[\s().-]/g, '') || null : null;
+}
+
+export default createRateLimiter;
@@ -0,0 +1,56 @@
+/**
+ * Request ID Middleware
+ *
+ * Gives every request an ID: the caller's `X-Request-Id` when it is a
+ * plausible ID (1-128 of A-Z a-z 0-9 . _ : -), else a new UUID. The ID is
+ * echoed in the response, used as the correlation ID of anything the
+ * request creates, added to every log line and sent to Didit
+ * (utils/requestContext.js).
+ *
+ * Each request is also a server span (utils/tracing.js), continuing the
+ * caller's trace when a `traceparent` header is sent.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { runWithRequestContext } from '../utils/requestContext.js';
+import { SPAN_KINDS, parseTraceparent, startSpan } from '../utils/tracing.js';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Express middleware setting req.requestId and the request context
+ */
+export function requestId(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : uuidv4();
+  const parent = parseTraceparent(req.get('traceparent'));
+
+  const span = startSpan({
+    name: req.method,
+    kind: SPAN_KINDS.SERVER,
+    traceId: parent?.traceId,
+    parentSpanId: parent?.parentSpanId,
+    sampled: parent?.sampled,
+    attributes: {
+      'http.request.method': req.method,
+      'request.id': id,
+    },
+  });
+
+  req.requestId = id;
+  res.set(REQUEST_ID_HEADER, id);
+
+  res.on('finish', () => {
+    // Route template only; paths carry user and session IDs
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : null;
+    span.setName(route ? `${req.method} ${route}` : req.method);
+    span.setAttributes({ 'http.route': route, 'http.response.status_code': res.statusCode });
+    span.end({ error: res.statusCode >= 500 ? `HTTP ${res.statusCode}` : undefined });
+  });
+
+  return runWithRequestContext({ requestId: id, traceId: span.traceId, spanId: span.spanId, sampled: span.sampled }, next);
+}
+
+export default requestId;
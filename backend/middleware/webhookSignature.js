@@ -0,0 +1,122 @@
+/**
+ * Webhook Signature Middleware
+ *
+ * Verifies Didit webhook callbacks before they reach a controller:
+ * - HMAC-SHA256 computed over the raw request body (captured by express.json)
+ * - The payload's own `timestamp` (or `created_at`) must fall within the
+ *   tolerance window to block replays. Timestamp headers are not covered by
+ *   the signature, so a captured webhook could be resent with a fresh one.
+ * - Any active secret is accepted so DIDIT_WEBHOOK_SECRET can be rotated
+ *   by listing the old value in DIDIT_WEBHOOK_PREVIOUS_SECRETS
+ */
+
+import * as crypto from 'node:crypto';
+import { config } from '../config/index.js';
+import { logSecurityEvent } from '../utils/logger.js';
+import { webhookSignatureRejectionsTotal } from '../services/metrics.js';
+
+/**
+ * Returns the secrets currently accepted for webhook signatures,
+ * the primary secret first
+ */
+export function getActiveWebhookSecrets() {
+  return [config.didit.webhookSecret, ...config.didit.previousWebhookSecrets].filter(Boolean);
+}
+
+/**
+ * Computes the hex HMAC-SHA256 signature of a raw body
+ *
+ * @param {Buffer|string} rawBody
+ * @param {string} secret
+ */
+export function signWebhookBody(rawBody, secret) {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+/**
+ * Checks a signature against every active secret in constant time
+ *
+ * @returns {number} Index of the matching secret, or -1
+ */
+export function matchWebhookSignature(rawBody, signature, secrets) {
+  const provided = Buffer.from(signature.replace(/^sha256=/, ''), 'utf8');
+
+  return secrets.findIndex((secret) => {
+    const expected = Buffer.from(signWebhookBody(rawBody, secret), 'utf8');
+    // timingSafeEqual throws on length mismatch, so check that first
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  });
+}
+
+/**
+ * Parses a Unix timestamp given in seconds or milliseconds
+ *
+ * @returns {number|null} Timestamp in milliseconds
+ */
+function parseTimestamp(value) {
+  if (value === undefined || value === null || !/^\d+$/.test(String(value))) {
+    return null;
+  }
+  const numeric = Number(value);
+  return numeric > 1e12 ? numeric : numeric * 1000;
+}
+
+/**
+ * Rejects webhook requests with a missing, stale or invalid signature
+ */
+export function verifyDiditWebhook(req, res, next) {
+  const signature = req.headers['x-didit-signature'] || req.headers['x-signature'];
+  const toleranceSeconds = config.didit.webhookToleranceSeconds;
+  const secrets = getActiveWebhookSecrets();
+
+  const reject = (reason, details = {}) => {
+    webhookSignatureRejectionsTotal.inc({ reason });
+    logSecurityEvent('webhook.rejected', {
+      reason,
+      path: req.originalUrl,
+      ip: req.ip,
+      sessionId: req.body?.session_id,
+      ...details,
+    });
+    return res.status(401).json({ error: 'Invalid signature' });
+  };
+
+  if (secrets.length === 0) {
+    return reject('secret_not_configured');
+  }
+
+  if (!req.rawBody) {
+    return reject('missing_raw_body', { contentType: req.headers['content-type'] });
+  }
+
+  if (!signature) {
+    return reject('missing_signature');
+  }
+
+  const secretIndex = matchWebhookSignature(req.rawBody, signature, secrets);
+  if (secretIndex === -1) {
+    return reject('signature_mismatch', { activeSecrets: secrets.length });
+  }
+
+  // req.body was parsed from the signed raw body, so its timestamp is signed too
+  const timestamp = parseTimestamp(req.body?.timestamp ?? req.body?.created_at);
+  if (timestamp === null) {
+    return reject('missing_timestamp');
+  }
+
+  const skewSeconds = Math.round(Math.abs(Date.now() - timestamp) / 1000);
+  if (skewSeconds > toleranceSeconds) {
+    return reject('timestamp_out_of_tolerance', { skewSeconds, toleranceSeconds });
+  }
+
+  if (secretIndex > 0) {
+    logSecurityEvent('webhook.previous_secret_used', {
+      path: req.originalUrl,
+      secretIndex,
+    });
+  }
+
+  return next();
+}
+
+export default verifyDiditWebhook;
@@ -0,0 +1,419 @@
+/**
+ * Mock Didit Server
+ *
+ * Local stand-in for the Didit v2 API, for offline development and
+ * integration testing. Point the backend at it with
+ * DIDIT_BASE_URL=http://localhost:4010/v2
+ *
+ * Implemented Didit endpoints (all require an x-api-key header):
+ * - POST /v2/session/
+ * - GET  /v2/session/:sessionId/
+ * - POST /v2/phone/send/
+ * - POST /v2/phone/check/
+ * - POST /v2/id-verification/
+ *
+ * Control endpoints (under /__mock) script outcomes and fire correctly
+ * signed status.updated / data.updated webhooks back at the backend.
+ */
+
+import 'dotenv/config';
+import express from 'express';
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import { fileURLToPath } from 'node:url';
+import { signWebhookBody } from '../middleware/webhookSignature.js';
+import { logger } from '../utils/logger.js';
+
+// Status sequences the backend sees for each scripted lifecycle
+const LIFECYCLES = {
+  approve: ['In Progress', 'Approved'],
+  decline: ['In Progress', 'Declined'],
+  review: ['In Progress', 'In Review'],
+  abandon: ['In Progress', 'Abandoned'],
+};
+
+// Phone codes with a fixed outcome; any other code follows the scripted outcome
+const APPROVED_PHONE_CODE = '123456';
+const DECLINED_PHONE_CODE = '000000';
+
+/**
+ * Creates the mock Didit express app
+ *
+ * @param {object} [options]
+ * @param {string} [options.apiKey] - Accepted x-api-key (any non-empty key if unset)
+ * @param {string} [options.webhookSecret] - Secret used to sign webhooks
+ * @param {string} [options.webhookUrl] - Overrides the callback URL sent at session creation
+ * @param {string} [options.publicUrl] - Base URL used for hosted verification links
+ */
+export function createMockDiditServer({
+  apiKey = process.env.MOCK_DIDIT_API_KEY,
+  webhookSecret = process.env.DIDIT_WEBHOOK_SECRET,
+  webhookUrl = process.env.MOCK_DIDIT_WEBHOOK_URL,
+  publicUrl = process.env.MOCK_DIDIT_PUBLIC_URL || 'http://localhost:4010',
+} = {}) {
+  const app = express();
+  const state = createState();
+
+  app.use(express.json({ limit: '10mb' }));
+
+  /**
+   * ============================================================
+   * DIDIT API (v2)
+   * ============================================================
+   */
+
+  const api = express.Router();
+
+  api.use((req, res, next) => {
+    const provided = req.headers['x-api-key'];
+    if (!provided || (apiKey && provided !== apiKey)) {
+      return res.status(401).json({ detail: 'Invalid API key' });
+    }
+    return next();
+  });
+
+  api.post('/session/', (req, res) => {
+    const scripted = takeOutcome(state, 'session');
+    if (scripted?.httpStatus) {
+      return res.status(scripted.httpStatus).json(scripted.body || { detail: 'Scripted failure' });
+    }
+
+    const { workflow_id, vendor_data, callback, metadata, contact_details } = req.body;
+    if (!workflow_id) {
+      return res.status(400).json({ workflow_id: ['This field is required.'] });
+    }
+
+    const session = {
+      session_id: uuidv4(),
+      session_number: state.nextSessionNumber++,
+      session_token: uuidv4().replace(/-/g, ''),
+      vendor_data,
+      workflow_id,
+      metadata: metadata || null,
+      contact_details: contact_details || null,
+      callback: webhookUrl || callback,
+      status: 'Not Started',
+      decision: null,
+      created_at: new Date().toISOString(),
+    };
+    session.url = `${publicUrl}/session/${session.session_token}`;
+    state.sessions.set(session.session_id, session);
+
+    logger.info('[mock-didit] Session created', { session_id: session.session_id, vendor_data });
+
+    return res.status(201).json({
+      session_id: session.session_id,
+      session_number: session.session_number,
+      session_token: session.session_token,
+      vendor_data,
+      metadata: session.metadata,
+      status: session.status,
+      workflow_id,
+      callback: session.callback,
+      url: session.url,
+    });
+  });
+
+  api.get('/session/:sessionId/', (req, res) => {
+    const session = state.sessions.get(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ detail: 'Not found.' });
+    }
+    return res.status(200).json(serializeDecision(session));
+  });
+
+  api.post('/phone/send/', (req, res) => {
+    const scripted = takeOutcome(state, 'phone.send');
+    if (scripted?.httpStatus) {
+      return res.status(scripted.httpStatus).json(scripted.body || { detail: 'Scripted failure' });
+    }
+
+    const { phone_number } = req.body;
+    if (!phone_number) {
+      return res.status(400).json({ phone_number: ['This field is required.'] });
+    }
+
+    const request_id = uuidv4();
+    state.phoneRequests.set(phone_number, request_id);
+
+    return res.status(200).json({
+      request_id,
+      phone_number,
+      status: 'Success',
+      message: 'Verification code sent',
+    });
+  });
+
+  api.post('/phone/check/', (req, res) => {
+    const scripted = takeOutcome(state, 'phone.check');
+    if (scripted?.httpStatus) {
+      return res.status(scripted.httpStatus).json(scripted.body || { detail: 'Scripted failure' });
+    }
+
+    const { phone_number, code } = req.body;
+    const request_id = state.phoneRequests.get(phone_number);
+    if (!request_id) {
+      return res.status(404).json({ detail: 'No verification code was sent to this number.' });
+    }
+
+    let status = scripted?.status || 'Approved';
+    if (code === APPROVED_PHONE_CODE) status = 'Approved';
+    if (code === DECLINED_PHONE_CODE) status = 'Declined';
+
+    return res.status(200).json({
+      request_id,
+      status,
+      message: status === 'Approved' ? 'Phone number verified' : 'Invalid verification code',
+      phone: {
+        status,
+        phone_number,
+        is_disposable: false,
+        is_virtual: false,
+      },
+    });
+  });
+
+  api.post('/id-verification/', (req, res) => {
+    const scripted = takeOutcome(state, 'id');
+    if (scripted?.httpStatus) {
+      return res.status(scripted.httpStatus).json(scripted.body || { detail: 'Scripted failure' });
+    }
+
+    if (!req.body.front_image) {
+      return res.status(400).json({ front_image: ['This field is required.'] });
+    }
+
+    const status = scripted?.status || 'Approved';
+
+    return res.status(200).json({
+      request_id: uuidv4(),
+      status,
+      document_type: req.body.document_type || 'id_card',
+      ...sampleDocument(),
+      warnings: status === 'Approved' ? [] : [{ risk: 'DOCUMENT_NOT_RECOGNIZED', short_description: 'Document not recognized' }],
+    });
+  });
+
+  app.use('/v2', api);
+
+  /**
+   * ============================================================
+   * CONTROL API
+   * ============================================================
+   */
+
+  const control = express.Router();
+
+  // Queue the outcome of the next call to an endpoint
+  // { endpoint: 'session' | 'phone.send' | 'phone.check' | 'id', status?, httpStatus?, body? }
+  control.post('/outcomes', (req, res) => {
+    const { endpoint, ...outcome } = req.body;
+    if (!['session', 'phone.send', 'phone.check', 'id'].includes(endpoint)) {
+      return res.status(400).json({ error: 'endpoint must be one of session, phone.send, phone.check, id' });
+    }
+    const queue = state.outcomes.get(endpoint) || [];
+    queue.push(outcome);
+    state.outcomes.set(endpoint, queue);
+    return res.status(201).json({ endpoint, queued: queue.length });
+  });
+
+  control.get('/sessions', (req, res) => {
+    res.status(200).json({ sessions: [...state.sessions.values()] });
+  });
+
+  // Move a session to a new status and fire a status.updated webhook
+  // { status: 'In Progress' | 'Approved' | 'Declined' | 'In Review' | 'Abandoned' }
+  control.post('/sessions/:sessionId/status', async (req, res) => {
+    const session = state.sessions.get(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const delivery = await transitionSession(session, req.body.status);
+    return res.status(200).json({ session_id: session.session_id, status: session.status, delivery });
+  });
+
+  // Run a full lifecycle: { outcome: 'approve' | 'decline' | 'review' | 'abandon' }
+  control.post('/sessions/:sessionId/lifecycle', async (req, res) => {
+    const session = state.sessions.get(req.params.sessionId);
+    const steps = LIFECYCLES[req.body.outcome];
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (!steps) {
+      return res.status(400).json({ error: `outcome must be one of ${Object.keys(LIFECYCLES).join(', ')}` });
+    }
+
+    const deliveries = [];
+    for (const status of steps) {
+      deliveries.push(await transitionSession(session, status));
+    }
+    return res.status(200).json({ session_id: session.session_id, status: session.status, deliveries });
+  });
+
+  // Simulate a reviewer editing the decision and fire a data.updated webhook
+  control.post('/sessions/:sessionId/data-update', async (req, res) => {
+    const session = state.sessions.get(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    session.decision = { ...buildDecision(session), ...req.body };
+    const delivery = await sendWebhook(session, 'data.updated');
+    return res.status(200).json({ session_id: session.session_id, delivery });
+  });
+
+  control.post('/reset', (req, res) => {
+    Object.assign(state, createState());
+    res.status(204).end();
+  });
+
+  app.use('/__mock', control);
+
+  /**
+   * Applies a status change and notifies the backend
+   */
+  async function transitionSession(session, status) {
+    session.status = status;
+    if (['Approved', 'Declined', 'In Review'].includes(status)) {
+      session.decision = buildDecision(session);
+    }
+    return sendWebhook(session, 'status.updated');
+  }
+
+  /**
+   * Sends a signed webhook for a session to its callback URL
+   */
+  async function sendWebhook(session, webhookType) {
+    if (!session.callback) {
+      return { delivered: false, error: 'Session has no callback URL' };
+    }
+
+    // The backend checks the signed body's timestamp, not the header
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = JSON.stringify({
+      session_id: session.session_id,
+      status: session.status,
+      webhook_type: webhookType,
+      created_at: timestamp,
+      timestamp,
+      workflow_id: session.workflow_id,
+      vendor_data: session.vendor_data,
+      metadata: session.metadata,
+      decision: session.decision,
+    });
+
+    try {
+      const response = await axios.post(session.callback, body, {
+        headers: {
+          'content-type': 'application/json',
+          'x-signature': signWebhookBody(body, webhookSecret || ''),
+          'x-timestamp': String(timestamp),
+        },
+        timeout: 10000,
+        validateStatus: () => true,
+      });
+
+      logger.info('[mock-didit] Webhook delivered', {
+        session_id: session.session_id,
+        webhookType,
+        status: session.status,
+        responseStatus: response.status,
+      });
+
+      return { delivered: response.status < 300, webhookType, status: session.status, responseStatus: response.status };
+    } catch (error) {
+      logger.warn('[mock-didit] Webhook delivery failed', { session_id: session.session_id, error: error.message });
+      return { delivered: false, webhookType, status: session.status, error: error.message };
+    }
+  }
+
+  return app;
+}
+
+/**
+ * Fresh in-memory state
+ */
+function createState() {
+  return {
+    sessions: new Map(),
+    phoneRequests: new Map(),
+    outcomes: new Map(),
+    nextSessionNumber: 1000,
+  };
+}
+
+/**
+ * Pops the next scripted outcome for an endpoint, if any
+ */
+function takeOutcome(state, endpoint) {
+  const queue = state.outcomes.get(endpoint);
+  return queue?.length ? queue.shift() : null;
+}
+
+/**
+ * Builds a Didit-shaped decision for the session's current status
+ */
+function buildDecision(session) {
+  return {
+    session_id: session.session_id,
+    session_number: session.session_number,
+    status: session.status,
+    workflow_id: session.workflow_id,
+    vendor_data: session.vendor_data,
+    id_verification: {
+      status: session.status,
+      document_type: 'Identity Card',
+      ...sampleDocument(),
+    },
+    phone_verification: {
+      status: session.status,
+      phone_number: session.contact_details?.phone || '+15555550100',
+    },
+    liveness: {
+      status: session.status,
+      score: session.status === 'Approved' ? 98.4 : 41.2,
+    },
+    created_at: session.created_at,
+  };
+}
+
+/**
+ * Session retrieval response
+ */
+function serializeDecision(session) {
+  return {
+    ...(session.decision || {}),
+    session_id: session.session_id,
+    session_number: session.session_number,
+    status: session.status,
+    vendor_data: session.vendor_data,
+    workflow_id: session.workflow_id,
+  };
+}
+
+/**
+ * Fixed document data for the test identity
+ */
+function sampleDocument() {
+  return {
+    document_number: 'X1234567',
+    first_name: 'Jane',
+    last_name: 'Doe',
+    date_of_birth: '1990-01-01',
+    expiration_date: '2031-01-01',
+    nationality: 'USA',
+    issuing_state: 'USA',
+  };
+}
+
+// Start the server when run directly: npm run mock:didit
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = process.env.MOCK_DIDIT_PORT || 4010;
+  createMockDiditServer().listen(port, () => {
+    logger.info(`[mock-didit] Mock Didit API running on port ${port}`);
+    logger.info(`[mock-didit] Set DIDIT_BASE_URL=http://localhost:${port}/v2 in the backend`);
+  });
+}
+
+export default createMockDiditServer;
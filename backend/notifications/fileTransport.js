@@ -0,0 +1,39 @@
+/**
+ * File Email Transport
+ *
+ * Writes each message as an RFC 822 file into a Maildir (EMAIL_FILE_DIR,
+ * default ./mail) instead of sending it, for local development and tests.
+ * Messages are written to tmp/ and moved to new/, so any Maildir reader
+ * (mutt -f, Thunderbird, ...) can open the directory.
+ */
+
+import * as fs from 'node:fs/promises';
+import * as path from 'node:path';
+import nodemailer from 'nodemailer';
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config/index.js';
+
+/**
+ * Creates the file transport
+ */
+export function createFileTransport({ directory = config.email.fileDir } = {}) {
+  // Builds the raw message without sending it
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    name: 'file',
+
+    async send(message) {
+      const info = await composer.sendMail(message);
+      const filename = `${Date.now()}.${uuidv4()}.eml`;
+
+      await Promise.all(['tmp', 'new', 'cur'].map((dir) => fs.mkdir(path.join(directory, dir), { recursive: true })));
+      await fs.writeFile(path.join(directory, 'tmp', filename), info.message);
+      await fs.rename(path.join(directory, 'tmp', filename), path.join(directory, 'new', filename));
+
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+export default createFileTransport;
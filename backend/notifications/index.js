@@ -0,0 +1,169 @@
+/**
+ * Notifications
+ *
+ * Transactional emails for verification outcomes. Templates live in
+ * templates.js; delivery goes through a pluggable transport selected with
+ * EMAIL_TRANSPORT:
+ *
+ * - smtp: SMTP relay (see smtpTransport.js)
+ * - file: Maildir on disk for development and tests (default, see fileTransport.js)
+ * - none: nothing is sent
+ *
+ * A transport implements `send({ from, to, subject, text, html }) -> { messageId }`.
+ * Every attempt is recorded in the notifications table, so support can see
+ * what a user was told.
+ */
+
+import { config } from '../config/index.js';
+import { prisma } from '../utils/prisma.js';
+import { logger } from '../utils/logger.js';
+import { renderTemplate, NOTIFICATION_TYPES } from './templates.js';
+import { createSmtpTransport } from './smtpTransport.js';
+import { createFileTransport } from './fileTransport.js';
+
+export { NOTIFICATION_TYPES } from './templates.js';
+
+const factories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  none: () => null,
+};
+
+// kycStatus values that trigger an email when a user enters them
+const STATUS_NOTIFICATIONS = {
+  VERIFIED: NOTIFICATION_TYPES.APPROVED,
+  DECLINED: NOTIFICATION_TYPES.DECLINED,
+  IN_REVIEW: NOTIFICATION_TYPES.IN_REVIEW,
+};
+
+// Placeholder addresses created for users without an email (RFC 2606 domain)
+const PLACEHOLDER_EMAIL = /@example\.com$/i;
+
+let transport;
+
+/**
+ * Returns the configured email transport (null when disabled)
+ */
+export function getEmailTransport() {
+  if (transport === undefined) {
+    const name = config.email.transport;
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(`Unknown EMAIL_TRANSPORT "${name}". Available: ${Object.keys(factories).join(', ')}`);
+    }
+    transport = factory();
+  }
+  return transport;
+}
+
+/**
+ * Renders and sends a notification to a user, and records the outcome.
+ * Never throws: a failed email must not fail the verification flow.
+ *
+ * @param {string} userId - Internal user ID
+ * @param {string} type - One of NOTIFICATION_TYPES
+ * @param {object} [values] - Template values
+ * @param {object} [options]
+ * @param {string} [options.sessionId] - Provider session the notification is about
+ * @returns {Promise<object|null>} The notification record
+ */
+export async function sendNotification(userId, type, values = {}, { sessionId } = {}) {
+  let record = {
+    userId,
+    type,
+    channel: 'EMAIL',
+    sessionId: sessionId || null,
+  };
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) {
+      logger.warn('Notification skipped: user not found', { userId, type });
+      return null;
+    }
+
+    const { subject, text, html } = renderTemplate(type, values);
+    const emailTransport = getEmailTransport();
+    record = { ...record, recipient: user.email, subject, transport: emailTransport?.name || 'none' };
+
+    if (!emailTransport) {
+      return await saveNotification({ ...record, status: 'SKIPPED', error: 'Email transport disabled' });
+    }
+    if (user.erasedAt) {
+      return await saveNotification({ ...record, status: 'SKIPPED', error: 'User data erased' });
+    }
+    if (PLACEHOLDER_EMAIL.test(user.email)) {
+      return await saveNotification({ ...record, status: 'SKIPPED', error: 'Placeholder email address' });
+    }
+
+    const { messageId } = await emailTransport.send({
+      from: config.email.from,
+      to: user.email,
+      subject,
+      text,
+      html,
+    });
+
+    logger.info('Notification sent', { userId, type, transport: emailTransport.name });
+
+    return await saveNotification({ ...record, status: 'SENT', messageId: messageId || null });
+  } catch (error) {
+    logger.error('Failed to send notification', { userId, type, error: error.message });
+
+    try {
+      return await saveNotification({ recipient: '', subject: '', transport: 'unknown', ...record, status: 'FAILED', error: error.message });
+    } catch (dbError) {
+      logger.error('Failed to record notification', { userId, type, error: dbError.message });
+      return null;
+    }
+  }
+}
+
+/**
+ * Sends the email for a kycStatus change, if that status has one.
+ * Repeated webhooks for the same status do not send again.
+ *
+ * @param {object} user - Updated user record
+ * @param {string} previousStatus - kycStatus before the change
+ * @param {object} options
+ * @param {number} options.retriesRemaining - Verification attempts left, quoted in declines
+ * @param {string} [options.sessionId] - Provider session behind the change
+ */
+export async function notifyKycStatusChange(user, previousStatus, { retriesRemaining, sessionId }) {
+  const type = STATUS_NOTIFICATIONS[user.kycStatus];
+
+  if (!type || user.kycStatus === previousStatus) {
+    return null;
+  }
+
+  return sendNotification(user.id, type, { retriesRemaining }, { sessionId });
+}
+
+/**
+ * Lists a user's notifications, newest first
+ *
+ * @param {string} userId - Internal user ID
+ * @param {object} [options]
+ * @param {number} [options.limit=50]
+ * @param {number} [options.offset=0]
+ * @returns {Promise<{ notifications: object[], total: number }>}
+ */
+export async function listUserNotifications(userId, { limit = 50, offset = 0 } = {}) {
+  const [notifications, total] = await Promise.all([
+    prisma.notification.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip: offset,
+    }),
+    prisma.notification.count({ where: { userId } }),
+  ]);
+
+  return { notifications, total };
+}
+
+async function saveNotification(data) {
+  return prisma.notification.create({ data });
+}
+
+export default sendNotification;
@@ -0,0 +1,42 @@
+/**
+ * SMTP Email Transport
+ *
+ * Sends mail through an SMTP relay (SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+ * SMTP_USER, SMTP_PASSWORD).
+ */
+
+import nodemailer from 'nodemailer';
+import { config } from '../config/index.js';
+
+/**
+ * Creates the SMTP transport
+ */
+export function createSmtpTransport({
+  host = config.smtp.host,
+  port = config.smtp.port,
+  secure = config.smtp.secure,
+  user = config.smtp.user,
+  password = config.smtp.password,
+} = {}) {
+  if (!host) {
+    throw new Error('SMTP_HOST is required for the smtp email transport');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+export default createSmtpTransport;
@@ -0,0 +1,107 @@
+/**
+ * Email Templates
+ *
+ * One template per notification type. Each returns { subject, text, html }
+ * from the values passed to sendNotification.
+ */
+
+import { config } from '../config/index.js';
+
+const APP_NAME = config.email.appName;
+
+export const NOTIFICATION_TYPES = Object.freeze({
+  SESSION_CREATED: 'SESSION_CREATED',
+  APPROVED: 'APPROVED',
+  DECLINED: 'DECLINED',
+  IN_REVIEW: 'IN_REVIEW',
+  EXPIRING_SOON: 'EXPIRING_SOON',
+});
+
+const templates = {
+  [NOTIFICATION_TYPES.SESSION_CREATED]: ({ verificationUrl, expiresInMinutes, retriesRemaining }) => ({
+    subject: 'Complete your identity verification',
+    paragraphs: [
+      'You started an identity verification. Use the link below to continue.',
+      { link: verificationUrl, label: 'Continue verification' },
+      `The link is valid for ${expiresInMinutes} minutes.`,
+      retriesRemaining > 0
+        ? `You have ${retriesRemaining} more verification attempt${retriesRemaining === 1 ? '' : 's'} after this one.`
+        : 'This is your last verification attempt.',
+    ],
+  }),
+
+  [NOTIFICATION_TYPES.APPROVED]: () => ({
+    subject: 'Your identity has been verified',
+    paragraphs: [
+      'Good news: your identity verification was approved.',
+      'Trading is now available on your account.',
+    ],
+  }),
+
+  [NOTIFICATION_TYPES.DECLINED]: ({ retriesRemaining }) => ({
+    subject: 'Your identity verification was not approved',
+    paragraphs: [
+      'Unfortunately we could not verify your identity.',
+      retriesRemaining > 0
+        ? `You can try again. You have ${retriesRemaining} attempt${retriesRemaining === 1 ? '' : 's'} remaining.`
+        : 'You have no verification attempts remaining. Please contact support.',
+    ],
+  }),
+
+  [NOTIFICATION_TYPES.IN_REVIEW]: () => ({
+    subject: 'Your identity verification is under review',
+    paragraphs: [
+      'Your verification needs a manual review by our compliance team.',
+      'We will email you as soon as a decision has been made. No action is needed from you.',
+    ],
+  }),
+
+  [NOTIFICATION_TYPES.EXPIRING_SOON]: ({ expiresAt }) => ({
+    subject: 'Your identity verification is expiring soon',
+    paragraphs: [
+      `Your identity verification expires on ${new Date(expiresAt).toISOString().slice(0, 10)}.`,
+      'Please verify again before then to keep trading without interruption.',
+    ],
+  }),
+};
+
+/**
+ * Renders a notification
+ *
+ * @param {string} type - One of NOTIFICATION_TYPES
+ * @param {object} [values] - Template values
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export function renderTemplate(type, values = {}) {
+  const template = templates[type];
+  if (!template) {
+    throw new Error(`Unknown notification type "${type}"`);
+  }
+
+  const { subject, paragraphs } = template(values);
+
+  const text = [
+    ...paragraphs.map((p) => (typeof p === 'string' ? p : `${p.label}: ${p.link}`)),
+    `— ${APP_NAME}`,
+  ].join('\n\n');
+
+  const html = [
+    ...paragraphs.map((p) => (typeof p === 'string'
+      ? `<p>${escapeHtml(p)}</p>`
+      : `<p><a href="${escapeHtml(p.link)}">${escapeHtml(p.label)}</a></p>`)),
+    `<p>— ${escapeHtml(APP_NAME)}</p>`,
+  ].join('\n');
+
+  return { subject: `${APP_NAME}: ${subject}`, text, html };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export default renderTemplate;
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "verification_sessions" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "sessionId" TEXT NOT NULL,
+    "sessionNumber" INTEGER,
+    "userId" TEXT NOT NULL,
+    "workflowId" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'Not Started',
+    "correlationId" TEXT,
+    "verificationUrl" TEXT,
+    "decision" TEXT,
+    "decidedAt" DATETIME,
+    "lastWebhookAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "verification_sessions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "verification_sessions_sessionId_key" ON "verification_sessions"("sessionId");
+
+-- CreateIndex
+CREATE INDEX "verification_sessions_userId_idx" ON "verification_sessions"("userId");
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "webhook_events" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "source" TEXT NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "webhookType" TEXT NOT NULL,
+    "payloadHash" TEXT NOT NULL,
+    "payload" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "maxAttempts" INTEGER NOT NULL DEFAULT 5,
+    "nextAttemptAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastError" TEXT,
+    "processedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "webhook_events_status_nextAttemptAt_idx" ON "webhook_events"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "webhook_events_sessionId_webhookType_payloadHash_key" ON "webhook_events"("sessionId", "webhookType", "payloadHash");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "verification_sessions" ADD COLUMN "provider" TEXT NOT NULL DEFAULT 'DIDIT';
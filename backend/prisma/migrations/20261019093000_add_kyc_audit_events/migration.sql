@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "kyc_audit_events" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "actorType" TEXT NOT NULL,
+    "actorId" TEXT,
+    "action" TEXT NOT NULL,
+    "before" TEXT NOT NULL,
+    "after" TEXT NOT NULL,
+    "sessionId" TEXT,
+    "correlationId" TEXT,
+    "reason" TEXT,
+    "prevHash" TEXT,
+    "hash" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "kyc_audit_events_userId_sequence_key" ON "kyc_audit_events"("userId", "sequence");
+
+-- CreateIndex
+CREATE INDEX "kyc_audit_events_sessionId_idx" ON "kyc_audit_events"("sessionId");
+
+-- Audit events are append-only
+CREATE TRIGGER "kyc_audit_events_no_update"
+BEFORE UPDATE ON "kyc_audit_events"
+BEGIN
+    SELECT RAISE(ABORT, 'kyc_audit_events is append-only');
+END;
+
+CREATE TRIGGER "kyc_audit_events_no_delete"
+BEFORE DELETE ON "kyc_audit_events"
+BEGIN
+    SELECT RAISE(ABORT, 'kyc_audit_events is append-only');
+END;
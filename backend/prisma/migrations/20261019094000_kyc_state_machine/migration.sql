@@ -0,0 +1,35 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_users" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "email" TEXT NOT NULL,
+    "kycStatus" TEXT NOT NULL DEFAULT 'NOT_STARTED',
+    "kycProvider" TEXT,
+    "kycCompletedAt" DATETIME,
+    "kycDetails" TEXT,
+    "tradingEnabled" BOOLEAN NOT NULL DEFAULT false,
+    "verificationRetries" INTEGER NOT NULL DEFAULT 0,
+    "lastVerificationAttempt" DATETIME,
+    "idVerified" BOOLEAN NOT NULL DEFAULT false,
+    "phoneVerified" BOOLEAN NOT NULL DEFAULT false,
+    "phoneNumber" TEXT,
+    "emailVerified" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+INSERT INTO "new_users" ("createdAt", "email", "emailVerified", "id", "idVerified", "kycCompletedAt", "kycDetails", "kycProvider", "kycStatus", "lastVerificationAttempt", "phoneNumber", "phoneVerified", "tradingEnabled", "updatedAt", "verificationRetries") SELECT "createdAt", "email", "emailVerified", "id", "idVerified", "kycCompletedAt", "kycDetails", "kycProvider", "kycStatus", "lastVerificationAttempt", "phoneNumber", "phoneVerified", "tradingEnabled", "updatedAt", "verificationRetries" FROM "users";
+DROP TABLE "users";
+ALTER TABLE "new_users" RENAME TO "users";
+CREATE UNIQUE INDEX "users_email_key" ON "users"("email");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- Map legacy KYC statuses onto the state machine
+UPDATE "users" SET "kycStatus" = CASE
+    WHEN "lastVerificationAttempt" IS NULL THEN 'NOT_STARTED'
+    ELSE 'IN_PROGRESS'
+END
+WHERE "kycStatus" = 'PENDING';
+
+UPDATE "users" SET "kycStatus" = 'DECLINED' WHERE "kycStatus" = 'FAILED';
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "documentExpiresAt" DATETIME;
+ALTER TABLE "users" ADD COLUMN "expiryReminderSentAt" DATETIME;
+ALTER TABLE "users" ADD COLUMN "kycExpiredAt" DATETIME;
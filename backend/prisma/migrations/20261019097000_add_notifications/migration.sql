@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "notifications" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "channel" TEXT NOT NULL DEFAULT 'EMAIL',
+    "recipient" TEXT NOT NULL,
+    "subject" TEXT NOT NULL,
+    "transport" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "messageId" TEXT,
+    "error" TEXT,
+    "sessionId" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "notifications_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "notifications_userId_createdAt_idx" ON "notifications"("userId", "createdAt");
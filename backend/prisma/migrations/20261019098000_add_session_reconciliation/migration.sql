@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "verification_sessions" ADD COLUMN "lastReconciledAt" DATETIME;
+
+-- CreateIndex
+CREATE INDEX "verification_sessions_decidedAt_createdAt_idx" ON "verification_sessions"("decidedAt", "createdAt");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "phoneNumberIndex" TEXT;
+
+-- CreateIndex
+CREATE INDEX "users_phoneNumberIndex_idx" ON "users"("phoneNumberIndex");
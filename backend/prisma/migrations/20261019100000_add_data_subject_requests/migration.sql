@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "erasedAt" DATETIME;
+ALTER TABLE "users" ADD COLUMN "legalHold" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "users" ADD COLUMN "legalHoldReason" TEXT;
+
+-- CreateTable
+CREATE TABLE "data_subject_requests" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "actorType" TEXT NOT NULL,
+    "actorId" TEXT,
+    "reason" TEXT,
+    "summary" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "data_subject_requests_userId_idx" ON "data_subject_requests"("userId");
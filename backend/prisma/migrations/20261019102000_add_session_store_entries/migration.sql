@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "session_store_entries" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "namespace" TEXT NOT NULL,
+    "entryId" TEXT NOT NULL,
+    "userId" TEXT,
+    "value" TEXT NOT NULL,
+    "expiresAt" DATETIME NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "session_store_entries_namespace_entryId_key" ON "session_store_entries"("namespace", "entryId");
+
+-- CreateIndex
+CREATE INDEX "session_store_entries_userId_idx" ON "session_store_entries"("userId");
+
+-- CreateIndex
+CREATE INDEX "session_store_entries_expiresAt_idx" ON "session_store_entries"("expiresAt");
@@ -0,0 +1,419 @@
+/**
+ * Didit HTTP Client
+ *
+ * The single place requests to the Didit API are made. On top of axios it:
+ *
+ * - retries idempotent calls (GET, or `idempotent: true`) on network
+ *   errors, timeouts and 5xx with jittered exponential backoff
+ * - retries any call answered with 429, after the Retry-After delay (a
+ *   rate-limited request was not processed); a delay beyond
+ *   DIDIT_RETRY_MAX_DELAY_MS is returned to the caller instead
+ * - opens a circuit breaker after DIDIT_BREAKER_FAILURE_THRESHOLD
+ *   consecutive failures (network errors, timeouts, 5xx). While open,
+ *   calls fail at once with code CIRCUIT_OPEN and `retryAfter` (seconds);
+ *   after DIDIT_BREAKER_COOLDOWN_MS one trial call is let through and
+ *   closes the circuit if it succeeds
+ * - records latency and errors per endpoint (getDiditClientStats)
+ * - sends the current request's X-Request-Id and a W3C traceparent, one
+ *   client span per attempt (utils/tracing.js)
+ *
+ * HTTP errors stay axios errors with `error.response`, so controllers can
+ * keep mapping Didit status codes.
+ */
+
+import axios from 'axios';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { getRequestId } from '../utils/requestContext.js';
+import { SPAN_KINDS, startSpan } from '../utils/tracing.js';
+import { registerCollector, histogramSamples, retriesExhaustedTotal } from '../services/metrics.js';
+
+export const CIRCUIT_STATES = Object.freeze({
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN',
+});
+
+// Failures that count against the circuit and may be retried
+const RETRYABLE_NETWORK_CODES = ['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+
+// Latency histogram bucket upper bounds (ms)
+const LATENCY_BUCKETS_MS = [50, 100, 250, 500, 1000, 2500, 5000, 10_000, 30_000];
+
+/**
+ * Creates a Didit client
+ *
+ * @param {object} [options]
+ * @param {string} [options.apiKey] - Defaults to DIDIT_API_KEY
+ * @param {string} [options.baseUrl] - Defaults to DIDIT_BASE_URL
+ * @param {number} [options.timeoutMs] - Default request timeout, DIDIT_TIMEOUT_MS
+ * @param {number} [options.maxRetries] - Retries after the first attempt, DIDIT_MAX_RETRIES
+ * @param {number} [options.retryBaseDelayMs] - DIDIT_RETRY_BASE_DELAY_MS
+ * @param {number} [options.retryMaxDelayMs] - DIDIT_RETRY_MAX_DELAY_MS
+ * @param {number} [options.failureThreshold] - DIDIT_BREAKER_FAILURE_THRESHOLD
+ * @param {number} [options.cooldownMs] - DIDIT_BREAKER_COOLDOWN_MS
+ */
+export function createDiditClient({
+  apiKey = config.didit.apiKey,
+  baseUrl = config.didit.baseUrl,
+  timeoutMs = config.didit.timeoutMs,
+  maxRetries = config.didit.maxRetries,
+  retryBaseDelayMs = config.didit.retryBaseDelayMs,
+  retryMaxDelayMs = config.didit.retryMaxDelayMs,
+  failureThreshold = config.didit.breakerFailureThreshold,
+  cooldownMs = config.didit.breakerCooldownMs,
+} = {}) {
+  const http = axios.create({
+    baseURL: baseUrl,
+    timeout: timeoutMs,
+    headers: {
+      'accept': 'application/json',
+      'content-type': 'application/json',
+      'x-api-key': apiKey,
+    },
+  });
+
+  const breaker = {
+    state: CIRCUIT_STATES.CLOSED,
+    consecutiveFailures: 0,
+    openedAt: null,
+    trialInFlight: false,
+  };
+
+  const endpoints = new Map();
+
+  /**
+   * Sends a request
+   *
+   * @param {object} options
+   * @param {string} options.endpoint - Metrics label, e.g. 'session.get'
+   * @param {string} options.method
+   * @param {string} options.path - Relative to the base URL
+   * @param {object} [options.data]
+   * @param {number} [options.timeout] - Overrides the default timeout
+   * @param {boolean} [options.idempotent] - Allow retries of a non-GET call
+   * @returns {Promise<import('axios').AxiosResponse>}
+   */
+  async function request({ endpoint, method, path, data, timeout, idempotent = method === 'GET' }) {
+    const stats = endpointStats(endpoint);
+
+    for (let attempt = 0; ; attempt++) {
+      acquire(endpoint, stats);
+
+      const span = startSpan({
+        name: `Didit ${endpoint}`,
+        kind: SPAN_KINDS.CLIENT,
+        attributes: { 'http.request.method': method, 'didit.endpoint': endpoint, 'http.request.resend_count': attempt || undefined },
+      });
+      const requestId = getRequestId();
+      const headers = { traceparent: span.traceparent(), ...(requestId && { 'X-Request-Id': requestId }) };
+
+      const startedAt = Date.now();
+      try {
+        const response = await http.request({ method, url: path, data, timeout, headers });
+        record(stats, Date.now() - startedAt, response.status);
+        span.setAttributes({ 'http.response.status_code': response.status });
+        span.end();
+        onSuccess();
+        return response;
+      } catch (error) {
+        const status = error.response?.status;
+        record(stats, Date.now() - startedAt, status || error.code || 'NETWORK_ERROR', true);
+        span.setAttributes({ 'http.response.status_code': status, 'error.type': status ? String(status) : error.code });
+        span.end({ error });
+
+        const failure = isFailure(error);
+        if (failure) {
+          onFailure(endpoint);
+        } else {
+          // A 4xx means Didit is up
+          onSuccess();
+        }
+
+        const delay = retryDelay(error, attempt, { idempotent, failure });
+        if (delay === null) {
+          // Would have been retried, but the retries are used up
+          const retryable = status === 429 || (idempotent && failure);
+          if (retryable && maxRetries > 0 && attempt >= maxRetries) {
+            retriesExhaustedTotal.inc({ component: 'didit_api' });
+          }
+          throw error;
+        }
+
+        stats.retries += 1;
+        logger.warn('Retrying Didit request', {
+          endpoint,
+          attempt: attempt + 1,
+          status,
+          error: error.message,
+          delayMs: delay,
+        });
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Milliseconds to wait before the next attempt, or null to give up
+   */
+  function retryDelay(error, attempt, { idempotent, failure }) {
+    if (attempt >= maxRetries) {
+      return null;
+    }
+
+    if (error.response?.status === 429) {
+      const retryAfterMs = parseRetryAfter(error.response.headers?.['retry-after']);
+      if (retryAfterMs === null) {
+        return backoff(attempt);
+      }
+      return retryAfterMs <= retryMaxDelayMs ? retryAfterMs : null;
+    }
+
+    if (!idempotent || !failure || breaker.state === CIRCUIT_STATES.OPEN) {
+      return null;
+    }
+
+    return backoff(attempt);
+  }
+
+  // Full jitter: anywhere between 0 and the exponential delay
+  function backoff(attempt) {
+    return Math.floor(Math.random() * Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** attempt));
+  }
+
+  /**
+   * Lets a call through the circuit or throws CIRCUIT_OPEN
+   */
+  function acquire(endpoint, stats) {
+    if (breaker.state === CIRCUIT_STATES.CLOSED) {
+      return;
+    }
+
+    const remainingMs = breaker.openedAt + cooldownMs - Date.now();
+    if (breaker.state === CIRCUIT_STATES.OPEN && remainingMs <= 0) {
+      breaker.state = CIRCUIT_STATES.HALF_OPEN;
+      logger.info('Didit circuit half-open, sending a trial request', { endpoint });
+    }
+
+    if (breaker.state === CIRCUIT_STATES.HALF_OPEN && !breaker.trialInFlight) {
+      breaker.trialInFlight = true;
+      return;
+    }
+
+    stats.rejected += 1;
+    const error = new Error('Didit API unavailable (circuit open)');
+    error.code = 'CIRCUIT_OPEN';
+    error.retryAfter = Math.max(1, Math.ceil(remainingMs / 1000));
+    throw error;
+  }
+
+  function onSuccess() {
+    if (breaker.state !== CIRCUIT_STATES.CLOSED) {
+      logger.info('Didit circuit closed');
+    }
+    breaker.state = CIRCUIT_STATES.CLOSED;
+    breaker.consecutiveFailures = 0;
+    breaker.openedAt = null;
+    breaker.trialInFlight = false;
+  }
+
+  function onFailure(endpoint) {
+    breaker.consecutiveFailures += 1;
+    breaker.trialInFlight = false;
+
+    const shouldOpen = breaker.state === CIRCUIT_STATES.HALF_OPEN
+      || (breaker.state === CIRCUIT_STATES.CLOSED && breaker.consecutiveFailures >= failureThreshold);
+
+    if (shouldOpen) {
+      breaker.state = CIRCUIT_STATES.OPEN;
+      breaker.openedAt = Date.now();
+      logger.error('Didit circuit opened', {
+        endpoint,
+        consecutiveFailures: breaker.consecutiveFailures,
+        cooldownMs,
+      });
+    }
+  }
+
+  function endpointStats(endpoint) {
+    if (!endpoints.has(endpoint)) {
+      endpoints.set(endpoint, {
+        requests: 0,
+        errors: 0,
+        retries: 0,
+        rejected: 0,
+        statuses: {},
+        latency: {
+          count: 0,
+          sumMs: 0,
+          maxMs: 0,
+          buckets: Object.fromEntries([...LATENCY_BUCKETS_MS, Infinity].map((bound) => [bound, 0])),
+        },
+      });
+    }
+    return endpoints.get(endpoint);
+  }
+
+  return {
+    request,
+
+    get(path, { endpoint, timeout } = {}) {
+      return request({ endpoint, method: 'GET', path, timeout });
+    },
+
+    post(path, data, { endpoint, timeout, idempotent = false } = {}) {
+      return request({ endpoint, method: 'POST', path, data, timeout, idempotent });
+    },
+
+    /**
+     * Circuit state and per-endpoint request counts and latencies
+     */
+    stats() {
+      return {
+        circuit: {
+          state: breaker.state,
+          consecutiveFailures: breaker.consecutiveFailures,
+          openedAt: breaker.openedAt ? new Date(breaker.openedAt) : null,
+        },
+        endpoints: Object.fromEntries([...endpoints].map(([endpoint, stats]) => [endpoint, {
+          ...stats,
+          statuses: { ...stats.statuses },
+          latency: {
+            ...stats.latency,
+            avgMs: stats.latency.count > 0 ? Math.round(stats.latency.sumMs / stats.latency.count) : null,
+            buckets: { ...stats.latency.buckets },
+          },
+        }])),
+      };
+    },
+  };
+}
+
+/**
+ * Network errors, timeouts and 5xx; 4xx answers (including 429) are not
+ * held against the circuit
+ */
+function isFailure(error) {
+  const status = error.response?.status;
+  if (status) {
+    return status >= 500;
+  }
+  return RETRYABLE_NETWORK_CODES.includes(error.code) || !error.code;
+}
+
+function record(stats, latencyMs, status, isError = false) {
+  stats.requests += 1;
+  if (isError) {
+    stats.errors += 1;
+  }
+  stats.statuses[status] = (stats.statuses[status] || 0) + 1;
+
+  stats.latency.count += 1;
+  stats.latency.sumMs += latencyMs;
+  stats.latency.maxMs = Math.max(stats.latency.maxMs, latencyMs);
+  const bound = LATENCY_BUCKETS_MS.find((limit) => latencyMs <= limit) ?? Infinity;
+  stats.latency.buckets[bound] += 1;
+}
+
+/**
+ * Retry-After is either seconds or an HTTP date
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Shared client for the Didit provider
+let sharedClient = null;
+
+/**
+ * Returns the process-wide Didit client
+ */
+export function getDiditClient() {
+  if (!sharedClient) {
+    sharedClient = createDiditClient();
+  }
+  return sharedClient;
+}
+
+/**
+ * Circuit state and per-endpoint metrics of the shared client
+ */
+export function getDiditClientStats() {
+  return getDiditClient().stats();
+}
+
+/**
+ * Prometheus view of the shared client's stats, collected at scrape time
+ * (services/metrics.js)
+ */
+function collectDiditClientMetrics() {
+  const { circuit, endpoints } = getDiditClientStats();
+  const perEndpoint = Object.entries(endpoints);
+  const bounds = LATENCY_BUCKETS_MS.map((ms) => ms / 1000);
+
+  return [
+    {
+      name: 'didit_api_circuit_state',
+      help: 'Didit circuit breaker state (1 for the current state).',
+      type: 'gauge',
+      samples: Object.values(CIRCUIT_STATES).map((state) => ({
+        labels: { state },
+        value: circuit.state === state ? 1 : 0,
+      })),
+    },
+    {
+      name: 'didit_api_requests_total',
+      help: 'Didit API attempts (including retries) by endpoint and response status or error code.',
+      type: 'counter',
+      samples: perEndpoint.flatMap(([endpoint, stats]) => Object.entries(stats.statuses).map(([status, value]) => ({
+        labels: { endpoint, status },
+        value,
+      }))),
+    },
+    {
+      name: 'didit_api_retries_total',
+      help: 'Didit API attempts retried, by endpoint.',
+      type: 'counter',
+      samples: perEndpoint.map(([endpoint, stats]) => ({ labels: { endpoint }, value: stats.retries })),
+    },
+    {
+      name: 'didit_api_circuit_rejections_total',
+      help: 'Didit API calls rejected while the circuit was open, by endpoint.',
+      type: 'counter',
+      samples: perEndpoint.map(([endpoint, stats]) => ({ labels: { endpoint }, value: stats.rejected })),
+    },
+    {
+      name: 'didit_api_request_duration_seconds',
+      help: 'Didit API attempt latency by endpoint.',
+      type: 'histogram',
+      samples: perEndpoint.flatMap(([endpoint, { latency }]) => histogramSamples({ endpoint }, bounds, {
+        counts: LATENCY_BUCKETS_MS.map((ms) => latency.buckets[ms]),
+        sum: latency.sumMs / 1000,
+        count: latency.count,
+      })),
+    },
+  ];
+}
+
+registerCollector(collectDiditClientMetrics);
+
+export default {
+  CIRCUIT_STATES,
+  createDiditClient,
+  getDiditClient,
+  getDiditClientStats,
+};
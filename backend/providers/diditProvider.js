@@ -0,0 +1,221 @@
+/**
+ * Didit KYC Provider
+ *
+ * Adapter between the Didit v2 API and the normalized provider interface
+ * described in providers/index.js. Requests go through the shared Didit
+ * client (providers/diditClient.js), which adds retries and a circuit
+ * breaker; HTTP errors are axios errors and keep `error.response`, so
+ * controllers can map Didit status codes.
+ */
+
+import { config } from '../config/index.js';
+import { getDiditClient } from './diditClient.js';
+import { SESSION_STATUS } from './sessionStatus.js';
+
+// Didit session statuses mapped to normalized session statuses
+const STATUS_MAP = {
+  'Not Started': SESSION_STATUS.NOT_STARTED,
+  'In Progress': SESSION_STATUS.IN_PROGRESS,
+  'In Review': SESSION_STATUS.IN_REVIEW,
+  'Approved': SESSION_STATUS.APPROVED,
+  'Declined': SESSION_STATUS.DECLINED,
+  'Abandoned': SESSION_STATUS.ABANDONED,
+  'Expired': SESSION_STATUS.EXPIRED,
+  'Kyc Expired': SESSION_STATUS.EXPIRED,
+};
+
+/**
+ * Creates the Didit provider
+ *
+ * @param {object} [options]
+ * @param {object} [options.client] - Didit client, defaults to the shared one
+ * @param {string} [options.workflowId] - Defaults to DIDIT_WORKFLOW_ID
+ */
+export function createDiditProvider({
+  client = getDiditClient(),
+  workflowId = config.didit.workflowId,
+} = {}) {
+  return {
+    name: 'DIDIT',
+    workflowId,
+
+    /**
+     * Creates a hosted verification session
+     */
+    async createSession({ userId, callbackUrl, successUrl, failureUrl, contactDetails, expectedDetails, metadata, providerOptions }) {
+      const payload = {
+        workflow_id: workflowId,
+        vendor_data: userId,
+        callback: callbackUrl,
+        redirect_url_success: successUrl,
+        redirect_url_failure: failureUrl,
+        ...providerOptions,
+      };
+
+      if (contactDetails) {
+        payload.contact_details = contactDetails;
+      }
+      if (expectedDetails) {
+        payload.expected_details = expectedDetails;
+      }
+      if (metadata) {
+        payload.metadata = metadata;
+      }
+
+      const response = await client.post('/session/', payload, { endpoint: 'session.create' });
+      const { session_id, session_number, session_token, url, status } = response.data;
+
+      return {
+        sessionId: session_id,
+        sessionNumber: session_number,
+        sessionToken: session_token,
+        verificationUrl: url,
+        status: mapStatus(status),
+        providerStatus: status,
+        workflowId,
+        raw: response.data,
+      };
+    },
+
+    /**
+     * Retrieves a session and its decision
+     */
+    async getSession(sessionId) {
+      const response = await client.get(`/session/${sessionId}/`, { endpoint: 'session.get' });
+      const data = response.data;
+
+      return {
+        sessionId: data.session_id || sessionId,
+        userId: data.vendor_data,
+        status: mapStatus(data.status),
+        providerStatus: data.status,
+        decision: normalizeDecision(data),
+        raw: data,
+      };
+    },
+
+    /**
+     * Sends a verification code by SMS
+     */
+    async sendPhoneCode(phoneNumber) {
+      const response = await client.post(
+        '/phone/send/',
+        { phone_number: phoneNumber },
+        { endpoint: 'phone.send' }
+      );
+      const { request_id, phone_number, status, message } = response.data;
+
+      return {
+        requestId: request_id,
+        phoneNumber: phone_number || phoneNumber,
+        status,
+        message,
+        raw: response.data,
+      };
+    },
+
+    /**
+     * Checks a verification code
+     */
+    async checkPhoneCode({ phoneNumber, code }) {
+      const response = await client.post(
+        '/phone/check/',
+        { phone_number: phoneNumber, code },
+        { endpoint: 'phone.check' }
+      );
+      const { request_id, status } = response.data;
+
+      return {
+        requestId: request_id,
+        status,
+        approved: status === 'Approved',
+        raw: response.data,
+      };
+    },
+
+    /**
+     * Verifies an ID document from base64 images
+     */
+    async verifyDocument({ frontImage, backImage, documentType }) {
+      const payload = { front_image: frontImage };
+
+      if (backImage) {
+        payload.back_image = backImage;
+      }
+      if (documentType) {
+        payload.document_type = documentType;
+      }
+
+      // ID verification can take longer
+      const response = await client.post('/id-verification/', payload, {
+        endpoint: 'id.verify',
+        timeout: config.didit.idVerificationTimeoutMs,
+      });
+      const result = response.data;
+
+      return {
+        status: result.status,
+        approved: result.status === 'verified' || result.status === 'Approved',
+        document: normalizeDocument(result),
+        warnings: result.warnings || [],
+        raw: result,
+      };
+    },
+
+    /**
+     * Normalizes a status.updated / data.updated webhook body
+     */
+    parseWebhook(payload) {
+      return {
+        sessionId: payload.session_id,
+        userId: payload.vendor_data,
+        type: payload.webhook_type,
+        status: mapStatus(payload.status),
+        providerStatus: payload.status,
+        workflowId: payload.workflow_id,
+        decision: payload.decision ? normalizeDecision(payload.decision) : null,
+      };
+    },
+  };
+}
+
+/**
+ * Maps a Didit status to a normalized session status (null if unknown)
+ */
+function mapStatus(status) {
+  return STATUS_MAP[status] || null;
+}
+
+/**
+ * Extracts the per-check outcomes from a Didit decision
+ */
+function normalizeDecision(decision) {
+  const idCheck = decision.id_verification;
+  const phoneCheck = decision.phone_verification;
+
+  return {
+    idVerified: idCheck ? idCheck.status === 'Approved' : undefined,
+    phoneVerified: phoneCheck ? phoneCheck.status === 'Approved' : undefined,
+    phoneNumber: phoneCheck?.phone_number || null,
+    document: idCheck ? normalizeDocument(idCheck) : null,
+    raw: decision,
+  };
+}
+
+/**
+ * Extracts document fields from a Didit ID verification result
+ */
+function normalizeDocument(result) {
+  return {
+    type: result.document_type,
+    number: result.document_number,
+    firstName: result.first_name,
+    lastName: result.last_name,
+    dateOfBirth: result.date_of_birth,
+    expirationDate: result.expiration_date,
+    nationality: result.nationality,
+    issuingState: result.issuing_state,
+  };
+}
+
+export default createDiditProvider;
@@ -0,0 +1,139 @@
+/**
+ * Fake KYC Provider
+ *
+ * In-process provider for local development and tests (KYC_PROVIDER=FAKE).
+ * No network calls are made: sessions are kept in memory, phone code
+ * `000000` is declined and every other check is approved. Webhooks are
+ * expected in normalized form:
+ * { session_id, vendor_data, webhook_type, status, decision? }
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { SESSION_STATUS } from './sessionStatus.js';
+
+const DECLINED_PHONE_CODE = '000000';
+
+/**
+ * Creates the fake provider
+ */
+export function createFakeProvider() {
+  const sessions = new Map();
+  let nextSessionNumber = 1;
+
+  return {
+    name: 'FAKE',
+    workflowId: 'fake-workflow',
+
+    async createSession({ userId }) {
+      const session = {
+        sessionId: uuidv4(),
+        sessionNumber: nextSessionNumber++,
+        sessionToken: uuidv4(),
+        userId,
+        status: SESSION_STATUS.NOT_STARTED,
+      };
+      session.verificationUrl = `http://localhost/fake-kyc/${session.sessionToken}`;
+      sessions.set(session.sessionId, session);
+
+      return {
+        sessionId: session.sessionId,
+        sessionNumber: session.sessionNumber,
+        sessionToken: session.sessionToken,
+        verificationUrl: session.verificationUrl,
+        status: session.status,
+        providerStatus: session.status,
+        workflowId: 'fake-workflow',
+        raw: { ...session },
+      };
+    },
+
+    async getSession(sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session) {
+        const error = new Error('Session not found');
+        error.response = { status: 404, data: { detail: 'Not found.' } };
+        throw error;
+      }
+
+      return {
+        sessionId,
+        userId: session.userId,
+        status: session.status,
+        providerStatus: session.status,
+        decision: null,
+        raw: { ...session },
+      };
+    },
+
+    async sendPhoneCode(phoneNumber) {
+      const requestId = uuidv4();
+      return {
+        requestId,
+        phoneNumber,
+        status: 'Success',
+        message: 'Verification code sent',
+        raw: { request_id: requestId, phone_number: phoneNumber, status: 'Success' },
+      };
+    },
+
+    async checkPhoneCode({ code }) {
+      const approved = code !== DECLINED_PHONE_CODE;
+      const status = approved ? 'Approved' : 'Declined';
+      return {
+        requestId: uuidv4(),
+        status,
+        approved,
+        raw: { status },
+      };
+    },
+
+    async verifyDocument({ documentType }) {
+      const document = {
+        type: documentType || 'id_card',
+        number: 'FAKE0001',
+        firstName: 'Test',
+        lastName: 'User',
+        dateOfBirth: '1990-01-01',
+        expirationDate: '2035-01-01',
+        nationality: 'USA',
+        issuingState: 'USA',
+      };
+
+      return {
+        status: 'Approved',
+        approved: true,
+        document,
+        warnings: [],
+        raw: { status: 'Approved', ...document },
+      };
+    },
+
+    parseWebhook(payload) {
+      const status = SESSION_STATUS[payload.status] || null;
+      const session = sessions.get(payload.session_id);
+      if (session && status) {
+        session.status = status;
+      }
+
+      return {
+        sessionId: payload.session_id,
+        userId: payload.vendor_data,
+        type: payload.webhook_type,
+        status,
+        providerStatus: payload.status,
+        workflowId: 'fake-workflow',
+        decision: payload.decision
+          ? {
+            idVerified: payload.decision.idVerified,
+            phoneVerified: payload.decision.phoneVerified,
+            phoneNumber: payload.decision.phoneNumber || null,
+            document: payload.decision.document || null,
+            raw: payload.decision,
+          }
+          : null,
+      };
+    },
+  };
+}
+
+export default createFakeProvider;
@@ -0,0 +1,53 @@
+/**
+ * KYC Providers
+ *
+ * Every provider adapter implements the same interface and returns
+ * normalized results, so controllers never depend on a vendor's payload
+ * shapes:
+ *
+ * - name: string stored in User.kycProvider and VerificationSession.provider
+ * - createSession(params) -> { sessionId, sessionNumber, sessionToken, verificationUrl, status, providerStatus, workflowId, raw }
+ * - getSession(sessionId) -> { sessionId, userId, status, providerStatus, decision, raw }
+ * - sendPhoneCode(phoneNumber) -> { requestId, phoneNumber, status, message, raw }
+ * - checkPhoneCode({ phoneNumber, code }) -> { requestId, status, approved, raw }
+ * - verifyDocument({ frontImage, backImage, documentType }) -> { status, approved, document, warnings, raw }
+ * - parseWebhook(payload) -> { sessionId, userId, type, status, providerStatus, workflowId, decision }
+ *
+ * `decision` is { idVerified, phoneVerified, phoneNumber, document, raw }.
+ * The active provider is selected with KYC_PROVIDER (default: DIDIT).
+ */
+
+import { config } from '../config/index.js';
+import { createDiditProvider } from './diditProvider.js';
+import { createFakeProvider } from './fakeProvider.js';
+
+export { SESSION_STATUS, FINAL_SESSION_STATUSES } from './sessionStatus.js';
+
+const factories = {
+  DIDIT: createDiditProvider,
+  FAKE: createFakeProvider,
+};
+
+// Providers are created on first use so that environment variables are loaded
+const instances = new Map();
+
+/**
+ * Returns the provider with the given name, or the configured default
+ *
+ * @param {string} [name] - Provider name (e.g. 'DIDIT', 'FAKE')
+ */
+export function getKycProvider(name = config.kyc.provider) {
+  const key = name.toUpperCase();
+
+  if (!instances.has(key)) {
+    const factory = factories[key];
+    if (!factory) {
+      throw new Error(`Unknown KYC provider "${name}". Available: ${Object.keys(factories).join(', ')}`);
+    }
+    instances.set(key, factory());
+  }
+
+  return instances.get(key);
+}
+
+export default getKycProvider;
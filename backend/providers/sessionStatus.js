@@ -0,0 +1,21 @@
+/**
+ * Normalized session statuses shared by all KYC providers
+ */
+
+export const SESSION_STATUS = Object.freeze({
+  NOT_STARTED: 'NOT_STARTED',
+  IN_PROGRESS: 'IN_PROGRESS',
+  IN_REVIEW: 'IN_REVIEW',
+  APPROVED: 'APPROVED',
+  DECLINED: 'DECLINED',
+  ABANDONED: 'ABANDONED',
+  EXPIRED: 'EXPIRED',
+});
+
+// Statuses after which a session receives no further decisions
+export const FINAL_SESSION_STATUSES = [
+  SESSION_STATUS.APPROVED,
+  SESSION_STATUS.DECLINED,
+  SESSION_STATUS.ABANDONED,
+  SESSION_STATUS.EXPIRED,
+];
@@ -0,0 +1,283 @@
+/**
+ * Admin Routes
+ * 
+ * Operational endpoints, restricted to callers with the admin scope
+ */
+
+import express from 'express';
+import { authenticate, requireScope, SCOPES } from '../middleware/auth.js';
+import { listEvents, getEvent, replayEvent } from '../controllers/webhookEventController.js';
+import {
+  listUsers,
+  getUser,
+  approveUser,
+  declineUser,
+  revokeUser,
+  resetRetries,
+  setTradingEnabled,
+  getUserAudit,
+  getUserNotifications,
+} from '../controllers/adminUserController.js';
+import {
+  eraseUser,
+  setLegalHold,
+  clearLegalHold,
+  getDataSubjectRequests,
+} from '../controllers/privacyController.js';
+import { listJobs, triggerJob } from '../controllers/jobController.js';
+import { getConfig } from '../controllers/configController.js';
+import { getHealthDetails } from '../controllers/healthController.js';
+import { getDiditStats } from '../controllers/providerController.js';
+import {
+  listSubscriptions,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  listDeliveries,
+  getDelivery,
+  redeliverDelivery,
+} from '../controllers/webhookSubscriptionController.js';
+
+const router = express.Router();
+
+router.use(authenticate, requireScope(SCOPES.ADMIN));
+
+/**
+ * ============================================================
+ * WEBHOOK INBOX ROUTES
+ * ============================================================
+ */
+
+/**
+ * @route   GET /api/v1/admin/webhooks
+ * @desc    List stored webhook events (filter by status, sessionId)
+ * @access  Admin (kyc:admin scope)
+ */
+router.get('/webhooks', listEvents);
+
+/**
+ * @route   GET /api/v1/admin/webhooks/:eventId
+ * @desc    Retrieve a stored webhook event with its payload
+ * @access  Admin (kyc:admin scope)
+ */
+router.get('/webhooks/:eventId', getEvent);
+
+/**
+ * @route   POST /api/v1/admin/webhooks/:eventId/replay
+ * @desc    Re-queue a failed or dead-lettered webhook event
+ * @access  Admin (kyc:admin scope)
+ */
+router.post('/webhooks/:eventId/replay', replayEvent);
+
+/**
+ * ============================================================
+ * OUTBOUND WEBHOOK ROUTES
+ * ============================================================
+ */
+
+/**
+ * @route   GET /api/v1/admin/webhook-subscriptions
+ * @desc    List downstream webhook subscriptions
+ * @access  Admin (kyc:admin scope)
+ */
+router.get('/webhook-subscriptions', listSubscriptions);
+
+/**
+ * @route   POST /api/v1/admin/webhook-subscriptions
+ * @desc    Register a downstream webhook subscription
+ * @access  Admin (kyc:admin scope)
+ */
+router.post('/webhook-subscriptions', createSubscription);
+
+/**
+ * @route   PATCH /api/v1/admin/webhook-subscriptions/:subscriptionId
+ * @desc    Update, pause or rotate the secret of a subscription
+ * @access  Admin (kyc:admin scope)
+ */
+router.patch('/webhook-subscriptions/:subscriptionId', updateSubscription);
+
+/**
+ * @route   DELETE /api/v1/admin/webhook-subscriptions/:subscriptionId
+ * @desc    Remove a subscription and its delivery log
+ * @access  Admin (kyc:admin scope)
+ */
+router.delete('/webhook-subscriptions/:subscriptionId', deleteSubscription);
+
+/**
+ * @route   GET /api/v1/admin/webhook-deliveries
+ * @desc    Outbound delivery log (filter by subscriptionId, status, eventType)
+ * @access  Admin (kyc:admin scope)
+ */
+router.get('/webhook-deliveries', listDeliveries);
+
+/**
+ * @route   GET /api/v1/admin/webhook-deliveries/:deliveryId
+ * @desc    Retrieve a delivery with its payload
+ * @access  Admin (kyc:admin scope)
+ */
+router.get('/webhook-deliveries/:deliveryId', getDelivery);
+
+/**
+ * @route   POST /api/v1/admin/webhook-deliveries/:deliveryId/redeliver
+ * @desc    Re-queue a delivery with a fresh attempt budget
+ * @access  Admin (kyc:admin scope)
+ */
+router.post('/webhook-deliveries/:deliveryId/redeliver', redeliverDelivery);
+
+/**
+ * ============================================================
+ * COMPLIANCE USER ROUTES
+ * ============================================================
+ */
+
+/**
+ * @route   GET /api/v1/admin/users
+ * @desc    List and search users (filter by KYC flags and date ranges)
+ * @access  Admin (kyc:admin scope)
+ */
+router.get('/users', listUsers);
+
+/**
+ * @route   GET /api/v1/admin/users/:userId
+ * @desc    Retrieve a user with full kycDetails and recent sessions
+ * @access  Admin (kyc:admin scope)
+ */
+router.get('/users/:userId', getUser);
+
+/**
+ * @route   POST /api/v1/admin/users/:userId/approve
+ * @desc    Manually approve a user's KYC (reason required)
+ * @access  Admin (kyc:admin scope)
+ */
+router.post('/users/:userId/approve', approveUser);
+
+/**
+ * @route   POST /api/v1/admin/users/:userId/decline
+ * @desc    Manually decline a user's KYC (reason required)
+ * @access  Admin (kyc:admin scope)
+ */
+router.post('/users/:userId/decline', declineUser);
+
+/**
+ * @route   POST /api/v1/admin/users/:userId/revoke
+ * @desc    Revoke a verified user's KYC (reason required)
+ * @access  Admin (kyc:admin scope)
+ */
+router.post('/users/:userId/revoke', revokeUser);
+
+/**
+ * @route   POST /api/v1/admin/users/:userId/reset-retries
+ * @desc    Reset a user's verificationRetries counter
+ * @access  Admin (kyc:admin scope)
+ */
+router.post('/users/:userId/reset-retries', resetRetries);
+
+/**
+ * @route   PATCH /api/v1/admin/users/:userId/trading
+ * @desc    Enable or disable trading for a user (reason required)
+ * @access  Admin (kyc:admin scope)
+ */
+router.patch('/users/:userId/trading', setTradingEnabled);
+
+/**
+ * @route   GET /api/v1/admin/users/:userId/audit
+ * @desc    KYC audit trail for a user with a hash-chain integrity check
+ * @access  Admin (kyc:admin scope)
+ */
+router.get('/users/:userId/audit', getUserAudit);
+
+/**
+ * @route   GET /api/v1/admin/users/:userId/notifications
+ * @desc    Emails sent to a user, with delivery outcome
+ * @access  Admin (kyc:admin scope)
+ */
+router.get('/users/:userId/notifications', getUserNotifications);
+
+/**
+ * ============================================================
+ * DATA SUBJECT REQUEST ROUTES
+ * ============================================================
+ */
+
+/**
+ * @route   POST /api/v1/admin/users/:userId/erase
+ * @desc    Erase a user's personal data (reason required; blocked by legal hold)
+ * @access  Admin (kyc:admin scope)
+ */
+router.post('/users/:userId/erase', eraseUser);
+
+/**
+ * @route   PUT /api/v1/admin/users/:userId/legal-hold
+ * @desc    Place a user under legal hold (reason required)
+ * @access  Admin (kyc:admin scope)
+ */
+router.put('/users/:userId/legal-hold', setLegalHold);
+
+/**
+ * @route   DELETE /api/v1/admin/users/:userId/legal-hold
+ * @desc    Lift a user's legal hold (reason required)
+ * @access  Admin (kyc:admin scope)
+ */
+router.delete('/users/:userId/legal-hold', clearLegalHold);
+
+/**
+ * @route   GET /api/v1/admin/users/:userId/data-requests
+ * @desc    Exports and erasures carried out for a user
+ * @access  Admin (kyc:admin scope)
+ */
+router.get('/users/:userId/data-requests', getDataSubjectRequests);
+
+/**
+ * ============================================================
+ * SCHEDULED JOB ROUTES
+ * ============================================================
+ */
+
+/**
+ * @route   GET /api/v1/admin/jobs
+ * @desc    List scheduled jobs with their last run and lock holder
+ * @access  Admin (kyc:admin scope)
+ */
+router.get('/jobs', listJobs);
+
+/**
+ * @route   POST /api/v1/admin/jobs/:name/run
+ * @desc    Run a scheduled job now (body {"dryRun": true} for a dry run)
+ * @access  Admin (kyc:admin scope)
+ */
+router.post('/jobs/:name/run', triggerJob);
+
+/**
+ * ============================================================
+ * CONFIGURATION ROUTES
+ * ============================================================
+ */
+
+/**
+ * @route   GET /api/v1/admin/config
+ * @desc    Effective configuration with its sources (secrets redacted)
+ * @access  Admin (kyc:admin scope)
+ */
+router.get('/config', getConfig);
+
+/**
+ * @route   GET /api/v1/admin/health
+ * @desc    Readiness report with the status, latency and details of each dependency (see /readyz)
+ * @access  Admin (kyc:admin scope)
+ */
+router.get('/health', getHealthDetails);
+
+/**
+ * ============================================================
+ * PROVIDER ROUTES
+ * ============================================================
+ */
+
+/**
+ * @route   GET /api/v1/admin/providers/didit
+ * @desc    Didit client circuit state and per-endpoint latency and errors
+ * @access  Admin (kyc:admin scope)
+ */
+router.get('/providers/didit', getDiditStats);
+
+export default router;
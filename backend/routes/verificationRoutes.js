@@ -5,7 +5,7 @@
  */
 
 import express from 'express';
-import rateLimit from 'express-rate-limit';
+import { config } from '../config/index.js';
 import {
   createVerificationSession,
   retrieveSession,
@@ -14,42 +14,61 @@ import {
   verifyIdDocument,
   handleWebhook,
   getUserVerificationStatus,
+  streamUserVerificationStatus,
+  getUserVerificationSessions,
 } from '../controllers/verificationController.js';
+import { exportData } from '../controllers/privacyController.js';
+import { verifyDiditWebhook } from '../middleware/webhookSignature.js';
+import { authenticate, authorizeUser, authorizeSessionOwner, SCOPES } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { createRateLimiter } from '../middleware/rateLimit.js';
+import { HEALTH_STATUSES, checkReadiness } from '../services/healthService.js';
 
 const router = express.Router();
 
-// Rate limiters
-const sessionLimiter = rateLimit({
-  windowMs: 60_000, // 1 minute
-  max: 5, // 5 requests per minute per IP
+// Rate limiters, counted in Redis per user or phone number (RATE_LIMIT_*)
+const sessionLimiter = createRateLimiter({
+  name: 'session-create',
+  windowMs: config.rateLimit.sessionWindowMs ?? config.rateLimit.windowMs,
+  max: config.rateLimit.sessionMax,
+  keyBy: 'user',
   message: { 
     success: false,
     error: 'Too many verification session requests. Please try again later.' 
   },
-  standardHeaders: true,
-  legacyHeaders: false,
 });
 
-const phoneLimiter = rateLimit({
-  windowMs: 60_000, // 1 minute
-  max: 3, // 3 requests per minute per IP
+const phoneSendLimiter = createRateLimiter({
+  name: 'phone-send',
+  windowMs: config.rateLimit.phoneWindowMs ?? config.rateLimit.windowMs,
+  max: config.rateLimit.phoneMax,
+  keyBy: 'phone',
   message: { 
     success: false,
     error: 'Too many phone verification requests. Please try again later.' 
   },
-  standardHeaders: true,
-  legacyHeaders: false,
 });
 
-const idVerificationLimiter = rateLimit({
-  windowMs: 60_000, // 1 minute
-  max: 3, // 3 requests per minute per IP
+const phoneCheckLimiter = createRateLimiter({
+  name: 'phone-check',
+  windowMs: config.rateLimit.phoneCheckWindowMs ?? config.rateLimit.windowMs,
+  max: config.rateLimit.phoneCheckMax,
+  keyBy: 'phone',
+  message: { 
+    success: false,
+    error: 'Too many phone verification attempts. Please try again later.' 
+  },
+});
+
+const idVerificationLimiter = createRateLimiter({
+  name: 'id-verify',
+  windowMs: config.rateLimit.idVerificationWindowMs ?? config.rateLimit.windowMs,
+  max: config.rateLimit.idVerificationMax,
+  keyBy: 'user',
   message: { 
     success: false,
     error: 'Too many ID verification requests. Please try again later.' 
   },
-  standardHeaders: true,
-  legacyHeaders: false,
 });
 
 /**
@@ -61,16 +80,16 @@ const idVerificationLimiter = rateLimit({
 /**
  * @route   POST /api/v1/verification/session/create
  * @desc    Create a comprehensive verification session (ID + Phone + Liveness)
- * @access  Public (should be protected in production)
+ * @access  Authenticated (own userId, or kyc:admin / kyc:write scope); accepts Idempotency-Key
  */
-router.post('/session/create', sessionLimiter, createVerificationSession);
+router.post('/session/create', authenticate, authorizeUser(SCOPES.WRITE), idempotency, sessionLimiter, createVerificationSession);
 
 /**
  * @route   GET /api/v1/verification/session/:sessionId
  * @desc    Retrieve verification session details and results
- * @access  Public (should be protected in production)
+ * @access  Authenticated (session owner, or kyc:admin / kyc:read scope)
  */
-router.get('/session/:sessionId', retrieveSession);
+router.get('/session/:sessionId', authenticate, authorizeSessionOwner(SCOPES.READ), retrieveSession);
 
 /**
  * ============================================================
@@ -81,16 +100,16 @@ router.get('/session/:sessionId', retrieveSession);
 /**
  * @route   POST /api/v1/verification/phone/send
  * @desc    Send verification code to phone number
- * @access  Public (should be protected in production)
+ * @access  Authenticated (own userId, or kyc:admin / kyc:write scope); accepts Idempotency-Key
  */
-router.post('/phone/send', phoneLimiter, sendPhoneVerificationCode);
+router.post('/phone/send', authenticate, authorizeUser(SCOPES.WRITE), idempotency, phoneSendLimiter, sendPhoneVerificationCode);
 
 /**
  * @route   POST /api/v1/verification/phone/check
- * @desc    Verify phone verification code
- * @access  Public (should be protected in production)
+ * @desc    Verify phone verification code sent to the same user
+ * @access  Authenticated (own userId, or kyc:admin / kyc:write scope)
  */
-router.post('/phone/check', phoneLimiter, checkPhoneVerificationCode);
+router.post('/phone/check', authenticate, authorizeUser(SCOPES.WRITE), phoneCheckLimiter, checkPhoneVerificationCode);
 
 /**
  * ============================================================
@@ -101,9 +120,9 @@ router.post('/phone/check', phoneLimiter, checkPhoneVerificationCode);
 /**
  * @route   POST /api/v1/verification/id/verify
  * @desc    Perform standalone ID document verification
- * @access  Public (should be protected in production)
+ * @access  Authenticated (own userId, or kyc:admin / kyc:write scope); accepts Idempotency-Key
  */
-router.post('/id/verify', idVerificationLimiter, verifyIdDocument);
+router.post('/id/verify', authenticate, authorizeUser(SCOPES.WRITE), idempotency, idVerificationLimiter, verifyIdDocument);
 
 /**
  * ============================================================
@@ -114,9 +133,9 @@ router.post('/id/verify', idVerificationLimiter, verifyIdDocument);
 /**
  * @route   POST /api/v1/verification/webhook
  * @desc    Handle Didit webhook callbacks
- * @access  Public (signature verified)
+ * @access  Public (signature verified, no bearer/API key auth)
  */
-router.post('/webhook', handleWebhook);
+router.post('/webhook', verifyDiditWebhook, handleWebhook);
 
 /**
  * ============================================================
@@ -127,9 +146,30 @@ router.post('/webhook', handleWebhook);
 /**
  * @route   GET /api/v1/verification/status/:userId
  * @desc    Get user verification status
- * @access  Public (should be protected in production)
+ * @access  Authenticated (own userId, or kyc:admin / kyc:read scope)
+ */
+router.get('/status/:userId', authenticate, authorizeUser(SCOPES.READ), getUserVerificationStatus);
+
+/**
+ * @route   GET /api/v1/verification/status/:userId/stream
+ * @desc    Stream user verification status changes (Server-Sent Events)
+ * @access  Authenticated (own userId, or kyc:admin / kyc:read scope)
  */
-router.get('/status/:userId', getUserVerificationStatus);
+router.get('/status/:userId/stream', authenticate, authorizeUser(SCOPES.READ), streamUserVerificationStatus);
+
+/**
+ * @route   GET /api/v1/verification/users/:userId/sessions
+ * @desc    List a user's verification sessions (newest first)
+ * @access  Authenticated (own userId, or kyc:admin / kyc:read scope)
+ */
+router.get('/users/:userId/sessions', authenticate, authorizeUser(SCOPES.READ), getUserVerificationSessions);
+
+/**
+ * @route   GET /api/v1/verification/users/:userId/export
+ * @desc    Download all personal data held on a user (GDPR access request)
+ * @access  Authenticated (own userId, or kyc:admin / kyc:read scope)
+ */
+router.get('/users/:userId/export', authenticate, authorizeUser(SCOPES.READ), exportData);
 
 /**
  * ============================================================
@@ -139,14 +179,26 @@ router.get('/status/:userId', getUserVerificationStatus);
 
 /**
  * @route   GET /api/v1/verification/health
- * @desc    Health check for verification service
+ * @desc    Health check for verification service (readiness summary, see /readyz)
  * @access  Public
  */
-router.get('/health', (req, res) => {
-  res.status(200).json({ 
-    success: true,
-    message: 'Didit verification service is operational',
-    timestamp: new Date().toISOString(),
+router.get('/health', async (req, res) => {
+  const { status, timestamp } = await checkReadiness({
+    redis: req.app.locals.redis,
+    sessionStore: req.app.locals.sessionStore,
+  });
+
+  const messages = {
+    [HEALTH_STATUSES.OK]: 'Didit verification service is operational',
+    [HEALTH_STATUSES.DEGRADED]: 'Didit verification service is operational (degraded)',
+    [HEALTH_STATUSES.UNHEALTHY]: 'Didit verification service is unavailable',
+  };
+
+  res.status(status === HEALTH_STATUSES.UNHEALTHY ? 503 : 200).json({
+    success: status !== HEALTH_STATUSES.UNHEALTHY,
+    status,
+    message: messages[status],
+    timestamp,
   });
 });
 
@@ -0,0 +1,147 @@
+/**
+ * PII Re-encryption
+ *
+ * Rewrites every encrypted column with the keyring's primary key:
+ * plaintext values (written before encryption was enabled) are encrypted
+ * and values under older keys are rotated. Phone number blind indexes are
+ * recomputed along the way. Safe to re-run; rows already under the primary
+ * key are left alone.
+ *
+ * Key rotation:
+ *   1. Add a new key to the keyring and make it primaryKeyId; keep the old key
+ *   2. Deploy, so new writes use the new key
+ *   3. npm run pii:reencrypt
+ *   4. Remove the old key once the report shows nothing left under it
+ *
+ * Usage:
+ *   npm run pii:reencrypt                  # re-encrypt
+ *   npm run pii:reencrypt -- --dry-run     # count what would change
+ *   npm run pii:reencrypt -- --batch-size=200
+ *   npm run pii:reencrypt -- --generate-key  # print a new random key
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import {
+  ENCRYPTED_FIELDS,
+  BLIND_INDEXES,
+  getKeyring,
+  isEncrypted,
+  keyIdOf,
+  encryptValue,
+  decryptValue,
+  blindIndex,
+  generateKey,
+} from '../services/piiEncryption.js';
+
+// Unextended client: this script works on the stored ciphertext
+const prisma = new PrismaClient({ datasourceUrl: config.database.url });
+
+const DELEGATES = {
+  User: prisma.user,
+  VerificationSession: prisma.verificationSession,
+  WebhookEvent: prisma.webhookEvent,
+  IdempotencyKey: prisma.idempotencyKey,
+  SessionStoreEntry: prisma.sessionStoreEntry,
+  WebhookSubscription: prisma.webhookSubscription,
+};
+
+/**
+ * Re-encrypts one model's columns in ID order
+ */
+async function reencryptModel(model, { dryRun, batchSize, primaryKeyId }) {
+  const fields = ENCRYPTED_FIELDS[model];
+  const indexes = BLIND_INDEXES[model] || {};
+  const delegate = DELEGATES[model];
+  const select = { id: true };
+  for (const field of [...fields, ...Object.values(indexes)]) {
+    select[field] = true;
+  }
+
+  const stats = { scanned: 0, updated: 0, plaintext: 0, rotated: 0, indexed: 0 };
+  let cursor = null;
+
+  for (;;) {
+    const rows = await delegate.findMany({
+      where: cursor ? { id: { gt: cursor } } : {},
+      orderBy: { id: 'asc' },
+      take: batchSize,
+      select,
+    });
+
+    for (const row of rows) {
+      stats.scanned += 1;
+      const data = {};
+
+      for (const field of fields) {
+        const value = row[field];
+        if (value === null) {
+          continue;
+        }
+
+        const plaintext = decryptValue(value, `${model}.${field}`);
+
+        if (!isEncrypted(value)) {
+          stats.plaintext += 1;
+          data[field] = encryptValue(plaintext, `${model}.${field}`);
+        } else if (keyIdOf(value) !== primaryKeyId) {
+          stats.rotated += 1;
+          data[field] = encryptValue(plaintext, `${model}.${field}`);
+        }
+
+        const indexField = indexes[field];
+        if (indexField && row[indexField] !== blindIndex(plaintext)) {
+          stats.indexed += 1;
+          data[indexField] = blindIndex(plaintext);
+        }
+      }
+
+      if (Object.keys(data).length > 0) {
+        stats.updated += 1;
+        if (!dryRun) {
+          await delegate.update({ where: { id: row.id }, data });
+        }
+      }
+    }
+
+    if (rows.length < batchSize) {
+      return stats;
+    }
+    cursor = rows[rows.length - 1].id;
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--generate-key')) {
+    console.log(generateKey());
+    return;
+  }
+
+  const dryRun = args.includes('--dry-run');
+  const batchSize = parseInt(args.find((arg) => arg.startsWith('--batch-size='))?.split('=')[1] || '100', 10);
+
+  const keyring = getKeyring();
+  if (!keyring) {
+    throw new Error('No PII keyring configured (PII_KEYRING_FILE or PII_KEYRING)');
+  }
+
+  logger.info('PII re-encryption started', { dryRun, primaryKeyId: keyring.primaryKeyId, batchSize });
+
+  const report = {};
+  for (const model of Object.keys(ENCRYPTED_FIELDS)) {
+    report[model] = await reencryptModel(model, { dryRun, batchSize, primaryKeyId: keyring.primaryKeyId });
+    logger.info('PII re-encryption progress', { model, dryRun, ...report[model] });
+  }
+
+  console.log(JSON.stringify({ dryRun, primaryKeyId: keyring.primaryKeyId, models: report }, null, 2));
+}
+
+main()
+  .catch((error) => {
+    logger.error('PII re-encryption failed', { error: error.message });
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
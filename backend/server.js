@@ -1,131 +1,192 @@
 // Updated server.js (with Prisma initialization)
+// Configuration is loaded (including .env) before any other module
+import { config, validateConfig } from './config/index.js';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import { createClient } from 'redis';
-import winston from 'winston';
-import dotenv from 'dotenv';
-import { PrismaClient } from '@prisma/client';
-
-// Load environment variables
-dotenv.config();
+import { logger } from './utils/logger.js';
+import { prisma } from './utils/prisma.js';
+import { getKeyring } from './services/piiEncryption.js';
+import { createSessionStore } from './services/sessionStore.js';
 
 // Import controllers (legacy - kept for backward compatibility)
-import { initiateDiditVerification, diditWebhookHandler, diditHealth, checkVerificationStatus } from './controllers/diditAuthController.js';
+import { initiateDiditVerification, diditWebhookHandler, diditHealth, checkVerificationStatus, processLegacyWebhook } from './controllers/diditAuthController.js';
 
 // Import new verification routes
 import verificationRoutes from './routes/verificationRoutes.js';
+import { processVerificationWebhook, applySessionEvent } from './controllers/verificationController.js';
 
-// Logger setup
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.errors({ stack: true }),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console({
-      format: winston.format.simple(),
-    }),
-    // new winston.transports.File({ filename: 'error.log', level: 'error' }),
-    // new winston.transports.File({ filename: 'combined.log' }),
-  ],
-});
+// Admin routes and webhook inbox worker
+import adminRoutes from './routes/adminRoutes.js';
+import { verifyDiditWebhook } from './middleware/webhookSignature.js';
+import { authenticate, authorizeUser, SCOPES } from './middleware/auth.js';
+import { setRateLimitRedis } from './middleware/rateLimit.js';
+import { httpMetrics } from './middleware/metrics.js';
+import { requestId, REQUEST_ID_HEADER } from './middleware/requestId.js';
+import { getMetrics } from './controllers/metricsController.js';
+import { livez, readyz } from './controllers/healthController.js';
+import { checkDatabase } from './services/healthService.js';
+import { recordKycDecision } from './services/metrics.js';
+import { registerWebhookProcessor, startWebhookWorker, stopWebhookWorker } from './services/webhookInbox.js';
+
+// Scheduled jobs
+import { registerJob, startScheduler, stopScheduler } from './services/scheduler.js';
+import { KYC_EXPIRY_JOB, KYC_EXPIRY_JOB_INTERVAL_MS, runKycExpiryJob, setExpiryReminderSender } from './services/kycExpiryService.js';
+import {
+  SESSION_RECONCILER_JOB,
+  SESSION_RECONCILER_INTERVAL_MS,
+  SESSION_RECONCILER_DRY_RUN,
+  runSessionReconciler,
+} from './services/sessionReconciler.js';
+import { RETENTION_JOB, RETENTION_JOB_INTERVAL_MS, RETENTION_DRY_RUN, runRetentionPurge } from './services/retentionService.js';
+
+// Outbound webhooks to downstream services
+import { onUserChange } from './services/kycAuditService.js';
+import { publishUserChangeEvents, deliverUserChangeEvents, startDeliveryWorker, stopDeliveryWorker } from './services/outboundWebhooks.js';
+import { sendNotification, NOTIFICATION_TYPES } from './notifications/index.js';
+import { publishStatusChange, startStatusStream, stopStatusStream } from './services/statusStream.js';
+import { publishAuditHead, startAuditAnchor } from './services/auditAnchor.js';
 
 // Export logger for use in controllers
 export { logger };
 
-// Prisma client (global for reuse)
-const prisma = new PrismaClient();
+// Fail fast on missing or malformed settings
+try {
+  validateConfig();
+} catch (error) {
+  logger.error(error.message);
+  process.exit(1);
+}
+
+// Fail fast on an invalid PII keyring rather than on the first write
+getKeyring();
 
-// Redis client setup with auto-reconnect disabled for development
+// Redis client setup. Reconnects forever with jittered exponential backoff
+// (up to REDIS_RECONNECT_MAX_DELAY_MS); commands fail at once while it is
+// down instead of queueing, so callers fall back rather than hang.
 const redisClient = createClient({
-  url: process.env.REDIS_URL || 'redis://localhost:6379',
+  url: config.redis.url,
+  disableOfflineQueue: true,
   socket: {
-    reconnectStrategy: false, // Disable auto-reconnect
+    reconnectStrategy: (retries) => {
+      const delay = Math.min(config.redis.reconnectMaxDelayMs, 100 * 2 ** retries);
+      return Math.round(delay / 2 + Math.random() * (delay / 2));
+    },
   },
 });
 
-let redisConnected = false;
+let redisDown = false;
 
-// Only log critical Redis errors, suppress connection attempts
+// Log the first error of an outage only, not every reconnect attempt
 redisClient.on('error', (err) => {
-  if (redisConnected) {
-    logger.error('Redis Client Error', err);
+  if (!redisDown) {
+    redisDown = true;
+    logger.warn('⚠ Redis not available - session store falls back to the database until it reconnects', { error: err.message });
   }
 });
 
-// Connect to Redis with error handling
-(async () => {
-  try {
-    await redisClient.connect();
-    redisConnected = true;
-    logger.info('✓ Redis connected');
-  } catch (error) {
-    logger.warn('⚠ Redis not available - running without session storage. To enable: start Redis server.', { error: error.message });
-  }
-})();
+redisClient.on('ready', () => {
+  logger.info(redisDown ? '✓ Redis reconnected' : '✓ Redis connected');
+  redisDown = false;
+});
+
+redisClient.connect().catch((error) => {
+  logger.error('Redis client failed to start', { error: error.message });
+});
+
+// Session context and phone requests: Redis, else the database, else memory
+const sessionStore = createSessionStore({ redis: redisClient });
+
+// Rate limit counters are shared through Redis
+setRateLimitRedis(redisClient);
 
 // Express app
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.server.port;
 
 // Middleware
+// X-Request-Id, log correlation and tracing; first, so every response has an ID
+app.use(requestId);
+if (config.metrics.enabled) {
+  app.use(httpMetrics);
+}
 app.use(helmet());
 
-// CORS configuration - allow multiple origins in development
-const allowedOrigins = [
-  'http://localhost:3001',
-  'http://localhost:5500',
-  'http://127.0.0.1:5500',
-  'http://127.0.0.1:3001',
-];
-
-if (process.env.FRONTEND_URL) {
-  allowedOrigins.push(process.env.FRONTEND_URL);
-}
+// CORS configuration - CORS_ORIGINS plus the frontend; any origin only when
+// CORS_ALLOW_ALL_ORIGINS is set explicitly
+const allowedOrigins = [...config.cors.origins, config.server.frontendUrl].filter(Boolean);
 
 app.use(cors({
   origin: (origin, callback) => {
     // Allow requests with no origin (like mobile apps, curl, Postman)
     if (!origin) return callback(null, true);
     
-    if (allowedOrigins.includes(origin) || process.env.NODE_ENV === 'development') {
+    if (allowedOrigins.includes(origin) || config.cors.allowAllOrigins) {
       callback(null, true);
     } else {
       callback(new Error('Not allowed by CORS'));
     }
   },
   credentials: true,
+  exposedHeaders: [REQUEST_ID_HEADER],
+}));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the exact bytes received so webhook signatures can be verified
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
 }));
-app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Attach Redis and Prisma to app locals
 app.locals.redis = redisClient;
+app.locals.sessionStore = sessionStore;
 app.locals.prisma = prisma;
 
 // New Verification Routes (comprehensive API)
 app.use('/api/v1/verification', verificationRoutes);
 
 // Legacy Routes (backward compatibility)
-app.post('/api/v1/didit/initiate', initiateDiditVerification);
-app.post('/api/v1/didit/webhook', diditWebhookHandler);
-app.get('/api/v1/didit/status/:userId', checkVerificationStatus);
+app.post('/api/v1/didit/initiate', authenticate, authorizeUser(SCOPES.WRITE), initiateDiditVerification);
+app.post('/api/v1/didit/webhook', verifyDiditWebhook, diditWebhookHandler);
+app.get('/api/v1/didit/status/:userId', authenticate, authorizeUser(SCOPES.READ), checkVerificationStatus);
 app.get('/api/v1/didit/health', diditHealth);
 
-// Health check
+// Admin Routes (kyc:admin scope)
+app.use('/api/v1/admin', adminRoutes);
+
+// Liveness and readiness probes
+app.get('/livez', livez);
+app.get('/readyz', readyz);
+
+// Health check; degraded while the session store is not on Redis.
+// Kept for existing monitors, /readyz reports each dependency.
 app.get('/health', async (req, res) => {
+  const redis = redisClient.isReady ? 'connected' : 'disconnected';
+  const store = sessionStore.status();
   try {
-    await prisma.$connect();
-    await prisma.$disconnect();
-    res.status(200).json({ status: 'Server running', timestamp: new Date().toISOString(), db: 'connected' });
+    await checkDatabase();
+    res.status(200).json({
+      status: store.degraded ? 'Server running (degraded)' : 'Server running',
+      timestamp: new Date().toISOString(),
+      db: 'connected',
+      redis,
+      sessionStore: store,
+    });
   } catch (error) {
-    res.status(500).json({ status: 'Server running', db: 'error', error: error.message });
+    // Details are for operators only (see /api/v1/admin/health)
+    logger.error('Health check database query failed', { error: error.message });
+    res.status(500).json({ status: 'Server running', db: 'error', error: 'Database unavailable', redis, sessionStore: store });
   }
 });
 
+// Prometheus metrics
+if (config.metrics.enabled) {
+  app.get('/metrics', getMetrics);
+}
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   logger.error(err.stack);
@@ -140,24 +201,77 @@ app.use('*', (req, res) => {
 // Start server
 app.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
-  logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  logger.info(`Environment: ${config.env}`);
 });
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  logger.info('SIGTERM received, shutting down gracefully');
-  await prisma.$disconnect();
-  if (redisConnected) {
-    await redisClient.quit();
-  }
-  process.exit(0);
+// Webhook inbox worker
+registerWebhookProcessor('verification', processVerificationWebhook);
+registerWebhookProcessor('didit-legacy', processLegacyWebhook);
+startWebhookWorker({ sessionStore });
+
+// Approval and decline counts for /metrics
+onUserChange(recordKycDecision);
+
+// Audit chain heads, kept outside the database to catch truncation
+onUserChange(publishAuditHead);
+startAuditAnchor({ redis: redisClient });
+
+// Outbound webhooks for KYC changes, queued in the change's transaction
+// and sent once it has committed
+onUserChange(publishUserChangeEvents, { transactional: true });
+onUserChange(deliverUserChangeEvents);
+startDeliveryWorker();
+
+// Live status updates for SSE clients, fanned out through Redis pub/sub
+onUserChange(publishStatusChange);
+startStatusStream({ redis: redisClient });
+
+// Email reminders ahead of KYC expiry
+setExpiryReminderSender((user, { expiresAt }) => sendNotification(user.id, NOTIFICATION_TYPES.EXPIRING_SOON, { expiresAt }));
+
+// Scheduled jobs (one instance at a time, see JOB_LOCK_BACKEND)
+registerJob(KYC_EXPIRY_JOB, {
+  intervalMs: KYC_EXPIRY_JOB_INTERVAL_MS,
+  run: () => runKycExpiryJob(),
+});
+registerJob(SESSION_RECONCILER_JOB, {
+  intervalMs: SESSION_RECONCILER_INTERVAL_MS,
+  supportsDryRun: true,
+  run: ({ dryRun }) => runSessionReconciler({
+    applyEvent: applySessionEvent,
+    sessionStore,
+    dryRun: dryRun || SESSION_RECONCILER_DRY_RUN,
+  }),
+});
+registerJob(RETENTION_JOB, {
+  intervalMs: RETENTION_JOB_INTERVAL_MS,
+  supportsDryRun: true,
+  run: ({ dryRun }) => runRetentionPurge({ dryRun: dryRun || RETENTION_DRY_RUN }),
 });
+startScheduler({ redis: redisClient });
 
-process.on('SIGINT', async () => {
-  logger.info('SIGINT received, shutting down gracefully');
-  await prisma.$disconnect();
-  if (redisConnected) {
-    await redisClient.quit();
+// Graceful shutdown; the process exits even if closing a connection fails
+async function shutdown(signal) {
+  logger.info(`${signal} received, shutting down gracefully`);
+  let exitCode = 0;
+  try {
+    stopWebhookWorker();
+    stopScheduler();
+    stopDeliveryWorker();
+    await stopStatusStream();
+    await prisma.$disconnect();
+    if (redisClient.isReady) {
+      await redisClient.quit();
+    } else if (redisClient.isOpen) {
+      await redisClient.disconnect();
+    }
+  } catch (error) {
+    exitCode = 1;
+    logger.error('Error during shutdown', { error: error.message });
+  } finally {
+    process.exit(exitCode);
   }
-  process.exit(0);
-});
\ No newline at end of file
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
\ No newline at end of file
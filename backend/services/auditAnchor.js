@@ -0,0 +1,92 @@
+/**
+ * Audit Anchor
+ *
+ * Keeps each user's audit chain head (sequence and hash of the newest
+ * event) outside the database, so that deleting events from the end of a
+ * chain is detected: the remaining events still link up, but no longer
+ * reach the anchored head (see verifyAuditChain in kycAuditService.js).
+ *
+ * Heads are written to a Redis hash and published as `KYC audit head` log
+ * lines, which reach the log pipeline even while Redis is down. A head only
+ * ever moves forward, so a late write from another instance cannot roll it
+ * back.
+ */
+
+import { logger } from '../utils/logger.js';
+
+const HEADS_KEY = 'kyc:audit-heads';
+
+// Sets the head only if it is newer than the stored one
+const SET_HEAD_SCRIPT = `
+local current = redis.call('HGET', KEYS[1], ARGV[1])
+if current and tonumber(string.match(current, '^(%d+):')) >= tonumber(ARGV[2]) then
+  return 0
+end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2] .. ':' .. ARGV[3])
+return 1
+`;
+
+let client = null;
+
+/**
+ * Starts writing heads to Redis
+ *
+ * @param {object} context
+ * @param {import('redis').RedisClientType} context.redis - Shared client
+ */
+export function startAuditAnchor({ redis } = {}) {
+  client = redis || null;
+}
+
+/**
+ * User change listener (see onUserChange in kycAuditService.js) that
+ * anchors the head written by the change. Errors are logged by the caller.
+ */
+export async function publishAuditHead(change) {
+  if (!change.auditEvent) {
+    return;
+  }
+
+  const { sequence, hash } = change.auditEvent;
+
+  logger.info('KYC audit head', { userId: change.userId, sequence, hash });
+
+  if (!client?.isReady) {
+    logger.warn('KYC audit head not anchored in Redis', { userId: change.userId, sequence });
+    return;
+  }
+
+  await client.eval(SET_HEAD_SCRIPT, {
+    keys: [HEADS_KEY],
+    arguments: [change.userId, String(sequence), hash],
+  });
+}
+
+/**
+ * Reads a user's anchored head
+ *
+ * @param {string} userId - Internal user ID
+ * @param {object} [options]
+ * @param {import('redis').RedisClientType} [options.redis] - Defaults to the client passed to startAuditAnchor
+ * @returns {Promise<{ sequence: number, hash: string }|null|undefined>} null when
+ *   nothing is anchored, undefined when Redis is unavailable
+ */
+export async function getAuditHead(userId, { redis = client } = {}) {
+  if (!redis?.isReady) {
+    return undefined;
+  }
+
+  const value = await redis.hGet(HEADS_KEY, userId);
+  if (!value) {
+    return null;
+  }
+
+  const [sequence, hash] = value.split(':');
+  return { sequence: Number(sequence), hash };
+}
+
+export default {
+  startAuditAnchor,
+  publishAuditHead,
+  getAuditHead,
+};
@@ -0,0 +1,270 @@
+/**
+ * Data Subject Service
+ *
+ * GDPR access and erasure for the personal data this service holds on a
+ * user: the users row (email, phone number, kycDetails), verification
+ * sessions and the webhooks received for them, notifications, the audit
+ * trail, session store entries (session context and phone-code requests),
+ * and application logs.
+ *
+ * Erasure pseudonymizes rather than deletes. The user row and sessions are
+ * kept with their KYC outcome (status, provider, dates) as the retention
+ * record regulators require; everything identifying is removed. Audit
+ * events are kept as they are: they are append-only and hold only
+ * fingerprints of PII columns. Every export and erasure is recorded in
+ * data_subject_requests, which outlives the data.
+ *
+ * Erasure also closes the user's open sessions, so the session reconciler
+ * stops polling them; late webhooks and reconciled states for an erased
+ * user are dropped (see applySessionEvent in
+ * controllers/verificationController.js).
+ */
+
+import * as fs from 'node:fs';
+import * as readline from 'node:readline';
+import { prisma } from '../utils/prisma.js';
+import { logger, listLogFiles } from '../utils/logger.js';
+import { updateUserWithAudit, serializeAuditEvent } from './kycAuditService.js';
+import { serializeSession } from './verificationSessionService.js';
+import { deleteUserIdempotencyKeys } from './idempotencyService.js';
+
+const EXPORT_FORMAT = 'kyc-data-export';
+const EXPORT_VERSION = 2;
+const MAX_LOG_LINES = 5000;
+
+export const DATA_SUBJECT_REQUEST_TYPES = Object.freeze({
+  EXPORT: 'EXPORT',
+  ERASURE: 'ERASURE',
+});
+
+/**
+ * Collects everything held on a user into one machine-readable document
+ *
+ * @param {string} userId - Internal user ID
+ * @param {object} options
+ * @param {object} options.sessionStore - Session store (services/sessionStore.js)
+ * @param {{ type: string, id?: string }} options.actor - Who requested the export
+ * @returns {Promise<object|null>} The archive, or null if the user does not exist
+ */
+export async function exportUserData(userId, { sessionStore, actor }) {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    return null;
+  }
+
+  const sessions = await prisma.verificationSession.findMany({
+    where: { userId },
+    orderBy: { createdAt: 'asc' },
+  });
+  const sessionIds = sessions.map((session) => session.sessionId);
+
+  const [webhookEvents, notifications, auditEvents, requests, sessionStoreEntries, logs] = await Promise.all([
+    prisma.webhookEvent.findMany({ where: { sessionId: { in: sessionIds } }, orderBy: { createdAt: 'asc' } }),
+    prisma.notification.findMany({ where: { userId }, orderBy: { createdAt: 'asc' } }),
+    prisma.kycAuditEvent.findMany({ where: { userId }, orderBy: { sequence: 'asc' } }),
+    prisma.dataSubjectRequest.findMany({ where: { userId }, orderBy: { createdAt: 'asc' } }),
+    sessionStore.findByUser(userId),
+    readLogLines(userId),
+  ]);
+
+  const { phoneNumberIndex, ...userData } = user;
+
+  const archive = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    userId,
+    user: { ...userData, kycDetails: parseJson(user.kycDetails) },
+    verificationSessions: sessions.map(serializeSession),
+    webhookEvents: webhookEvents.map((event) => ({
+      id: event.id,
+      source: event.source,
+      sessionId: event.sessionId,
+      webhookType: event.webhookType,
+      status: event.status,
+      payload: parseJson(event.payload),
+      createdAt: event.createdAt,
+    })),
+    notifications,
+    auditEvents: auditEvents.map(serializeAuditEvent),
+    dataSubjectRequests: requests.map(serializeDataSubjectRequest),
+    sessionStore: sessionStoreEntries,
+    logs,
+  };
+
+  await recordRequest(userId, DATA_SUBJECT_REQUEST_TYPES.EXPORT, { actor });
+
+  logger.info('User data exported', { userId, actorType: actor.type });
+
+  return archive;
+}
+
+/**
+ * Erases a user's personal data, keeping a minimal retention record.
+ * Safe to repeat: a second run completes any step a failed run missed.
+ * Throws with code LEGAL_HOLD while the user is under legal hold.
+ *
+ * @param {string} userId - Internal user ID
+ * @param {object} options
+ * @param {object} [options.redis] - Redis client (cached idempotency responses)
+ * @param {object} options.sessionStore - Session store (services/sessionStore.js)
+ * @param {{ type: string, id?: string }} options.actor - Who ordered the erasure
+ * @param {string} options.reason - Justification, e.g. the request reference
+ * @returns {Promise<object|null>} Erasure summary, or null if the user does not exist
+ */
+export async function eraseUserData(userId, { redis, sessionStore, actor, reason }) {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    return null;
+  }
+
+  if (user.legalHold) {
+    const error = new Error(`User ${userId} is under legal hold: ${user.legalHoldReason || 'no reason given'}`);
+    error.code = 'LEGAL_HOLD';
+    throw error;
+  }
+
+  const erasedAt = user.erasedAt || new Date();
+
+  await updateUserWithAudit(userId, {
+    email: `erased+${userId}@erased.invalid`,
+    phoneNumber: null,
+    kycDetails: null,
+    tradingEnabled: false,
+    erasedAt,
+  }, { actor, action: 'gdpr.erased', reason });
+
+  const sessions = await prisma.verificationSession.findMany({ where: { userId }, select: { sessionId: true } });
+  const sessionIds = sessions.map((session) => session.sessionId);
+
+  const [closedSessions, redactedSessions, deletedWebhookEvents, deletedNotifications] = await prisma.$transaction([
+    prisma.verificationSession.updateMany({
+      where: { userId, decidedAt: null },
+      data: { decidedAt: erasedAt },
+    }),
+    prisma.verificationSession.updateMany({
+      where: { userId },
+      data: { decision: null, verificationUrl: null },
+    }),
+    prisma.webhookEvent.deleteMany({ where: { sessionId: { in: sessionIds } } }),
+    prisma.notification.deleteMany({ where: { userId } }),
+  ]);
+
+  const deletedSessionStoreEntries = await sessionStore.deleteByUser(userId);
+  // Stored responses can hold the phone number and verification URLs
+  const deletedIdempotencyKeys = await deleteUserIdempotencyKeys(userId, { redis });
+
+  const summary = {
+    erasedAt,
+    sessionsClosed: closedSessions.count,
+    sessionsRedacted: redactedSessions.count,
+    webhookEventsDeleted: deletedWebhookEvents.count,
+    notificationsDeleted: deletedNotifications.count,
+    sessionStoreEntriesDeleted: deletedSessionStoreEntries,
+    idempotencyKeysDeleted: deletedIdempotencyKeys,
+    retained: {
+      kycStatus: user.kycStatus,
+      kycProvider: user.kycProvider,
+      kycCompletedAt: user.kycCompletedAt,
+      idVerified: user.idVerified,
+      phoneVerified: user.phoneVerified,
+      createdAt: user.createdAt,
+      sessionIds,
+    },
+    notErased: [
+      'Audit trail: append-only, PII columns recorded as fingerprints only',
+      'Application logs: removed by log retention',
+    ],
+  };
+
+  await recordRequest(userId, DATA_SUBJECT_REQUEST_TYPES.ERASURE, { actor, reason, summary });
+
+  logger.info('User data erased', { userId, actorType: actor.type, ...summary, retained: undefined, notErased: undefined });
+
+  return summary;
+}
+
+/**
+ * Lists a user's data subject requests, oldest first
+ */
+export async function listDataSubjectRequests(userId) {
+  const requests = await prisma.dataSubjectRequest.findMany({ where: { userId }, orderBy: { createdAt: 'asc' } });
+  return requests.map(serializeDataSubjectRequest);
+}
+
+/**
+ * Converts a data subject request record into its API representation
+ */
+export function serializeDataSubjectRequest(request) {
+  return {
+    id: request.id,
+    type: request.type,
+    actor: { type: request.actorType, id: request.actorId },
+    reason: request.reason,
+    summary: parseJson(request.summary),
+    createdAt: request.createdAt,
+  };
+}
+
+async function recordRequest(userId, type, { actor, reason, summary }) {
+  return prisma.dataSubjectRequest.create({
+    data: {
+      userId,
+      type,
+      actorType: actor.type,
+      actorId: actor.id || null,
+      reason: reason || null,
+      summary: summary ? JSON.stringify(summary) : null,
+    },
+  });
+}
+
+/**
+ * Log lines mentioning the user, from the local log files (error.log
+ * duplicates combined.log, so only the combined files are read)
+ */
+async function readLogLines(userId) {
+  const files = listLogFiles().map(({ file }) => file).filter((file) => file.includes('combined'));
+  const lines = [];
+  let truncated = false;
+
+  for (const file of files) {
+    if (truncated) {
+      break;
+    }
+
+    const reader = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of reader) {
+      if (!line.includes(userId)) {
+        continue;
+      }
+      if (lines.length >= MAX_LOG_LINES) {
+        truncated = true;
+        reader.close();
+        break;
+      }
+      lines.push(parseJson(line) ?? line);
+    }
+  }
+
+  return { files, lines, truncated };
+}
+
+function parseJson(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+export default {
+  DATA_SUBJECT_REQUEST_TYPES,
+  exportUserData,
+  eraseUserData,
+  listDataSubjectRequests,
+  serializeDataSubjectRequest,
+};
@@ -0,0 +1,202 @@
+/**
+ * Health Service
+ *
+ * Liveness and readiness checks for /livez and /readyz.
+ *
+ * Readiness checks each dependency and reports its status
+ * ('ok', 'degraded' or 'unhealthy') and latency:
+ *
+ * - database: a query round trip; slower than HEALTH_DB_SLOW_MS is degraded
+ * - redis: PING; unavailable is degraded, since the session store, rate
+ *   limits and job locks fall back without it (job locks to the database)
+ * - migrations: every migration in prisma/migrations applied and none
+ *   failed, per Prisma's _prisma_migrations table
+ * - diditConfig: DIDIT_API_KEY, DIDIT_WORKFLOW_ID and DIDIT_WEBHOOK_SECRET
+ *   set, when KYC_PROVIDER is DIDIT
+ * - diditCircuit: the Didit client's circuit breaker; open or half-open is
+ *   degraded
+ *
+ * The overall status is the worst of the checks. Each check gives up after
+ * HEALTH_CHECK_TIMEOUT_MS and then counts as unhealthy.
+ */
+
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { config } from '../config/index.js';
+import { prisma } from '../utils/prisma.js';
+import { logger } from '../utils/logger.js';
+import { CIRCUIT_STATES, getDiditClientStats } from '../providers/diditClient.js';
+import { getJobLockBackend } from './scheduler.js';
+
+const MIGRATIONS_DIR = fileURLToPath(new URL('../prisma/migrations', import.meta.url));
+
+export const HEALTH_STATUSES = Object.freeze({
+  OK: 'ok',
+  DEGRADED: 'degraded',
+  UNHEALTHY: 'unhealthy',
+});
+
+const SEVERITY = [HEALTH_STATUSES.OK, HEALTH_STATUSES.DEGRADED, HEALTH_STATUSES.UNHEALTHY];
+
+const startedAt = Date.now();
+
+/**
+ * Liveness: the process is up and serving requests. Checks no
+ * dependencies, so a failing database never gets the process restarted.
+ */
+export function checkLiveness() {
+  return {
+    status: HEALTH_STATUSES.OK,
+    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Readiness: runs every dependency check in parallel
+ *
+ * @param {object} options
+ * @param {object} [options.redis] - node-redis client
+ * @param {object} [options.sessionStore] - Session store (services/sessionStore.js)
+ * @returns {Promise<{ status: string, timestamp: string, checks: object }>}
+ */
+export async function checkReadiness({ redis, sessionStore } = {}) {
+  const checks = {
+    database: checkDatabase,
+    redis: () => checkRedis(redis, sessionStore),
+    migrations: checkMigrations,
+    diditConfig: checkDiditConfig,
+    diditCircuit: checkDiditCircuit,
+  };
+
+  const results = await Promise.all(Object.entries(checks).map(async ([name, check]) => [name, await runCheck(name, check)]));
+
+  return {
+    status: worstStatus(results.map(([, result]) => result.status)),
+    timestamp: new Date().toISOString(),
+    checks: Object.fromEntries(results),
+  };
+}
+
+/**
+ * ============================================================
+ * CHECKS
+ * ============================================================
+ */
+
+/**
+ * Database query round trip
+ */
+export async function checkDatabase() {
+  await prisma.$queryRaw`SELECT 1`;
+  return {};
+}
+
+async function checkRedis(redis, sessionStore) {
+  const details = {
+    ...(sessionStore && { sessionStore: sessionStore.status() }),
+    jobLocks: getJobLockBackend(),
+  };
+
+  if (!redis?.isReady) {
+    return { status: HEALTH_STATUSES.DEGRADED, error: 'Redis not connected', ...details };
+  }
+
+  try {
+    await redis.ping();
+  } catch (error) {
+    return { status: HEALTH_STATUSES.DEGRADED, error: error.message, ...details };
+  }
+  return details;
+}
+
+async function checkMigrations() {
+  const expected = fs.readdirSync(MIGRATIONS_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && fs.existsSync(path.join(MIGRATIONS_DIR, entry.name, 'migration.sql')))
+    .map((entry) => entry.name)
+    .sort();
+
+  const rows = await prisma.$queryRaw`SELECT migration_name, finished_at, rolled_back_at FROM _prisma_migrations`;
+
+  const applied = new Set(rows.filter((row) => row.finished_at && !row.rolled_back_at).map((row) => row.migration_name));
+  const failed = rows.filter((row) => !row.finished_at && !row.rolled_back_at).map((row) => row.migration_name);
+  const pending = expected.filter((name) => !applied.has(name));
+
+  return {
+    status: pending.length > 0 || failed.length > 0 ? HEALTH_STATUSES.UNHEALTHY : HEALTH_STATUSES.OK,
+    applied: applied.size,
+    pending,
+    failed,
+  };
+}
+
+async function checkDiditConfig() {
+  if (config.kyc.provider !== 'DIDIT') {
+    return { provider: config.kyc.provider };
+  }
+
+  const settings = {
+    DIDIT_API_KEY: config.didit.apiKey,
+    DIDIT_WORKFLOW_ID: config.didit.workflowId,
+    DIDIT_WEBHOOK_SECRET: config.didit.webhookSecret,
+  };
+  const missing = Object.keys(settings).filter((name) => !settings[name]);
+
+  return {
+    status: missing.length > 0 ? HEALTH_STATUSES.UNHEALTHY : HEALTH_STATUSES.OK,
+    provider: config.kyc.provider,
+    missing,
+  };
+}
+
+async function checkDiditCircuit() {
+  const { circuit } = getDiditClientStats();
+  return {
+    status: circuit.state === CIRCUIT_STATES.CLOSED ? HEALTH_STATUSES.OK : HEALTH_STATUSES.DEGRADED,
+    state: circuit.state,
+    consecutiveFailures: circuit.consecutiveFailures,
+  };
+}
+
+/**
+ * Runs a check with the timeout, timing it. Checks return extra fields and
+ * optionally their own status; throwing makes them unhealthy.
+ */
+async function runCheck(name, check) {
+  const started = Date.now();
+  let timer;
+
+  try {
+    const result = await Promise.race([
+      check(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${config.health.checkTimeoutMs} ms`)), config.health.checkTimeoutMs);
+      }),
+    ]);
+    const latencyMs = Date.now() - started;
+
+    let status = result.status || HEALTH_STATUSES.OK;
+    if (name === 'database' && latencyMs > config.health.dbSlowMs) {
+      status = worstStatus([status, HEALTH_STATUSES.DEGRADED]);
+    }
+
+    return { ...result, status, latencyMs };
+  } catch (error) {
+    logger.warn('Readiness check failed', { check: name, error: error.message });
+    return { status: HEALTH_STATUSES.UNHEALTHY, latencyMs: Date.now() - started, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function worstStatus(statuses) {
+  return SEVERITY[Math.max(0, ...statuses.map((status) => SEVERITY.indexOf(status)))];
+}
+
+export default {
+  HEALTH_STATUSES,
+  checkLiveness,
+  checkReadiness,
+  checkDatabase,
+};
@@ -0,0 +1,243 @@
+/**
+ * Idempotency Service
+ *
+ * Stores the response to a request sent with an Idempotency-Key header so a
+ * repeat of the same request gets the same response instead of running
+ * again. Keys are scoped to the route and the caller, and expire after
+ * IDEMPOTENCY_KEY_TTL_HOURS.
+ *
+ * The idempotency_keys table is the source of truth: inserting the key
+ * claims it, so two concurrent requests cannot both run. Completed
+ * responses are also cached in Redis (idempotency:<id>) and served from
+ * there when it is available. Response bodies are encrypted at rest, in the
+ * table and in Redis (services/piiEncryption.js), since they can contain
+ * verification URLs and phone numbers.
+ */
+
+import * as crypto from 'node:crypto';
+import { config } from '../config/index.js';
+import { prisma } from '../utils/prisma.js';
+import { logger } from '../utils/logger.js';
+import { encryptValue, decryptValue } from './piiEncryption.js';
+
+export const IDEMPOTENCY_KEY_TTL_MS = config.idempotency.ttlHours * 60 * 60_000;
+// A claim whose request never finished (e.g. the process died) is given up after this
+const PENDING_LEASE_MS = 5 * 60_000;
+
+const REDIS_PREFIX = 'idempotency:';
+// Cached bodies are encrypted as the column they are copied from
+const RESPONSE_BODY_COLUMN = 'IdempotencyKey.responseBody';
+
+export const IDEMPOTENCY_KEY_STATUSES = Object.freeze({
+  PENDING: 'PENDING',
+  COMPLETED: 'COMPLETED',
+});
+
+/**
+ * Derives the stored key ID from the client's key, the route and the caller
+ */
+export function idempotencyKeyId({ key, scope, subject }) {
+  return crypto.createHash('sha256').update(JSON.stringify([scope, subject, key])).digest('hex');
+}
+
+/**
+ * SHA-256 of the request, so a reused key with a different body is detected
+ */
+export function hashRequest({ method, path, body }) {
+  return crypto.createHash('sha256').update(JSON.stringify([method, path, canonicalize(body)])).digest('hex');
+}
+
+/**
+ * Claims a key for a new request, or returns what is stored for it
+ *
+ * @param {object} params
+ * @param {string} params.id - From idempotencyKeyId()
+ * @param {string} params.scope - Route, e.g. 'POST /api/v1/verification/session/create'
+ * @param {string} params.requestHash - From hashRequest()
+ * @param {string|null} params.userId - User the request is about
+ * @param {object} [params.redis] - Redis client
+ * @returns {Promise<{ outcome: 'claimed' } | { outcome: 'replay', response: { status: number, body: object } } | { outcome: 'in_progress' } | { outcome: 'mismatch' }>}
+ */
+export async function claimIdempotencyKey({ id, scope, requestHash, userId, redis }) {
+  const cached = await readCache(redis, id);
+  if (cached) {
+    return storedOutcome(cached, requestHash);
+  }
+
+  const now = new Date();
+
+  try {
+    await prisma.idempotencyKey.create({
+      data: {
+        id,
+        scope,
+        userId,
+        requestHash,
+        status: IDEMPOTENCY_KEY_STATUSES.PENDING,
+        expiresAt: new Date(now.getTime() + IDEMPOTENCY_KEY_TTL_MS),
+      },
+    });
+    return { outcome: 'claimed' };
+  } catch (error) {
+    // P2002: unique constraint violation, i.e. the key is already stored
+    if (error.code !== 'P2002') {
+      throw error;
+    }
+  }
+
+  const stored = await prisma.idempotencyKey.findUnique({ where: { id } });
+
+  // Released by the first request in the meantime; the client may retry
+  if (!stored) {
+    return { outcome: 'in_progress' };
+  }
+
+  // Expired keys and abandoned claims are taken over; the conditional
+  // update makes sure only one request does so
+  const stale = stored.expiresAt <= now
+    || (stored.status === IDEMPOTENCY_KEY_STATUSES.PENDING && stored.updatedAt.getTime() + PENDING_LEASE_MS <= now.getTime());
+
+  if (stale) {
+    const { count } = await prisma.idempotencyKey.updateMany({
+      where: { id, updatedAt: stored.updatedAt },
+      data: {
+        scope,
+        userId,
+        requestHash,
+        status: IDEMPOTENCY_KEY_STATUSES.PENDING,
+        responseStatus: null,
+        responseBody: null,
+        expiresAt: new Date(now.getTime() + IDEMPOTENCY_KEY_TTL_MS),
+      },
+    });
+    return count === 1 ? { outcome: 'claimed' } : { outcome: 'in_progress' };
+  }
+
+  if (stored.status === IDEMPOTENCY_KEY_STATUSES.COMPLETED) {
+    await writeCache(redis, stored);
+  }
+
+  return storedOutcome(stored, requestHash);
+}
+
+/**
+ * Stores the response of a claimed key
+ */
+export async function completeIdempotencyKey({ id, status, body, redis }) {
+  const stored = await prisma.idempotencyKey.update({
+    where: { id },
+    data: {
+      status: IDEMPOTENCY_KEY_STATUSES.COMPLETED,
+      responseStatus: status,
+      responseBody: JSON.stringify(body ?? null),
+    },
+  });
+
+  await writeCache(redis, stored);
+}
+
+/**
+ * Gives up a claimed key so the request can be sent again, e.g. after a
+ * server error
+ */
+export async function releaseIdempotencyKey({ id }) {
+  await prisma.idempotencyKey.deleteMany({
+    where: { id, status: IDEMPOTENCY_KEY_STATUSES.PENDING },
+  });
+}
+
+/**
+ * Deletes every stored key of a user, from the database and Redis
+ *
+ * @returns {Promise<number>} Number of keys deleted
+ */
+export async function deleteUserIdempotencyKeys(userId, { redis } = {}) {
+  const keys = await prisma.idempotencyKey.findMany({ where: { userId }, select: { id: true } });
+  if (keys.length === 0) {
+    return 0;
+  }
+
+  if (redis?.isReady) {
+    await redis.del(keys.map((key) => REDIS_PREFIX + key.id));
+  }
+
+  const { count } = await prisma.idempotencyKey.deleteMany({ where: { userId } });
+  return count;
+}
+
+function storedOutcome(stored, requestHash) {
+  if (stored.requestHash !== requestHash) {
+    return { outcome: 'mismatch' };
+  }
+
+  if (stored.status !== IDEMPOTENCY_KEY_STATUSES.COMPLETED) {
+    return { outcome: 'in_progress' };
+  }
+
+  return {
+    outcome: 'replay',
+    response: { status: stored.responseStatus, body: JSON.parse(stored.responseBody) },
+  };
+}
+
+async function readCache(redis, id) {
+  if (!redis?.isReady) {
+    return null;
+  }
+
+  try {
+    const value = await redis.get(REDIS_PREFIX + id);
+    if (!value) {
+      return null;
+    }
+    const cached = JSON.parse(value);
+    return { ...cached, responseBody: decryptValue(cached.responseBody, RESPONSE_BODY_COLUMN) };
+  } catch (error) {
+    logger.warn('Failed to read idempotency key from Redis', { error: error.message });
+    return null;
+  }
+}
+
+async function writeCache(redis, stored) {
+  const ttlMs = stored.expiresAt.getTime() - Date.now();
+  if (!redis?.isReady || ttlMs <= 0) {
+    return;
+  }
+
+  try {
+    await redis.set(REDIS_PREFIX + stored.id, JSON.stringify({
+      userId: stored.userId,
+      requestHash: stored.requestHash,
+      status: stored.status,
+      responseStatus: stored.responseStatus,
+      responseBody: encryptValue(stored.responseBody, RESPONSE_BODY_COLUMN),
+    }), { PX: ttlMs });
+  } catch (error) {
+    logger.warn('Failed to cache idempotency key in Redis', { error: error.message });
+  }
+}
+
+/**
+ * Copies a JSON value with object keys sorted, so key order does not
+ * change the hash
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map((key) => [key, canonicalize(value[key])]));
+  }
+  return value ?? null;
+}
+
+export default {
+  IDEMPOTENCY_KEY_TTL_MS,
+  IDEMPOTENCY_KEY_STATUSES,
+  idempotencyKeyId,
+  hashRequest,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+  deleteUserIdempotencyKeys,
+};
@@ -0,0 +1,351 @@
+/**
+ * KYC Audit Service
+ *
+ * Append-only trail of changes to users' KYC state. Every write to the
+ * audited User columns goes through updateUserWithAudit, which stores the
+ * before and after values together with who made the change (actor), the
+ * provider session and the correlationId.
+ *
+ * Events form a hash chain per user: each event's hash covers its own
+ * fields and the previous event's hash, so editing or deleting a row
+ * breaks verification from that point on. Hashes are HMAC-SHA256 under
+ * AUDIT_HMAC_KEY, which is held outside the database, so a rewritten chain
+ * cannot be re-hashed from the database alone. The chain head is anchored
+ * outside the database too (services/auditAnchor.js), which catches events
+ * deleted from the end. The table is also protected by database triggers
+ * that reject UPDATE and DELETE.
+ *
+ * PII columns (kycDetails, phoneNumber, email) are recorded as keyed
+ * fingerprints, never in plaintext (see auditValue in piiEncryption.js).
+ *
+ * kycStatus changes are checked against the KYC state machine
+ * (services/kycStatusService.js) before anything is written. Listeners
+ * registered with onUserChange are told about every committed change;
+ * transactional listeners write alongside it, in the same transaction.
+ */
+
+import * as crypto from 'node:crypto';
+import { config } from '../config/index.js';
+import { prisma } from '../utils/prisma.js';
+import { logger } from '../utils/logger.js';
+import { assertTransition } from './kycStatusService.js';
+import { auditValue } from './piiEncryption.js';
+
+export const AUDIT_ACTORS = Object.freeze({
+  WEBHOOK: 'WEBHOOK',
+  ADMIN: 'ADMIN',
+  USER: 'USER',
+  SYSTEM: 'SYSTEM',
+});
+
+const HMAC_KEY = config.audit.hmacKey;
+
+if (!HMAC_KEY) {
+  logger.warn('KYC audit chain is not keyed: AUDIT_HMAC_KEY is not set');
+}
+
+// Called after each committed change, see onUserChange
+const changeListeners = [];
+// Called inside each change's transaction
+const transactionalListeners = [];
+
+/**
+ * Registers a listener for user changes. Listeners receive
+ * { userId, user, before, after, actor, action, sessionId, correlationId,
+ * auditEvent: { sequence, hash } }.
+ *
+ * By default listeners run after the change has committed; their errors are
+ * logged and never fail the write. Transactional listeners run inside the
+ * transaction with the transaction client as a second argument, for writes
+ * that must not be lost (e.g. an outbox); their errors roll back the change
+ * and reach the caller.
+ *
+ * @param {(change: object, tx?: object) => Promise<void>|void} listener
+ * @param {object} [options]
+ * @param {boolean} [options.transactional=false]
+ */
+export function onUserChange(listener, { transactional = false } = {}) {
+  (transactional ? transactionalListeners : changeListeners).push(listener);
+}
+
+/**
+ * Derives the audit actor for an authenticated request.
+ * User tokens act as themselves; API keys are service callers.
+ *
+ * @param {object} auth - req.auth set by the authenticate middleware
+ */
+export function requestActor(auth) {
+  if (auth?.type === 'user') {
+    return { type: AUDIT_ACTORS.USER, id: auth.subject };
+  }
+  return { type: AUDIT_ACTORS.SYSTEM, id: auth ? `apiKey:${auth.subject}` : null };
+}
+
+/**
+ * Updates a user and appends an audit event for the columns that changed,
+ * in one transaction. No event is written when nothing changed.
+ * Throws with code ILLEGAL_KYC_TRANSITION if data.kycStatus is not an
+ * allowed transition from the user's current status.
+ *
+ * @param {string} userId - Internal user ID
+ * @param {object} data - Prisma User update data
+ * @param {object} audit
+ * @param {{ type: string, id?: string }} audit.actor - Who made the change (see AUDIT_ACTORS)
+ * @param {string} audit.action - What happened, e.g. 'webhook.status_updated'
+ * @param {string} [audit.sessionId] - Provider session ID behind the change
+ * @param {string} [audit.correlationId] - Correlation ID of the originating request
+ * @param {string} [audit.reason] - Free-text justification (manual changes)
+ * @returns {Promise<object>} The updated user
+ */
+export async function updateUserWithAudit(userId, data, { actor, action, sessionId, correlationId, reason }) {
+  let change = null;
+
+  const user = await prisma.$transaction(async (tx) => {
+    const current = await tx.user.findUniqueOrThrow({ where: { id: userId } });
+
+    if (data.kycStatus !== undefined) {
+      assertTransition(current.kycStatus, data.kycStatus, { userId, action, actorType: actor.type });
+    }
+
+    const updated = await tx.user.update({ where: { id: userId }, data });
+
+    const before = {};
+    const after = {};
+    for (const field of Object.keys(data)) {
+      if (!sameValue(current[field], updated[field])) {
+        before[field] = auditValue('User', field, current[field]);
+        after[field] = auditValue('User', field, updated[field]);
+      }
+    }
+
+    if (Object.keys(after).length > 0) {
+      const event = await appendAuditEvent(tx, {
+        userId,
+        actorType: actor.type,
+        actorId: actor.id || null,
+        action,
+        before: JSON.stringify(before),
+        after: JSON.stringify(after),
+        sessionId: sessionId || null,
+        correlationId: correlationId || null,
+        reason: reason || null,
+      });
+
+      change = {
+        userId,
+        user: updated,
+        before,
+        after,
+        actor,
+        action,
+        sessionId,
+        correlationId,
+        auditEvent: { sequence: event.sequence, hash: event.hash },
+      };
+
+      for (const listener of transactionalListeners) {
+        await listener(change, tx);
+      }
+    }
+
+    return updated;
+  });
+
+  if (change) {
+    await notifyListeners(change);
+  }
+
+  return user;
+}
+
+/**
+ * Lists a user's audit events, oldest first
+ *
+ * @param {string} userId - Internal user ID
+ * @param {object} [options]
+ * @param {number} [options.limit=100]
+ * @param {number} [options.offset=0]
+ * @returns {Promise<{ events: object[], total: number }>}
+ */
+export async function listAuditEvents(userId, { limit = 100, offset = 0 } = {}) {
+  const [events, total] = await Promise.all([
+    prisma.kycAuditEvent.findMany({
+      where: { userId },
+      orderBy: { sequence: 'asc' },
+      take: limit,
+      skip: offset,
+    }),
+    prisma.kycAuditEvent.count({ where: { userId } }),
+  ]);
+
+  return { events, total };
+}
+
+/**
+ * Recomputes a user's hash chain and checks that it reaches the anchored
+ * head (see services/auditAnchor.js). Events written before AUDIT_HMAC_KEY
+ * was set carry unkeyed hashes; they are accepted, and counted, only ahead
+ * of the first keyed event.
+ *
+ * @param {string} userId - Internal user ID
+ * @param {object} [options]
+ * @param {{ sequence: number, hash: string }|null} [options.head] - Anchored head;
+ *   undefined when the anchor could not be read
+ * @returns {Promise<{ valid: boolean, eventCount: number, brokenAt: number|null, reason: string|null, anchored: boolean, unkeyedEvents: number }>}
+ */
+export async function verifyAuditChain(userId, { head } = {}) {
+  const events = await prisma.kycAuditEvent.findMany({
+    where: { userId },
+    orderBy: { sequence: 'asc' },
+  });
+
+  let previous = null;
+  let keyed = false;
+  let unkeyedEvents = 0;
+
+  const result = (reason, brokenAt) => {
+    if (reason) {
+      logger.error('KYC audit chain verification failed', { userId, sequence: brokenAt, reason });
+    }
+    return {
+      valid: !reason,
+      eventCount: events.length,
+      brokenAt: brokenAt ?? null,
+      reason: reason || null,
+      anchored: Boolean(head),
+      unkeyedEvents,
+    };
+  };
+
+  for (const event of events) {
+    let reason = null;
+
+    if (event.sequence !== (previous ? previous.sequence + 1 : 1)) {
+      reason = 'sequence_gap';
+    } else if (event.prevHash !== (previous ? previous.hash : null)) {
+      reason = 'prev_hash_mismatch';
+    } else if (event.hash === hashEvent(event)) {
+      keyed = keyed || Boolean(HMAC_KEY);
+    } else if (HMAC_KEY && !keyed && event.hash === hashEvent(event, null)) {
+      unkeyedEvents += 1;
+    } else {
+      reason = 'hash_mismatch';
+    }
+
+    if (reason) {
+      return result(reason, event.sequence);
+    }
+
+    previous = event;
+  }
+
+  if (head) {
+    const anchored = events.find((event) => event.sequence === head.sequence);
+    if (!anchored) {
+      return result('truncated', head.sequence);
+    }
+    if (anchored.hash !== head.hash) {
+      return result('head_mismatch', head.sequence);
+    }
+  }
+
+  return result(null);
+}
+
+/**
+ * Converts an audit event record into its API representation
+ */
+export function serializeAuditEvent(event) {
+  return {
+    id: event.id,
+    sequence: event.sequence,
+    actor: { type: event.actorType, id: event.actorId },
+    action: event.action,
+    before: JSON.parse(event.before),
+    after: JSON.parse(event.after),
+    session_id: event.sessionId,
+    correlationId: event.correlationId,
+    reason: event.reason,
+    hash: event.hash,
+    prevHash: event.prevHash,
+    createdAt: event.createdAt,
+  };
+}
+
+/**
+ * Runs change listeners one after another, isolating their failures
+ */
+async function notifyListeners(change) {
+  for (const listener of changeListeners) {
+    try {
+      await listener(change);
+    } catch (error) {
+      logger.error('User change listener failed', {
+        userId: change.userId,
+        action: change.action,
+        error: error.message,
+      });
+    }
+  }
+}
+
+/**
+ * Appends an event to the user's chain inside an open transaction
+ */
+async function appendAuditEvent(tx, fields) {
+  const last = await tx.kycAuditEvent.findFirst({
+    where: { userId: fields.userId },
+    orderBy: { sequence: 'desc' },
+  });
+
+  const event = {
+    ...fields,
+    sequence: last ? last.sequence + 1 : 1,
+    prevHash: last ? last.hash : null,
+    createdAt: new Date(),
+  };
+  event.hash = hashEvent(event);
+
+  return tx.kycAuditEvent.create({ data: event });
+}
+
+/**
+ * HMAC-SHA256 over the event's fields in a fixed order; plain SHA-256
+ * without a key
+ */
+function hashEvent(event, key = HMAC_KEY) {
+  const canonical = JSON.stringify([
+    event.prevHash,
+    event.userId,
+    event.sequence,
+    event.actorType,
+    event.actorId,
+    event.action,
+    event.before,
+    event.after,
+    event.sessionId,
+    event.correlationId,
+    event.reason,
+    new Date(event.createdAt).toISOString(),
+  ]);
+
+  const digest = key ? crypto.createHmac('sha256', key) : crypto.createHash('sha256');
+  return digest.update(canonical).digest('hex');
+}
+
+function sameValue(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return a?.getTime?.() === b?.getTime?.();
+  }
+  return a === b;
+}
+
+export default {
+  AUDIT_ACTORS,
+  requestActor,
+  onUserChange,
+  updateUserWithAudit,
+  listAuditEvents,
+  verifyAuditChain,
+  serializeAuditEvent,
+};
@@ -0,0 +1,176 @@
+/**
+ * KYC Expiry Service
+ *
+ * Periodic re-verification. A verified user expires when their identity
+ * document expires or when KYC_REVERIFY_INTERVAL_DAYS have passed since
+ * approval, whichever comes first. Trading stays enabled for
+ * KYC_TRADING_GRACE_DAYS after expiry so the user can re-verify, and a
+ * reminder is sent KYC_EXPIRY_REMINDER_DAYS before the expiry date.
+ *
+ * runKycExpiryJob is registered with the job scheduler (services/scheduler.js).
+ */
+
+import { config } from '../config/index.js';
+import { prisma } from '../utils/prisma.js';
+import { logger } from '../utils/logger.js';
+import { AUDIT_ACTORS, updateUserWithAudit } from './kycAuditService.js';
+import { KYC_STATUS } from './kycStatusService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+export const KYC_EXPIRY_JOB = 'kyc-expiry';
+
+// Expiry settings
+const REVERIFY_INTERVAL_DAYS = config.kycExpiry.reverifyIntervalDays;
+const TRADING_GRACE_DAYS = config.kycExpiry.tradingGraceDays;
+const REMINDER_DAYS = config.kycExpiry.reminderDays;
+export const KYC_EXPIRY_JOB_INTERVAL_MS = config.kycExpiry.jobIntervalMs;
+
+const JOB_ACTOR = { type: AUDIT_ACTORS.SYSTEM, id: KYC_EXPIRY_JOB };
+
+// Delivers expiry reminders; logs only until a sender is registered
+let reminderSender = async (user, { expiresAt }) => {
+  logger.info('KYC expiry reminder', { userId: user.id, expiresAt });
+};
+
+/**
+ * Replaces the function that delivers expiry reminders
+ *
+ * @param {(user: object, details: { expiresAt: Date }) => Promise<void>} sender
+ */
+export function setExpiryReminderSender(sender) {
+  reminderSender = sender;
+}
+
+/**
+ * Parses a provider document expiration date ('YYYY-MM-DD'); null if absent or invalid
+ */
+export function parseDocumentExpiry(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Date at which a verified user's KYC expires
+ *
+ * @param {object} user - User record
+ * @returns {Date|null}
+ */
+export function kycExpiresAt(user) {
+  const candidates = [];
+
+  if (user.documentExpiresAt) {
+    candidates.push(new Date(user.documentExpiresAt).getTime());
+  }
+  if (user.kycCompletedAt) {
+    candidates.push(new Date(user.kycCompletedAt).getTime() + REVERIFY_INTERVAL_DAYS * DAY_MS);
+  }
+
+  return candidates.length > 0 ? new Date(Math.min(...candidates)) : null;
+}
+
+/**
+ * Expires due users, disables trading after the grace period and sends reminders
+ *
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{ expired: number, tradingDisabled: number, remindersSent: number, failed: number }>}
+ */
+export async function runKycExpiryJob({ now = new Date() } = {}) {
+  const summary = { expired: 0, tradingDisabled: 0, remindersSent: 0, failed: 0 };
+
+  // 1. Verified users whose document or re-KYC interval has run out
+  await forEachUser(expiringWhere(now), summary, async (user) => {
+    await updateUserWithAudit(user.id, { kycStatus: KYC_STATUS.EXPIRED, kycExpiredAt: now }, {
+      actor: JOB_ACTOR,
+      action: 'job.kyc_expired',
+      reason: `KYC expired on ${kycExpiresAt(user).toISOString()}`,
+    });
+    summary.expired += 1;
+  });
+
+  // 2. Users who have not re-verified within the grace period
+  const graceCutoff = new Date(now.getTime() - TRADING_GRACE_DAYS * DAY_MS);
+  await forEachUser({
+    tradingEnabled: true,
+    kycStatus: { not: KYC_STATUS.VERIFIED },
+    kycExpiredAt: { lte: graceCutoff },
+  }, summary, async (user) => {
+    await updateUserWithAudit(user.id, { tradingEnabled: false }, {
+      actor: JOB_ACTOR,
+      action: 'job.trading_disabled',
+      reason: `Not re-verified within ${TRADING_GRACE_DAYS} days of expiry`,
+    });
+    summary.tradingDisabled += 1;
+  });
+
+  // 3. Reminders ahead of expiry, once per verification
+  const reminderHorizon = new Date(now.getTime() + REMINDER_DAYS * DAY_MS);
+  await forEachUser({ ...expiringWhere(reminderHorizon), expiryReminderSentAt: null }, summary, async (user) => {
+    const expiresAt = kycExpiresAt(user);
+    await reminderSender(user, { expiresAt });
+    await updateUserWithAudit(user.id, { expiryReminderSentAt: now }, {
+      actor: JOB_ACTOR,
+      action: 'job.expiry_reminder_sent',
+    });
+    summary.remindersSent += 1;
+  });
+
+  return summary;
+}
+
+/**
+ * Where clause for verified users whose KYC expires at or before `at`
+ */
+function expiringWhere(at) {
+  return {
+    kycStatus: KYC_STATUS.VERIFIED,
+    OR: [
+      { documentExpiresAt: { lte: at } },
+      { kycCompletedAt: { lte: new Date(at.getTime() - REVERIFY_INTERVAL_DAYS * DAY_MS) } },
+    ],
+  };
+}
+
+/**
+ * Applies `action` to every user matching `where`, in ID order and in
+ * batches. Failures are logged and counted without stopping the run.
+ */
+async function forEachUser(where, summary, action) {
+  let cursor = null;
+
+  for (;;) {
+    const users = await prisma.user.findMany({
+      where: cursor ? { ...where, id: { gt: cursor } } : where,
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+    });
+
+    for (const user of users) {
+      try {
+        await action(user);
+      } catch (error) {
+        summary.failed += 1;
+        logger.error('KYC expiry job failed for user', { userId: user.id, error: error.message });
+      }
+    }
+
+    if (users.length < BATCH_SIZE) {
+      return;
+    }
+    cursor = users[users.length - 1].id;
+  }
+}
+
+export default {
+  KYC_EXPIRY_JOB,
+  KYC_EXPIRY_JOB_INTERVAL_MS,
+  setExpiryReminderSender,
+  parseDocumentExpiry,
+  kycExpiresAt,
+  runKycExpiryJob,
+};
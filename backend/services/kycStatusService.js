@@ -0,0 +1,131 @@
+/**
+ * KYC Status Service
+ *
+ * The KYC state machine. User.kycStatus only moves along the transitions
+ * listed in KYC_TRANSITIONS; updateUserWithAudit (services/kycAuditService.js)
+ * enforces them for every writer. Provider session statuses are translated
+ * into KYC statuses here as well, so webhook handling and manual compliance
+ * decisions stay consistent.
+ */
+
+import { logger } from '../utils/logger.js';
+import { SESSION_STATUS } from '../providers/sessionStatus.js';
+
+export const KYC_STATUS = Object.freeze({
+  NOT_STARTED: 'NOT_STARTED',
+  IN_PROGRESS: 'IN_PROGRESS',
+  IN_REVIEW: 'IN_REVIEW',
+  VERIFIED: 'VERIFIED',
+  DECLINED: 'DECLINED',
+  ABANDONED: 'ABANDONED',
+  EXPIRED: 'EXPIRED',
+  REVOKED: 'REVOKED',
+});
+
+export const KYC_STATUSES = Object.values(KYC_STATUS);
+
+// Allowed transitions: current status -> statuses it may move to.
+// Staying in the same status is always allowed.
+export const KYC_TRANSITIONS = Object.freeze({
+  NOT_STARTED: ['IN_PROGRESS', 'IN_REVIEW', 'VERIFIED', 'DECLINED', 'ABANDONED', 'EXPIRED'],
+  IN_PROGRESS: ['IN_REVIEW', 'VERIFIED', 'DECLINED', 'ABANDONED', 'EXPIRED'],
+  IN_REVIEW: ['VERIFIED', 'DECLINED', 'EXPIRED'],
+  VERIFIED: ['EXPIRED', 'REVOKED'],
+  // A compliance officer may overturn a decline after manual review
+  DECLINED: ['IN_PROGRESS', 'VERIFIED'],
+  ABANDONED: ['IN_PROGRESS'],
+  EXPIRED: ['IN_PROGRESS'],
+  REVOKED: [],
+});
+
+// Normalized provider session status -> KYC status
+const KYC_STATUS_BY_SESSION_STATUS = {
+  [SESSION_STATUS.NOT_STARTED]: KYC_STATUS.IN_PROGRESS,
+  [SESSION_STATUS.IN_PROGRESS]: KYC_STATUS.IN_PROGRESS,
+  [SESSION_STATUS.IN_REVIEW]: KYC_STATUS.IN_REVIEW,
+  [SESSION_STATUS.APPROVED]: KYC_STATUS.VERIFIED,
+  [SESSION_STATUS.DECLINED]: KYC_STATUS.DECLINED,
+  [SESSION_STATUS.ABANDONED]: KYC_STATUS.ABANDONED,
+  [SESSION_STATUS.EXPIRED]: KYC_STATUS.EXPIRED,
+};
+
+/**
+ * Whether kycStatus may move from one status to another
+ */
+export function canTransition(from, to) {
+  return from === to || Boolean(KYC_TRANSITIONS[from]?.includes(to));
+}
+
+/**
+ * Whether a user in this KYC status may create a new verification session
+ */
+export function canStartVerification(kycStatus) {
+  return kycStatus !== KYC_STATUS.VERIFIED && canTransition(kycStatus, KYC_STATUS.IN_PROGRESS);
+}
+
+/**
+ * Throws (code ILLEGAL_KYC_TRANSITION) and logs when a transition is not allowed
+ *
+ * @param {string} from - Current kycStatus
+ * @param {string} to - Requested kycStatus
+ * @param {object} [context] - Extra log fields (userId, action, ...)
+ */
+export function assertTransition(from, to, context = {}) {
+  if (canTransition(from, to)) {
+    return;
+  }
+
+  logger.warn('Illegal KYC status transition rejected', { ...context, from, to });
+
+  const error = new Error(`KYC status cannot change from ${from} to ${to}`);
+  error.code = 'ILLEGAL_KYC_TRANSITION';
+  error.from = from;
+  error.to = to;
+  throw error;
+}
+
+/**
+ * Maps a normalized session status to a KYC status (null if unmapped)
+ */
+export function kycStatusForSession(status) {
+  return KYC_STATUS_BY_SESSION_STATUS[status] || null;
+}
+
+/**
+ * Builds the User update for a normalized session status
+ *
+ * @param {string} status - Normalized session status (see providers/sessionStatus.js)
+ * @param {Date} [now] - Timestamp for approvals and expiry
+ * @returns {object} Partial User data, {} if the status does not change kycStatus
+ */
+export function kycStatusUpdate(status, now = new Date()) {
+  const kycStatus = kycStatusForSession(status);
+
+  if (!kycStatus) {
+    return {};
+  }
+
+  const data = { kycStatus };
+  if (kycStatus === KYC_STATUS.VERIFIED) {
+    // A new approval restarts the re-verification cycle
+    data.kycCompletedAt = now;
+    data.kycExpiredAt = null;
+    data.expiryReminderSentAt = null;
+  } else if (kycStatus === KYC_STATUS.EXPIRED) {
+    // Starts the trading grace period (see services/kycExpiryService.js)
+    data.kycExpiredAt = now;
+  }
+
+  return data;
+}
+
+export default {
+  KYC_STATUS,
+  KYC_STATUSES,
+  KYC_TRANSITIONS,
+  canTransition,
+  canStartVerification,
+  assertTransition,
+  kycStatusForSession,
+  kycStatusUpdate,
+};
@@ -0,0 +1,278 @@
+/**
+ * Metrics
+ *
+ * A small Prometheus registry (text exposition format 0.0.4) and the
+ * metrics of the verification pipeline, served by GET /metrics.
+ *
+ * Counters and histograms declare their label names up front; any other
+ * label passed when recording is ignored. Label values must come from small,
+ * fixed sets (routes, statuses, reasons), never user IDs, session IDs or
+ * phone numbers, so the number of series stays bounded.
+ *
+ * Values are kept per process: each instance is scraped on its own.
+ */
+
+import { KYC_STATUS } from './kycStatusService.js';
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; covers fast API calls up to slow provider round trips
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const metrics = new Map();
+const collectors = [];
+
+/**
+ * ============================================================
+ * REGISTRY
+ * ============================================================
+ */
+
+/**
+ * Creates and registers a counter
+ *
+ * @param {object} options
+ * @param {string} options.name - e.g. 'kyc_sessions_created_total'
+ * @param {string} options.help
+ * @param {string[]} [options.labelNames]
+ */
+export function createCounter({ name, help, labelNames = [] }) {
+  const series = new Map();
+
+  return register({
+    name,
+    help,
+    type: 'counter',
+
+    /**
+     * @param {object} [labels]
+     * @param {number} [value=1]
+     */
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + value);
+    },
+
+    samples() {
+      return [...series].map(([key, value]) => ({ labels: JSON.parse(key), value }));
+    },
+  });
+}
+
+/**
+ * Creates and registers a histogram
+ *
+ * @param {object} options
+ * @param {string} options.name - e.g. 'http_request_duration_seconds'
+ * @param {string} options.help
+ * @param {string[]} [options.labelNames]
+ * @param {number[]} [options.buckets] - Upper bounds, ascending
+ */
+export function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  const series = new Map();
+
+  /**
+   * @param {object} labels
+   * @param {number} value - In the metric's unit (seconds for *_seconds)
+   */
+  function observe(labels, value) {
+    const key = seriesKey(labelNames, labels);
+    if (!series.has(key)) {
+      series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+    }
+
+    const entry = series.get(key);
+    const index = buckets.findIndex((bound) => value <= bound);
+    if (index !== -1) {
+      entry.counts[index] += 1;
+    }
+    entry.sum += value;
+    entry.count += 1;
+  }
+
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    observe,
+
+    /**
+     * Starts timing; call the returned function with any labels known
+     * only at the end (e.g. the outcome) to record the duration
+     */
+    startTimer(labels = {}) {
+      const startedAt = process.hrtime.bigint();
+      return (endLabels = {}) => {
+        observe({ ...labels, ...endLabels }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+      };
+    },
+
+    samples() {
+      return [...series].flatMap(([key, entry]) => histogramSamples(JSON.parse(key), buckets, entry));
+    },
+  });
+}
+
+/**
+ * Registers a function returning metric families computed at scrape time,
+ * for values that live elsewhere (e.g. the Didit client's own stats):
+ * [{ name, help, type, samples: [{ labels, value, suffix? }] }]
+ */
+export function registerCollector(collect) {
+  collectors.push(collect);
+}
+
+/**
+ * Renders every metric in the Prometheus text format
+ */
+export function renderMetrics() {
+  const families = [
+    ...[...metrics.values()].map((metric) => ({ ...metric, samples: metric.samples() })),
+    ...collectors.flatMap((collect) => collect()),
+  ];
+
+  return families.map((family) => [
+    `# HELP ${family.name} ${family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+    `# TYPE ${family.name} ${family.type}`,
+    ...family.samples.map((sample) => `${family.name}${sample.suffix || ''}${formatLabels(sample.labels)} ${formatValue(sample.value)}`),
+  ].join('\n')).join('\n') + '\n';
+}
+
+/**
+ * Converts per-bucket counts into the cumulative _bucket, _sum and
+ * _count samples of a histogram
+ *
+ * @param {object} labels
+ * @param {number[]} buckets - Upper bounds, ascending
+ * @param {{ counts: number[], sum: number, count: number }} entry - counts[i] observations in bucket i
+ */
+export function histogramSamples(labels, buckets, { counts, sum, count }) {
+  let cumulative = 0;
+  return [
+    ...buckets.map((bound, index) => {
+      cumulative += counts[index];
+      return { suffix: '_bucket', labels: { ...labels, le: String(bound) }, value: cumulative };
+    }),
+    { suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count },
+    { suffix: '_sum', labels, value: sum },
+    { suffix: '_count', labels, value: count },
+  ];
+}
+
+function register(metric) {
+  if (metrics.has(metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  metrics.set(metric.name, metric);
+  return metric;
+}
+
+// Only declared labels, in declared order, so equal label sets share a series
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(Object.fromEntries(labelNames.map((label) => [label, String(labels[label] ?? '')])));
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${entries.map(([label, value]) => `${label}="${escape(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * ============================================================
+ * PIPELINE METRICS
+ * ============================================================
+ */
+
+export const httpRequestsTotal = createCounter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by route template and response status.',
+  labelNames: ['method', 'route', 'status'],
+});
+
+export const httpRequestDuration = createHistogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request duration by route template and response status.',
+  labelNames: ['method', 'route', 'status'],
+});
+
+export const sessionsCreatedTotal = createCounter({
+  name: 'kyc_sessions_created_total',
+  help: 'Verification sessions created with the KYC provider.',
+  labelNames: ['provider'],
+});
+
+export const diditApiErrorsTotal = createCounter({
+  name: 'didit_api_errors_total',
+  help: 'Failed Didit API calls returned to clients, by Didit response status (circuit_open, or none without a response).',
+  labelNames: ['status'],
+});
+
+export const webhookSignatureRejectionsTotal = createCounter({
+  name: 'kyc_webhook_signature_rejections_total',
+  help: 'Provider webhooks rejected by signature verification, by reason.',
+  labelNames: ['reason'],
+});
+
+export const webhookProcessingDuration = createHistogram({
+  name: 'kyc_webhook_processing_duration_seconds',
+  help: 'Time to apply a stored provider webhook, by source and outcome (processed, failed, dead_letter).',
+  labelNames: ['source', 'outcome'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+});
+
+export const kycDecisionsTotal = createCounter({
+  name: 'kyc_decisions_total',
+  help: 'Users moved to VERIFIED (approved) or DECLINED (declined), by actor type.',
+  labelNames: ['decision', 'actor'],
+});
+
+export const retriesExhaustedTotal = createCounter({
+  name: 'kyc_retries_exhausted_total',
+  help: 'Operations given up after their last retry (didit_api, webhook_inbox, outbound_webhook).',
+  labelNames: ['component'],
+});
+
+/**
+ * Counts a Didit API error by the response status handled for it
+ */
+export function recordDiditApiError(error) {
+  let status = 'none';
+  if (error.code === 'CIRCUIT_OPEN') {
+    status = 'circuit_open';
+  } else if (error.response?.status) {
+    status = String(error.response.status);
+  }
+  diditApiErrorsTotal.inc({ status });
+}
+
+/**
+ * User change listener (kycAuditService.onUserChange) counting approvals
+ * and declines, whoever made them
+ */
+export function recordKycDecision({ after, actor }) {
+  const decision = { [KYC_STATUS.VERIFIED]: 'approved', [KYC_STATUS.DECLINED]: 'declined' }[after.kycStatus];
+  if (decision) {
+    kycDecisionsTotal.inc({ decision, actor: actor.type.toLowerCase() });
+  }
+}
+
+export default {
+  METRICS_CONTENT_TYPE,
+  createCounter,
+  createHistogram,
+  registerCollector,
+  renderMetrics,
+  histogramSamples,
+  recordDiditApiError,
+  recordKycDecision,
+};
@@ -0,0 +1,455 @@
+/**
+ * Outbound Webhooks
+ *
+ * Notifies downstream services (trading, ledger, CRM, ...) about KYC changes.
+ * Subscribers register a URL, a secret and the event types they want; each
+ * event is stored as one delivery per matching subscription, in the same
+ * transaction as the user change behind it (an outbox), and POSTed by a
+ * background worker with exponential backoff. Subscriptions are served
+ * concurrently (up to OUTBOUND_WEBHOOK_CONCURRENCY at a time), each one's
+ * deliveries in order, so a slow subscriber does not hold up the others.
+ * Deliveries that keep failing are moved to DEAD_LETTER and can be
+ * redelivered manually. Subscription secrets are encrypted at rest with the
+ * PII keyring (services/piiEncryption.js).
+ *
+ * Requests carry:
+ * - x-kyc-event-id / x-kyc-event-type
+ * - x-kyc-timestamp: Unix seconds
+ * - x-kyc-signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the subscription secret>
+ */
+
+import * as crypto from 'node:crypto';
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config/index.js';
+import { prisma } from '../utils/prisma.js';
+import { logger } from '../utils/logger.js';
+import { KYC_STATUS } from './kycStatusService.js';
+import { retriesExhaustedTotal } from './metrics.js';
+
+// Delivery settings
+const MAX_ATTEMPTS = config.outboundWebhooks.maxAttempts;
+const BACKOFF_BASE_MS = config.outboundWebhooks.backoffBaseMs;
+const BACKOFF_MAX_MS = 6 * 60 * 60_000; // 6 hours
+const POLL_INTERVAL_MS = config.outboundWebhooks.pollIntervalMs;
+const REQUEST_TIMEOUT_MS = config.outboundWebhooks.timeoutMs;
+const CONCURRENCY = config.outboundWebhooks.concurrency;
+const DELIVERY_LEASE_MS = 5 * 60_000; // reclaim deliveries stuck in DELIVERING after 5 minutes
+const BATCH_SIZE = 20;
+
+export const OUTBOUND_EVENT_TYPES = [
+  'kyc.verified',
+  'kyc.declined',
+  'kyc.expired',
+  'kyc.revoked',
+  'phone.verified',
+  'id.verified',
+  'trading.enabled',
+  'trading.disabled',
+];
+
+export const DELIVERY_STATUSES = ['PENDING', 'DELIVERING', 'DELIVERED', 'FAILED', 'DEAD_LETTER'];
+
+// kycStatus values that produce an event when a user enters them
+const KYC_STATUS_EVENTS = {
+  [KYC_STATUS.VERIFIED]: 'kyc.verified',
+  [KYC_STATUS.DECLINED]: 'kyc.declined',
+  [KYC_STATUS.EXPIRED]: 'kyc.expired',
+  [KYC_STATUS.REVOKED]: 'kyc.revoked',
+};
+
+let pollTimer = null;
+let draining = false;
+
+/**
+ * Signs a delivery body
+ *
+ * @param {string} body - Exact request body
+ * @param {string|number} timestamp - Unix seconds sent in x-kyc-timestamp
+ * @param {string} secret - Subscription secret
+ */
+export function signDelivery(body, timestamp, secret) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Generates a subscription secret
+ */
+export function generateSubscriptionSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Queues an event for every active subscription that wants it. Throws on
+ * failure; pass a transaction client as `db` to queue the deliveries
+ * atomically with the change that raised the event. Deliveries are sent by
+ * the worker at its next poll.
+ *
+ * @param {string} type - One of OUTBOUND_EVENT_TYPES
+ * @param {object} data - Event data
+ * @param {object} [options]
+ * @param {object} [options.db] - Prisma client or transaction client
+ * @returns {Promise<string|null>} Event ID, or null if nothing was queued
+ */
+export async function publishEvent(type, data, { db = prisma } = {}) {
+  const subscriptions = (await db.webhookSubscription.findMany({ where: { active: true } }))
+    .filter((subscription) => subscriptionEventTypes(subscription).some((t) => t === type || t === '*'));
+
+  if (subscriptions.length === 0) {
+    return null;
+  }
+
+  const eventId = uuidv4();
+  const payload = JSON.stringify({ id: eventId, type, createdAt: new Date().toISOString(), data });
+
+  await db.webhookDelivery.createMany({
+    data: subscriptions.map((subscription) => ({
+      subscriptionId: subscription.id,
+      eventId,
+      eventType: type,
+      payload,
+      maxAttempts: MAX_ATTEMPTS,
+    })),
+  });
+
+  logger.info('Outbound webhook event queued', { eventId, type, subscriptions: subscriptions.length });
+
+  return eventId;
+}
+
+/**
+ * Transactional user change listener (see kycAuditService.onUserChange):
+ * queues the change's events in its transaction, so they are committed
+ * with it or not at all
+ */
+export async function publishUserChangeEvents(change, tx) {
+  const { userId, user, before, actor, action, sessionId, correlationId } = change;
+
+  for (const type of userChangeEventTypes(change)) {
+    await publishEvent(type, {
+      userId,
+      kycStatus: user.kycStatus,
+      previousKycStatus: before.kycStatus ?? null,
+      idVerified: user.idVerified,
+      phoneVerified: user.phoneVerified,
+      tradingEnabled: user.tradingEnabled,
+      action,
+      actorType: actor.type,
+      session_id: sessionId || null,
+      correlationId: correlationId || null,
+    }, { db: tx });
+  }
+}
+
+/**
+ * User change listener run after commit: sends the events queued for the
+ * change without waiting for the next poll
+ */
+export function deliverUserChangeEvents(change) {
+  if (userChangeEventTypes(change).length > 0) {
+    scheduleDrain();
+  }
+}
+
+/**
+ * Event types raised by a user change
+ */
+function userChangeEventTypes({ after }) {
+  const types = [];
+
+  if ('kycStatus' in after && KYC_STATUS_EVENTS[after.kycStatus]) {
+    types.push(KYC_STATUS_EVENTS[after.kycStatus]);
+  }
+  if (after.idVerified === true) {
+    types.push('id.verified');
+  }
+  if (after.phoneVerified === true) {
+    types.push('phone.verified');
+  }
+  if ('tradingEnabled' in after) {
+    types.push(after.tradingEnabled ? 'trading.enabled' : 'trading.disabled');
+  }
+
+  return types;
+}
+
+/**
+ * Claims and sends all deliveries that are due
+ *
+ * @returns {Promise<number>} Number of deliveries attempted in this run
+ */
+export async function processDueDeliveries() {
+  if (draining) {
+    return 0;
+  }
+  draining = true;
+
+  let handled = 0;
+
+  try {
+    let batch;
+    do {
+      const now = new Date();
+      batch = await prisma.webhookDelivery.findMany({
+        where: {
+          OR: [
+            { status: { in: ['PENDING', 'FAILED'] }, nextAttemptAt: { lte: now } },
+            { status: 'DELIVERING', updatedAt: { lt: new Date(now.getTime() - DELIVERY_LEASE_MS) } },
+          ],
+        },
+        include: { subscription: true },
+        orderBy: { createdAt: 'asc' },
+        take: BATCH_SIZE,
+      });
+
+      const bySubscription = new Map();
+      for (const delivery of batch) {
+        const queue = bySubscription.get(delivery.subscriptionId) || [];
+        queue.push(delivery);
+        bySubscription.set(delivery.subscriptionId, queue);
+      }
+
+      await runConcurrently([...bySubscription.values()], CONCURRENCY, async (queue) => {
+        for (const delivery of queue) {
+          if (await claimDelivery(delivery)) {
+            await sendDelivery(delivery);
+            handled += 1;
+          }
+        }
+      });
+    } while (batch.length === BATCH_SIZE);
+  } finally {
+    draining = false;
+  }
+
+  return handled;
+}
+
+/**
+ * Runs `task` over the items with at most `limit` in flight
+ */
+async function runConcurrently(items, limit, task) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      await task(items[next++]);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * Runs the worker once, logging instead of throwing
+ */
+function runWorker() {
+  processDueDeliveries().catch((error) => {
+    logger.error('Outbound webhook worker run failed', { error: error.message });
+  });
+}
+
+/**
+ * Runs the worker on the next tick
+ */
+function scheduleDrain() {
+  setImmediate(runWorker);
+}
+
+/**
+ * Marks a delivery as DELIVERING unless another worker got there first
+ */
+async function claimDelivery(delivery) {
+  const { count } = await prisma.webhookDelivery.updateMany({
+    where: { id: delivery.id, status: delivery.status, updatedAt: delivery.updatedAt },
+    data: { status: 'DELIVERING', attempts: { increment: 1 } },
+  });
+  return count === 1;
+}
+
+/**
+ * POSTs a claimed delivery and records the outcome
+ */
+async function sendDelivery(delivery) {
+  const attempt = delivery.attempts + 1;
+  const { subscription } = delivery;
+  let statusCode = null;
+
+  try {
+    if (!subscription.active) {
+      throw new Error('Subscription is inactive');
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const response = await axios.post(subscription.url, delivery.payload, {
+      headers: {
+        'content-type': 'application/json',
+        'user-agent': 'didit-verification-webhooks/1.0',
+        'x-kyc-event-id': delivery.eventId,
+        'x-kyc-event-type': delivery.eventType,
+        'x-kyc-timestamp': String(timestamp),
+        'x-kyc-signature': `sha256=${signDelivery(delivery.payload, timestamp, subscription.secret)}`,
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: 0,
+      // Send the stored body byte-for-byte so the signature matches
+      transformRequest: [(body) => body],
+    });
+    statusCode = response.status;
+
+    await prisma.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: { status: 'DELIVERED', deliveredAt: new Date(), lastStatusCode: statusCode, lastError: null },
+    });
+
+    logger.info('Outbound webhook delivered', { deliveryId: delivery.id, eventType: delivery.eventType, attempt });
+  } catch (error) {
+    statusCode = error.response?.status ?? statusCode;
+    const exhausted = attempt >= delivery.maxAttempts;
+    const delay = Math.min(BACKOFF_BASE_MS * 2 ** (attempt - 1), BACKOFF_MAX_MS);
+
+    await prisma.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status: exhausted ? 'DEAD_LETTER' : 'FAILED',
+        lastStatusCode: statusCode,
+        lastError: error.message,
+        nextAttemptAt: new Date(Date.now() + delay),
+      },
+    });
+
+    const details = {
+      deliveryId: delivery.id,
+      subscriptionId: subscription.id,
+      eventType: delivery.eventType,
+      attempt,
+      maxAttempts: delivery.maxAttempts,
+      statusCode,
+      error: error.message,
+    };
+
+    if (exhausted) {
+      retriesExhaustedTotal.inc({ component: 'outbound_webhook' });
+      logger.error('Outbound webhook moved to dead letter', details);
+    } else {
+      logger.warn('Outbound webhook failed, will retry', { ...details, retryInMs: delay });
+    }
+  }
+}
+
+/**
+ * Event types a subscription listens to
+ */
+export function subscriptionEventTypes(subscription) {
+  return subscription.eventTypes.split(',').filter(Boolean);
+}
+
+/**
+ * Lists deliveries, newest first
+ *
+ * @param {object} [filter]
+ * @param {string} [filter.subscriptionId]
+ * @param {string} [filter.status] - One of DELIVERY_STATUSES
+ * @param {string} [filter.eventType]
+ * @param {number} [filter.limit=50]
+ * @param {number} [filter.offset=0]
+ */
+export async function listDeliveries({ subscriptionId, status, eventType, limit = 50, offset = 0 } = {}) {
+  const where = {};
+  if (subscriptionId) where.subscriptionId = subscriptionId;
+  if (status) where.status = status;
+  if (eventType) where.eventType = eventType;
+
+  const [deliveries, total] = await Promise.all([
+    prisma.webhookDelivery.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip: offset,
+    }),
+    prisma.webhookDelivery.count({ where }),
+  ]);
+
+  return { deliveries, total };
+}
+
+/**
+ * Looks up a delivery by ID
+ */
+export async function getDelivery(id) {
+  return prisma.webhookDelivery.findUnique({ where: { id } });
+}
+
+/**
+ * Re-queues a delivery with a fresh attempt budget
+ *
+ * @param {string} id - Delivery ID
+ * @returns {Promise<object|null>} The re-queued delivery, or null if not found
+ */
+export async function redeliver(id) {
+  const existing = await getDelivery(id);
+  if (!existing) {
+    return null;
+  }
+
+  if (existing.status === 'DELIVERING') {
+    const error = new Error('Delivery is currently in progress');
+    error.code = 'DELIVERY_IN_PROGRESS';
+    throw error;
+  }
+
+  const delivery = await prisma.webhookDelivery.update({
+    where: { id },
+    data: {
+      status: 'PENDING',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      lastError: null,
+    },
+  });
+
+  logger.info('Outbound webhook queued for redelivery', { deliveryId: id, previousStatus: existing.status });
+
+  scheduleDrain();
+
+  return delivery;
+}
+
+/**
+ * Starts polling for due deliveries
+ */
+export function startDeliveryWorker() {
+  if (pollTimer) {
+    return;
+  }
+
+  pollTimer = setInterval(runWorker, POLL_INTERVAL_MS);
+  pollTimer.unref();
+
+  logger.info('Outbound webhook worker started', { pollIntervalMs: POLL_INTERVAL_MS, maxAttempts: MAX_ATTEMPTS });
+}
+
+/**
+ * Stops polling for due deliveries
+ */
+export function stopDeliveryWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+export default {
+  OUTBOUND_EVENT_TYPES,
+  DELIVERY_STATUSES,
+  signDelivery,
+  generateSubscriptionSecret,
+  publishEvent,
+  publishUserChangeEvents,
+  deliverUserChangeEvents,
+  processDueDeliveries,
+  subscriptionEventTypes,
+  listDeliveries,
+  getDelivery,
+  redeliver,
+  startDeliveryWorker,
+  stopDeliveryWorker,
+};
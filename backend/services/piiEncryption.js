@@ -0,0 +1,263 @@
+/**
+ * PII Encryption
+ *
+ * Envelope encryption for sensitive columns. Each value is encrypted with a
+ * fresh data key (AES-256-GCM), and the data key is wrapped with a key
+ * encryption key from the keyring. The key ID is stored in the value:
+ *
+ *   enc:v1:<keyId>:<wrapped data key>:<ciphertext>   (base64url parts)
+ *
+ * The column name is bound as additional authenticated data, so a value
+ * copied into another column does not decrypt. Values without the prefix
+ * are legacy plaintext and are returned as-is until re-encrypted
+ * (npm run pii:reencrypt).
+ *
+ * Phone numbers also get a blind index (HMAC-SHA256 under a separate key)
+ * so they can still be looked up by equality.
+ *
+ * The keyring is read from PII_KEYRING_FILE or PII_KEYRING (JSON):
+ *
+ *   { "primaryKeyId": "2026-10", "keys": { "2026-10": "<base64, 32 bytes>" }, "blindIndexKey": "<base64, 32 bytes>" }
+ *
+ * New values use primaryKeyId; older keys stay in the ring for decryption.
+ * Without a keyring, values are stored in plaintext.
+ */
+
+import * as crypto from 'node:crypto';
+import * as fs from 'node:fs';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+
+const PREFIX = 'enc';
+const VERSION = 'v1';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const KEY_ID_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+// Encrypted columns per Prisma model
+export const ENCRYPTED_FIELDS = Object.freeze({
+  User: ['kycDetails', 'phoneNumber'],
+  VerificationSession: ['decision'],
+  WebhookEvent: ['payload'],
+  IdempotencyKey: ['responseBody'],
+  SessionStoreEntry: ['value'],
+  WebhookSubscription: ['secret'],
+});
+
+// Columns recorded as fingerprints in the audit trail: encrypted columns
+// plus email, which stays in plaintext for lookups and uniqueness
+const AUDIT_FINGERPRINTED_FIELDS = Object.freeze({
+  ...ENCRYPTED_FIELDS,
+  User: [...ENCRYPTED_FIELDS.User, 'email'],
+});
+
+// Blind index columns per Prisma model, keyed by the indexed field
+export const BLIND_INDEXES = Object.freeze({
+  User: { phoneNumber: 'phoneNumberIndex' },
+});
+
+let keyring;
+
+/**
+ * Returns the loaded keyring, or null when encryption is not configured.
+ * Throws if the configuration is present but invalid.
+ */
+export function getKeyring() {
+  if (keyring === undefined) {
+    keyring = loadKeyring();
+  }
+  return keyring;
+}
+
+/**
+ * Whether new values are encrypted
+ */
+export function isEncryptionEnabled() {
+  return getKeyring() !== null;
+}
+
+/**
+ * Whether a stored value is ciphertext produced by encryptValue
+ */
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:${VERSION}:`);
+}
+
+/**
+ * Key ID of an encrypted value (null for plaintext)
+ */
+export function keyIdOf(value) {
+  return isEncrypted(value) ? value.split(':')[2] : null;
+}
+
+/**
+ * Encrypts a value with the primary key. null and undefined pass through,
+ * and so does everything when no keyring is configured.
+ *
+ * @param {string|null} value - Plaintext
+ * @param {string} column - '<Model>.<field>', bound as additional authenticated data
+ */
+export function encryptValue(value, column) {
+  const ring = getKeyring();
+  if (value === null || value === undefined || !ring) {
+    return value;
+  }
+
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  const wrappedKey = seal(ring.keys.get(ring.primaryKeyId), dataKey, ring.primaryKeyId);
+  const ciphertext = seal(dataKey, Buffer.from(String(value), 'utf8'), column);
+
+  return [PREFIX, VERSION, ring.primaryKeyId, wrappedKey.toString('base64url'), ciphertext.toString('base64url')].join(':');
+}
+
+/**
+ * Decrypts a value produced by encryptValue; plaintext passes through
+ *
+ * @param {string|null} value - Stored value
+ * @param {string} column - '<Model>.<field>' the value was encrypted for
+ */
+export function decryptValue(value, column) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [, , keyId, wrappedKey, ciphertext] = value.split(':');
+  const key = getKeyring()?.keys.get(keyId);
+  if (!key) {
+    const error = new Error(`Cannot decrypt ${column}: key "${keyId}" is not in the keyring`);
+    error.code = 'PII_KEY_NOT_FOUND';
+    throw error;
+  }
+
+  const dataKey = open(key, Buffer.from(wrappedKey, 'base64url'), keyId);
+  return open(dataKey, Buffer.from(ciphertext, 'base64url'), column).toString('utf8');
+}
+
+/**
+ * Blind index of a phone number: HMAC-SHA256 of the number without
+ * formatting characters. null when no keyring is configured.
+ */
+export function blindIndex(value) {
+  const ring = getKeyring();
+  if (value === null || value === undefined || !ring) {
+    return null;
+  }
+
+  const normalized = String(value).replace(/[\s().-]/g, '');
+  return crypto.createHmac('sha256', ring.blindIndexKey).update(normalized).digest('hex');
+}
+
+/**
+ * Value recorded in the audit trail for a column. The trail is append-only
+ * and cannot be re-encrypted or erased, so PII columns are stored as a
+ * keyed fingerprint that shows whether the value changed without
+ * revealing it.
+ *
+ * @param {string} model - Prisma model name
+ * @param {string} field - Field name
+ * @param {*} value - Plaintext value
+ */
+export function auditValue(model, field, value) {
+  if (!AUDIT_FINGERPRINTED_FIELDS[model]?.includes(field) || value === null || value === undefined) {
+    return value;
+  }
+
+  const ring = getKeyring();
+  if (!ring) {
+    return '[redacted]';
+  }
+
+  const digest = crypto.createHmac('sha256', ring.blindIndexKey).update(`${model}.${field}:${value}`).digest('hex');
+  return `[redacted:${digest.slice(0, 16)}]`;
+}
+
+/**
+ * Generates a random base64 key for the keyring
+ */
+export function generateKey() {
+  return crypto.randomBytes(KEY_BYTES).toString('base64');
+}
+
+/**
+ * AES-256-GCM; returns iv | tag | ciphertext
+ */
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function open(key, sealed, aad) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.subarray(0, IV_BYTES));
+  decipher.setAAD(Buffer.from(aad, 'utf8'));
+  decipher.setAuthTag(sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+/**
+ * Reads and validates the keyring configuration
+ */
+function loadKeyring() {
+  let source;
+  let raw;
+
+  if (config.pii.keyringFile) {
+    source = config.pii.keyringFile;
+    raw = fs.readFileSync(source, 'utf8');
+  } else if (config.pii.keyring) {
+    source = 'PII_KEYRING';
+    raw = config.pii.keyring;
+  } else {
+    logger.warn('PII encryption disabled: neither PII_KEYRING_FILE nor PII_KEYRING is set');
+    return null;
+  }
+
+  const settings = JSON.parse(raw);
+  const keys = new Map();
+
+  for (const [keyId, encoded] of Object.entries(settings.keys || {})) {
+    if (!KEY_ID_PATTERN.test(keyId)) {
+      throw new Error(`Invalid PII key ID "${keyId}" in ${source}`);
+    }
+    keys.set(keyId, decodeKey(encoded, `key "${keyId}"`, source));
+  }
+
+  if (!keys.has(settings.primaryKeyId)) {
+    throw new Error(`PII primaryKeyId "${settings.primaryKeyId}" is not in the keyring (${source})`);
+  }
+
+  const ring = {
+    primaryKeyId: settings.primaryKeyId,
+    keys,
+    blindIndexKey: decodeKey(settings.blindIndexKey, 'blindIndexKey', source),
+  };
+
+  logger.info('PII encryption enabled', { source, primaryKeyId: ring.primaryKeyId, keyIds: [...keys.keys()] });
+
+  return ring;
+}
+
+function decodeKey(encoded, label, source) {
+  const key = Buffer.from(encoded || '', 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`PII ${label} in ${source} must be ${KEY_BYTES} bytes, base64-encoded`);
+  }
+  return key;
+}
+
+export default {
+  ENCRYPTED_FIELDS,
+  BLIND_INDEXES,
+  getKeyring,
+  isEncryptionEnabled,
+  isEncrypted,
+  keyIdOf,
+  encryptValue,
+  decryptValue,
+  blindIndex,
+  auditValue,
+  generateKey,
+};
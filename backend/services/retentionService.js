@@ -0,0 +1,347 @@
+/**
+ * Retention Service
+ *
+ * Declarative retention rules, one per data category, enforced by the
+ * retention-purger job (services/scheduler.js). Each rule has a retention
+ * period in days, set in config/index.js from its environment variable; 0
+ * turns the rule off. Users under legal hold are skipped by every rule.
+ *
+ * Dry runs report what each rule would remove without touching anything.
+ * The KYC outcome itself (status, dates, flags) and the audit trail are not
+ * subject to retention; erasure on request is handled by
+ * services/dataSubjectService.js.
+ */
+
+import * as fs from 'node:fs';
+import { config } from '../config/index.js';
+import { prisma } from '../utils/prisma.js';
+import { logger, listLogFiles } from '../utils/logger.js';
+import { AUDIT_ACTORS, updateUserWithAudit } from './kycAuditService.js';
+import { KYC_STATUS } from './kycStatusService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RETENTION_JOB = 'retention-purger';
+
+// Purger settings
+const BATCH_SIZE = config.retention.batchSize;
+export const RETENTION_JOB_INTERVAL_MS = config.retention.jobIntervalMs;
+// Scheduled runs only report until this is turned off
+export const RETENTION_DRY_RUN = config.retention.dryRun;
+
+const JOB_ACTOR = { type: AUDIT_ACTORS.SYSTEM, id: RETENTION_JOB };
+
+// Users who never completed a verification
+const STALE_USER_STATUSES = [KYC_STATUS.NOT_STARTED, KYC_STATUS.IN_PROGRESS, KYC_STATUS.ABANDONED];
+
+// Stored (provider) status given to sessions expired by retention
+const EXPIRED_SESSION_STATUS = 'Expired';
+
+/**
+ * Retention rules, applied in order
+ */
+export const RETENTION_RULES = Object.freeze([
+  {
+    name: 'decision-payloads',
+    category: 'Raw provider decisions (User.kycDetails, VerificationSession.decision)',
+    days: config.retention.decisionPayloadDays,
+    apply: purgeDecisionPayloads,
+  },
+  {
+    name: 'webhook-events',
+    category: 'Processed and dead-lettered provider webhooks (raw payloads)',
+    days: config.retention.webhookEventDays,
+    apply: purgeWebhookEvents,
+  },
+  {
+    name: 'unfinished-sessions',
+    category: 'Verification sessions that never reached a decision',
+    days: config.retention.unfinishedSessionDays,
+    apply: expireUnfinishedSessions,
+  },
+  {
+    name: 'stale-users',
+    category: 'Users who never completed a verification and show no activity',
+    days: config.retention.staleUserDays,
+    apply: deleteStaleUsers,
+  },
+  {
+    name: 'idempotency-keys',
+    category: 'Stored responses to Idempotency-Key requests',
+    days: config.idempotency.ttlHours / 24,
+    apply: purgeIdempotencyKeys,
+  },
+  {
+    name: 'logs',
+    category: 'Rotated application log files',
+    days: config.retention.logDays,
+    apply: deleteRotatedLogs,
+  },
+]);
+
+/**
+ * Applies every enabled retention rule
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Report without removing anything
+ * @param {Date} [options.now]
+ * @returns {Promise<object>} One entry per rule with what was (or would be) removed
+ */
+export async function runRetentionPurge({ dryRun = false, now = new Date() } = {}) {
+  const report = { dryRun, removed: 0, failed: 0, rules: [] };
+
+  for (const rule of RETENTION_RULES) {
+    const entry = { rule: rule.name, category: rule.category, retentionDays: rule.days };
+    report.rules.push(entry);
+
+    if (rule.days <= 0) {
+      entry.outcome = 'disabled';
+      continue;
+    }
+
+    entry.cutoff = new Date(now.getTime() - rule.days * DAY_MS);
+
+    try {
+      Object.assign(entry, await rule.apply({ cutoff: entry.cutoff, dryRun, now }));
+      entry.outcome = dryRun ? 'would_remove' : 'removed';
+      report.removed += entry.count;
+    } catch (error) {
+      entry.outcome = 'failed';
+      entry.error = error.message;
+      report.failed += 1;
+      logger.error('Retention rule failed', { rule: rule.name, error: error.message });
+    }
+  }
+
+  if (report.removed > 0 || report.failed > 0) {
+    logger.info('Retention purge summary', {
+      dryRun,
+      removed: report.removed,
+      failed: report.failed,
+      rules: report.rules.map(({ rule, count, outcome }) => ({ rule, count, outcome })),
+    });
+  }
+
+  return report;
+}
+
+/**
+ * ============================================================
+ * RULES
+ * ============================================================
+ */
+
+/**
+ * Clears raw decisions once the user's last decision is older than the
+ * cutoff. Users still in progress or in review keep theirs.
+ */
+async function purgeDecisionPayloads({ cutoff, dryRun }) {
+  const sessionWhere = {
+    decidedAt: { lte: cutoff },
+    decision: { not: null },
+    user: { legalHold: false },
+  };
+
+  const users = await prisma.user.findMany({
+    where: {
+      kycDetails: { not: null },
+      legalHold: false,
+      kycStatus: { notIn: [KYC_STATUS.IN_PROGRESS, KYC_STATUS.IN_REVIEW] },
+      verificationSessions: {
+        some: { decidedAt: { lte: cutoff } },
+        none: { decidedAt: { gt: cutoff } },
+      },
+    },
+    select: { id: true },
+    take: BATCH_SIZE,
+  });
+
+  if (dryRun) {
+    const sessions = await prisma.verificationSession.count({ where: sessionWhere });
+    return { count: users.length + sessions, users: users.length, sessions };
+  }
+
+  for (const user of users) {
+    await updateUserWithAudit(user.id, { kycDetails: null }, {
+      actor: JOB_ACTOR,
+      action: 'retention.decision_purged',
+    });
+  }
+
+  const { count: sessions } = await prisma.verificationSession.updateMany({
+    where: sessionWhere,
+    data: { decision: null },
+  });
+
+  return { count: users.length + sessions, users: users.length, sessions };
+}
+
+/**
+ * Deletes stored webhooks that are done with: processed, or dead-lettered
+ * and never replayed
+ */
+async function purgeWebhookEvents({ cutoff, dryRun }) {
+  const where = {
+    createdAt: { lte: cutoff },
+    status: { in: ['PROCESSED', 'DEAD_LETTER'] },
+    // Payloads without a session_id are stored with '' and belong to no
+    // held user; match them explicitly rather than relying on NOT IN
+    OR: [{ sessionId: '' }, { sessionId: { notIn: await heldSessionIds() } }],
+  };
+
+  if (dryRun) {
+    return { count: await prisma.webhookEvent.count({ where }) };
+  }
+
+  const { count } = await prisma.webhookEvent.deleteMany({ where });
+  return { count };
+}
+
+/**
+ * Closes sessions that were never decided: the verification link is
+ * dropped and, when it was the user's last open session, an IN_PROGRESS
+ * user becomes ABANDONED and may start again
+ */
+async function expireUnfinishedSessions({ cutoff, dryRun, now }) {
+  const sessions = await prisma.verificationSession.findMany({
+    where: {
+      decidedAt: null,
+      createdAt: { lte: cutoff },
+      user: { legalHold: false, kycStatus: { not: KYC_STATUS.IN_REVIEW } },
+    },
+    select: { sessionId: true, userId: true },
+    orderBy: { createdAt: 'asc' },
+    take: BATCH_SIZE,
+  });
+
+  const sessionIds = sessions.map((session) => session.sessionId);
+
+  if (dryRun || sessions.length === 0) {
+    return { count: sessions.length, sessionIds };
+  }
+
+  await prisma.verificationSession.updateMany({
+    where: { sessionId: { in: sessionIds } },
+    data: { status: EXPIRED_SESSION_STATUS, decidedAt: now, verificationUrl: null },
+  });
+
+  const userIds = [...new Set(sessions.map((session) => session.userId))];
+  const abandoned = await prisma.user.findMany({
+    where: {
+      id: { in: userIds },
+      kycStatus: KYC_STATUS.IN_PROGRESS,
+      verificationSessions: { none: { decidedAt: null } },
+    },
+    select: { id: true },
+  });
+
+  for (const user of abandoned) {
+    await updateUserWithAudit(user.id, { kycStatus: KYC_STATUS.ABANDONED }, {
+      actor: JOB_ACTOR,
+      action: 'retention.session_expired',
+    });
+  }
+
+  return { count: sessions.length, sessionIds, usersAbandoned: abandoned.length };
+}
+
+/**
+ * Deletes users who never completed a verification and have not been
+ * active (user or session changes) since the cutoff, together with their
+ * sessions, notifications and stored webhooks. Their audit trail remains.
+ * A returning user starts over with a fresh retry budget.
+ */
+async function deleteStaleUsers({ cutoff, dryRun }) {
+  const users = await prisma.user.findMany({
+    where: {
+      kycStatus: { in: STALE_USER_STATUSES },
+      kycCompletedAt: null,
+      legalHold: false,
+      erasedAt: null,
+      updatedAt: { lte: cutoff },
+      verificationSessions: { none: { updatedAt: { gt: cutoff } } },
+    },
+    select: { id: true },
+    take: BATCH_SIZE,
+  });
+
+  const userIds = users.map((user) => user.id);
+
+  if (dryRun || userIds.length === 0) {
+    return { count: userIds.length, userIds };
+  }
+
+  const sessions = await prisma.verificationSession.findMany({
+    where: { userId: { in: userIds } },
+    select: { sessionId: true },
+  });
+
+  // Sessions and notifications cascade with the user
+  const [webhookEvents, deleted] = await prisma.$transaction([
+    prisma.webhookEvent.deleteMany({ where: { sessionId: { in: sessions.map((session) => session.sessionId) } } }),
+    prisma.user.deleteMany({ where: { id: { in: userIds } } }),
+  ]);
+
+  return { count: deleted.count, userIds, sessionsDeleted: sessions.length, webhookEventsDeleted: webhookEvents.count };
+}
+
+/**
+ * Deletes idempotency keys past their expiry; they are no longer replayed
+ */
+async function purgeIdempotencyKeys({ dryRun, now }) {
+  const where = {
+    expiresAt: { lte: now },
+    OR: [{ userId: null }, { userId: { notIn: await heldUserIds() } }],
+  };
+
+  if (dryRun) {
+    return { count: await prisma.idempotencyKey.count({ where }) };
+  }
+
+  const { count } = await prisma.idempotencyKey.deleteMany({ where });
+  return { count };
+}
+
+/**
+ * Deletes rotated log files last written before the cutoff. The files
+ * currently written to are rotated by size (LOG_MAX_SIZE_MB) and are
+ * never removed, so they can hold older lines until they rotate.
+ */
+async function deleteRotatedLogs({ cutoff, dryRun }) {
+  const files = listLogFiles({ rotatedOnly: true }).filter(({ modifiedAt }) => modifiedAt <= cutoff);
+
+  if (!dryRun) {
+    for (const { file } of files) {
+      await fs.promises.unlink(file);
+    }
+  }
+
+  return { count: files.length, files: files.map(({ file }) => file) };
+}
+
+/**
+ * ============================================================
+ * HELPER FUNCTIONS
+ * ============================================================
+ */
+
+async function heldUserIds() {
+  const users = await prisma.user.findMany({ where: { legalHold: true }, select: { id: true } });
+  return users.map((user) => user.id);
+}
+
+async function heldSessionIds() {
+  const sessions = await prisma.verificationSession.findMany({
+    where: { user: { legalHold: true } },
+    select: { sessionId: true },
+  });
+  return sessions.map((session) => session.sessionId);
+}
+
+export default {
+  RETENTION_JOB,
+  RETENTION_JOB_INTERVAL_MS,
+  RETENTION_DRY_RUN,
+  RETENTION_RULES,
+  runRetentionPurge,
+};
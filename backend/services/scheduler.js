@@ -0,0 +1,419 @@
+/**
+ * Job Scheduler
+ *
+ * Runs periodic background jobs inside the backend process. Each run takes
+ * a lock so that only one instance executes a job at a time. Where locks
+ * are taken is a deployment decision (JOB_LOCK_BACKEND), the same on every
+ * instance: a lease row in the job_leases table (the default), or a Redis
+ * lock (SET NX PX). Runs are skipped while another instance holds the
+ * lock, or while the lock backend is unreachable. Locks expire after
+ * lockTtlMs so that a crashed instance cannot hold a job forever, and are
+ * renewed while a run is in progress. The outcome of the last run is kept
+ * in memory and shared through Redis for the admin status endpoint.
+ */
+
+import * as os from 'node:os';
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config/index.js';
+import { prisma } from '../utils/prisma.js';
+import { logger } from '../utils/logger.js';
+
+const LOCK_PREFIX = 'lock:job:';
+const LAST_RUN_PREFIX = 'jobs:last:';
+const START_DELAY_MS = 10_000;
+const DEFAULT_LOCK_TTL_MS = config.scheduler.lockTtlMs;
+
+// Deletes the lock only if this instance still owns it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+// Extends the lock only if this instance still owns it
+const RENEW_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+export const JOB_LOCK_BACKENDS = Object.freeze({
+  REDIS: 'redis',
+  DATABASE: 'database',
+});
+
+// Registered jobs keyed by name
+const jobs = new Map();
+
+let schedulerContext = {};
+let started = false;
+
+/**
+ * Registers a job. `run` receives the scheduler context ({ redis, ... },
+ * plus `dryRun` for manual dry runs) and may return a JSON-serializable
+ * summary of what it did.
+ *
+ * @param {string} name - Unique job name
+ * @param {object} options
+ * @param {number} options.intervalMs - Time between runs
+ * @param {number} [options.lockTtlMs] - Lock expiry, renewed every third of it while
+ *   the job runs; defaults to JOB_LOCK_TTL_MS
+ * @param {boolean} [options.supportsDryRun=false] - Whether `run` honours context.dryRun
+ * @param {(context: object) => Promise<object>} options.run
+ */
+export function registerJob(name, { intervalMs, lockTtlMs, supportsDryRun = false, run }) {
+  jobs.set(name, {
+    name,
+    intervalMs,
+    lockTtlMs: lockTtlMs || DEFAULT_LOCK_TTL_MS,
+    supportsDryRun,
+    run,
+    timer: null,
+    running: false,
+    nextRunAt: null,
+    lastRun: null,
+  });
+}
+
+/**
+ * Runs a job now if its lock can be acquired
+ *
+ * @param {string} name - Job name
+ * @param {object} [options]
+ * @param {string} [options.trigger='schedule'] - 'schedule' or 'manual'
+ * @param {boolean} [options.dryRun=false] - Report what the job would do without changing anything
+ * @returns {Promise<object>} The run record ({ status: 'succeeded' | 'failed' | 'skipped', ... })
+ */
+export async function runJob(name, { trigger = 'schedule', dryRun = false } = {}) {
+  const job = jobs.get(name);
+  if (!job) {
+    const error = new Error(`Unknown job "${name}"`);
+    error.code = 'JOB_NOT_FOUND';
+    throw error;
+  }
+
+  if (dryRun && !job.supportsDryRun) {
+    const error = new Error(`Job "${name}" does not support dry runs`);
+    error.code = 'DRY_RUN_UNSUPPORTED';
+    throw error;
+  }
+
+  const startedAt = new Date();
+  const { redis } = schedulerContext;
+
+  if (job.running) {
+    return recordRun(job, { status: 'skipped', reason: 'already_running', trigger, startedAt });
+  }
+
+  const token = `${INSTANCE_ID}:${uuidv4()}`;
+  const lock = getJobLockBackend() === JOB_LOCK_BACKENDS.REDIS ? redisLock(redis) : databaseLock;
+
+  if (!lock.isAvailable()) {
+    logger.warn('Job lock backend unavailable', { job: name, lock: lock.backend });
+    return recordRun(job, { status: 'skipped', reason: 'lock_unavailable', trigger, startedAt });
+  }
+
+  try {
+    const acquired = await lock.acquire(name, token, job.lockTtlMs);
+    if (!acquired) {
+      return recordRun(job, { status: 'skipped', reason: 'locked_by_other_instance', trigger, startedAt });
+    }
+  } catch (error) {
+    logger.warn('Failed to acquire job lock', { job: name, lock: lock.backend, error: error.message });
+    return recordRun(job, { status: 'skipped', reason: 'lock_unavailable', trigger, startedAt });
+  }
+
+  job.running = true;
+  logger.info('Job started', { job: name, trigger, dryRun, lock: lock.backend });
+
+  const renewal = keepLock(job, lock, token);
+
+  try {
+    const result = await job.run({ ...schedulerContext, dryRun });
+    const run = await recordRun(job, { status: 'succeeded', trigger, dryRun, startedAt, result: result ?? null });
+    logger.info('Job finished', { job: name, durationMs: run.durationMs, result });
+    return run;
+  } catch (error) {
+    logger.error('Job failed', { job: name, error: error.message });
+    return recordRun(job, { status: 'failed', trigger, dryRun, startedAt, error: error.message });
+  } finally {
+    clearInterval(renewal);
+    job.running = false;
+    try {
+      await lock.release(name, token);
+    } catch (error) {
+      logger.warn('Failed to release job lock', { job: name, lock: lock.backend, error: error.message });
+    }
+  }
+}
+
+/**
+ * Where job locks are taken (JOB_LOCK_BACKEND)
+ */
+export function getJobLockBackend() {
+  return config.scheduler.lockBackend;
+}
+
+/**
+ * Returns the state of every registered job, including the last run
+ * recorded by any instance
+ */
+export async function getJobStatuses() {
+  const { redis } = schedulerContext;
+
+  return Promise.all([...jobs.values()].map(async (job) => {
+    let lastRun = job.lastRun;
+    let lockHolder = null;
+
+    const lock = getJobLockBackend() === JOB_LOCK_BACKENDS.REDIS ? redisLock(redis) : databaseLock;
+    if (lock.isAvailable()) {
+      try {
+        lockHolder = await lock.holder(job.name);
+      } catch (error) {
+        logger.warn('Failed to read job lock', { job: job.name, lock: lock.backend, error: error.message });
+      }
+    }
+
+    if (redis?.isReady) {
+      try {
+        const shared = await redis.get(`${LAST_RUN_PREFIX}${job.name}`);
+        if (shared) {
+          const sharedRun = JSON.parse(shared);
+          if (!lastRun || new Date(sharedRun.startedAt) > new Date(lastRun.startedAt)) {
+            lastRun = sharedRun;
+          }
+        }
+      } catch (error) {
+        logger.warn('Failed to read shared job status', { job: job.name, error: error.message });
+      }
+    }
+
+    return {
+      name: job.name,
+      lockBackend: getJobLockBackend(),
+      intervalMs: job.intervalMs,
+      supportsDryRun: job.supportsDryRun,
+      running: job.running,
+      lockHolder,
+      nextRunAt: job.nextRunAt,
+      lastRun,
+    };
+  }));
+}
+
+/**
+ * Starts running registered jobs on their intervals
+ *
+ * @param {object} context - Passed to every job (e.g. { redis })
+ */
+export function startScheduler(context = {}) {
+  schedulerContext = context;
+
+  if (started) {
+    return;
+  }
+  started = true;
+
+  for (const job of jobs.values()) {
+    scheduleNext(job, START_DELAY_MS);
+  }
+
+  logger.info('Job scheduler started', { instance: INSTANCE_ID, jobs: [...jobs.keys()] });
+}
+
+/**
+ * Stops all job timers. Runs in progress finish on their own.
+ */
+export function stopScheduler() {
+  for (const job of jobs.values()) {
+    clearTimeout(job.timer);
+    job.timer = null;
+    job.nextRunAt = null;
+  }
+  started = false;
+}
+
+/**
+ * ============================================================
+ * LOCKS
+ * ============================================================
+ */
+
+/**
+ * Renews a run's lock every third of its TTL until the returned timer is
+ * cleared. A lock found taken over is logged; the run is not interrupted.
+ */
+function keepLock(job, lock, token) {
+  const timer = setInterval(async () => {
+    try {
+      if (!(await lock.renew(job.name, token, job.lockTtlMs))) {
+        logger.error('Job lock lost while running', { job: job.name, lock: lock.backend });
+        clearInterval(timer);
+      }
+    } catch (error) {
+      logger.warn('Failed to renew job lock', { job: job.name, lock: lock.backend, error: error.message });
+    }
+  }, Math.max(1, Math.floor(job.lockTtlMs / 3)));
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Redis lock: SET NX PX, renewed and released only by the token that set it
+ */
+function redisLock(redis) {
+  return {
+    backend: JOB_LOCK_BACKENDS.REDIS,
+
+    isAvailable() {
+      return Boolean(redis?.isReady);
+    },
+
+    async acquire(name, token, ttlMs) {
+      return Boolean(await redis.set(`${LOCK_PREFIX}${name}`, token, { NX: true, PX: ttlMs }));
+    },
+
+    async renew(name, token, ttlMs) {
+      return Boolean(await redis.eval(RENEW_LOCK_SCRIPT, {
+        keys: [`${LOCK_PREFIX}${name}`],
+        arguments: [token, String(ttlMs)],
+      }));
+    },
+
+    async release(name, token) {
+      await redis.eval(RELEASE_LOCK_SCRIPT, { keys: [`${LOCK_PREFIX}${name}`], arguments: [token] });
+    },
+
+    async holder(name) {
+      const token = await redis.get(`${LOCK_PREFIX}${name}`);
+      return token ? holderOf(token) : null;
+    },
+  };
+}
+
+/**
+ * Database lease: one job_leases row per job. An expired lease is taken
+ * over with a conditional update, and a missing one is created; the primary
+ * key makes sure only one instance wins either way.
+ */
+const databaseLock = {
+  backend: JOB_LOCK_BACKENDS.DATABASE,
+
+  isAvailable() {
+    return true;
+  },
+
+  async acquire(name, token, ttlMs) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + ttlMs);
+
+    const { count } = await prisma.jobLease.updateMany({
+      where: { name, expiresAt: { lte: now } },
+      data: { holder: token, expiresAt },
+    });
+    if (count === 1) {
+      return true;
+    }
+
+    try {
+      await prisma.jobLease.create({ data: { name, holder: token, expiresAt } });
+      return true;
+    } catch (error) {
+      // P2002: unique constraint violation, i.e. another instance holds the lease
+      if (error.code === 'P2002') {
+        return false;
+      }
+      throw error;
+    }
+  },
+
+  async renew(name, token, ttlMs) {
+    const { count } = await prisma.jobLease.updateMany({
+      where: { name, holder: token },
+      data: { expiresAt: new Date(Date.now() + ttlMs) },
+    });
+    return count === 1;
+  },
+
+  async release(name, token) {
+    await prisma.jobLease.deleteMany({ where: { name, holder: token } });
+  },
+
+  async holder(name) {
+    const lease = await prisma.jobLease.findFirst({ where: { name, expiresAt: { gt: new Date() } } });
+    return lease ? holderOf(lease.holder) : null;
+  },
+};
+
+// Instance part of a lock token (`<host>:<pid>:<uuid>`)
+function holderOf(token) {
+  return token.split(':').slice(0, -1).join(':');
+}
+
+/**
+ * Schedules the next run of a job
+ */
+function scheduleNext(job, delayMs) {
+  job.nextRunAt = new Date(Date.now() + delayMs);
+  job.timer = setTimeout(async () => {
+    await runJob(job.name).catch((error) => {
+      logger.error('Job run failed', { job: job.name, error: error.message });
+    });
+    if (started) {
+      scheduleNext(job, job.intervalMs);
+    }
+  }, delayMs);
+  job.timer.unref();
+}
+
+/**
+ * Stores a run record locally and, when Redis is available, for other instances
+ */
+async function recordRun(job, { status, reason, trigger, dryRun = false, startedAt, result, error }) {
+  const finishedAt = new Date();
+  const run = {
+    status,
+    reason: reason || null,
+    trigger,
+    dryRun,
+    instance: INSTANCE_ID,
+    startedAt,
+    finishedAt,
+    durationMs: finishedAt - startedAt,
+    result: result ?? null,
+    error: error || null,
+  };
+
+  if (status === 'skipped') {
+    logger.info('Job run skipped', { job: job.name, reason });
+    // Skips do not replace the last real run
+    return run;
+  }
+
+  job.lastRun = run;
+
+  const { redis } = schedulerContext;
+  if (redis?.isReady) {
+    try {
+      await redis.set(`${LAST_RUN_PREFIX}${job.name}`, JSON.stringify(run));
+    } catch (redisError) {
+      logger.warn('Failed to share job status', { job: job.name, error: redisError.message });
+    }
+  }
+
+  return run;
+}
+
+export default {
+  JOB_LOCK_BACKENDS,
+  registerJob,
+  runJob,
+  getJobLockBackend,
+  getJobStatuses,
+  startScheduler,
+  stopScheduler,
+};
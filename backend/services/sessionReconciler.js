@@ -0,0 +1,207 @@
+/**
+ * Session Reconciler
+ *
+ * Recovers sessions whose final webhook never arrived (lost callback,
+ * rejected signature, provider outage). Sessions still undecided
+ * RECONCILE_AFTER_MINUTES after creation are fetched from their provider,
+ * the same call GET /session/:sessionId uses, and any change is applied
+ * through the webhook status-update path (applySessionEvent in
+ * controllers/verificationController.js). Sessions older than
+ * RECONCILE_MAX_AGE_DAYS are left alone. Every checked session, including
+ * one that failed, waits RECONCILE_AFTER_MINUTES before its next check, and
+ * the least recently checked go first, so failing sessions cannot starve
+ * the batch.
+ *
+ * Registered with the job scheduler (services/scheduler.js); dry runs report
+ * what would change without touching the database.
+ */
+
+import { config } from '../config/index.js';
+import { prisma } from '../utils/prisma.js';
+import { logger } from '../utils/logger.js';
+import { AUDIT_ACTORS } from './kycAuditService.js';
+import { kycStatusForSession } from './kycStatusService.js';
+import { touchSessionReconciled } from './verificationSessionService.js';
+import { getKycProvider, FINAL_SESSION_STATUSES } from '../providers/index.js';
+
+const MINUTE_MS = 60_000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+export const SESSION_RECONCILER_JOB = 'session-reconciler';
+
+// Reconciler settings
+const RECONCILE_AFTER_MINUTES = config.reconciler.afterMinutes;
+const RECONCILE_MAX_AGE_DAYS = config.reconciler.maxAgeDays;
+const BATCH_SIZE = config.reconciler.batchSize;
+export const SESSION_RECONCILER_INTERVAL_MS = config.reconciler.intervalMs;
+// Scheduled runs only report until this is turned off
+export const SESSION_RECONCILER_DRY_RUN = config.reconciler.dryRun;
+
+const JOB_ACTOR = { type: AUDIT_ACTORS.SYSTEM, id: SESSION_RECONCILER_JOB };
+
+/**
+ * Reconciles undecided sessions with their provider
+ *
+ * @param {object} options
+ * @param {(event: object, options: object) => Promise<boolean>} options.applyEvent - Applies a normalized session event (applySessionEvent)
+ * @param {object} [options.sessionStore] - Session store passed to applyEvent
+ * @param {boolean} [options.dryRun=false] - Report without applying anything
+ * @param {Date} [options.now]
+ * @returns {Promise<object>} Counts and one entry per checked session
+ */
+export async function runSessionReconciler({ applyEvent, sessionStore, dryRun = false, now = new Date() }) {
+  const report = {
+    dryRun,
+    checked: 0,
+    fixed: 0,
+    pending: 0,
+    ignored: 0,
+    notFound: 0,
+    failed: 0,
+    sessions: [],
+  };
+
+  const dueBefore = new Date(now.getTime() - RECONCILE_AFTER_MINUTES * MINUTE_MS);
+
+  const sessions = await prisma.verificationSession.findMany({
+    where: {
+      decidedAt: null,
+      // Erasure closes a user's sessions; this covers any opened before that ran
+      user: { erasedAt: null },
+      createdAt: {
+        lte: dueBefore,
+        gte: new Date(now.getTime() - RECONCILE_MAX_AGE_DAYS * DAY_MS),
+      },
+      // Check each session at most once per RECONCILE_AFTER_MINUTES
+      OR: [{ lastReconciledAt: null }, { lastReconciledAt: { lte: dueBefore } }],
+    },
+    orderBy: [{ lastReconciledAt: { sort: 'asc', nulls: 'first' } }, { createdAt: 'asc' }],
+    take: BATCH_SIZE,
+  });
+
+  for (const session of sessions) {
+    report.checked += 1;
+    const entry = {
+      sessionId: session.sessionId,
+      userId: session.userId,
+      provider: session.provider,
+      storedStatus: session.status,
+      providerStatus: null,
+      kycStatus: null,
+      outcome: null,
+    };
+    report.sessions.push(entry);
+
+    try {
+      entry.outcome = await reconcileSession(session, entry, { applyEvent, sessionStore, dryRun });
+    } catch (error) {
+      if (error.response?.status === 404) {
+        entry.outcome = 'not_found';
+      } else {
+        entry.outcome = 'failed';
+        entry.error = error.message;
+        logger.error('Session reconciliation failed', { session_id: session.sessionId, error: error.message });
+      }
+      // Back off until the next check is due, like a pending session
+      if (!dryRun) {
+        await touchSessionReconciled(session.sessionId).catch(() => {});
+      }
+    }
+
+    countOutcome(report, entry.outcome);
+  }
+
+  if (report.fixed > 0 || report.failed > 0) {
+    logger.info('Session reconciliation summary', {
+      dryRun,
+      checked: report.checked,
+      fixed: report.fixed,
+      failed: report.failed,
+      sessions: report.sessions.filter((entry) => entry.outcome !== 'pending').map((entry) => entry.sessionId),
+    });
+  }
+
+  return report;
+}
+
+/**
+ * Fetches one session from its provider and applies it if it moved on
+ */
+async function reconcileSession(session, entry, { applyEvent, sessionStore, dryRun }) {
+  const provider = getKycProvider(session.provider);
+  const remote = await provider.getSession(session.sessionId);
+
+  entry.providerStatus = remote.providerStatus;
+
+  const changed = remote.status
+    && (FINAL_SESSION_STATUSES.includes(remote.status) || remote.providerStatus !== session.status);
+
+  if (!changed) {
+    if (!dryRun) {
+      await touchSessionReconciled(session.sessionId);
+    }
+    return 'pending';
+  }
+
+  entry.kycStatus = kycStatusForSession(remote.status);
+
+  if (dryRun) {
+    return 'would_apply';
+  }
+
+  // The stored owner wins over the provider's vendor_data
+  if (remote.userId && remote.userId !== session.userId) {
+    logger.warn('Provider session user does not match stored session', {
+      session_id: session.sessionId,
+      userId: session.userId,
+      providerUserId: remote.userId,
+    });
+  }
+
+  const applied = await applyEvent({
+    sessionId: session.sessionId,
+    userId: session.userId,
+    type: 'status.updated',
+    status: remote.status,
+    providerStatus: remote.providerStatus,
+    workflowId: session.workflowId,
+    decision: remote.decision,
+  }, { provider, sessionStore, actor: JOB_ACTOR, source: 'reconciler' });
+
+  logger.info('Session reconciled', {
+    session_id: session.sessionId,
+    userId: session.userId,
+    from: session.status,
+    to: remote.providerStatus,
+    applied,
+  });
+
+  return applied ? 'applied' : 'ignored';
+}
+
+function countOutcome(report, outcome) {
+  switch (outcome) {
+    case 'applied':
+    case 'would_apply':
+      report.fixed += 1;
+      break;
+    case 'pending':
+      report.pending += 1;
+      break;
+    case 'ignored':
+      report.ignored += 1;
+      break;
+    case 'not_found':
+      report.notFound += 1;
+      break;
+    default:
+      report.failed += 1;
+  }
+}
+
+export default {
+  SESSION_RECONCILER_JOB,
+  SESSION_RECONCILER_INTERVAL_MS,
+  SESSION_RECONCILER_DRY_RUN,
+  runSessionReconciler,
+};
@@ -0,0 +1,381 @@
+/**
+ * Session Store
+ *
+ * Short-lived verification context: the session context written when a
+ * verification session is created (session:<sessionId>, SESSION_TTL) and
+ * phone verification requests (phone:<requestId>, PHONE_CODE_VALIDITY).
+ * Every entry records the user it belongs to.
+ *
+ * Three backends implement the same interface:
+ *
+ * - get(namespace, id) -> value | null
+ * - set(namespace, id, value, { ttlSeconds, userId })
+ * - delete(namespace, id)
+ * - findByUser(userId) -> [{ namespace, id, value }]
+ * - deleteByUser(userId) -> number of entries deleted
+ * - isAvailable() -> boolean
+ *
+ * Redis (didit:<namespace>:<id>, the shared default), SQL (the
+ * session_store_entries table, values encrypted at rest) and in-process
+ * memory (last resort, per instance). createFailoverSessionStore() writes to
+ * the first available backend and reads through all of them, so entries
+ * written during a Redis outage are still found once it is back.
+ */
+
+import { prisma } from '../utils/prisma.js';
+import { logger } from '../utils/logger.js';
+
+export const SESSION_NAMESPACES = Object.freeze({
+  SESSION: 'session',
+  PHONE: 'phone',
+});
+
+export const SESSION_STORE_MODES = Object.freeze({
+  REDIS: 'redis',
+  SQL: 'sql',
+  MEMORY: 'memory',
+});
+
+const REDIS_PREFIX = 'didit:';
+
+/**
+ * ============================================================
+ * REDIS
+ * ============================================================
+ */
+
+/**
+ * Session store on a node-redis client. Unavailable while the client is
+ * not ready (e.g. reconnecting).
+ */
+export function createRedisSessionStore(redis) {
+  const redisKey = (namespace, id) => `${REDIS_PREFIX}${namespace}:${id}`;
+
+  async function scanUser(userId) {
+    const entries = [];
+    for (const namespace of Object.values(SESSION_NAMESPACES)) {
+      for await (const key of redis.scanIterator({ MATCH: redisKey(namespace, '*'), COUNT: 100 })) {
+        const value = parseJson(await redis.get(key));
+        if (value?.userId === userId) {
+          entries.push({ namespace, id: key.slice(redisKey(namespace, '').length), value });
+        }
+      }
+    }
+    return entries;
+  }
+
+  return {
+    name: SESSION_STORE_MODES.REDIS,
+
+    isAvailable() {
+      return Boolean(redis?.isReady);
+    },
+
+    async get(namespace, id) {
+      return parseJson(await redis.get(redisKey(namespace, id)));
+    },
+
+    async set(namespace, id, value, { ttlSeconds }) {
+      await redis.set(redisKey(namespace, id), JSON.stringify(value), { EX: ttlSeconds });
+    },
+
+    async delete(namespace, id) {
+      await redis.del(redisKey(namespace, id));
+    },
+
+    findByUser: scanUser,
+
+    async deleteByUser(userId) {
+      const entries = await scanUser(userId);
+      return entries.length > 0 ? redis.del(entries.map((entry) => redisKey(entry.namespace, entry.id))) : 0;
+    },
+  };
+}
+
+/**
+ * ============================================================
+ * SQL
+ * ============================================================
+ */
+
+/**
+ * Session store on the session_store_entries table. Expired rows are
+ * ignored on read and cleared on write.
+ */
+export function createSqlSessionStore(db = prisma) {
+  const notExpired = () => ({ expiresAt: { gt: new Date() } });
+
+  return {
+    name: SESSION_STORE_MODES.SQL,
+
+    isAvailable() {
+      return true;
+    },
+
+    async get(namespace, id) {
+      const entry = await db.sessionStoreEntry.findFirst({
+        where: { namespace, entryId: id, ...notExpired() },
+      });
+      return entry ? parseJson(entry.value) : null;
+    },
+
+    async set(namespace, id, value, { ttlSeconds, userId }) {
+      const data = {
+        userId: userId || null,
+        value: JSON.stringify(value),
+        expiresAt: new Date(Date.now() + ttlSeconds * 1000),
+      };
+
+      await db.sessionStoreEntry.upsert({
+        where: { namespace_entryId: { namespace, entryId: id } },
+        create: { namespace, entryId: id, ...data },
+        update: data,
+      });
+      await db.sessionStoreEntry.deleteMany({ where: { expiresAt: { lte: new Date() } } });
+    },
+
+    async delete(namespace, id) {
+      await db.sessionStoreEntry.deleteMany({ where: { namespace, entryId: id } });
+    },
+
+    async findByUser(userId) {
+      const entries = await db.sessionStoreEntry.findMany({
+        where: { userId, ...notExpired() },
+        orderBy: { createdAt: 'asc' },
+      });
+      return entries.map((entry) => ({ namespace: entry.namespace, id: entry.entryId, value: parseJson(entry.value) }));
+    },
+
+    async deleteByUser(userId) {
+      const { count } = await db.sessionStoreEntry.deleteMany({ where: { userId } });
+      return count;
+    },
+  };
+}
+
+/**
+ * ============================================================
+ * MEMORY
+ * ============================================================
+ */
+
+/**
+ * Session store in a Map; entries are lost on restart and not shared
+ * between instances
+ */
+export function createMemorySessionStore() {
+  const entries = new Map();
+  const entryKey = (namespace, id) => `${namespace}:${id}`;
+
+  function sweep() {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    }
+  }
+
+  return {
+    name: SESSION_STORE_MODES.MEMORY,
+
+    isAvailable() {
+      return true;
+    },
+
+    async get(namespace, id) {
+      const entry = entries.get(entryKey(namespace, id));
+      return entry && entry.expiresAt > Date.now() ? structuredClone(entry.value) : null;
+    },
+
+    async set(namespace, id, value, { ttlSeconds, userId }) {
+      sweep();
+      entries.set(entryKey(namespace, id), {
+        namespace,
+        id,
+        userId: userId || null,
+        value: structuredClone(value),
+        expiresAt: Date.now() + ttlSeconds * 1000,
+      });
+    },
+
+    async delete(namespace, id) {
+      entries.delete(entryKey(namespace, id));
+    },
+
+    async findByUser(userId) {
+      sweep();
+      return [...entries.values()]
+        .filter((entry) => entry.userId === userId)
+        .map((entry) => ({ namespace: entry.namespace, id: entry.id, value: structuredClone(entry.value) }));
+    },
+
+    async deleteByUser(userId) {
+      let count = 0;
+      for (const [key, entry] of entries) {
+        if (entry.userId === userId) {
+          entries.delete(key);
+          count += 1;
+        }
+      }
+      return count;
+    },
+  };
+}
+
+/**
+ * ============================================================
+ * FAILOVER
+ * ============================================================
+ */
+
+/**
+ * Combines backends in order of preference. Writes go to the first
+ * available backend that accepts them; reads, deletes and lookups go
+ * through every available backend. A failing backend is skipped for the
+ * call and logged once until it recovers.
+ *
+ * @param {object[]} backends - e.g. [redis, sql, memory]
+ */
+export function createFailoverSessionStore(backends) {
+  const failing = new Set();
+
+  function markFailed(backend, operation, error) {
+    if (!failing.has(backend.name)) {
+      failing.add(backend.name);
+      logger.warn('Session store backend failed, falling back', {
+        backend: backend.name,
+        operation,
+        error: error.message,
+      });
+    }
+  }
+
+  function markHealthy(backend) {
+    if (failing.delete(backend.name)) {
+      logger.info('Session store backend recovered', { backend: backend.name });
+    }
+  }
+
+  async function attempt(backend, operation, call) {
+    if (!backend.isAvailable()) {
+      return { ok: false };
+    }
+    try {
+      const result = await call(backend);
+      markHealthy(backend);
+      return { ok: true, result };
+    } catch (error) {
+      markFailed(backend, operation, error);
+      return { ok: false };
+    }
+  }
+
+  return {
+    async get(namespace, id) {
+      for (const backend of backends) {
+        const { ok, result } = await attempt(backend, 'get', (store) => store.get(namespace, id));
+        if (ok && result !== null) {
+          return result;
+        }
+      }
+      return null;
+    },
+
+    /**
+     * @returns {Promise<string|null>} Backend the entry was written to, or null if none accepted it
+     */
+    async set(namespace, id, value, options) {
+      for (const backend of backends) {
+        const { ok } = await attempt(backend, 'set', (store) => store.set(namespace, id, value, options));
+        if (ok) {
+          return backend.name;
+        }
+      }
+      logger.error('No session store backend accepted the entry', { namespace, id });
+      return null;
+    },
+
+    async delete(namespace, id) {
+      for (const backend of backends) {
+        await attempt(backend, 'delete', (store) => store.delete(namespace, id));
+      }
+    },
+
+    async findByUser(userId) {
+      const found = [];
+      const seen = new Set();
+      for (const backend of backends) {
+        const { ok, result } = await attempt(backend, 'findByUser', (store) => store.findByUser(userId));
+        for (const entry of ok ? result : []) {
+          const key = `${entry.namespace}:${entry.id}`;
+          if (!seen.has(key)) {
+            seen.add(key);
+            found.push({ ...entry, backend: backend.name });
+          }
+        }
+      }
+      return found;
+    },
+
+    async deleteByUser(userId) {
+      let count = 0;
+      for (const backend of backends) {
+        const { ok, result } = await attempt(backend, 'deleteByUser', (store) => store.deleteByUser(userId));
+        count += ok ? result : 0;
+      }
+      return count;
+    },
+
+    /**
+     * Backend currently written to, and whether the store runs degraded
+     * (not on its preferred backend)
+     */
+    status() {
+      const active = backends.find((backend) => backend.isAvailable() && !failing.has(backend.name)) || null;
+      return {
+        mode: active?.name || null,
+        degraded: active !== backends[0],
+        backends: Object.fromEntries(backends.map((backend) => [
+          backend.name,
+          backend.isAvailable() && !failing.has(backend.name) ? 'up' : 'down',
+        ])),
+      };
+    },
+  };
+}
+
+/**
+ * The default store: Redis, then SQL, then memory
+ *
+ * @param {object} options
+ * @param {object} [options.redis] - node-redis client
+ */
+export function createSessionStore({ redis }) {
+  return createFailoverSessionStore([
+    ...(redis ? [createRedisSessionStore(redis)] : []),
+    createSqlSessionStore(),
+    createMemorySessionStore(),
+  ]);
+}
+
+function parseJson(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+export default {
+  SESSION_NAMESPACES,
+  SESSION_STORE_MODES,
+  createRedisSessionStore,
+  createSqlSessionStore,
+  createMemorySessionStore,
+  createFailoverSessionStore,
+  createSessionStore,
+};
@@ -0,0 +1,141 @@
+/**
+ * Status Stream
+ *
+ * Pushes user status changes to open Server-Sent Events connections. A
+ * change can be committed on any instance while the user's stream is held
+ * by another, so changes are fanned out over a Redis pub/sub channel.
+ * Without Redis, changes are only delivered to streams on this instance.
+ *
+ * Messages carry the user ID and the action only; each stream re-reads the
+ * user, so no PII goes through Redis.
+ */
+
+import { logger } from '../utils/logger.js';
+
+const CHANNEL = 'kyc:status-updates';
+
+// Open streams on this instance, keyed by user ID
+const listeners = new Map();
+
+let publisher = null;
+let subscriber = null;
+
+/**
+ * Subscribes this instance to the Redis channel. A subscribed connection
+ * cannot run other commands, so a dedicated connection is opened.
+ *
+ * @param {object} context
+ * @param {import('redis').RedisClientType} context.redis - Shared client used to publish
+ */
+export async function startStatusStream({ redis } = {}) {
+  if (!redis || subscriber) {
+    return;
+  }
+
+  publisher = redis;
+
+  // Reconnects and resubscribes with the shared client's strategy; only the
+  // first error of an outage is logged
+  const connection = redis.duplicate();
+  let connectionDown = false;
+  connection.on('error', (error) => {
+    if (!connectionDown) {
+      connectionDown = true;
+      logger.warn('Status stream subscriber error', { error: error.message });
+    }
+  });
+  connection.on('ready', () => {
+    connectionDown = false;
+  });
+
+  try {
+    await connection.connect();
+    await connection.subscribe(CHANNEL, (message) => {
+      try {
+        deliver(JSON.parse(message));
+      } catch (error) {
+        logger.warn('Invalid status stream message', { error: error.message });
+      }
+    });
+    subscriber = connection;
+    logger.info('Status stream subscribed', { channel: CHANNEL });
+  } catch (error) {
+    logger.warn('Status stream running without Redis, updates stay on this instance', { error: error.message });
+  }
+}
+
+/**
+ * Closes the subscriber connection
+ */
+export async function stopStatusStream() {
+  if (subscriber) {
+    const connection = subscriber;
+    subscriber = null;
+    await connection.quit().catch(() => {});
+  }
+}
+
+/**
+ * User change listener (see onUserChange in kycAuditService.js) that
+ * notifies the user's open streams on every instance
+ */
+export async function publishStatusChange(change) {
+  const message = {
+    userId: change.userId,
+    action: change.action,
+    at: new Date().toISOString(),
+  };
+
+  if (subscriber && publisher?.isReady) {
+    try {
+      await publisher.publish(CHANNEL, JSON.stringify(message));
+      return;
+    } catch (error) {
+      logger.warn('Failed to publish status change, delivering locally', { userId: change.userId, error: error.message });
+    }
+  }
+
+  deliver(message);
+}
+
+/**
+ * Registers a listener for a user's status changes
+ *
+ * @param {string} userId - Internal user ID
+ * @param {(message: { userId: string, action: string, at: string }) => void} listener
+ * @returns {() => void} Unsubscribes the listener
+ */
+export function subscribeToStatus(userId, listener) {
+  if (!listeners.has(userId)) {
+    listeners.set(userId, new Set());
+  }
+  listeners.get(userId).add(listener);
+
+  return () => {
+    const userListeners = listeners.get(userId);
+    if (!userListeners) {
+      return;
+    }
+    userListeners.delete(listener);
+    if (userListeners.size === 0) {
+      listeners.delete(userId);
+    }
+  };
+}
+
+function deliver(message) {
+  for (const listener of listeners.get(message.userId) || []) {
+    try {
+      listener(message);
+    } catch (error) {
+      logger.warn('Status stream listener failed', { userId: message.userId, error: error.message });
+    }
+  }
+}
+
+export default {
+  startStatusStream,
+  stopStatusStream,
+  publishStatusChange,
+  subscribeToStatus,
+};
@@ -0,0 +1,189 @@
+/**
+ * Verification Session Service
+ *
+ * Persists KYC provider verification sessions so that webhook correlation and
+ * attempt history survive Redis outages and key expiry.
+ */
+
+import { prisma } from '../utils/prisma.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Records a newly created provider session for a user
+ *
+ * @param {object} session
+ * @param {string} session.sessionId - Provider session ID
+ * @param {number} [session.sessionNumber] - Provider session number
+ * @param {string} session.userId - Internal user ID (sent as vendor_data)
+ * @param {string} session.provider - KYC provider name (e.g. 'DIDIT')
+ * @param {string} [session.workflowId] - Provider workflow ID
+ * @param {string} [session.status] - Initial provider status
+ * @param {string} [session.correlationId] - Correlation ID of the creating request
+ * @param {string} [session.verificationUrl] - Hosted verification URL
+ */
+export async function recordSessionCreated({
+  sessionId,
+  sessionNumber,
+  userId,
+  provider,
+  workflowId,
+  status,
+  correlationId,
+  verificationUrl,
+}) {
+  const record = await prisma.verificationSession.create({
+    data: {
+      sessionId,
+      sessionNumber: sessionNumber ?? null,
+      userId,
+      provider,
+      workflowId: workflowId || null,
+      status: status || 'Not Started',
+      correlationId: correlationId || null,
+      verificationUrl: verificationUrl || null,
+    },
+  });
+
+  logger.info('Verification session persisted', { sessionId, userId, provider, correlationId });
+
+  return record;
+}
+
+/**
+ * Looks up a persisted session by its provider session ID
+ *
+ * @param {string} sessionId - Provider session ID
+ * @returns {Promise<object|null>}
+ */
+export async function findSession(sessionId) {
+  return prisma.verificationSession.findUnique({ where: { sessionId } });
+}
+
+/**
+ * Applies a webhook update to a persisted session.
+ * Sessions unknown to the database (e.g. created before persistence existed)
+ * are recorded on first sight so that history is not lost.
+ *
+ * @param {string} sessionId - Provider session ID
+ * @param {object} update
+ * @param {string} update.userId - Internal user ID owning the session
+ * @param {string} [update.provider] - KYC provider name, used when the session is new
+ * @param {string} [update.status] - Provider session status
+ * @param {boolean} [update.decided] - Whether the status is final
+ * @param {object} [update.decision] - Raw provider decision object
+ * @param {string} [update.workflowId] - Provider workflow ID
+ */
+export async function recordSessionWebhook(sessionId, update) {
+  return recordSessionUpdate(sessionId, update, 'lastWebhookAt');
+}
+
+/**
+ * Applies a state fetched by the session reconciler to a persisted session.
+ * Same fields as recordSessionWebhook, but stamps lastReconciledAt so that
+ * lastWebhookAt keeps showing whether the provider ever called back.
+ *
+ * @param {string} sessionId - Provider session ID
+ * @param {object} update - See recordSessionWebhook
+ */
+export async function recordSessionReconciled(sessionId, update) {
+  return recordSessionUpdate(sessionId, update, 'lastReconciledAt');
+}
+
+/**
+ * Marks a session as checked by the reconciler without changing its state
+ *
+ * @param {string} sessionId - Provider session ID
+ */
+export async function touchSessionReconciled(sessionId) {
+  return prisma.verificationSession.update({
+    where: { sessionId },
+    data: { lastReconciledAt: new Date() },
+  });
+}
+
+async function recordSessionUpdate(sessionId, { userId, provider, status, decided, decision, workflowId }, timestampField) {
+  const now = new Date();
+  const data = { [timestampField]: now };
+
+  if (status) {
+    data.status = status;
+  }
+
+  if (decided) {
+    data.decidedAt = now;
+  }
+
+  if (decision) {
+    data.decision = JSON.stringify(decision);
+  }
+
+  return prisma.verificationSession.upsert({
+    where: { sessionId },
+    update: data,
+    create: {
+      sessionId,
+      userId,
+      provider: provider || 'DIDIT',
+      workflowId: workflowId || null,
+      status: status || 'Not Started',
+      ...data,
+    },
+  });
+}
+
+/**
+ * Lists a user's verification sessions, newest first
+ *
+ * @param {string} userId - Internal user ID
+ * @param {object} [options]
+ * @param {number} [options.limit=20]
+ * @param {number} [options.offset=0]
+ * @returns {Promise<{ sessions: object[], total: number }>}
+ */
+export async function listUserSessions(userId, { limit = 20, offset = 0 } = {}) {
+  const [sessions, total] = await Promise.all([
+    prisma.verificationSession.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip: offset,
+    }),
+    prisma.verificationSession.count({ where: { userId } }),
+  ]);
+
+  return {
+    sessions: sessions.map(serializeSession),
+    total,
+  };
+}
+
+/**
+ * Converts a session record into its API representation
+ */
+export function serializeSession(session) {
+  return {
+    session_id: session.sessionId,
+    session_number: session.sessionNumber,
+    provider: session.provider,
+    workflow_id: session.workflowId,
+    status: session.status,
+    correlationId: session.correlationId,
+    verification_url: session.verificationUrl,
+    decision: session.decision ? JSON.parse(session.decision) : null,
+    decidedAt: session.decidedAt,
+    lastWebhookAt: session.lastWebhookAt,
+    lastReconciledAt: session.lastReconciledAt,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+  };
+}
+
+export default {
+  recordSessionCreated,
+  findSession,
+  recordSessionWebhook,
+  recordSessionReconciled,
+  touchSessionReconciled,
+  listUserSessions,
+  serializeSession,
+};
@@ -0,0 +1,348 @@
+/**
+ * Webhook Inbox
+ *
+ * Durable store for verified Didit webhooks. Every callback is persisted
+ * before it is acknowledged, deduplicated by session_id + webhook_type +
+ * payload hash, and applied by a background worker with retry and backoff.
+ * Events that keep failing are moved to DEAD_LETTER for manual replay.
+ */
+
+import * as crypto from 'node:crypto';
+import { config } from '../config/index.js';
+import { prisma } from '../utils/prisma.js';
+import { logger } from '../utils/logger.js';
+import { webhookProcessingDuration, retriesExhaustedTotal } from './metrics.js';
+
+// Worker settings
+const MAX_ATTEMPTS = config.webhookInbox.maxAttempts;
+const BACKOFF_BASE_MS = config.webhookInbox.backoffBaseMs;
+const BACKOFF_MAX_MS = 15 * 60_000; // 15 minutes
+const POLL_INTERVAL_MS = config.webhookInbox.pollIntervalMs;
+const PROCESSING_LEASE_MS = 5 * 60_000; // reclaim events stuck in PROCESSING after 5 minutes
+const BATCH_SIZE = 20;
+
+export const WEBHOOK_EVENT_STATUSES = ['PENDING', 'PROCESSING', 'PROCESSED', 'FAILED', 'DEAD_LETTER'];
+
+// Processors keyed by event source, registered at startup
+const processors = new Map();
+
+let workerContext = {};
+let pollTimer = null;
+let draining = false;
+
+/**
+ * Registers the function that applies events from a given source.
+ * The processor must throw when the event should be retried.
+ *
+ * @param {string} source - Event source (e.g. 'verification', 'didit-legacy')
+ * @param {(payload: object, context: object) => Promise<void>} processor
+ */
+export function registerWebhookProcessor(source, processor) {
+  processors.set(source, processor);
+}
+
+/**
+ * Computes the deduplication hash of a webhook body
+ */
+export function hashPayload(rawBody) {
+  return crypto.createHash('sha256').update(rawBody).digest('hex');
+}
+
+/**
+ * Persists a verified webhook. Duplicate deliveries resolve to the
+ * already-stored event instead of creating a new one.
+ *
+ * @param {object} event
+ * @param {string} event.source - Event source used to pick the processor
+ * @param {object} event.payload - Parsed webhook body
+ * @param {string} event.rawBody - Body the payload hash is computed over
+ * @returns {Promise<{ event: object, duplicate: boolean }>}
+ */
+export async function enqueueWebhookEvent({ source, payload, rawBody }) {
+  const sessionId = payload.session_id || '';
+  const webhookType = payload.webhook_type || 'unknown';
+  const payloadHash = hashPayload(rawBody);
+
+  try {
+    const event = await prisma.webhookEvent.create({
+      data: {
+        source,
+        sessionId,
+        webhookType,
+        payloadHash,
+        payload: rawBody,
+        maxAttempts: MAX_ATTEMPTS,
+      },
+    });
+
+    logger.info('Webhook event stored', { eventId: event.id, source, sessionId, webhookType });
+
+    // Process right away instead of waiting for the next poll
+    scheduleDrain();
+
+    return { event, duplicate: false };
+  } catch (error) {
+    // P2002: unique constraint violation, i.e. a duplicate delivery
+    if (error.code !== 'P2002') {
+      throw error;
+    }
+
+    const event = await prisma.webhookEvent.findUnique({
+      where: { sessionId_webhookType_payloadHash: { sessionId, webhookType, payloadHash } },
+    });
+
+    logger.info('Duplicate webhook delivery ignored', { eventId: event?.id, source, sessionId, webhookType });
+
+    return { event, duplicate: true };
+  }
+}
+
+/**
+ * Claims and processes all events that are due
+ *
+ * @returns {Promise<number>} Number of events processed in this run
+ */
+export async function processDueWebhookEvents() {
+  if (draining) {
+    return 0;
+  }
+  draining = true;
+
+  let handled = 0;
+
+  try {
+    let batch;
+    do {
+      const now = new Date();
+      batch = await prisma.webhookEvent.findMany({
+        where: {
+          OR: [
+            { status: { in: ['PENDING', 'FAILED'] }, nextAttemptAt: { lte: now } },
+            { status: 'PROCESSING', updatedAt: { lt: new Date(now.getTime() - PROCESSING_LEASE_MS) } },
+          ],
+        },
+        orderBy: { createdAt: 'asc' },
+        take: BATCH_SIZE,
+      });
+
+      for (const event of batch) {
+        if (await claimEvent(event)) {
+          await runEvent(event);
+          handled += 1;
+        }
+      }
+    } while (batch.length === BATCH_SIZE);
+  } finally {
+    draining = false;
+  }
+
+  return handled;
+}
+
+/**
+ * Runs the worker once, logging instead of throwing
+ */
+function runWorker() {
+  processDueWebhookEvents().catch((error) => {
+    logger.error('Webhook worker run failed', { error: error.message });
+  });
+}
+
+/**
+ * Runs the worker on the next tick
+ */
+function scheduleDrain() {
+  setImmediate(runWorker);
+}
+
+/**
+ * Marks an event as PROCESSING unless another worker got there first
+ */
+async function claimEvent(event) {
+  const { count } = await prisma.webhookEvent.updateMany({
+    where: { id: event.id, status: event.status, updatedAt: event.updatedAt },
+    data: { status: 'PROCESSING', attempts: { increment: 1 } },
+  });
+  return count === 1;
+}
+
+/**
+ * Applies a claimed event and records the outcome
+ */
+async function runEvent(event) {
+  const attempt = event.attempts + 1;
+  const processor = processors.get(event.source);
+  const endTimer = webhookProcessingDuration.startTimer({ source: event.source });
+
+  try {
+    if (!processor) {
+      throw new Error(`No webhook processor registered for source "${event.source}"`);
+    }
+
+    await processor(JSON.parse(event.payload), { ...workerContext, eventId: event.id });
+
+    await prisma.webhookEvent.update({
+      where: { id: event.id },
+      data: { status: 'PROCESSED', processedAt: new Date(), lastError: null },
+    });
+
+    endTimer({ outcome: 'processed' });
+    logger.info('Webhook event processed', { eventId: event.id, attempt });
+  } catch (error) {
+    const exhausted = attempt >= event.maxAttempts;
+    const delay = Math.min(BACKOFF_BASE_MS * 2 ** (attempt - 1), BACKOFF_MAX_MS);
+    endTimer({ outcome: exhausted ? 'dead_letter' : 'failed' });
+
+    await prisma.webhookEvent.update({
+      where: { id: event.id },
+      data: {
+        status: exhausted ? 'DEAD_LETTER' : 'FAILED',
+        lastError: error.message,
+        nextAttemptAt: new Date(Date.now() + delay),
+      },
+    });
+
+    const details = {
+      eventId: event.id,
+      sessionId: event.sessionId,
+      attempt,
+      maxAttempts: event.maxAttempts,
+      error: error.message,
+    };
+
+    if (exhausted) {
+      retriesExhaustedTotal.inc({ component: 'webhook_inbox' });
+      logger.error('Webhook event moved to dead letter', details);
+    } else {
+      logger.warn('Webhook event failed, will retry', { ...details, retryInMs: delay });
+    }
+  }
+}
+
+/**
+ * Lists stored webhook events, newest first
+ *
+ * @param {object} [filter]
+ * @param {string} [filter.status] - One of WEBHOOK_EVENT_STATUSES
+ * @param {string} [filter.sessionId] - Didit session ID
+ * @param {number} [filter.limit=50]
+ * @param {number} [filter.offset=0]
+ */
+export async function listWebhookEvents({ status, sessionId, limit = 50, offset = 0 } = {}) {
+  const where = {};
+  if (status) where.status = status;
+  if (sessionId) where.sessionId = sessionId;
+
+  const [events, total] = await Promise.all([
+    prisma.webhookEvent.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip: offset,
+    }),
+    prisma.webhookEvent.count({ where }),
+  ]);
+
+  return { events, total };
+}
+
+/**
+ * Looks up a stored webhook event by ID
+ */
+export async function getWebhookEvent(id) {
+  return prisma.webhookEvent.findUnique({ where: { id } });
+}
+
+/**
+ * Replaces a stored payload with just its routing fields, for events
+ * whose user has been erased. A replay then resolves to the same session
+ * and is dropped again.
+ *
+ * @param {string} id - Webhook event ID
+ */
+export async function redactWebhookEvent(id) {
+  const event = await getWebhookEvent(id);
+  if (!event) {
+    return null;
+  }
+
+  return prisma.webhookEvent.update({
+    where: { id },
+    data: { payload: JSON.stringify({ session_id: event.sessionId, webhook_type: event.webhookType }) },
+  });
+}
+
+/**
+ * Re-queues an event for processing with a fresh attempt budget
+ *
+ * @param {string} id - Webhook event ID
+ * @returns {Promise<object|null>} The re-queued event, or null if not found
+ */
+export async function replayWebhookEvent(id) {
+  const existing = await getWebhookEvent(id);
+  if (!existing) {
+    return null;
+  }
+
+  if (existing.status === 'PROCESSING') {
+    const error = new Error('Webhook event is currently being processed');
+    error.code = 'EVENT_IN_PROGRESS';
+    throw error;
+  }
+
+  const event = await prisma.webhookEvent.update({
+    where: { id },
+    data: {
+      status: 'PENDING',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      lastError: null,
+    },
+  });
+
+  logger.info('Webhook event queued for replay', { eventId: id, previousStatus: existing.status });
+
+  scheduleDrain();
+
+  return event;
+}
+
+/**
+ * Starts polling for due events
+ *
+ * @param {object} context - Passed to every processor (e.g. { sessionStore })
+ */
+export function startWebhookWorker(context = {}) {
+  workerContext = context;
+
+  if (pollTimer) {
+    return;
+  }
+
+  pollTimer = setInterval(runWorker, POLL_INTERVAL_MS);
+  pollTimer.unref();
+
+  logger.info('Webhook worker started', { pollIntervalMs: POLL_INTERVAL_MS, maxAttempts: MAX_ATTEMPTS });
+}
+
+/**
+ * Stops polling for due events
+ */
+export function stopWebhookWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+export default {
+  registerWebhookProcessor,
+  enqueueWebhookEvent,
+  processDueWebhookEvents,
+  listWebhookEvents,
+  getWebhookEvent,
+  redactWebhookEvent,
+  replayWebhookEvent,
+  startWebhookWorker,
+  stopWebhookWorker,
+};
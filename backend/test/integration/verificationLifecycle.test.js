@@ -0,0 +1,470 @@
+/**
+ * Verification lifecycle integration tests
+ *
+ * Runs the backend (server.js) against the mock Didit server
+ * (mock/diditServer.js) and a fresh SQLite database, then drives each
+ * session lifecycle end to end: session creation through the API, signed
+ * status.updated webhooks from the mock, the webhook inbox worker, and the
+ * user's final kycStatus and tradingEnabled.
+ *
+ * The database is built from the checked-in prisma/migrations SQL, so no
+ * Prisma schema engine is needed. The suite is skipped when the Prisma
+ * query engine cannot be loaded (run `npm run db:generate` first).
+ *
+ * Redis is pointed at a closed port, so the backend runs on its fallbacks
+ * for it.
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { randomBytes, randomUUID } from 'node:crypto';
+import * as http from 'node:http';
+import * as fs from 'node:fs';
+import * as net from 'node:net';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Prisma, PrismaClient } from '@prisma/client';
+
+const BACKEND_DIR = fileURLToPath(new URL('../..', import.meta.url));
+const MIGRATIONS_DIR = path.join(BACKEND_DIR, 'prisma', 'migrations');
+
+const API_KEY = 'integration-test-key';
+const ADMIN_API_KEY = 'integration-admin-key';
+const DIDIT_API_KEY = 'mock-didit-key';
+const WEBHOOK_SECRET = 'integration-webhook-secret';
+const PII_KEYRING = JSON.stringify({
+  primaryKeyId: 'integration',
+  keys: { integration: randomBytes(32).toString('base64') },
+  blindIndexKey: randomBytes(32).toString('base64'),
+});
+
+const STARTUP_TIMEOUT_MS = 30_000;
+const PROCESSING_TIMEOUT_MS = 15_000;
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kyc-integration-'));
+
+// The test process reads the same database and signs with the same secret
+process.env.DATABASE_URL = `file:${path.join(tmpDir, 'test.db')}`;
+
+const prisma = new PrismaClient();
+const engineUnavailable = await checkQueryEngine();
+
+let backendUrl;
+let backend;
+let mockServer;
+let mockUrl;
+
+describe('verification lifecycle against the mock Didit server', { skip: engineUnavailable }, () => {
+  before(async () => {
+    await applyMigrations();
+
+    const backendPort = await freePort();
+    backendUrl = `http://127.0.0.1:${backendPort}`;
+
+    const env = {
+      ...process.env,
+      NODE_ENV: 'test',
+      PORT: String(backendPort),
+      APP_URL: backendUrl,
+      FRONTEND_URL: 'http://127.0.0.1:5173',
+      REDIS_URL: 'redis://127.0.0.1:1',
+      KYC_PROVIDER: 'DIDIT',
+      DIDIT_API_KEY,
+      DIDIT_WORKFLOW_ID: 'integration-workflow',
+      DIDIT_WEBHOOK_SECRET: WEBHOOK_SECRET,
+      AUDIT_HMAC_KEY: 'integration-audit-key',
+      PII_KEYRING,
+      API_KEYS: `integration:${API_KEY}:kyc:read kyc:write,integration-admin:${ADMIN_API_KEY}:kyc:admin`,
+      WEBHOOK_POLL_INTERVAL_MS: '200',
+      EMAIL_TRANSPORT: 'none',
+      LOG_LEVEL: 'warn',
+    };
+    Object.assign(process.env, env);
+
+    const { createMockDiditServer } = await import('../../mock/diditServer.js');
+    mockServer = createMockDiditServer({ apiKey: DIDIT_API_KEY, webhookSecret: WEBHOOK_SECRET }).listen(0, '127.0.0.1');
+    await new Promise((resolve) => mockServer.once('listening', resolve));
+    mockUrl = `http://127.0.0.1:${mockServer.address().port}`;
+
+    backend = spawn(process.execPath, ['server.js'], {
+      cwd: BACKEND_DIR,
+      env: { ...env, DIDIT_BASE_URL: `${mockUrl}/v2` },
+      stdio: ['ignore', 'ignore', 'inherit'],
+    });
+
+    await waitFor(async () => (await fetch(`${backendUrl}/health`).catch(() => null))?.ok, STARTUP_TIMEOUT_MS);
+  }, { timeout: STARTUP_TIMEOUT_MS * 2 });
+
+  after(async () => {
+    if (backend && backend.exitCode === null) {
+      const exited = new Promise((resolve) => backend.once('exit', resolve));
+      backend.kill('SIGTERM');
+      await exited;
+    }
+    await new Promise((resolve) => (mockServer ? mockServer.close(resolve) : resolve()));
+  });
+
+  const lifecycles = [
+    { outcome: 'approve', kycStatus: 'VERIFIED', tradingEnabled: true, sessionStatus: 'Approved' },
+    { outcome: 'decline', kycStatus: 'DECLINED', tradingEnabled: false, sessionStatus: 'Declined' },
+    { outcome: 'review', kycStatus: 'IN_REVIEW', tradingEnabled: false, sessionStatus: 'In Review' },
+    { outcome: 'abandon', kycStatus: 'ABANDONED', tradingEnabled: false, sessionStatus: 'Abandoned' },
+  ];
+
+  for (const { outcome, kycStatus, tradingEnabled, sessionStatus } of lifecycles) {
+    test(`${outcome}: ends ${kycStatus} with trading ${tradingEnabled ? 'enabled' : 'disabled'}`, async () => {
+      const userId = randomUUID();
+
+      // Creating the session also creates the user
+      const created = await api('POST', '/api/v1/verification/session/create', { userId });
+      assert.equal(created.status, 201);
+      const sessionId = created.body.data.session_id;
+
+      const afterCreate = await prisma.user.findUnique({ where: { id: userId } });
+      assert.equal(afterCreate.kycStatus, 'IN_PROGRESS');
+
+      // The mock signs each status.updated webhook and posts it to APP_URL
+      const lifecycle = await mock('POST', `/__mock/sessions/${sessionId}/lifecycle`, { outcome });
+      assert.equal(lifecycle.status, 200);
+      for (const delivery of lifecycle.body.deliveries) {
+        assert.ok(delivery.delivered, `webhook ${delivery.status} was not accepted (${delivery.responseStatus})`);
+      }
+
+      await waitForWebhooks(sessionId, lifecycle.body.deliveries.length);
+
+      const updated = await prisma.user.findUnique({ where: { id: userId } });
+      assert.equal(updated.kycStatus, kycStatus);
+      assert.equal(updated.tradingEnabled, tradingEnabled);
+      assert.equal(updated.kycProvider, 'DIDIT');
+
+      const session = await prisma.verificationSession.findUnique({ where: { sessionId } });
+      assert.equal(session.status, sessionStatus);
+      assert.equal(session.userId, userId);
+
+      const status = await api('GET', `/api/v1/verification/status/${userId}`);
+      assert.equal(status.status, 200);
+      assert.equal(status.body.data.kycStatus, kycStatus);
+      assert.equal(status.body.data.tradingEnabled, tradingEnabled);
+    });
+  }
+
+  test('approve: records the decision flags and the audit trail', async () => {
+    const userId = randomUUID();
+
+    const created = await api('POST', '/api/v1/verification/session/create', { userId });
+    assert.equal(created.status, 201);
+    const sessionId = created.body.data.session_id;
+
+    const lifecycle = await mock('POST', `/__mock/sessions/${sessionId}/lifecycle`, { outcome: 'approve' });
+    await waitForWebhooks(sessionId, lifecycle.body.deliveries.length);
+
+    const updated = await prisma.user.findUnique({ where: { id: userId } });
+    assert.equal(updated.idVerified, true);
+    assert.equal(updated.phoneVerified, true);
+    assert.ok(updated.kycCompletedAt);
+
+    const actions = (await prisma.kycAuditEvent.findMany({ where: { userId }, orderBy: { sequence: 'asc' } }))
+      .map((event) => event.action);
+    assert.ok(actions.includes('session.created'), `audit actions: ${actions.join(', ')}`);
+    assert.ok(actions.includes('webhook.status_updated'), `audit actions: ${actions.join(', ')}`);
+    assert.ok(actions.includes('trading.enabled'), `audit actions: ${actions.join(', ')}`);
+
+    const audit = await admin('GET', `/api/v1/admin/users/${userId}/audit`);
+    assert.equal(audit.status, 200);
+    assert.equal(audit.body.data.integrity.valid, true);
+    assert.equal(audit.body.data.integrity.unkeyedEvents, 0);
+  });
+
+  test('erasure: closes open sessions and drops late webhooks', async () => {
+    const userId = randomUUID();
+
+    const created = await api('POST', '/api/v1/verification/session/create', { userId });
+    assert.equal(created.status, 201);
+    const sessionId = created.body.data.session_id;
+
+    const erased = await admin('POST', `/api/v1/admin/users/${userId}/erase`, { reason: 'Integration test' });
+    assert.equal(erased.status, 200);
+
+    const closed = await prisma.verificationSession.findUnique({ where: { sessionId } });
+    assert.ok(closed.decidedAt);
+
+    const lifecycle = await mock('POST', `/__mock/sessions/${sessionId}/lifecycle`, { outcome: 'approve' });
+    for (const delivery of lifecycle.body.deliveries) {
+      assert.ok(delivery.delivered, `webhook ${delivery.status} was not acknowledged (${delivery.responseStatus})`);
+    }
+    assert.equal(await prisma.webhookEvent.count({ where: { sessionId } }), 0);
+
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    assert.equal(user.kycStatus, 'IN_PROGRESS');
+    assert.equal(user.tradingEnabled, false);
+    assert.equal(user.kycDetails, null);
+
+    const idCheck = await api('POST', '/api/v1/verification/id/verify', { userId, frontImage: 'aGVsbG8=' });
+    assert.equal(idCheck.status, 409);
+  });
+
+  test('webhooks apply to the stored session owner, not vendor_data', async () => {
+    const userId = randomUUID();
+    const otherUserId = randomUUID();
+    const { signWebhookBody } = await import('../../middleware/webhookSignature.js');
+
+    const created = await api('POST', '/api/v1/verification/session/create', { userId });
+    assert.equal(created.status, 201);
+    const sessionId = created.body.data.session_id;
+
+    const body = JSON.stringify({
+      session_id: sessionId,
+      status: 'Declined',
+      webhook_type: 'status.updated',
+      vendor_data: otherUserId,
+      timestamp: Math.floor(Date.now() / 1000),
+    });
+    const response = await fetch(`${backendUrl}/api/v1/verification/webhook`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-signature': signWebhookBody(body, WEBHOOK_SECRET) },
+      body,
+    });
+    assert.equal(response.status, 200);
+
+    await waitForWebhooks(sessionId, 1);
+
+    const owner = await prisma.user.findUnique({ where: { id: userId } });
+    assert.equal(owner.kycStatus, 'DECLINED');
+    assert.equal(await prisma.user.count({ where: { id: otherUserId } }), 0);
+  });
+
+  test('outbound webhooks: signed with the subscription secret, stored encrypted', async () => {
+    const received = [];
+    const subscriber = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(204).end();
+      });
+    }).listen(0, '127.0.0.1');
+    await new Promise((resolve) => subscriber.once('listening', resolve));
+
+    let subscriptionId;
+    try {
+      const subscription = await admin('POST', '/api/v1/admin/webhook-subscriptions', {
+        name: 'integration',
+        url: `http://127.0.0.1:${subscriber.address().port}/kyc-events`,
+        eventTypes: ['kyc.verified'],
+      });
+      assert.equal(subscription.status, 201);
+      subscriptionId = subscription.body.data.id;
+      const { secret } = subscription.body.data;
+
+      const stored = await prisma.webhookSubscription.findUnique({ where: { id: subscriptionId } });
+      assert.ok(stored.secret.startsWith('enc:v1:'), 'subscription secret is not encrypted at rest');
+
+      const userId = randomUUID();
+      const created = await api('POST', '/api/v1/verification/session/create', { userId });
+      const sessionId = created.body.data.session_id;
+      const lifecycle = await mock('POST', `/__mock/sessions/${sessionId}/lifecycle`, { outcome: 'approve' });
+      await waitForWebhooks(sessionId, lifecycle.body.deliveries.length);
+
+      const { signDelivery } = await import('../../services/outboundWebhooks.js');
+      await waitFor(async () => received.some((delivery) => JSON.parse(delivery.body).data.userId === userId), PROCESSING_TIMEOUT_MS);
+      const delivery = received.find((entry) => JSON.parse(entry.body).data.userId === userId);
+
+      assert.equal(delivery.headers['x-kyc-event-type'], 'kyc.verified');
+      assert.equal(
+        delivery.headers['x-kyc-signature'],
+        `sha256=${signDelivery(delivery.body, delivery.headers['x-kyc-timestamp'], secret)}`,
+      );
+    } finally {
+      if (subscriptionId) {
+        await admin('DELETE', `/api/v1/admin/webhook-subscriptions/${subscriptionId}`);
+      }
+      await new Promise((resolve) => subscriber.close(resolve));
+    }
+  });
+
+  test('scopes: kyc:read/kyc:write keys act on any user but not on the admin API', async () => {
+    const admin = await api('GET', '/api/v1/admin/health');
+    assert.equal(admin.status, 403);
+  });
+
+  test('phone check: refuses a code sent for another user', async () => {
+    const owner = randomUUID();
+    const phoneNumber = '+14155550123';
+
+    const sent = await api('POST', '/api/v1/verification/phone/send', { userId: owner, phone_number: phoneNumber });
+    assert.equal(sent.status, 200);
+
+    const other = await api('POST', '/api/v1/verification/phone/check', {
+      userId: randomUUID(),
+      phone_number: phoneNumber,
+      code: '123456',
+    });
+    assert.equal(other.status, 403);
+
+    const own = await api('POST', '/api/v1/verification/phone/check', { userId: owner, phone_number: phoneNumber, code: '123456' });
+    assert.equal(own.status, 200);
+  });
+
+  test('rejects webhooks that are unsigned or signed with another secret', async () => {
+    const { signWebhookBody } = await import('../../middleware/webhookSignature.js');
+    const body = JSON.stringify({
+      session_id: 'forged-session',
+      status: 'Approved',
+      webhook_type: 'status.updated',
+      timestamp: Math.floor(Date.now() / 1000),
+    });
+
+    const unsigned = await fetch(`${backendUrl}/api/v1/verification/webhook`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body,
+    });
+    assert.equal(unsigned.status, 401);
+
+    const forged = await fetch(`${backendUrl}/api/v1/verification/webhook`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-signature': signWebhookBody(body, 'not-the-secret') },
+      body,
+    });
+    assert.equal(forged.status, 401);
+
+    assert.equal(await prisma.webhookEvent.count({ where: { sessionId: 'forged-session' } }), 0);
+  });
+});
+
+after(async () => {
+  if (!engineUnavailable) {
+    await prisma.$disconnect();
+  }
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * ============================================================
+ * DATABASE
+ * ============================================================
+ */
+
+/**
+ * Connects the test's Prisma client. Returns the reason to skip the suite
+ * when the query engine is missing, false otherwise.
+ */
+async function checkQueryEngine() {
+  try {
+    await prisma.$connect();
+    return false;
+  } catch (error) {
+    if (error instanceof Prisma.PrismaClientInitializationError) {
+      return `Prisma query engine unavailable: ${error.message.split('\n')[0]}`;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Applies every checked-in migration, in order, to the empty database
+ */
+async function applyMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort();
+
+  for (const migration of migrations) {
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, migration, 'migration.sql'), 'utf8');
+    for (const statement of sqlStatements(sql)) {
+      await prisma.$executeRawUnsafe(statement);
+    }
+  }
+}
+
+/**
+ * Splits a migration into single statements. Trigger bodies end at `END;`.
+ */
+function sqlStatements(sql) {
+  const statements = [];
+  let lines = [];
+
+  for (const line of sql.split('\n')) {
+    if (lines.length === 0 && (line.trim() === '' || line.trim().startsWith('--'))) {
+      continue;
+    }
+    lines.push(line);
+
+    const statement = lines.join('\n');
+    const complete = /^\s*CREATE\s+TRIGGER\b/i.test(statement)
+      ? /^\s*END;\s*$/i.test(line)
+      : line.trimEnd().endsWith(';');
+    if (complete) {
+      statements.push(statement);
+      lines = [];
+    }
+  }
+
+  return statements;
+}
+
+/**
+ * Waits until the inbox worker has processed every webhook stored for the session
+ */
+async function waitForWebhooks(sessionId, count) {
+  await waitFor(async () => {
+    const events = await prisma.webhookEvent.findMany({ where: { sessionId } });
+    return events.length === count && events.every((event) => event.status === 'PROCESSED');
+  }, PROCESSING_TIMEOUT_MS);
+}
+
+/**
+ * ============================================================
+ * HELPERS
+ * ============================================================
+ */
+
+async function api(method, route, body) {
+  return request(`${backendUrl}${route}`, method, body, { 'x-api-key': API_KEY });
+}
+
+async function admin(method, route, body) {
+  return request(`${backendUrl}${route}`, method, body, { 'x-api-key': ADMIN_API_KEY });
+}
+
+async function mock(method, route, body) {
+  return request(`${mockUrl}${route}`, method, body);
+}
+
+async function request(url, method, body, headers = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: { 'content-type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+/**
+ * Polls until the condition holds, failing after the timeout
+ */
+async function waitFor(condition, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (await condition()) {
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`Condition not met within ${timeoutMs} ms`);
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
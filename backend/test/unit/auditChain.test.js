@@ -0,0 +1,260 @@
+/**
+ * KYC audit hash chain (services/kycAuditService.js) and its anchor
+ * (services/auditAnchor.js)
+ *
+ * Events are written through updateUserWithAudit against an in-memory
+ * transaction, then verified as they would be read back.
+ */
+
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+
+const AUDIT_HMAC_KEY = 'unit-test-audit-key';
+
+process.env.NODE_ENV = 'test';
+process.env.AUDIT_HMAC_KEY = AUDIT_HMAC_KEY;
+
+const { prisma } = await import('../../utils/prisma.js');
+const { AUDIT_ACTORS, onUserChange, updateUserWithAudit, verifyAuditChain } = await import('../../services/kycAuditService.js');
+const { startAuditAnchor, publishAuditHead, getAuditHead } = await import('../../services/auditAnchor.js');
+
+const USER_ID = 'user-1';
+const ACTOR = { type: AUDIT_ACTORS.SYSTEM, id: 'apiKey:unit' };
+
+let user;
+let events;
+let changes = [];
+let restore;
+
+onUserChange((change) => {
+  changes.push(change);
+});
+
+beforeEach(() => {
+  user = { id: USER_ID, kycStatus: 'NOT_STARTED', kycCompletedAt: null };
+  events = [];
+  changes = [];
+
+  const tx = {
+    user: {
+      async findUniqueOrThrow() {
+        return { ...user };
+      },
+      async update({ data }) {
+        user = { ...user, ...data };
+        return { ...user };
+      },
+    },
+    kycAuditEvent: {
+      async findFirst() {
+        return events.at(-1) ?? null;
+      },
+      async create({ data }) {
+        const event = { id: `event-${data.sequence}`, ...data };
+        events.push(event);
+        return event;
+      },
+    },
+  };
+
+  restore = [
+    replaceMethods(prisma, { $transaction: async (work) => work(tx) }),
+    replaceMethods(prisma.kycAuditEvent, { findMany: async () => events.map((event) => ({ ...event })) }),
+  ];
+});
+
+afterEach(() => {
+  restore.forEach((undo) => undo());
+  startAuditAnchor({ redis: null });
+});
+
+describe('verifyAuditChain', () => {
+  test('accepts the chain the service writes', async () => {
+    await writeEvents();
+
+    assert.equal(events.length, 3);
+    assert.equal(events[0].prevHash, null);
+    assert.equal(events[1].prevHash, events[0].hash);
+    assert.equal(events[0].hash, hashWith(events[0], AUDIT_HMAC_KEY));
+
+    const head = { sequence: 3, hash: events[2].hash };
+    assert.deepEqual(await verifyAuditChain(USER_ID, { head }), {
+      valid: true,
+      eventCount: 3,
+      brokenAt: null,
+      reason: null,
+      anchored: true,
+      unkeyedEvents: 0,
+    });
+  });
+
+  test('does not write an event when nothing changed', async () => {
+    await updateUserWithAudit(USER_ID, { kycStatus: 'NOT_STARTED' }, { actor: ACTOR, action: 'unit.noop' });
+    assert.equal(events.length, 0);
+  });
+
+  test('detects an edited event', async () => {
+    await writeEvents();
+    events[1].after = JSON.stringify({ kycStatus: 'DECLINED' });
+
+    assert.equal((await verifyAuditChain(USER_ID)).reason, 'hash_mismatch');
+  });
+
+  test('detects a deleted event in the middle', async () => {
+    await writeEvents();
+    events.splice(1, 1);
+
+    const result = await verifyAuditChain(USER_ID);
+    assert.equal(result.reason, 'sequence_gap');
+    assert.equal(result.brokenAt, 3);
+  });
+
+  test('detects a chain rewritten without the key', async () => {
+    await writeEvents();
+    events[1].after = JSON.stringify({ kycStatus: 'DECLINED' });
+    relink(events, 1, null);
+
+    assert.equal((await verifyAuditChain(USER_ID)).reason, 'hash_mismatch');
+  });
+
+  test('detects events deleted from the end against the anchored head', async () => {
+    await writeEvents();
+    const head = { sequence: 3, hash: events[2].hash };
+    events.pop();
+
+    const result = await verifyAuditChain(USER_ID, { head });
+    assert.equal(result.reason, 'truncated');
+    assert.equal(result.brokenAt, 3);
+  });
+
+  test('detects a head that does not match the stored event', async () => {
+    await writeEvents();
+
+    const result = await verifyAuditChain(USER_ID, { head: { sequence: 2, hash: 'f'.repeat(64) } });
+    assert.equal(result.reason, 'head_mismatch');
+  });
+
+  test('reports an unanchored chain when the head could not be read', async () => {
+    await writeEvents();
+
+    const result = await verifyAuditChain(USER_ID, { head: undefined });
+    assert.equal(result.valid, true);
+    assert.equal(result.anchored, false);
+  });
+
+  test('accepts unkeyed events only ahead of the first keyed event', async () => {
+    await writeEvents();
+    relink(events, 0, null, 1);
+    relink(events, 1, AUDIT_HMAC_KEY);
+
+    const legacyPrefix = await verifyAuditChain(USER_ID);
+    assert.equal(legacyPrefix.valid, true);
+    assert.equal(legacyPrefix.unkeyedEvents, 1);
+
+    relink(events, 2, null);
+    const unkeyedAfterKeyed = await verifyAuditChain(USER_ID);
+    assert.equal(unkeyedAfterKeyed.reason, 'hash_mismatch');
+    assert.equal(unkeyedAfterKeyed.brokenAt, 3);
+  });
+});
+
+describe('audit anchor', () => {
+  test('hands the new head to change listeners', async () => {
+    await writeEvents();
+    assert.deepEqual(changes.at(-1).auditEvent, { sequence: 3, hash: events[2].hash });
+  });
+
+  test('writes the head to Redis through the forward-only script', async () => {
+    const redis = fakeRedis();
+    startAuditAnchor({ redis });
+
+    await publishAuditHead({ userId: USER_ID, auditEvent: { sequence: 4, hash: 'abc' } });
+
+    assert.equal(redis.calls.length, 1);
+    assert.deepEqual(redis.calls[0].options, { keys: ['kyc:audit-heads'], arguments: [USER_ID, '4', 'abc'] });
+  });
+
+  test('skips Redis when it is down', async () => {
+    const redis = fakeRedis({ isReady: false });
+    startAuditAnchor({ redis });
+
+    await publishAuditHead({ userId: USER_ID, auditEvent: { sequence: 1, hash: 'abc' } });
+    assert.equal(redis.calls.length, 0);
+    assert.equal(await getAuditHead(USER_ID), undefined);
+  });
+
+  test('reads the anchored head', async () => {
+    const redis = fakeRedis({ heads: { [USER_ID]: '7:abc' } });
+
+    assert.deepEqual(await getAuditHead(USER_ID, { redis }), { sequence: 7, hash: 'abc' });
+    assert.equal(await getAuditHead('someone-else', { redis }), null);
+  });
+});
+
+/**
+ * Writes three events: start, approval and an unrelated column change
+ */
+async function writeEvents() {
+  await updateUserWithAudit(USER_ID, { kycStatus: 'IN_PROGRESS' }, { actor: ACTOR, action: 'session.created' });
+  await updateUserWithAudit(USER_ID, { kycStatus: 'VERIFIED', kycCompletedAt: new Date() }, { actor: ACTOR, action: 'webhook.status_updated' });
+  await updateUserWithAudit(USER_ID, { kycCompletedAt: new Date(Date.now() + 1000) }, { actor: ACTOR, action: 'admin.corrected' });
+}
+
+/**
+ * Rehashes events from index onwards so the chain links up again, the
+ * event at index with the given key and the rest with the audit key
+ */
+function relink(chain, index, key, count = chain.length - index) {
+  for (let i = index; i < index + count; i += 1) {
+    chain[i].prevHash = i === 0 ? null : chain[i - 1].hash;
+    chain[i].hash = hashWith(chain[i], i === index ? key : AUDIT_HMAC_KEY);
+  }
+}
+
+/**
+ * The service's event hash: HMAC-SHA256 over the fields in a fixed order,
+ * plain SHA-256 without a key
+ */
+function hashWith(event, key) {
+  const canonical = JSON.stringify([
+    event.prevHash,
+    event.userId,
+    event.sequence,
+    event.actorType,
+    event.actorId,
+    event.action,
+    event.before,
+    event.after,
+    event.sessionId,
+    event.correlationId,
+    event.reason,
+    new Date(event.createdAt).toISOString(),
+  ]);
+  const digest = key ? crypto.createHmac('sha256', key) : crypto.createHash('sha256');
+  return digest.update(canonical).digest('hex');
+}
+
+/**
+ * Swaps methods on the Prisma client or a delegate; both are proxies, so
+ * mock.method cannot see their properties
+ */
+function replaceMethods(target, methods) {
+  const originals = Object.fromEntries(Object.keys(methods).map((name) => [name, target[name]]));
+  Object.assign(target, methods);
+  return () => Object.assign(target, originals);
+}
+
+function fakeRedis({ isReady = true, heads = {} } = {}) {
+  return {
+    isReady,
+    calls: [],
+    async eval(script, options) {
+      this.calls.push({ script, options });
+      return 1;
+    },
+    async hGet(key, field) {
+      return heads[field] ?? null;
+    },
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * Configuration schema, profiles and validation (config/index.js)
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+
+const { loadConfig, PROFILES } = await import('../../config/index.js');
+
+const PRODUCTION = {
+  NODE_ENV: 'production',
+  APP_URL: 'https://kyc.example.com',
+  FRONTEND_URL: 'https://app.example.com',
+  DIDIT_API_KEY: 'key',
+  DIDIT_WORKFLOW_ID: 'workflow',
+  DIDIT_WEBHOOK_SECRET: 'secret',
+  API_KEYS: 'trading:key:kyc:read',
+  AUDIT_HMAC_KEY: 'audit-key',
+};
+
+describe('profiles', () => {
+  test('development is the profile when NODE_ENV is unset', () => {
+    const { config, errors } = loadConfig({ DIDIT_API_KEY: 'k', DIDIT_WORKFLOW_ID: 'w', DIDIT_WEBHOOK_SECRET: 's' });
+    assert.equal(config.env, 'development');
+    assert.deepEqual(errors, []);
+  });
+
+  test('test uses the fake provider, no email and warn logging', () => {
+    const { config, errors, sources } = loadConfig({ NODE_ENV: 'test' });
+    assert.deepEqual(errors, []);
+    assert.equal(config.kyc.provider, 'FAKE');
+    assert.equal(config.email.transport, 'none');
+    assert.equal(config.logging.level, 'warn');
+    assert.equal(sources['kyc.provider'], 'profile');
+  });
+
+  test('the environment wins over the profile', () => {
+    const { config, sources } = loadConfig({ NODE_ENV: 'test', LOG_LEVEL: 'error' });
+    assert.equal(config.logging.level, 'error');
+    assert.equal(sources['logging.level'], 'env');
+  });
+
+  test('production has no localhost defaults', () => {
+    const { errors } = loadConfig({ NODE_ENV: 'production' });
+    assert.ok(errors.includes('APP_URL is required'), errors.join('\n'));
+    assert.ok(errors.includes('FRONTEND_URL is required'), errors.join('\n'));
+    assert.deepEqual(PROFILES.production['cors.origins'], []);
+  });
+
+  test('a complete production environment is valid', () => {
+    const { config, errors } = loadConfig(PRODUCTION);
+    assert.deepEqual(errors, []);
+    assert.equal(config.kyc.provider, 'DIDIT');
+  });
+});
+
+describe('production requirements', () => {
+  test('needs some form of authentication', () => {
+    const { API_KEYS, ...env } = PRODUCTION;
+    assert.ok(loadConfig(env).errors.includes('JWT_JWKS_URL, JWT_SECRET or API_KEYS is required in production'));
+  });
+
+  test('rejects the fake provider', () => {
+    assert.ok(loadConfig({ ...PRODUCTION, KYC_PROVIDER: 'FAKE' }).errors.includes('KYC_PROVIDER=FAKE is not allowed in production'));
+  });
+
+  test('needs the audit chain key', () => {
+    const { AUDIT_HMAC_KEY, ...env } = PRODUCTION;
+    assert.ok(loadConfig(env).errors.includes('AUDIT_HMAC_KEY is required'));
+  });
+});
+
+describe('parsing', () => {
+  test('reports every malformed value at once', () => {
+    const { errors } = loadConfig({ NODE_ENV: 'test', PORT: 'abc', METRICS_ENABLED: 'yes', JOB_LOCK_BACKEND: 'zookeeper' });
+    assert.equal(errors.length, 3, errors.join('\n'));
+  });
+
+  test('job locks default to the database lease', () => {
+    const { config } = loadConfig({ NODE_ENV: 'test' });
+    assert.equal(config.scheduler.lockBackend, 'database');
+    assert.equal(loadConfig({ NODE_ENV: 'test', JOB_LOCK_BACKEND: 'REDIS' }).config.scheduler.lockBackend, 'redis');
+  });
+
+  test('returns a frozen config', () => {
+    const { config } = loadConfig({ NODE_ENV: 'test' });
+    assert.ok(Object.isFrozen(config));
+    assert.ok(Object.isFrozen(config.server));
+  });
+});
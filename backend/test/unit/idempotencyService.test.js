@@ -0,0 +1,179 @@
+/**
+ * Idempotency-Key claims (services/idempotencyService.js)
+ *
+ * The idempotency_keys table is replaced by an in-memory stand-in for the
+ * Prisma delegate methods the service uses.
+ */
+
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+
+const { prisma } = await import('../../utils/prisma.js');
+const {
+  IDEMPOTENCY_KEY_STATUSES,
+  idempotencyKeyId,
+  hashRequest,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+} = await import('../../services/idempotencyService.js');
+
+const SCOPE = 'POST /api/v1/verification/session/create';
+
+let rows;
+let restore;
+
+beforeEach(() => {
+  rows = new Map();
+  restore = replaceMethods(prisma.idempotencyKey, {
+    async create({ data }) {
+      if (rows.has(data.id)) {
+        throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+      }
+      const row = { ...data, responseStatus: null, responseBody: null, updatedAt: new Date() };
+      rows.set(data.id, row);
+      return row;
+    },
+    async findUnique({ where }) {
+      return rows.get(where.id) ?? null;
+    },
+    async update({ where, data }) {
+      const row = { ...rows.get(where.id), ...data, updatedAt: new Date() };
+      rows.set(where.id, row);
+      return row;
+    },
+    async updateMany({ where, data }) {
+      const row = rows.get(where.id);
+      if (!row || row.updatedAt.getTime() !== where.updatedAt.getTime()) {
+        return { count: 0 };
+      }
+      rows.set(where.id, { ...row, ...data, updatedAt: new Date() });
+      return { count: 1 };
+    },
+    async deleteMany({ where }) {
+      const row = rows.get(where.id);
+      if (row && row.status === where.status) {
+        rows.delete(where.id);
+        return { count: 1 };
+      }
+      return { count: 0 };
+    },
+  });
+});
+
+afterEach(() => {
+  restore();
+});
+
+describe('claimIdempotencyKey', () => {
+  const id = idempotencyKeyId({ key: 'key-1', scope: SCOPE, subject: 'apiKey:trading' });
+  const requestHash = hashRequest({ method: 'POST', path: SCOPE, body: { userId: 'u1' } });
+
+  test('claims a new key', async () => {
+    assert.deepEqual(await claim(id, requestHash), { outcome: 'claimed' });
+    assert.equal(rows.get(id).status, IDEMPOTENCY_KEY_STATUSES.PENDING);
+  });
+
+  test('reports a key still being processed', async () => {
+    await claim(id, requestHash);
+    assert.deepEqual(await claim(id, requestHash), { outcome: 'in_progress' });
+  });
+
+  test('replays the stored response', async () => {
+    await claim(id, requestHash);
+    await completeIdempotencyKey({ id, status: 201, body: { success: true, data: { session_id: 's1' } } });
+
+    assert.deepEqual(await claim(id, requestHash), {
+      outcome: 'replay',
+      response: { status: 201, body: { success: true, data: { session_id: 's1' } } },
+    });
+  });
+
+  test('rejects the key reused with another request', async () => {
+    await claim(id, requestHash);
+    await completeIdempotencyKey({ id, status: 201, body: {} });
+
+    const other = hashRequest({ method: 'POST', path: SCOPE, body: { userId: 'u2' } });
+    assert.deepEqual(await claim(id, other), { outcome: 'mismatch' });
+  });
+
+  test('can be claimed again once released', async () => {
+    await claim(id, requestHash);
+    await releaseIdempotencyKey({ id });
+    assert.deepEqual(await claim(id, requestHash), { outcome: 'claimed' });
+  });
+
+  test('takes over an expired key', async () => {
+    await claim(id, requestHash);
+    await completeIdempotencyKey({ id, status: 201, body: {} });
+    rows.get(id).expiresAt = new Date(Date.now() - 1000);
+
+    const other = hashRequest({ method: 'POST', path: SCOPE, body: { userId: 'u2' } });
+    assert.deepEqual(await claim(id, other), { outcome: 'claimed' });
+    assert.equal(rows.get(id).requestHash, other);
+  });
+
+  test('takes over a claim abandoned past its lease', async () => {
+    await claim(id, requestHash);
+    rows.get(id).updatedAt = new Date(Date.now() - 10 * 60_000);
+
+    assert.deepEqual(await claim(id, requestHash), { outcome: 'claimed' });
+  });
+
+  test('serves completed keys from the Redis cache', async () => {
+    const redis = fakeRedis();
+    await claim(id, requestHash);
+    await completeIdempotencyKey({ id, status: 200, body: { ok: true }, redis });
+
+    rows.clear();
+    assert.deepEqual(await claimIdempotencyKey({ id, scope: SCOPE, requestHash, userId: 'u1', redis }), {
+      outcome: 'replay',
+      response: { status: 200, body: { ok: true } },
+    });
+  });
+});
+
+describe('hashRequest', () => {
+  test('ignores key order in the body', () => {
+    assert.equal(
+      hashRequest({ method: 'POST', path: SCOPE, body: { a: 1, b: { c: 2, d: 3 } } }),
+      hashRequest({ method: 'POST', path: SCOPE, body: { b: { d: 3, c: 2 }, a: 1 } }),
+    );
+  });
+
+  test('scopes key IDs to the caller', () => {
+    assert.notEqual(
+      idempotencyKeyId({ key: 'k', scope: SCOPE, subject: 'user:a' }),
+      idempotencyKeyId({ key: 'k', scope: SCOPE, subject: 'user:b' }),
+    );
+  });
+});
+
+function claim(id, requestHash) {
+  return claimIdempotencyKey({ id, scope: SCOPE, requestHash, userId: 'u1' });
+}
+
+/**
+ * Swaps methods on a Prisma delegate; the delegate is a proxy, so
+ * mock.method cannot see its properties
+ */
+function replaceMethods(target, methods) {
+  const originals = Object.fromEntries(Object.keys(methods).map((name) => [name, target[name]]));
+  Object.assign(target, methods);
+  return () => Object.assign(target, originals);
+}
+
+function fakeRedis() {
+  const values = new Map();
+  return {
+    isReady: true,
+    async get(key) {
+      return values.get(key) ?? null;
+    },
+    async set(key, value) {
+      values.set(key, value);
+    },
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * KYC state machine (services/kycStatusService.js)
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+
+const {
+  KYC_STATUS,
+  KYC_STATUSES,
+  KYC_TRANSITIONS,
+  canTransition,
+  canStartVerification,
+  assertTransition,
+  kycStatusForSession,
+  kycStatusUpdate,
+} = await import('../../services/kycStatusService.js');
+const { SESSION_STATUS } = await import('../../providers/sessionStatus.js');
+
+describe('transition table', () => {
+  test('lists every status and only known targets', () => {
+    assert.deepEqual(Object.keys(KYC_TRANSITIONS).sort(), [...KYC_STATUSES].sort());
+    for (const targets of Object.values(KYC_TRANSITIONS)) {
+      for (const target of targets) {
+        assert.ok(KYC_STATUSES.includes(target), `unknown target ${target}`);
+      }
+    }
+  });
+
+  test('allows exactly the listed transitions, plus staying put', () => {
+    for (const from of KYC_STATUSES) {
+      for (const to of KYC_STATUSES) {
+        const expected = from === to || KYC_TRANSITIONS[from].includes(to);
+        assert.equal(canTransition(from, to), expected, `${from} -> ${to}`);
+      }
+    }
+  });
+
+  test('REVOKED is terminal', () => {
+    for (const to of KYC_STATUSES.filter((status) => status !== KYC_STATUS.REVOKED)) {
+      assert.equal(canTransition(KYC_STATUS.REVOKED, to), false, `REVOKED -> ${to}`);
+    }
+  });
+
+  test('rejects late webhooks that would undo an approval', () => {
+    assert.equal(canTransition(KYC_STATUS.VERIFIED, KYC_STATUS.IN_REVIEW), false);
+    assert.equal(canTransition(KYC_STATUS.VERIFIED, KYC_STATUS.IN_PROGRESS), false);
+    assert.equal(canTransition(KYC_STATUS.VERIFIED, KYC_STATUS.DECLINED), false);
+  });
+});
+
+describe('canStartVerification', () => {
+  test('allows a new session unless verified, revoked or already in review', () => {
+    const allowed = KYC_STATUSES.filter(canStartVerification).sort();
+    assert.deepEqual(allowed, [
+      KYC_STATUS.ABANDONED,
+      KYC_STATUS.DECLINED,
+      KYC_STATUS.EXPIRED,
+      KYC_STATUS.IN_PROGRESS,
+      KYC_STATUS.NOT_STARTED,
+    ]);
+  });
+});
+
+describe('assertTransition', () => {
+  test('passes allowed transitions', () => {
+    assert.doesNotThrow(() => assertTransition(KYC_STATUS.IN_PROGRESS, KYC_STATUS.VERIFIED));
+  });
+
+  test('throws ILLEGAL_KYC_TRANSITION with both ends', () => {
+    assert.throws(() => assertTransition(KYC_STATUS.VERIFIED, KYC_STATUS.IN_REVIEW), {
+      code: 'ILLEGAL_KYC_TRANSITION',
+      from: KYC_STATUS.VERIFIED,
+      to: KYC_STATUS.IN_REVIEW,
+    });
+  });
+});
+
+describe('session status mapping', () => {
+  test('maps every normalized session status', () => {
+    for (const status of Object.values(SESSION_STATUS)) {
+      assert.ok(KYC_STATUSES.includes(kycStatusForSession(status)), status);
+    }
+    assert.equal(kycStatusForSession('Unknown'), null);
+  });
+
+  test('an approval restarts the re-verification cycle', () => {
+    const now = new Date('2026-01-01T00:00:00Z');
+    assert.deepEqual(kycStatusUpdate(SESSION_STATUS.APPROVED, now), {
+      kycStatus: KYC_STATUS.VERIFIED,
+      kycCompletedAt: now,
+      kycExpiredAt: null,
+      expiryReminderSentAt: null,
+    });
+  });
+
+  test('an expiry starts the grace period', () => {
+    const now = new Date('2026-01-01T00:00:00Z');
+    assert.deepEqual(kycStatusUpdate(SESSION_STATUS.EXPIRED, now), { kycStatus: KYC_STATUS.EXPIRED, kycExpiredAt: now });
+  });
+
+  test('unmapped statuses change nothing', () => {
+    assert.deepEqual(kycStatusUpdate('Unknown'), {});
+  });
+});
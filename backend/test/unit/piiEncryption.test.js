@@ -0,0 +1,116 @@
+/**
+ * PII envelope encryption (services/piiEncryption.js)
+ *
+ * The keyring is read once per process, so values under a retired key are
+ * produced by a child process with the old keyring.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { randomBytes } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const MODULE_URL = new URL('../../services/piiEncryption.js', import.meta.url).href;
+const BACKEND_DIR = fileURLToPath(new URL('../..', import.meta.url));
+
+const oldKey = randomBytes(32).toString('base64');
+const newKey = randomBytes(32).toString('base64');
+const blindIndexKey = randomBytes(32).toString('base64');
+
+process.env.NODE_ENV = 'test';
+process.env.PII_KEYRING = JSON.stringify({
+  primaryKeyId: '2026-10',
+  keys: { '2026-01': oldKey, '2026-10': newKey },
+  blindIndexKey,
+});
+
+const {
+  encryptValue,
+  decryptValue,
+  isEncrypted,
+  keyIdOf,
+  blindIndex,
+  auditValue,
+} = await import('../../services/piiEncryption.js');
+
+describe('encrypt and decrypt', () => {
+  test('round-trips a value under the primary key', () => {
+    const encrypted = encryptValue('+15551234567', 'User.phoneNumber');
+
+    assert.ok(isEncrypted(encrypted));
+    assert.equal(keyIdOf(encrypted), '2026-10');
+    assert.ok(!encrypted.includes('15551234567'));
+    assert.equal(decryptValue(encrypted, 'User.phoneNumber'), '+15551234567');
+  });
+
+  test('uses a fresh data key for every value', () => {
+    assert.notEqual(encryptValue('same', 'User.kycDetails'), encryptValue('same', 'User.kycDetails'));
+  });
+
+  test('passes null, undefined and legacy plaintext through', () => {
+    assert.equal(encryptValue(null, 'User.phoneNumber'), null);
+    assert.equal(encryptValue(undefined, 'User.phoneNumber'), undefined);
+    assert.equal(decryptValue('+15551234567', 'User.phoneNumber'), '+15551234567');
+  });
+
+  test('does not decrypt a value copied into another column', () => {
+    const encrypted = encryptValue('secret', 'User.kycDetails');
+    assert.throws(() => decryptValue(encrypted, 'VerificationSession.decision'));
+  });
+
+  test('rejects tampered ciphertext', () => {
+    const parts = encryptValue('secret', 'User.kycDetails').split(':');
+    const ciphertext = Buffer.from(parts[4], 'base64url');
+    ciphertext[ciphertext.length - 1] ^= 1;
+    parts[4] = ciphertext.toString('base64url');
+
+    assert.throws(() => decryptValue(parts.join(':'), 'User.kycDetails'));
+  });
+});
+
+describe('key rotation', () => {
+  test('decrypts values under a previous key and re-encrypts them under the primary', () => {
+    const legacy = encryptWithKeyring({ primaryKeyId: '2026-01', keys: { '2026-01': oldKey }, blindIndexKey }, 'dob:1990-01-01');
+    assert.equal(keyIdOf(legacy), '2026-01');
+
+    const plaintext = decryptValue(legacy, 'User.kycDetails');
+    assert.equal(plaintext, 'dob:1990-01-01');
+
+    const rotated = encryptValue(plaintext, 'User.kycDetails');
+    assert.equal(keyIdOf(rotated), '2026-10');
+    assert.equal(decryptValue(rotated, 'User.kycDetails'), 'dob:1990-01-01');
+  });
+
+  test('fails with PII_KEY_NOT_FOUND once a key has left the ring', () => {
+    const orphan = encryptWithKeyring({ primaryKeyId: 'retired', keys: { retired: randomBytes(32).toString('base64') }, blindIndexKey }, 'x');
+    assert.throws(() => decryptValue(orphan, 'User.kycDetails'), { code: 'PII_KEY_NOT_FOUND' });
+  });
+});
+
+describe('blind index and audit fingerprints', () => {
+  test('indexes phone numbers regardless of formatting', () => {
+    assert.equal(blindIndex('+1 (555) 123-4567'), blindIndex('+15551234567'));
+    assert.notEqual(blindIndex('+15551234567'), blindIndex('+15551234568'));
+  });
+
+  test('fingerprints PII columns and leaves others as they are', () => {
+    assert.match(auditValue('User', 'email', 'user@example.com'), /^\[redacted:[0-9a-f]{16}\]$/);
+    assert.equal(auditValue('User', 'kycStatus', 'VERIFIED'), 'VERIFIED');
+  });
+});
+
+/**
+ * Encrypts a value for User.kycDetails in a child process with another keyring
+ */
+function encryptWithKeyring(keyring, value) {
+  const script = `
+    const { encryptValue } = await import(${JSON.stringify(MODULE_URL)});
+    process.stdout.write(encryptValue(${JSON.stringify(value)}, 'User.kycDetails'));
+  `;
+  return execFileSync(process.execPath, ['--input-type=module', '-e', script], {
+    cwd: BACKEND_DIR,
+    env: { ...process.env, LOG_LEVEL: 'error', PII_KEYRING: JSON.stringify(keyring) },
+    encoding: 'utf8',
+  }).trim();
+}
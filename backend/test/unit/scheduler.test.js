@@ -0,0 +1,195 @@
+/**
+ * Job scheduler locking (services/scheduler.js), with the Redis lock backend
+ * against an in-memory Redis
+ */
+
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+process.env.NODE_ENV = 'test';
+process.env.JOB_LOCK_BACKEND = 'redis';
+
+const {
+  JOB_LOCK_BACKENDS,
+  registerJob,
+  runJob,
+  getJobLockBackend,
+  getJobStatuses,
+  startScheduler,
+  stopScheduler,
+} = await import('../../services/scheduler.js');
+
+const LOCK_TTL_MS = 30;
+
+let redis;
+let runs;
+
+registerJob('unit.quick', {
+  intervalMs: 60_000,
+  lockTtlMs: LOCK_TTL_MS,
+  supportsDryRun: true,
+  run: async ({ dryRun }) => {
+    runs.push({ dryRun, lock: redis.values.get('lock:job:unit.quick') });
+    return { dryRun };
+  },
+});
+
+registerJob('unit.slow', {
+  intervalMs: 60_000,
+  lockTtlMs: LOCK_TTL_MS,
+  run: async () => {
+    await sleep(LOCK_TTL_MS * 3);
+    return { done: true };
+  },
+});
+
+registerJob('unit.failing', {
+  intervalMs: 60_000,
+  lockTtlMs: LOCK_TTL_MS,
+  run: async () => {
+    throw new Error('boom');
+  },
+});
+
+beforeEach(() => {
+  redis = fakeRedis();
+  runs = [];
+  useContext({ redis });
+});
+
+describe('runJob', () => {
+  test('uses the configured lock backend', () => {
+    assert.equal(getJobLockBackend(), JOB_LOCK_BACKENDS.REDIS);
+  });
+
+  test('runs under a lock and releases it afterwards', async () => {
+    const run = await runJob('unit.quick', { trigger: 'manual' });
+
+    assert.equal(run.status, 'succeeded');
+    assert.equal(run.trigger, 'manual');
+    assert.deepEqual(run.result, { dryRun: false });
+    assert.match(runs[0].lock, /:[0-9a-f-]{36}$/);
+    assert.equal(redis.values.has('lock:job:unit.quick'), false);
+    assert.equal(JSON.parse(redis.values.get('jobs:last:unit.quick')).status, 'succeeded');
+  });
+
+  test('skips while another instance holds the lock', async () => {
+    redis.values.set('lock:job:unit.quick', 'other-host:1:token');
+
+    const run = await runJob('unit.quick');
+    assert.equal(run.status, 'skipped');
+    assert.equal(run.reason, 'locked_by_other_instance');
+    assert.equal(runs.length, 0);
+    assert.equal(redis.values.get('lock:job:unit.quick'), 'other-host:1:token');
+  });
+
+  test('skips while Redis is unavailable', async () => {
+    redis.isReady = false;
+
+    const run = await runJob('unit.quick');
+    assert.equal(run.status, 'skipped');
+    assert.equal(run.reason, 'lock_unavailable');
+    assert.equal(runs.length, 0);
+  });
+
+  test('skips a run while the previous one is still going', async () => {
+    const first = runJob('unit.slow');
+    await sleep(5);
+    const second = await runJob('unit.slow');
+
+    assert.equal(second.reason, 'already_running');
+    assert.equal((await first).status, 'succeeded');
+  });
+
+  test('renews the lock while a run takes longer than its TTL', async () => {
+    const run = await runJob('unit.slow');
+
+    assert.equal(run.status, 'succeeded');
+    assert.ok(redis.renewals >= 2, `renewed ${redis.renewals} times`);
+    assert.equal(redis.values.has('lock:job:unit.slow'), false);
+  });
+
+  test('stops renewing a lock that was taken over, without interrupting the run', async () => {
+    const run = runJob('unit.slow');
+    await sleep(5);
+    redis.values.set('lock:job:unit.slow', 'other-host:1:token');
+
+    assert.equal((await run).status, 'succeeded');
+    assert.equal(redis.renewals, 1);
+    assert.equal(redis.values.get('lock:job:unit.slow'), 'other-host:1:token');
+  });
+
+  test('records failures and still releases the lock', async () => {
+    const run = await runJob('unit.failing');
+
+    assert.equal(run.status, 'failed');
+    assert.equal(run.error, 'boom');
+    assert.equal(redis.values.has('lock:job:unit.failing'), false);
+  });
+
+  test('passes dry runs to jobs that support them', async () => {
+    assert.deepEqual((await runJob('unit.quick', { dryRun: true })).result, { dryRun: true });
+    await assert.rejects(runJob('unit.slow', { dryRun: true }), { code: 'DRY_RUN_UNSUPPORTED' });
+  });
+
+  test('rejects unknown jobs', async () => {
+    await assert.rejects(runJob('unit.missing'), { code: 'JOB_NOT_FOUND' });
+  });
+});
+
+describe('getJobStatuses', () => {
+  test('reports the lock holder without the token', async () => {
+    redis.values.set('lock:job:unit.quick', 'other-host:1:0b0c7a4e-5ab1-4c1e-9a44-39f4b7e4c0de');
+
+    const status = (await getJobStatuses()).find((job) => job.name === 'unit.quick');
+    assert.equal(status.lockBackend, JOB_LOCK_BACKENDS.REDIS);
+    assert.equal(status.lockHolder, 'other-host:1');
+  });
+});
+
+/**
+ * Sets the context passed to jobs without leaving timers scheduled
+ */
+function useContext(context) {
+  startScheduler(context);
+  stopScheduler();
+}
+
+/**
+ * The Redis commands the scheduler uses. Keys do not expire; eval runs the
+ * lock scripts by what they do (renew with pexpire, otherwise release).
+ */
+function fakeRedis() {
+  return {
+    isReady: true,
+    values: new Map(),
+    renewals: 0,
+
+    async get(key) {
+      return this.values.get(key) ?? null;
+    },
+
+    async set(key, value, { NX } = {}) {
+      if (NX && this.values.has(key)) {
+        return null;
+      }
+      this.values.set(key, value);
+      return 'OK';
+    },
+
+    async eval(script, { keys: [key], arguments: [token] }) {
+      const renew = script.includes('pexpire');
+      if (renew) {
+        this.renewals += 1;
+      }
+      if (this.values.get(key) !== token) {
+        return 0;
+      }
+      if (!renew) {
+        this.values.delete(key);
+      }
+      return 1;
+    },
+  };
+}
@@ -0,0 +1,123 @@
+/**
+ * Didit webhook signature middleware (middleware/webhookSignature.js)
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const SECRET = 'current-secret';
+const PREVIOUS_SECRET = 'previous-secret';
+const TOLERANCE_SECONDS = 300;
+
+process.env.NODE_ENV = 'test';
+process.env.DIDIT_WEBHOOK_SECRET = SECRET;
+process.env.DIDIT_WEBHOOK_PREVIOUS_SECRETS = PREVIOUS_SECRET;
+process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS = String(TOLERANCE_SECONDS);
+
+const { verifyDiditWebhook, signWebhookBody, matchWebhookSignature } = await import('../../middleware/webhookSignature.js');
+
+describe('verifyDiditWebhook', () => {
+  test('accepts a body signed with the current secret', () => {
+    const { body } = webhook();
+    assert.equal(verify(body, { 'x-signature': signWebhookBody(body, SECRET) }).status, 'next');
+  });
+
+  test('accepts the x-didit-signature header and a sha256= prefix', () => {
+    const { body } = webhook();
+    assert.equal(verify(body, { 'x-didit-signature': `sha256=${signWebhookBody(body, SECRET)}` }).status, 'next');
+  });
+
+  test('accepts a previous secret during rotation', () => {
+    const { body } = webhook();
+    assert.equal(verify(body, { 'x-signature': signWebhookBody(body, PREVIOUS_SECRET) }).status, 'next');
+  });
+
+  test('rejects a missing signature', () => {
+    const { body } = webhook();
+    assert.equal(verify(body, {}).status, 401);
+  });
+
+  test('rejects another secret', () => {
+    const { body } = webhook();
+    assert.equal(verify(body, { 'x-signature': signWebhookBody(body, 'not-the-secret') }).status, 401);
+  });
+
+  test('rejects a body changed after signing', () => {
+    const { body } = webhook();
+    const signature = signWebhookBody(body, SECRET);
+    assert.equal(verify(body.replace('Approved', 'Declined'), { 'x-signature': signature }).status, 401);
+  });
+
+  test('rejects a signed body without a timestamp', () => {
+    const { body } = webhook({ timestamp: undefined });
+    assert.equal(verify(body, { 'x-signature': signWebhookBody(body, SECRET) }).status, 401);
+  });
+
+  test('accepts timestamps inside the tolerance, in seconds or milliseconds', () => {
+    const inside = Date.now() - (TOLERANCE_SECONDS - 10) * 1000;
+    for (const timestamp of [Math.floor(inside / 1000), inside]) {
+      const { body } = webhook({ timestamp });
+      assert.equal(verify(body, { 'x-signature': signWebhookBody(body, SECRET) }).status, 'next', String(timestamp));
+    }
+  });
+
+  test('rejects timestamps outside the tolerance, past or future', () => {
+    for (const offsetSeconds of [-(TOLERANCE_SECONDS + 10), TOLERANCE_SECONDS + 10]) {
+      const { body } = webhook({ timestamp: Math.floor(Date.now() / 1000) + offsetSeconds });
+      assert.equal(verify(body, { 'x-signature': signWebhookBody(body, SECRET) }).status, 401, String(offsetSeconds));
+    }
+  });
+
+  test('falls back to created_at', () => {
+    const { body } = webhook({ timestamp: undefined, created_at: Math.floor(Date.now() / 1000) });
+    assert.equal(verify(body, { 'x-signature': signWebhookBody(body, SECRET) }).status, 'next');
+  });
+});
+
+describe('matchWebhookSignature', () => {
+  test('returns the index of the matching secret', () => {
+    const body = '{"a":1}';
+    assert.equal(matchWebhookSignature(body, signWebhookBody(body, 'b'), ['a', 'b']), 1);
+    assert.equal(matchWebhookSignature(body, 'short', ['a', 'b']), -1);
+  });
+});
+
+function webhook(overrides = {}) {
+  const payload = {
+    session_id: 'session-1',
+    status: 'Approved',
+    webhook_type: 'status.updated',
+    timestamp: Math.floor(Date.now() / 1000),
+    ...overrides,
+  };
+  return { body: JSON.stringify(payload) };
+}
+
+/**
+ * Runs the middleware on a raw body; status is 'next' when it passed
+ */
+function verify(rawBody, headers) {
+  const req = {
+    headers,
+    rawBody: Buffer.from(rawBody, 'utf8'),
+    body: JSON.parse(rawBody),
+    originalUrl: '/api/v1/verification/webhook',
+    ip: '127.0.0.1',
+  };
+  const outcome = { status: null };
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json() {
+      return this;
+    },
+  };
+
+  verifyDiditWebhook(req, res, () => {
+    outcome.status = 'next';
+  });
+
+  return outcome;
+}
@@ -1,10 +1,34 @@
+import * as fs from 'node:fs';
+import * as path from 'node:path';
 import winston from 'winston';
+import { config } from '../config/index.js';
+import { getRequestContext } from './requestContext.js';
+
+export const LOG_DIR = 'logs';
+
+// Log files rotate by size (combined.log -> combined1.log -> combined2.log ...);
+// rotated files are removed by age by the retention purger
+const LOG_MAX_SIZE_BYTES = config.logging.maxSizeMb * 1024 * 1024;
+const LOG_MAX_FILES = config.logging.maxFiles;
+
+const ROTATED_LOG_FILE = /^(combined|error)\d+\.log$/;
+
+// Adds the current request's ID and trace ID (utils/requestContext.js) to every entry
+const requestContext = winston.format((info) => {
+  const context = getRequestContext();
+  if (context) {
+    info.requestId ??= context.requestId;
+    info.traceId ??= context.traceId;
+  }
+  return info;
+});
 
 // Create Winston logger instance
 const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
+  level: config.logging.level,
   format: winston.format.combine(
     winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+    requestContext(),
     winston.format.errors({ stack: true }),
     winston.format.splat(),
     winston.format.json()
@@ -28,18 +52,24 @@ const logger = winston.createLogger({
     }),
     // Write all logs with level 'error' and below to error.log
     new winston.transports.File({
-      filename: 'logs/error.log',
+      filename: path.join(LOG_DIR, 'error.log'),
       level: 'error',
+      maxsize: LOG_MAX_SIZE_BYTES,
+      maxFiles: LOG_MAX_FILES,
+      tailable: true,
     }),
     // Write all logs to combined.log
     new winston.transports.File({
-      filename: 'logs/combined.log',
+      filename: path.join(LOG_DIR, 'combined.log'),
+      maxsize: LOG_MAX_SIZE_BYTES,
+      maxFiles: LOG_MAX_FILES,
+      tailable: true,
     }),
   ],
 });
 
 // If not in production, also log to console with simpler format
-if (process.env.NODE_ENV !== 'production') {
+if (config.env !== 'production') {
   logger.add(
     new winston.transports.Console({
       format: winston.format.simple(),
@@ -47,4 +77,36 @@ if (process.env.NODE_ENV !== 'production') {
   );
 }
 
-export { logger };
+/**
+ * Logs a structured security event (rejected webhooks, failed auth, ...)
+ *
+ * @param {string} event - Dotted event name, e.g. 'webhook.rejected'
+ * @param {object} details - Additional structured fields
+ */
+function logSecurityEvent(event, details = {}) {
+  logger.warn(`Security event: ${event}`, { securityEvent: event, ...details });
+}
+
+/**
+ * Log files on disk, newest first
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.rotatedOnly=false] - Skip the files currently written to
+ * @returns {{ file: string, modifiedAt: Date, size: number }[]}
+ */
+function listLogFiles({ rotatedOnly = false } = {}) {
+  if (!fs.existsSync(LOG_DIR)) {
+    return [];
+  }
+
+  return fs.readdirSync(LOG_DIR)
+    .filter((name) => (rotatedOnly ? ROTATED_LOG_FILE.test(name) : name.endsWith('.log')))
+    .map((name) => {
+      const file = path.join(LOG_DIR, name);
+      const stats = fs.statSync(file);
+      return { file, modifiedAt: stats.mtime, size: stats.size };
+    })
+    .sort((a, b) => b.modifiedAt - a.modifiedAt);
+}
+
+export { logger, logSecurityEvent, listLogFiles };
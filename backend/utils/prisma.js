@@ -0,0 +1,175 @@
+/**
+ * Prisma client
+ *
+ * Every module imports the shared `prisma` client from here, so the process
+ * has one query engine and connection pool on the database, transactions
+ * see the same connection as the reads around them, and PII encryption
+ * (services/piiEncryption.js) applies everywhere: encrypted columns are
+ * encrypted on write, decrypted on read (including included relations), and
+ * equality filters on phoneNumber go through its blind index.
+ *
+ * Nested writes (e.g. `user.update({ data: { verificationSessions: { create } } })`)
+ * are not handled; write encrypted models through their own delegate.
+ */
+
+import { PrismaClient, Prisma } from '@prisma/client';
+import { config } from '../config/index.js';
+import {
+  ENCRYPTED_FIELDS,
+  BLIND_INDEXES,
+  encryptValue,
+  decryptValue,
+  blindIndex,
+  isEncryptionEnabled,
+} from '../services/piiEncryption.js';
+
+// Relation fields per model, used to decrypt included records
+const RELATIONS = new Map(Prisma.dmmf.datamodel.models.map((model) => [
+  model.name,
+  new Map(model.fields.filter((field) => field.kind === 'object').map((field) => [field.name, field.type])),
+]));
+
+const DATA_ARGS = ['data', 'create', 'update'];
+
+/**
+ * Prisma extension implementing transparent PII encryption
+ */
+export const piiEncryptionExtension = Prisma.defineExtension({
+  name: 'pii-encryption',
+  query: {
+    $allModels: {
+      async $allOperations({ model, args, query }) {
+        const result = await query(protectArgs(model, args));
+        return decryptResult(model, result);
+      },
+    },
+  },
+});
+
+/**
+ * Creates a Prisma client with PII encryption applied, connected to
+ * DATABASE_URL. Application code uses the shared `prisma` client below;
+ * create another only for a separate process or connection.
+ */
+export function createPrismaClient(options = {}) {
+  return new PrismaClient({ datasourceUrl: config.database.url, ...options }).$extends(piiEncryptionExtension);
+}
+
+/**
+ * The process-wide Prisma client
+ */
+export const prisma = createPrismaClient();
+
+/**
+ * Encrypts write data and rewrites phoneNumber filters to the blind index
+ */
+function protectArgs(model, args) {
+  if (!args || (!ENCRYPTED_FIELDS[model] && !BLIND_INDEXES[model])) {
+    return args;
+  }
+
+  const protectedArgs = { ...args };
+
+  for (const key of DATA_ARGS) {
+    if (protectedArgs[key]) {
+      protectedArgs[key] = Array.isArray(protectedArgs[key])
+        ? protectedArgs[key].map((data) => encryptData(model, data))
+        : encryptData(model, protectedArgs[key]);
+    }
+  }
+
+  if (protectedArgs.where && isEncryptionEnabled()) {
+    protectedArgs.where = indexWhere(model, protectedArgs.where);
+  }
+
+  return protectedArgs;
+}
+
+function encryptData(model, data) {
+  const encrypted = { ...data };
+
+  for (const field of ENCRYPTED_FIELDS[model] || []) {
+    if (!(field in encrypted)) {
+      continue;
+    }
+
+    // Accept both `field: value` and `field: { set: value }`
+    const value = encrypted[field] !== null && typeof encrypted[field] === 'object'
+      ? encrypted[field].set
+      : encrypted[field];
+
+    encrypted[field] = encryptValue(value, `${model}.${field}`);
+
+    const indexField = BLIND_INDEXES[model]?.[field];
+    if (indexField) {
+      encrypted[indexField] = blindIndex(value);
+    }
+  }
+
+  return encrypted;
+}
+
+/**
+ * Replaces `field: value` / `field: { equals: value }` filters on indexed
+ * fields, including inside AND / OR / NOT
+ */
+function indexWhere(model, where) {
+  const indexes = BLIND_INDEXES[model];
+  if (!indexes || !where || typeof where !== 'object') {
+    return where;
+  }
+
+  const rewritten = { ...where };
+
+  for (const [field, indexField] of Object.entries(indexes)) {
+    if (!(field in rewritten)) {
+      continue;
+    }
+
+    const filter = rewritten[field];
+    const value = filter !== null && typeof filter === 'object' ? filter.equals : filter;
+    if (filter !== null && typeof filter === 'object' && Object.keys(filter).some((key) => key !== 'equals')) {
+      throw new Error(`Only equality filters are supported on encrypted field ${model}.${field}`);
+    }
+
+    delete rewritten[field];
+    rewritten[indexField] = value === null ? null : blindIndex(value);
+  }
+
+  for (const operator of ['AND', 'OR', 'NOT']) {
+    if (Array.isArray(rewritten[operator])) {
+      rewritten[operator] = rewritten[operator].map((clause) => indexWhere(model, clause));
+    } else if (rewritten[operator]) {
+      rewritten[operator] = indexWhere(model, rewritten[operator]);
+    }
+  }
+
+  return rewritten;
+}
+
+/**
+ * Decrypts encrypted fields in a query result and its included relations
+ */
+function decryptResult(model, result) {
+  if (Array.isArray(result)) {
+    return result.map((record) => decryptResult(model, record));
+  }
+  if (!result || typeof result !== 'object' || result instanceof Date) {
+    return result;
+  }
+
+  const fields = ENCRYPTED_FIELDS[model] || [];
+  const relations = RELATIONS.get(model);
+
+  for (const key of Object.keys(result)) {
+    if (fields.includes(key)) {
+      result[key] = decryptValue(result[key], `${model}.${key}`);
+    } else if (relations?.has(key)) {
+      result[key] = decryptResult(relations.get(key), result[key]);
+    }
+  }
+
+  return result;
+}
+
+export default prisma;
@@ -0,0 +1,45 @@
+/**
+ * Request Context
+ *
+ * Per-request values kept in AsyncLocalStorage, so code anywhere below a
+ * request handler (logger, Didit client, services) can read them without
+ * passing them along. Set by the requestId middleware; empty outside a
+ * request (workers, scheduled jobs, scripts).
+ *
+ * Context: { requestId, traceId, spanId, sampled } (spanId is the request's
+ * server span, see utils/tracing.js)
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs a function with the given context
+ *
+ * @param {{ requestId: string, traceId?: string, spanId?: string, sampled?: boolean }} context
+ * @param {Function} fn
+ */
+export function runWithRequestContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * The current request's context, or undefined outside a request
+ */
+export function getRequestContext() {
+  return storage.getStore();
+}
+
+/**
+ * The current request's ID, or null outside a request
+ */
+export function getRequestId() {
+  return storage.getStore()?.requestId ?? null;
+}
+
+export default {
+  runWithRequestContext,
+  getRequestContext,
+  getRequestId,
+};
@@ -0,0 +1,202 @@
+/**
+ * Tracing
+ *
+ * Minimal spans compatible with OpenTelemetry: W3C trace context
+ * (`traceparent`) is read from incoming requests and sent on outbound Didit
+ * calls, and finished spans are exported as OTLP/JSON, one
+ * `{ resourceSpans }` document per line, which the OpenTelemetry
+ * Collector's otlpjsonfile receiver and most trace tools can import.
+ *
+ * TRACE_EXPORTER selects where spans go: `none` (default; trace IDs are
+ * still propagated), `console` (stdout) or `file` (TRACE_EXPORT_FILE).
+ */
+
+import * as crypto from 'node:crypto';
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import { config } from '../config/index.js';
+import { getRequestContext } from './requestContext.js';
+
+export const SERVICE_NAME = 'didit-verification';
+
+// OTLP span kinds
+export const SPAN_KINDS = Object.freeze({
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3,
+});
+
+// OTLP status codes
+const STATUS_OK = 1;
+const STATUS_ERROR = 2;
+
+// Wall clock at startup, advanced by the monotonic clock so span times never go backwards
+const EPOCH_OFFSET_NS = BigInt(Date.now()) * 1_000_000n - process.hrtime.bigint();
+
+const TRACEPARENT = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+/**
+ * Parses a W3C traceparent header
+ *
+ * @returns {{ traceId: string, parentSpanId: string, sampled: boolean } | null}
+ */
+export function parseTraceparent(header) {
+  const match = TRACEPARENT.exec(String(header || '').trim().toLowerCase());
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) {
+    return null;
+  }
+  return { traceId: match[1], parentSpanId: match[2], sampled: (parseInt(match[3], 16) & 1) === 1 };
+}
+
+/**
+ * Starts a span. Without an explicit trace, it joins the current request's
+ * trace as a child of the request span.
+ *
+ * @param {object} options
+ * @param {string} options.name
+ * @param {number} [options.kind] - One of SPAN_KINDS
+ * @param {string} [options.traceId]
+ * @param {string} [options.parentSpanId]
+ * @param {boolean} [options.sampled=true] - Unsampled spans propagate but are not exported
+ * @param {object} [options.attributes]
+ */
+export function startSpan({ name, kind = SPAN_KINDS.INTERNAL, traceId, parentSpanId, sampled = true, attributes = {} }) {
+  const context = getRequestContext();
+  const span = {
+    traceId: traceId || context?.traceId || randomId(16),
+    spanId: randomId(8),
+    parentSpanId: parentSpanId ?? (traceId ? null : context?.spanId ?? null),
+    sampled: traceId ? sampled : context?.sampled ?? sampled,
+    name,
+    kind,
+    attributes: { ...attributes },
+    startTimeUnixNano: nowUnixNano(),
+    ended: false,
+  };
+
+  return {
+    traceId: span.traceId,
+    spanId: span.spanId,
+    sampled: span.sampled,
+
+    /**
+     * traceparent header value naming this span as the parent
+     */
+    traceparent() {
+      return `00-${span.traceId}-${span.spanId}-${span.sampled ? '01' : '00'}`;
+    },
+
+    setName(value) {
+      span.name = value;
+    },
+
+    setAttributes(values) {
+      Object.assign(span.attributes, values);
+    },
+
+    /**
+     * Ends and exports the span
+     *
+     * @param {object} [options]
+     * @param {Error|string} [options.error] - Marks the span as failed
+     */
+    end({ error } = {}) {
+      if (span.ended) {
+        return;
+      }
+      span.ended = true;
+      if (span.sampled) {
+        exportSpan({
+          ...span,
+          endTimeUnixNano: nowUnixNano(),
+          status: error
+            ? { code: STATUS_ERROR, message: error.message || String(error) }
+            : { code: STATUS_OK },
+        });
+      }
+    },
+  };
+}
+
+/**
+ * ============================================================
+ * EXPORT
+ * ============================================================
+ */
+
+function exportSpan(span) {
+  if (config.tracing.exporter === 'none') {
+    return;
+  }
+
+  const line = `${JSON.stringify(toOtlp(span))}\n`;
+
+  if (config.tracing.exporter === 'console') {
+    process.stdout.write(line);
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(config.tracing.file), { recursive: true });
+  fs.appendFile(config.tracing.file, line, (error) => {
+    if (error) {
+      process.stderr.write(`Failed to export span: ${error.message}\n`);
+    }
+  });
+}
+
+function toOtlp(span) {
+  return {
+    resourceSpans: [{
+      resource: { attributes: otlpAttributes({ 'service.name': SERVICE_NAME }) },
+      scopeSpans: [{
+        scope: { name: SERVICE_NAME },
+        spans: [{
+          traceId: span.traceId,
+          spanId: span.spanId,
+          ...(span.parentSpanId && { parentSpanId: span.parentSpanId }),
+          name: span.name,
+          kind: span.kind,
+          startTimeUnixNano: span.startTimeUnixNano,
+          endTimeUnixNano: span.endTimeUnixNano,
+          attributes: otlpAttributes(span.attributes),
+          status: span.status,
+        }],
+      }],
+    }],
+  };
+}
+
+function otlpAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: otlpValue(value) }));
+}
+
+function otlpValue(value) {
+  if (typeof value === 'boolean') {
+    return { boolValue: value };
+  }
+  if (Number.isInteger(value)) {
+    return { intValue: String(value) };
+  }
+  if (typeof value === 'number') {
+    return { doubleValue: value };
+  }
+  return { stringValue: String(value) };
+}
+
+function randomId(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+// Nanoseconds since the epoch as a string, as OTLP/JSON encodes 64-bit integers
+function nowUnixNano() {
+  return (EPOCH_OFFSET_NS + process.hrtime.bigint()).toString();
+}
+
+export default {
+  SERVICE_NAME,
+  SPAN_KINDS,
+  parseTraceparent,
+  startSpan,
+};
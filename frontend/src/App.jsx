@@ -1,7 +1,11 @@
-import { useMemo, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import './App.css';
 import { VerificationAPI, generateUUIDv4 } from './api';
 
+// Statuses after which the session outcome is known and watching stops
+const FINAL_STATUSES = ['VERIFIED', 'DECLINED', 'ABANDONED'];
+const POLL_INTERVAL_MS = 5000;
+
 function App() {
   const [userId, setUserId] = useState('');
   const effectiveUserId = useMemo(() => userId?.trim() || generateUUIDv4(), [userId]);
@@ -14,6 +18,43 @@ function App() {
   const [frontFile, setFrontFile] = useState(null);
   const [backFile, setBackFile] = useState(null);
   const [documentType, setDocumentType] = useState('');
+  const watcher = useRef(null);
+
+  useEffect(() => () => stopWatching(), []);
+
+  function stopWatching() {
+    if (watcher.current) {
+      watcher.current.abort();
+      clearInterval(watcher.current.timer);
+      watcher.current = null;
+    }
+  }
+
+  // Follows the user's status live over SSE, polling if the stream is unavailable
+  function watchStatus(id) {
+    stopWatching();
+    const controller = new AbortController();
+    watcher.current = controller;
+
+    const onStatus = (status) => {
+      setApiResponse({ success: true, data: status });
+      setMessage(`Verification status: ${status.kycStatus} (live)`);
+      if (FINAL_STATUSES.includes(status.kycStatus)) stopWatching();
+    };
+
+    const poll = () => {
+      if (controller.signal.aborted || controller.timer) return;
+      controller.timer = setInterval(async () => {
+        try {
+          onStatus((await VerificationAPI.getStatus(id)).data);
+        } catch {
+          // keep polling through transient errors
+        }
+      }, POLL_INTERVAL_MS);
+    };
+
+    VerificationAPI.streamStatus(id, { onStatus, signal: controller.signal }).then(poll, poll);
+  }
 
   async function createSession() {
     setBusy(true);
@@ -24,6 +65,7 @@ function App() {
       setMessage('Session created');
       setUserId(effectiveUserId);
       if (res?.data?.verification_url) window.open(res.data.verification_url, '_blank');
+      watchStatus(effectiveUserId);
     } catch (e) {
       setApiResponse(e.data || { error: e.message });
       setMessage(`Error: ${e.message}`);
@@ -93,6 +135,7 @@ function App() {
   }
 
   function clearAll() {
+    stopWatching();
     setUserId('');
     setPhoneNumber('');
     setRequestId('');
@@ -1,9 +1,12 @@
 const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:3000/api/v1/verification';
+// Bearer token for the backend (JWT whose sub is the user's ID)
+const API_TOKEN = import.meta.env.VITE_API_TOKEN;
 
 async function request(path, options = {}) {
+  const authHeader = API_TOKEN ? { Authorization: `Bearer ${API_TOKEN}` } : {};
   const res = await fetch(`${API_BASE}${path}`, {
-    headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
     ...options,
+    headers: { 'Content-Type': 'application/json', ...authHeader, ...(options.headers || {}) },
   });
   const data = await res.json().catch(() => ({}));
   if (!res.ok) {
@@ -15,21 +18,88 @@ async function request(path, options = {}) {
   return data;
 }
 
+// Idempotency-Key per action, reused for the same body while the request may
+// be retried (network error, 5xx, 409 still processing, 429) so a double click
+// or a retry after a timeout cannot start a second attempt on the server
+const attemptKeys = new Map();
+
+async function idempotentRequest(action, path, body) {
+  const json = JSON.stringify(body);
+  let attempt = attemptKeys.get(action);
+  if (!attempt || attempt.body !== json) {
+    attempt = { body: json, key: generateUUIDv4() };
+    attemptKeys.set(action, attempt);
+  }
+
+  try {
+    const data = await request(path, { method: 'POST', body: json, headers: { 'Idempotency-Key': attempt.key } });
+    attemptKeys.delete(action);
+    return data;
+  } catch (err) {
+    if (err.status && err.status < 500 && err.status !== 409 && err.status !== 429) attemptKeys.delete(action);
+    throw err;
+  }
+}
+
+// Reads a Server-Sent Events response and calls onEvent(event, data) per message.
+// fetch is used instead of EventSource, which cannot send the Authorization header.
+async function stream(path, { onEvent, signal }) {
+  const authHeader = API_TOKEN ? { Authorization: `Bearer ${API_TOKEN}` } : {};
+  const res = await fetch(`${API_BASE}${path}`, {
+    headers: { Accept: 'text/event-stream', ...authHeader },
+    signal,
+  });
+  if (!res.ok || !res.body) {
+    const err = new Error(`Stream failed (${res.status})`);
+    err.status = res.status;
+    throw err;
+  }
+
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value;
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      let event = 'message';
+      const data = [];
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+      }
+      if (data.length) onEvent(event, JSON.parse(data.join('\n')));
+    }
+  }
+}
+
 export const VerificationAPI = {
   createSession(payload) {
-    return request('/session/create', { method: 'POST', body: JSON.stringify(payload) });
+    return idempotentRequest('createSession', '/session/create', payload);
   },
   getStatus(userId) {
     return request(`/status/${userId}`, { method: 'GET' });
   },
+  // Resolves when the server closes the stream; rejects on error or abort
+  streamStatus(userId, { onStatus, signal }) {
+    return stream(`/status/${userId}/stream`, {
+      signal,
+      onEvent: (event, data) => {
+        if (event === 'status') onStatus(data);
+      },
+    });
+  },
   sendPhoneCode(phoneNumber, userId) {
-    return request('/phone/send', { method: 'POST', body: JSON.stringify({ phoneNumber, userId }) });
+    return idempotentRequest('sendPhoneCode', '/phone/send', { phoneNumber, userId });
   },
   checkPhoneCode({ code, phoneNumber }) {
     return request('/phone/check', { method: 'POST', body: JSON.stringify({ code, phoneNumber }) });
   },
   verifyId({ userId, frontImage, backImage, documentType }) {
-    return request('/id/verify', { method: 'POST', body: JSON.stringify({ userId, frontImage, backImage, documentType }) });
+    return idempotentRequest('verifyId', '/id/verify', { userId, frontImage, backImage, documentType });
   },
 };
 